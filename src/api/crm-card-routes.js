@@ -5,12 +5,26 @@ const express = require('express');
 const CRMCardService = require('../crm-cards/crm-card-service');
 const { getClient } = require('../services/trackerrms-client');
 const ScoringService = require('../scoring/scoring-service');
+const { resolveSignedPortal, getTrackerRMSCredentials } = require('../middleware/auth');
 const logger = require('../logger');
 
 const router = express.Router();
 const crmCardService = new CRMCardService();
 const scoringService = new ScoringService();
 
+// CRM card fetches are signed by HubSpot and identify the portal in the query string
+router.use(resolveSignedPortal);
+
+/**
+ * Resolve a TrackerRMS client for the portal a card is rendered in
+ * @param {Object} req - Request object
+ * @returns {TrackerRMSClient|null} Client, or null if the portal is not connected
+ */
+function getCardClient(req) {
+  const credentials = getTrackerRMSCredentials(req, req.portalId);
+  return credentials ? getClient(credentials) : null;
+}
+
 /**
  * Get job CRM card data
  * GET /api/crm-cards/job/:jobId
@@ -18,14 +32,12 @@ const scoringService = new ScoringService();
 router.get('/job/:jobId', async (req, res) => {
   try {
     const { jobId } = req.params;
-    // Only accept API key from header for security
-    const apiKey = req.headers['x-trackerrms-api-key'];
+    const trackerrms = getCardClient(req);
 
-    if (!apiKey) {
-      return res.json(crmCardService.buildErrorCard('TrackerRMS API key required in header'));
+    if (!trackerrms) {
+      return res.json(crmCardService.buildErrorCard('TrackerRMS is not connected for this portal'));
     }
 
-    const trackerrms = getClient(apiKey);
     const job = await trackerrms.getJob(jobId);
 
     // Get candidates if available
@@ -50,14 +62,12 @@ router.get('/job/:jobId', async (req, res) => {
 router.get('/placement/:placementId', async (req, res) => {
   try {
     const { placementId } = req.params;
-    // Only accept API key from header for security
-    const apiKey = req.headers['x-trackerrms-api-key'];
+    const trackerrms = getCardClient(req);
 
-    if (!apiKey) {
-      return res.json(crmCardService.buildErrorCard('TrackerRMS API key required in header'));
+    if (!trackerrms) {
+      return res.json(crmCardService.buildErrorCard('TrackerRMS is not connected for this portal'));
     }
 
-    const trackerrms = getClient(apiKey);
     const placement = await trackerrms.getPlacement(placementId);
 
     // Get associated job for velocity calculation
@@ -92,14 +102,12 @@ router.get('/placement/:placementId', async (req, res) => {
  */
 router.get('/attribution/:dealId', async (req, res) => {
   try {
-    // Only accept API key from header for security
-    const apiKey = req.headers['x-trackerrms-api-key'];
+    const trackerrms = getCardClient(req);
 
-    if (!apiKey) {
-      return res.json(crmCardService.buildErrorCard('TrackerRMS API key required in header'));
+    if (!trackerrms) {
+      return res.json(crmCardService.buildErrorCard('TrackerRMS is not connected for this portal'));
     }
 
-    const trackerrms = getClient(apiKey);
     const placements = await trackerrms.getPlacements();
 
     const attribution = scoringService.calculateServiceLineAttribution(placements);
@@ -4,7 +4,9 @@
 const express = require('express');
 const DashboardService = require('../dashboards/dashboard-service');
 const { getClient } = require('../services/trackerrms-client');
-const { validateTrackerRMSKey } = require('../middleware/auth');
+const { mapWithConcurrency } = require('../services/concurrency');
+const { resolveTrackerRMSCredentials } = require('../middleware/auth');
+const { config } = require('../config');
 const logger = require('../logger');
 
 const router = express.Router();
@@ -14,9 +16,9 @@ const dashboardService = new DashboardService();
  * Get service line attribution dashboard data
  * GET /api/dashboards/attribution
  */
-router.get('/attribution', validateTrackerRMSKey, async (req, res) => {
+router.get('/attribution', resolveTrackerRMSCredentials, async (req, res) => {
   try {
-    const trackerrms = getClient(req.trackerrms.apiKey);
+    const trackerrms = getClient(req.trackerrms);
     const placements = await trackerrms.getPlacements();
 
     const data = dashboardService.getServiceLineAttributionData(placements);
@@ -38,13 +40,13 @@ router.get('/attribution', validateTrackerRMSKey, async (req, res) => {
  * Get placement velocity dashboard data
  * GET /api/dashboards/velocity
  */
-router.get('/velocity', validateTrackerRMSKey, async (req, res) => {
+router.get('/velocity', resolveTrackerRMSCredentials, async (req, res) => {
   try {
-    const trackerrms = getClient(req.trackerrms.apiKey);
+    const trackerrms = getClient(req.trackerrms);
     const placements = await trackerrms.getPlacements();
 
     // Enrich placements with job data
-    for (const placement of placements) {
+    await mapWithConcurrency(placements, config.dashboards.concurrency, async placement => {
       if (placement.jobId) {
         try {
           placement.job = await trackerrms.getJob(placement.jobId);
@@ -52,7 +54,7 @@ router.get('/velocity', validateTrackerRMSKey, async (req, res) => {
           // Job not found, continue
         }
       }
-    }
+    });
 
     const data = dashboardService.getPlacementVelocityData(placements);
 
@@ -73,9 +75,9 @@ router.get('/velocity', validateTrackerRMSKey, async (req, res) => {
  * Get ROI dashboard data
  * GET /api/dashboards/roi
  */
-router.get('/roi', validateTrackerRMSKey, async (req, res) => {
+router.get('/roi', resolveTrackerRMSCredentials, async (req, res) => {
   try {
-    const trackerrms = getClient(req.trackerrms.apiKey);
+    const trackerrms = getClient(req.trackerrms);
     const placements = await trackerrms.getPlacements();
 
     const data = dashboardService.getROIDashboardData(placements);
@@ -97,9 +99,9 @@ router.get('/roi', validateTrackerRMSKey, async (req, res) => {
  * Get executive dashboard (all metrics combined)
  * GET /api/dashboards/executive
  */
-router.get('/executive', validateTrackerRMSKey, async (req, res) => {
+router.get('/executive', resolveTrackerRMSCredentials, async (req, res) => {
   try {
-    const trackerrms = getClient(req.trackerrms.apiKey);
+    const trackerrms = getClient(req.trackerrms);
 
     const [placements, jobs] = await Promise.all([
       trackerrms.getPlacements(),
@@ -0,0 +1,354 @@
+/**
+ * API routes for per-portal app settings
+ */
+const express = require('express');
+const HubSpotService = require('../services/hubspot-service');
+const CustomObjectSync = require('../sync/custom-object-sync');
+const { PropertySchemaManager } = require('../sync/property-schema');
+const portalSettings = require('../settings/portal-settings');
+const pipelineMapping = require('../settings/pipeline-mapping');
+const fieldMapping = require('../settings/field-mapping');
+const { getUnmatchedOwners, setOwnerOverrides } = require('../sync/owner-resolver');
+const { requireAuth } = require('../middleware/auth');
+const logger = require('../logger');
+
+const router = express.Router();
+
+/**
+ * Get settings for the current portal
+ * GET /api/settings
+ */
+router.get('/', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    settings: portalSettings.getPortalSettings(req.hubspot.portalId)
+  });
+});
+
+/**
+ * Update settings for the current portal
+ * Switching objectModel to 'custom_objects' provisions the TrackerRMS custom object schemas.
+ * PATCH /api/settings
+ */
+router.patch('/', requireAuth, async (req, res) => {
+  const { portalId, accessToken } = req.hubspot;
+  const errors = portalSettings.validateSettings(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid settings',
+      details: errors
+    });
+  }
+
+  try {
+    if (req.body.objectModel === 'custom_objects') {
+      const hubspot = new HubSpotService(accessToken, { portalId });
+      await new CustomObjectSync(hubspot, portalId).ensureSchemas();
+    }
+
+    res.json({
+      success: true,
+      settings: portalSettings.updatePortalSettings(portalId, req.body)
+    });
+  } catch (error) {
+    logger.error('Failed to update portal settings', { portalId, error: error.message });
+    res.status(502).json({
+      success: false,
+      error: `Could not provision HubSpot custom objects: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Get the portal's deal pipelines and stages, for building a pipeline mapping
+ * GET /api/settings/pipelines
+ */
+router.get('/pipelines', requireAuth, async (req, res) => {
+  const { portalId, accessToken } = req.hubspot;
+
+  try {
+    const pipelines = await new HubSpotService(accessToken, { portalId }).getDealPipelines();
+
+    res.json({
+      success: true,
+      pipelines: pipelines.map(pipeline => ({
+        id: pipeline.id,
+        label: pipeline.label,
+        stages: (pipeline.stages || []).map(stage => ({ id: stage.id, label: stage.label }))
+      }))
+    });
+  } catch (error) {
+    logger.error('Failed to get deal pipelines', { portalId, error: error.message });
+    res.status(502).json({
+      success: false,
+      error: `Could not load HubSpot pipelines: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Get the TrackerRMS status to pipeline/stage mapping for the current portal
+ * GET /api/settings/pipeline-mapping
+ */
+router.get('/pipeline-mapping', requireAuth, (req, res) => {
+  const { portalId } = req.hubspot;
+
+  res.json({
+    success: true,
+    custom: portalSettings.getPortalSettings(portalId).pipelineMapping !== null,
+    mapping: pipelineMapping.getPipelineMapping(portalId)
+  });
+});
+
+/**
+ * Replace the TrackerRMS status to pipeline/stage mapping for the current portal
+ * The mapping is validated against the portal's deal pipelines.
+ * PUT /api/settings/pipeline-mapping
+ */
+router.put('/pipeline-mapping', requireAuth, async (req, res) => {
+  const { portalId, accessToken } = req.hubspot;
+
+  let pipelines;
+  try {
+    pipelines = await new HubSpotService(accessToken, { portalId }).getDealPipelines();
+  } catch (error) {
+    logger.error('Failed to get deal pipelines', { portalId, error: error.message });
+    return res.status(502).json({
+      success: false,
+      error: `Could not load HubSpot pipelines: ${error.message}`
+    });
+  }
+
+  const result = pipelineMapping.setPipelineMapping(portalId, req.body, pipelines);
+
+  if (result.errors) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid pipeline mapping',
+      details: result.errors
+    });
+  }
+
+  res.json({
+    success: true,
+    custom: true,
+    mapping: result.mapping
+  });
+});
+
+/**
+ * Provision the Recruiting deal pipeline and map TrackerRMS statuses onto it
+ * POST /api/settings/pipeline-mapping/recruiting-pipeline
+ */
+router.post('/pipeline-mapping/recruiting-pipeline', requireAuth, async (req, res) => {
+  const { portalId, accessToken } = req.hubspot;
+
+  try {
+    const hubspot = new HubSpotService(accessToken, { portalId });
+    const { pipeline, mapping } = await pipelineMapping.provisionRecruitingPipeline(hubspot, portalId);
+
+    res.json({
+      success: true,
+      pipeline: { id: pipeline.id, label: pipeline.label },
+      custom: true,
+      mapping
+    });
+  } catch (error) {
+    logger.error('Failed to provision Recruiting pipeline', { portalId, error: error.message });
+    res.status(502).json({
+      success: false,
+      error: `Could not provision the Recruiting pipeline: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Get the TrackerRMS field to deal property mapping for the current portal
+ * GET /api/settings/field-mapping
+ */
+router.get('/field-mapping', requireAuth, (req, res) => {
+  const { portalId } = req.hubspot;
+
+  res.json({
+    success: true,
+    custom: portalSettings.getPortalSettings(portalId).fieldMapping !== null,
+    mapping: fieldMapping.getFieldMapping(portalId),
+    reserved: fieldMapping.RESERVED_PROPERTIES
+  });
+});
+
+/**
+ * Replace the TrackerRMS field to deal property mapping for the current portal
+ * The mapping is validated against the portal's deal property metadata.
+ * PUT /api/settings/field-mapping
+ */
+router.put('/field-mapping', requireAuth, async (req, res) => {
+  const { portalId, accessToken } = req.hubspot;
+
+  let properties;
+  try {
+    properties = await new HubSpotService(accessToken, { portalId }).getProperties('deals');
+  } catch (error) {
+    logger.error('Failed to get deal properties', { portalId, error: error.message });
+    return res.status(502).json({
+      success: false,
+      error: `Could not load HubSpot deal properties: ${error.message}`
+    });
+  }
+
+  const result = fieldMapping.setFieldMapping(portalId, req.body, properties);
+
+  if (result.errors) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid field mapping',
+      details: result.errors
+    });
+  }
+
+  res.json({
+    success: true,
+    custom: true,
+    mapping: result.mapping
+  });
+});
+
+/**
+ * Go back to the default field mapping
+ * DELETE /api/settings/field-mapping
+ */
+router.delete('/field-mapping', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    custom: false,
+    mapping: fieldMapping.resetFieldMapping(req.hubspot.portalId)
+  });
+});
+
+/**
+ * Get the recruiter to HubSpot owner overrides and the unmatched users report
+ * GET /api/settings/owner-mapping
+ */
+router.get('/owner-mapping', requireAuth, (req, res) => {
+  const { portalId } = req.hubspot;
+
+  res.json({
+    success: true,
+    overrides: portalSettings.getPortalSettings(portalId).ownerOverrides,
+    unmatched: getUnmatchedOwners(portalId)
+  });
+});
+
+/**
+ * Replace the recruiter email to HubSpot owner ID overrides for the current portal
+ * The overrides are validated against the portal's owners.
+ * PUT /api/settings/owner-mapping
+ */
+router.put('/owner-mapping', requireAuth, async (req, res) => {
+  const { portalId, accessToken } = req.hubspot;
+
+  let owners;
+  try {
+    owners = await new HubSpotService(accessToken, { portalId }).getOwners();
+  } catch (error) {
+    logger.error('Failed to get owners', { portalId, error: error.message });
+    return res.status(502).json({
+      success: false,
+      error: `Could not load HubSpot owners: ${error.message}`
+    });
+  }
+
+  const result = setOwnerOverrides(portalId, req.body, owners);
+
+  if (result.errors) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid owner mapping',
+      details: result.errors
+    });
+  }
+
+  res.json({
+    success: true,
+    overrides: result.overrides,
+    unmatched: getUnmatchedOwners(portalId)
+  });
+});
+
+/**
+ * Report drift between the app's custom property definitions and the portal
+ * GET /api/settings/properties
+ */
+router.get('/properties', requireAuth, async (req, res) => {
+  const { portalId, accessToken } = req.hubspot;
+
+  try {
+    const hubspot = new HubSpotService(accessToken, { portalId });
+    const drift = await new PropertySchemaManager(hubspot, portalId).getDrift();
+
+    res.json({
+      success: true,
+      ...drift
+    });
+  } catch (error) {
+    logger.error('Failed to check property schema', { portalId, error: error.message });
+    res.status(502).json({
+      success: false,
+      error: `Could not load HubSpot properties: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Apply pending custom property schema migrations
+ * POST /api/settings/properties/migrate
+ */
+router.post('/properties/migrate', requireAuth, async (req, res) => {
+  const { portalId, accessToken } = req.hubspot;
+
+  try {
+    const hubspot = new HubSpotService(accessToken, { portalId });
+    const result = await new PropertySchemaManager(hubspot, portalId).migrate();
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Property schema migration failed', { portalId, error: error.message });
+    res.status(502).json({
+      success: false,
+      error: error.message,
+      applied: error.applied || [],
+      results: error.results || []
+    });
+  }
+});
+
+/**
+ * Bring drifted or missing custom properties back in line with their definitions
+ * POST /api/settings/properties/repair
+ */
+router.post('/properties/repair', requireAuth, async (req, res) => {
+  const { portalId, accessToken } = req.hubspot;
+
+  try {
+    const hubspot = new HubSpotService(accessToken, { portalId });
+    const results = await new PropertySchemaManager(hubspot, portalId).reconcile();
+
+    res.json({
+      success: results.every(result => result.action !== 'failed'),
+      results
+    });
+  } catch (error) {
+    logger.error('Property schema repair failed', { portalId, error: error.message });
+    res.status(502).json({
+      success: false,
+      error: `Could not repair HubSpot properties: ${error.message}`
+    });
+  }
+});
+
+module.exports = router;
@@ -3,109 +3,240 @@
  */
 const express = require('express');
 const SyncService = require('../sync/sync-service');
-const { requireAuth, validateTrackerRMSKey } = require('../middleware/auth');
+const syncHistory = require('../sync/sync-history');
+const syncJobs = require('../sync/sync-jobs');
+const syncWatermarks = require('../sync/sync-watermarks');
+const deadLetters = require('../sync/dead-letters');
+const { getPortalSchedules } = require('../sync/sync-scheduler');
+const syncSchedules = require('../settings/sync-schedules');
+const portalSettings = require('../settings/portal-settings');
+const { getRateLimiter } = require('../services/hubspot-rate-limiter');
+const { requireAuth, resolveTrackerRMSCredentials } = require('../middleware/auth');
 const logger = require('../logger');
 
 const router = express.Router();
 
 /**
- * Sync all jobs from TrackerRMS to HubSpot
- * POST /api/sync/jobs
+ * Split a sync request into TrackerRMS filter options and the dry-run flag
+ * Pass dryRun=true (body or query) to preview the sync.
+ * @param {Object} req - Express request
+ * @returns {Object} { options, dryRun }
  */
-router.post('/jobs', requireAuth, validateTrackerRMSKey, async (req, res) => {
-  try {
-    const syncService = new SyncService(
-      req.hubspot.accessToken,
-      req.trackerrms.apiKey
-    );
+function parseSyncRequest(req) {
+  const { dryRun, ...options } = req.body || {};
+  return {
+    options,
+    dryRun: dryRun === true || req.query.dryRun === 'true'
+  };
+}
 
-    const results = await syncService.syncJobs(req.body);
+/**
+ * Queue a sync job for the portal and respond with its ID
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} scope - 'clients', 'jobs', 'placements', 'revenue', 'full' or 'retry'
+ * @param {Object} details - { options, dryRun }
+ */
+function enqueueSync(req, res, scope, { options = {}, dryRun = false }) {
+  const { portalId } = req.hubspot;
+  const credentials = req.trackerrms;
 
-    res.json({
+  try {
+    // The HubSpot token is fetched when the job starts and refreshed while it runs
+    const job = syncJobs.enqueueSyncJob(portalId, { scope, dryRun, options }, ({ onProgress, signal }) => SyncService.forPortal(
+      portalId,
+      credentials,
+      { dryRun, onProgress, signal }
+    ));
+
+    res.status(202).json({
       success: true,
-      results
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/sync/queue/${job.id}`
     });
   } catch (error) {
-    logger.error('Job sync failed', { error: error.message });
-    res.status(500).json({
+    logger.error('Could not queue sync', { portalId, scope, error: error.message });
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      jobId: error.jobId
     });
   }
+}
+
+/**
+ * Sync all clients from TrackerRMS to HubSpot companies
+ * Accepts dryRun (see parseSyncRequest).
+ * POST /api/sync/clients
+ */
+router.post('/clients', requireAuth, resolveTrackerRMSCredentials, (req, res) => {
+  enqueueSync(req, res, 'clients', parseSyncRequest(req));
+});
+
+/**
+ * Sync jobs from TrackerRMS to HubSpot
+ * Fetches jobs modified since the portal's watermark unless mode is 'full'.
+ * Accepts dryRun (see parseSyncRequest).
+ * POST /api/sync/jobs
+ */
+router.post('/jobs', requireAuth, resolveTrackerRMSCredentials, (req, res) => {
+  enqueueSync(req, res, 'jobs', parseSyncRequest(req));
 });
 
 /**
- * Sync all placements from TrackerRMS to HubSpot
+ * Sync placements from TrackerRMS to HubSpot
+ * Fetches placements modified since the portal's watermark unless mode is 'full'.
+ * Accepts dryRun (see parseSyncRequest).
  * POST /api/sync/placements
  */
-router.post('/placements', requireAuth, validateTrackerRMSKey, async (req, res) => {
-  try {
-    const syncService = new SyncService(
-      req.hubspot.accessToken,
-      req.trackerrms.apiKey
-    );
+router.post('/placements', requireAuth, resolveTrackerRMSCredentials, (req, res) => {
+  enqueueSync(req, res, 'placements', parseSyncRequest(req));
+});
 
-    const results = await syncService.syncPlacements(req.body);
+/**
+ * Sync revenue data from TrackerRMS to HubSpot
+ * Accepts dryRun (see parseSyncRequest).
+ * POST /api/sync/revenue
+ */
+router.post('/revenue', requireAuth, resolveTrackerRMSCredentials, (req, res) => {
+  enqueueSync(req, res, 'revenue', { dryRun: parseSyncRequest(req).dryRun });
+});
 
-    res.json({
+/**
+ * Full sync - jobs, placements, and revenue
+ * Only one full sync runs per portal at a time. Accepts dryRun (see parseSyncRequest)
+ * and mode 'full' to fetch every job and placement instead of syncing incrementally.
+ * POST /api/sync/full
+ */
+router.post('/full', requireAuth, resolveTrackerRMSCredentials, (req, res) => {
+  const { options, dryRun } = parseSyncRequest(req);
+  enqueueSync(req, res, 'full', { options: { mode: options.mode }, dryRun });
+});
+
+/**
+ * Re-sync jobs and placements modified within a date range, without moving the watermarks
+ * Body: { entities?: ['jobs', 'placements'], from, to? }
+ * POST /api/sync/backfill
+ */
+router.post('/backfill', requireAuth, resolveTrackerRMSCredentials, (req, res) => {
+  const { portalId } = req.hubspot;
+  const credentials = req.trackerrms;
+  const { entities = syncWatermarks.WATERMARK_ENTITIES, from, to } = req.body || {};
+
+  const errors = syncWatermarks.validateWatermarkRange({ entities, from, to }, { requireFrom: true });
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid backfill',
+      details: errors
+    });
+  }
+
+  try {
+    const jobs = entities.map(entity => syncJobs.enqueueSyncJob(
+      portalId,
+      { scope: entity, options: { backfill: { from, to } } },
+      ({ onProgress, signal }) => SyncService.forPortal(portalId, credentials, { onProgress, signal })
+    ));
+
+    res.status(202).json({
       success: true,
-      results
+      jobs: jobs.map(job => ({
+        entity: job.scope,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/sync/queue/${job.id}`
+      }))
     });
   } catch (error) {
-    logger.error('Placement sync failed', { error: error.message });
-    res.status(500).json({
+    logger.error('Could not queue backfill', { portalId, error: error.message });
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      jobId: error.jobId
     });
   }
 });
 
 /**
- * Sync revenue data from TrackerRMS to HubSpot
- * POST /api/sync/revenue
+ * List the portal's sync jobs, newest first
+ * Filter with ?status= (queued, running, completed, failed or cancelled).
+ * GET /api/sync/queue
  */
-router.post('/revenue', requireAuth, validateTrackerRMSKey, async (req, res) => {
-  try {
-    const syncService = new SyncService(
-      req.hubspot.accessToken,
-      req.trackerrms.apiKey
-    );
+router.get('/queue', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    jobs: syncJobs.listSyncJobs(req.hubspot.portalId, { status: req.query.status })
+  });
+});
 
-    const results = await syncService.syncRevenue();
+/**
+ * Get a sync job's status and progress, with its results once finished
+ * GET /api/sync/queue/:jobId
+ */
+router.get('/queue/:jobId', requireAuth, (req, res) => {
+  const job = syncJobs.getSyncJob(req.hubspot.portalId, req.params.jobId);
 
-    res.json({
-      success: true,
-      results
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Sync job not found'
     });
-  } catch (error) {
-    logger.error('Revenue sync failed', { error: error.message });
-    res.status(500).json({
+  }
+
+  res.json({
+    success: true,
+    job
+  });
+});
+
+/**
+ * Download a finished dry-run job's plan
+ * Pass ?format=csv for one row per changed property (defaults to JSON).
+ * GET /api/sync/queue/:jobId/plan
+ */
+router.get('/queue/:jobId/plan', requireAuth, (req, res) => {
+  const plan = syncJobs.getSyncJobPlan(req.hubspot.portalId, req.params.jobId);
+
+  if (!plan) {
+    return res.status(404).json({
       success: false,
-      error: error.message
+      error: 'No sync plan for this job'
     });
   }
+
+  if (req.query.format === 'csv') {
+    res.attachment(`sync-plan-${req.params.jobId}.csv`);
+    return res.type('text/csv').send(plan.toCSV());
+  }
+
+  res.attachment(`sync-plan-${req.params.jobId}.json`);
+  res.json(plan.toJSON());
 });
 
 /**
- * Full sync - jobs, placements, and revenue
- * POST /api/sync/full
+ * Cancel a queued or running sync job
+ * A running job stops after the batch it is writing.
+ * POST /api/sync/queue/:jobId/cancel
  */
-router.post('/full', requireAuth, validateTrackerRMSKey, async (req, res) => {
+router.post('/queue/:jobId/cancel', requireAuth, (req, res) => {
   try {
-    const syncService = new SyncService(
-      req.hubspot.accessToken,
-      req.trackerrms.apiKey
-    );
+    const job = syncJobs.cancelSyncJob(req.hubspot.portalId, req.params.jobId);
 
-    const results = await syncService.fullSync();
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sync job not found'
+      });
+    }
 
     res.json({
       success: true,
-      results
+      job
     });
   } catch (error) {
-    logger.error('Full sync failed', { error: error.message });
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message
     });
@@ -113,14 +244,295 @@ router.post('/full', requireAuth, validateTrackerRMSKey, async (req, res) => {
 });
 
 /**
- * Get sync status
+ * Get sync status: the latest run, runs in progress, queued and running jobs, and the last run and success per entity type
  * GET /api/sync/status
  */
 router.get('/status', requireAuth, (req, res) => {
+  const { portalId } = req.hubspot;
+  const [lastSync = null] = syncHistory.listRuns(portalId, { limit: 1 });
+
   res.json({
     connected: true,
-    portalId: req.hubspot.portalId,
-    lastSync: null // Would track this in a database
+    portalId,
+    lastSync,
+    running: syncHistory.listRuns(portalId, { status: 'running' }),
+    queue: syncJobs.getActiveSyncJobs(portalId),
+    entities: syncHistory.getEntityStatus(portalId)
+  });
+});
+
+/**
+ * List sync runs, newest first
+ * Filter with ?status=, ?trigger=, ?scope= and ?limit= (max 100).
+ * GET /api/sync/runs
+ */
+router.get('/runs', requireAuth, (req, res) => {
+  const { status, trigger, scope } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+  res.json({
+    success: true,
+    runs: syncHistory.listRuns(req.hubspot.portalId, { status, trigger, scope, limit })
+  });
+});
+
+/**
+ * Get a sync run with its per-item outcomes
+ * Pass ?action=error to only return failed items.
+ * GET /api/sync/runs/:runId
+ */
+router.get('/runs/:runId', requireAuth, (req, res) => {
+  const run = syncHistory.getRun(req.hubspot.portalId, req.params.runId);
+
+  if (!run) {
+    return res.status(404).json({
+      success: false,
+      error: 'Sync run not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    run: req.query.action
+      ? { ...run, items: run.items.filter(item => item.action === req.query.action) }
+      : run
+  });
+});
+
+/**
+ * Get the portal's sync schedules, with when each last ran and runs next
+ * GET /api/sync/schedules
+ */
+router.get('/schedules', requireAuth, (req, res) => {
+  const { portalId } = req.hubspot;
+
+  res.json({
+    success: true,
+    custom: portalSettings.getPortalSettings(portalId).syncSchedules !== null,
+    schedules: getPortalSchedules(portalId)
+  });
+});
+
+/**
+ * Change the portal's sync schedules
+ * Body: { jobs|placements|revenue: { enabled?, cron? } }; scopes left out keep their schedule.
+ * PUT /api/sync/schedules
+ */
+router.put('/schedules', requireAuth, (req, res) => {
+  const { portalId } = req.hubspot;
+  const result = syncSchedules.setSyncSchedules(portalId, req.body);
+
+  if (result.errors) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid sync schedules',
+      details: result.errors
+    });
+  }
+
+  res.json({
+    success: true,
+    custom: true,
+    schedules: getPortalSchedules(portalId)
+  });
+});
+
+/**
+ * Go back to the default sync schedules
+ * DELETE /api/sync/schedules
+ */
+router.delete('/schedules', requireAuth, (req, res) => {
+  const { portalId } = req.hubspot;
+  syncSchedules.resetSyncSchedules(portalId);
+
+  res.json({
+    success: true,
+    custom: false,
+    schedules: getPortalSchedules(portalId)
+  });
+});
+
+/**
+ * Get the portal's job and placement watermarks and when each is next fully reconciled
+ * GET /api/sync/watermarks
+ */
+router.get('/watermarks', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    watermarks: syncWatermarks.getWatermarks(req.hubspot.portalId)
+  });
+});
+
+/**
+ * Move the portal's watermarks back so the next syncs fetch records modified since then
+ * Body: { entities?: ['jobs', 'placements'], from: ISO 8601 | null }; null clears the
+ * watermarks so the next syncs are full reconciliations.
+ * POST /api/sync/watermarks/reset
+ */
+router.post('/watermarks/reset', requireAuth, (req, res) => {
+  const { portalId } = req.hubspot;
+  const { entities = syncWatermarks.WATERMARK_ENTITIES, from = null } = req.body || {};
+
+  const errors = syncWatermarks.validateWatermarkRange({ entities, from });
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid watermark reset',
+      details: errors
+    });
+  }
+
+  entities.forEach(entity => syncWatermarks.resetWatermark(portalId, entity, from));
+
+  res.json({
+    success: true,
+    watermarks: syncWatermarks.getWatermarks(portalId)
+  });
+});
+
+/**
+ * Pick the dead letters a bulk retry or discard applies to
+ * Body: { ids?: [...], entity? }; without ids, every entry (for the entity) is picked.
+ * @param {Object} req - Express request
+ * @returns {Object} { ids } or { error }
+ */
+function selectDeadLetters(req) {
+  const { portalId } = req.hubspot;
+  const { ids, entity } = req.body || {};
+
+  if (ids !== undefined && (!Array.isArray(ids) || ids.some(id => typeof id !== 'string'))) {
+    return { error: 'ids must be a list of dead letter IDs' };
+  }
+  if (entity !== undefined && !deadLetters.DEAD_LETTER_ENTITIES.includes(entity)) {
+    return { error: `entity must be one of: ${deadLetters.DEAD_LETTER_ENTITIES.join(', ')}` };
+  }
+
+  const selected = ids
+    ? deadLetters.getDeadLetters(portalId, ids).filter(entry => !entity || entry.entity === entity)
+    : deadLetters.listDeadLetters(portalId, { entity });
+
+  return { ids: selected.map(entry => entry.id) };
+}
+
+/**
+ * List the portal's dead letters, most recently failed first, without their payloads
+ * Filter with ?entity= (jobs, placements, revenue or webhook) and ?status= (pending or exhausted).
+ * GET /api/sync/dead-letters
+ */
+router.get('/dead-letters', requireAuth, (req, res) => {
+  const { entity, status } = req.query;
+
+  res.json({
+    success: true,
+    deadLetters: deadLetters.listDeadLetters(req.hubspot.portalId, { entity, status })
+  });
+});
+
+/**
+ * Retry dead letters now, as a sync job
+ * Body: { ids?: [...], entity? }; retries every matching entry, exhausted ones included.
+ * POST /api/sync/dead-letters/retry
+ */
+router.post('/dead-letters/retry', requireAuth, resolveTrackerRMSCredentials, (req, res) => {
+  const { ids, error } = selectDeadLetters(req);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+  if (ids.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: 'No dead letters to retry'
+    });
+  }
+
+  enqueueSync(req, res, 'retry', { options: { ids } });
+});
+
+/**
+ * Discard dead letters without retrying them
+ * Body: { ids?: [...], entity? }; discards every matching entry.
+ * POST /api/sync/dead-letters/discard
+ */
+router.post('/dead-letters/discard', requireAuth, (req, res) => {
+  const { ids, error } = selectDeadLetters(req);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  res.json({
+    success: true,
+    discarded: deadLetters.discardDeadLetters(req.hubspot.portalId, ids)
+  });
+});
+
+/**
+ * Get a dead letter with the payload it retries
+ * GET /api/sync/dead-letters/:id
+ */
+router.get('/dead-letters/:id', requireAuth, (req, res) => {
+  const deadLetter = deadLetters.getDeadLetter(req.hubspot.portalId, req.params.id);
+
+  if (!deadLetter) {
+    return res.status(404).json({
+      success: false,
+      error: 'Dead letter not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    deadLetter
+  });
+});
+
+/**
+ * Retry a dead letter now, as a sync job
+ * POST /api/sync/dead-letters/:id/retry
+ */
+router.post('/dead-letters/:id/retry', requireAuth, resolveTrackerRMSCredentials, (req, res) => {
+  if (!deadLetters.getDeadLetter(req.hubspot.portalId, req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Dead letter not found'
+    });
+  }
+
+  enqueueSync(req, res, 'retry', { options: { ids: [req.params.id] } });
+});
+
+/**
+ * Discard a dead letter without retrying it
+ * DELETE /api/sync/dead-letters/:id
+ */
+router.delete('/dead-letters/:id', requireAuth, (req, res) => {
+  if (deadLetters.discardDeadLetters(req.hubspot.portalId, [req.params.id]) === 0) {
+    return res.status(404).json({
+      success: false,
+      error: 'Dead letter not found'
+    });
+  }
+
+  res.json({
+    success: true
+  });
+});
+
+/**
+ * Get remaining HubSpot API quota for the portal
+ * GET /api/sync/quota
+ */
+router.get('/quota', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    quota: getRateLimiter(req.hubspot.portalId).getStatus()
   });
 });
 
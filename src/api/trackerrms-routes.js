@@ -0,0 +1,92 @@
+/**
+ * API routes for connecting a portal to TrackerRMS
+ */
+const express = require('express');
+const { TrackerRMSClient } = require('../services/trackerrms-client');
+const trackerrmsConnection = require('../auth/trackerrms-connection');
+const { removeWatermarks } = require('../sync/sync-watermarks');
+const { removeDeadLetters } = require('../sync/dead-letters');
+const { requireAuth } = require('../middleware/auth');
+const logger = require('../logger');
+
+const router = express.Router();
+
+/**
+ * Connect the current portal to TrackerRMS
+ * POST /api/trackerrms/connect
+ */
+router.post('/connect', requireAuth, async (req, res) => {
+  const { apiKey, baseUrl } = req.body || {};
+  const timeout = parseInt(req.body?.timeout, 10) || undefined;
+  const { portalId } = req.hubspot;
+
+  if (!apiKey) {
+    return res.status(400).json({
+      success: false,
+      error: 'TrackerRMS API key is required'
+    });
+  }
+
+  try {
+    const client = new TrackerRMSClient(apiKey, baseUrl, { timeout });
+    const isValid = await client.validateConnection();
+
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'TrackerRMS rejected the API key'
+      });
+    }
+
+    const connection = trackerrmsConnection.storeConnection(portalId, { apiKey, baseUrl, timeout });
+    logger.info('Portal connected to TrackerRMS', { portalId, baseUrl: connection.baseUrl });
+
+    res.json({
+      success: true,
+      connection: trackerrmsConnection.toPublicConnection(connection),
+      webhooks: {
+        secret: connection.webhookSecret,
+        headers: {
+          'X-Portal-Id': portalId,
+          'X-TrackerRMS-Webhook-Secret': connection.webhookSecret
+        },
+        urls: {
+          jobs: '/api/webhooks/trackerrms/jobs',
+          placements: '/api/webhooks/trackerrms/placements'
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to connect TrackerRMS', { portalId, error: error.message });
+    res.status(502).json({
+      success: false,
+      error: `Could not reach TrackerRMS: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Get the TrackerRMS connection for the current portal
+ * GET /api/trackerrms/connection
+ */
+router.get('/connection', requireAuth, (req, res) => {
+  const connection = trackerrmsConnection.getConnection(req.hubspot.portalId);
+
+  res.json(trackerrmsConnection.toPublicConnection(connection));
+});
+
+/**
+ * Disconnect the current portal from TrackerRMS
+ * Sync watermarks are forgotten, so the next syncs after reconnecting are full,
+ * and so are dead letters, whose payloads came from the old connection.
+ * DELETE /api/trackerrms/connection
+ */
+router.delete('/connection', requireAuth, (req, res) => {
+  trackerrmsConnection.removeConnection(req.hubspot.portalId);
+  removeWatermarks(req.hubspot.portalId);
+  removeDeadLetters(req.hubspot.portalId);
+
+  res.json({ success: true, message: 'TrackerRMS disconnected' });
+});
+
+module.exports = router;
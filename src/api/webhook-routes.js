@@ -2,56 +2,101 @@
  * Webhook routes for HubSpot and TrackerRMS integrations
  */
 const express = require('express');
-const crypto = require('crypto');
 const SyncService = require('../sync/sync-service');
+const syncJobs = require('../sync/sync-jobs');
+const deadLetters = require('../sync/dead-letters');
+const { WEBHOOK_EVENT_SCOPES, processWebhookEvent } = require('../sync/webhook-events');
 const oauth = require('../auth/oauth');
-const { config } = require('../config');
+const trackerrmsConnection = require('../auth/trackerrms-connection');
+const { requireHubSpotSignature, getPortalTrackerRMSCredentials } = require('../middleware/auth');
 const logger = require('../logger');
 
 const router = express.Router();
 
 /**
- * Verify HubSpot webhook signature
- * @param {Object} req - Request object
- * @returns {boolean} True if signature is valid
+ * Sync a TrackerRMS webhook event as a webhook-triggered run
+ * Events that fail are kept as dead letters to be retried, and the error is
+ * rethrown so the webhook fails and TrackerRMS can redeliver it.
+ * @param {SyncService} syncService - Sync service for the portal
+ * @param {string} event - TrackerRMS event name
+ * @param {Object} data - Event payload
+ * @returns {Promise<void>}
  */
-function verifyHubSpotSignature(req) {
-  const signature = req.headers['x-hubspot-signature-v3'];
-  const timestamp = req.headers['x-hubspot-request-timestamp'];
+async function handleWebhookEvent(syncService, event, data) {
+  const scope = WEBHOOK_EVENT_SCOPES[event];
+  if (!scope) {
+    return;
+  }
 
-  if (!signature || !timestamp) {
-    return false;
+  const recordId = `${event}:${data?.id}`;
+  try {
+    await syncService.recordRun(scope, () => processWebhookEvent(syncService, event, data));
+    // A redelivered event that now syncs no longer needs retrying
+    deadLetters.resolveDeadLetters(syncService.portalId, 'webhook', [recordId]);
+  } catch (error) {
+    deadLetters.recordFailures(syncService.portalId, 'webhook', [{ recordId, payload: { event, data }, error }]);
+    throw error;
   }
+}
 
-  // Check timestamp is within 5 minutes
-  const timestampMs = parseInt(timestamp, 10);
-  if (Math.abs(Date.now() - timestampMs) > 300000) {
-    return false;
+/**
+ * Respond to a TrackerRMS webhook that could not be processed
+ * A portal whose HubSpot authorization was revoked gets a 401 with the
+ * re-authorization hint, as authenticated routes do.
+ * @param {Object} res - Express response
+ * @param {Error} error - Processing error
+ */
+function sendWebhookError(res, error) {
+  if (error.code === 'REAUTH_REQUIRED') {
+    return res.status(401).json({
+      error: 'Authentication required',
+      code: error.code,
+      authUrl: '/oauth/authorize'
+    });
   }
 
-  const sourceString = `${req.method}${req.originalUrl}${JSON.stringify(req.body)}${timestamp}`;
-  const expectedSignature = crypto
-    .createHmac('sha256', config.hubspot.clientSecret)
-    .update(sourceString)
-    .digest('base64');
+  res.status(500).json({ error: 'Webhook processing failed' });
+}
 
-  return crypto.timingSafeEqual(
-    Buffer.from(signature),
-    Buffer.from(expectedSignature)
-  );
+/**
+ * Authenticate a TrackerRMS webhook and resolve the portal's TrackerRMS credentials
+ * Webhooks identify the portal with X-Portal-Id and prove their origin with the
+ * webhook secret issued when the portal connected TrackerRMS. The
+ * X-TrackerRMS-API-Key override is not accepted here: webhooks always use the
+ * portal's stored connection, so the secret is always checked.
+ */
+function resolveWebhookPortal(req, res, next) {
+  const portalId = req.headers['x-portal-id'];
+
+  if (!portalId) {
+    return res.status(400).json({
+      error: 'Missing portal ID in X-Portal-Id header'
+    });
+  }
+
+  const credentials = getPortalTrackerRMSCredentials(portalId);
+
+  if (!credentials) {
+    return res.status(400).json({
+      error: 'TrackerRMS is not connected for this portal'
+    });
+  }
+
+  const webhookSecret = req.headers['x-trackerrms-webhook-secret'];
+  if (!trackerrmsConnection.verifyWebhookSecret(portalId, webhookSecret)) {
+    logger.warn('Invalid TrackerRMS webhook secret', { portalId });
+    return res.status(401).json({ error: 'Invalid webhook secret' });
+  }
+
+  req.trackerrms = credentials;
+  next();
 }
 
 /**
  * HubSpot webhook handler for deal updates
  * POST /api/webhooks/hubspot/deals
  */
-router.post('/hubspot/deals', async (req, res) => {
-  // Verify signature in production
-  if (config.nodeEnv === 'production' && !verifyHubSpotSignature(req)) {
-    logger.warn('Invalid HubSpot webhook signature');
-    return res.status(401).json({ error: 'Invalid signature' });
-  }
-
+router.post('/hubspot/deals', requireHubSpotSignature, async (req, res) => {
   try {
     const events = Array.isArray(req.body) ? req.body : [req.body];
 
@@ -95,49 +140,27 @@ router.post('/hubspot/deals', async (req, res) => {
  * TrackerRMS webhook handler for job updates
  * POST /api/webhooks/trackerrms/jobs
  */
-router.post('/trackerrms/jobs', async (req, res) => {
+router.post('/trackerrms/jobs', resolveWebhookPortal, async (req, res) => {
   try {
     const { event, data } = req.body;
-    const portalId = req.headers['x-portal-id'];
-    const trackerRMSApiKey = req.headers['x-trackerrms-api-key'];
+    const { portalId } = req.trackerrms;
 
     logger.info('TrackerRMS job webhook received', { event, jobId: data?.id });
 
-    if (!portalId || !trackerRMSApiKey) {
-      return res.status(400).json({
-        error: 'Missing portal ID or TrackerRMS API key'
-      });
-    }
-
     // Get access token for portal
-    const tokens = oauth.getTokens(portalId);
-    if (!tokens) {
+    if (!oauth.getTokens(portalId)) {
       return res.status(401).json({ error: 'Portal not authenticated' });
     }
 
-    const syncService = new SyncService(tokens.accessToken, trackerRMSApiKey);
-
-    switch (event) {
-    case 'job.created':
-    case 'job.updated':
-      await syncService.syncSingleJob(data);
-      break;
-
-    case 'job.filled':
-      await syncService.syncSingleJob(data);
-      // Trigger placement sync for this job
-      if (data.placements) {
-        for (const placement of data.placements) {
-          await syncService.syncSinglePlacement(placement);
-        }
-      }
-      break;
+    if (event?.startsWith('job.')) {
+      const syncService = await SyncService.forPortal(portalId, req.trackerrms, { trigger: 'webhook' });
+      await handleWebhookEvent(syncService, event, data);
     }
 
     res.status(200).json({ success: true });
   } catch (error) {
     logger.error('Error processing TrackerRMS webhook', { error: error.message });
-    res.status(500).json({ error: 'Webhook processing failed' });
+    sendWebhookError(res, error);
   }
 });
 
@@ -145,41 +168,35 @@ router.post('/trackerrms/jobs', async (req, res) => {
  * TrackerRMS webhook handler for placement updates
  * POST /api/webhooks/trackerrms/placements
  */
-router.post('/trackerrms/placements', async (req, res) => {
+router.post('/trackerrms/placements', resolveWebhookPortal, async (req, res) => {
   try {
     const { event, data } = req.body;
-    const portalId = req.headers['x-portal-id'];
-    const trackerRMSApiKey = req.headers['x-trackerrms-api-key'];
+    const { portalId } = req.trackerrms;
 
     logger.info('TrackerRMS placement webhook received', {
       event,
       placementId: data?.id
     });
 
-    if (!portalId || !trackerRMSApiKey) {
-      return res.status(400).json({
-        error: 'Missing portal ID or TrackerRMS API key'
-      });
-    }
-
-    const tokens = oauth.getTokens(portalId);
-    if (!tokens) {
+    if (!oauth.getTokens(portalId)) {
       return res.status(401).json({ error: 'Portal not authenticated' });
     }
 
-    const syncService = new SyncService(tokens.accessToken, trackerRMSApiKey);
-
-    switch (event) {
-    case 'placement.created':
-    case 'placement.updated':
-    case 'placement.ended':
-      await syncService.syncSinglePlacement(data);
-      break;
+    if (event === 'placement.revenue_updated') {
+      // Revenue updates re-sync every active placement, so they run as a background
+      // job instead of holding the webhook open. A revoked portal still fails here.
+      await oauth.getValidAccessToken(portalId);
+      const job = syncJobs.enqueueSyncJob(portalId, { scope: 'revenue', trigger: 'webhook' }, ({ onProgress, signal }) => SyncService.forPortal(
+        portalId,
+        req.trackerrms,
+        { trigger: 'webhook', onProgress, signal }
+      ));
+      return res.status(202).json({ success: true, jobId: job.id, status: job.status });
+    }
 
-    case 'placement.revenue_updated':
-      // Update revenue data specifically
-      await syncService.syncRevenue();
-      break;
+    if (event?.startsWith('placement.')) {
+      const syncService = await SyncService.forPortal(portalId, req.trackerrms, { trigger: 'webhook' });
+      await handleWebhookEvent(syncService, event, data);
     }
 
     res.status(200).json({ success: true });
@@ -187,7 +204,7 @@ router.post('/trackerrms/placements', async (req, res) => {
     logger.error('Error processing TrackerRMS placement webhook', {
       error: error.message
     });
-    res.status(500).json({ error: 'Webhook processing failed' });
+    sendWebhookError(res, error);
   }
 });
 
@@ -17,6 +17,8 @@ const syncRoutes = require('./api/sync-routes');
 const crmCardRoutes = require('./api/crm-card-routes');
 const dashboardRoutes = require('./api/dashboard-routes');
 const webhookRoutes = require('./api/webhook-routes');
+const trackerrmsRoutes = require('./api/trackerrms-routes');
+const settingsRoutes = require('./api/settings-routes');
 
 const app = express();
 
@@ -50,7 +52,12 @@ const webhookLimiter = rateLimit({
 app.use(generalLimiter);
 
 // Request parsing
-app.use(express.json());
+// The raw body is kept for HubSpot signature verification
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 
@@ -95,6 +102,8 @@ app.get('/', (req, res) => {
     connected: isConnected,
     endpoints: {
       auth: '/oauth/authorize',
+      trackerrms: '/api/trackerrms',
+      settings: '/api/settings',
       sync: '/api/sync',
       crmCards: '/api/crm-cards',
       dashboards: '/api/dashboards',
@@ -113,6 +122,7 @@ app.get('/dashboard', (req, res) => {
     message: 'Welcome to HubSpot TrackerRMS Integration Dashboard',
     portalId: req.session.portalId,
     actions: {
+      connectTrackerRMS: 'POST /api/trackerrms/connect',
       syncJobs: 'POST /api/sync/jobs',
       syncPlacements: 'POST /api/sync/placements',
       syncRevenue: 'POST /api/sync/revenue',
@@ -129,6 +139,8 @@ app.get('/dashboard', (req, res) => {
 
 // API routes
 app.use('/oauth', authRoutes);
+app.use('/api/trackerrms', trackerrmsRoutes);
+app.use('/api/settings', settingsRoutes);
 app.use('/api/sync', syncRoutes);
 app.use('/api/crm-cards', crmCardRoutes);
 app.use('/api/dashboards', dashboardRoutes);
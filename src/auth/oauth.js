@@ -3,10 +3,21 @@
  */
 const { Client } = require('@hubspot/api-client');
 const { config } = require('../config');
+const { createStore } = require('../storage');
+const { encrypt, decrypt } = require('../storage/encryption');
 const logger = require('../logger');
 
-// In-memory token storage (should be replaced with database in production)
-const tokenStore = new Map();
+// Token storage - access and refresh tokens are encrypted at rest
+const tokenStore = createStore('tokens');
+
+// Installation records - who installed the app on each portal and with which scopes
+const installationStore = createStore('installations');
+
+// In-flight refreshes keyed by portal, so concurrent callers share one refresh request
+const pendingRefreshes = new Map();
+
+// HubSpot error statuses indicating the refresh token can no longer be used
+const REVOKED_TOKEN_STATUSES = ['BAD_REFRESH_TOKEN', 'invalid_grant'];
 
 /**
  * Generate OAuth authorization URL
@@ -76,6 +87,24 @@ async function refreshAccessToken(refreshToken) {
   }
 }
 
+/**
+ * Look up the metadata for an access token
+ * @param {string} accessToken - Access token
+ * @returns {Promise<Object>} Token metadata (hub ID, user, scopes, hub domain)
+ */
+async function getAccessTokenInfo(accessToken) {
+  const hubspotClient = new Client();
+
+  try {
+    const tokenInfo = await hubspotClient.oauth.accessTokensApi.get(accessToken);
+    logger.info('Fetched access token metadata', { hubId: tokenInfo.hubId });
+    return tokenInfo;
+  } catch (error) {
+    logger.error('Failed to fetch access token metadata', { error: error.message });
+    throw error;
+  }
+}
+
 /**
  * Store tokens for a portal
  * @param {string} portalId - HubSpot portal ID
@@ -83,13 +112,13 @@ async function refreshAccessToken(refreshToken) {
  */
 function storeTokens(portalId, tokens) {
   const tokenData = {
-    accessToken: tokens.accessToken,
-    refreshToken: tokens.refreshToken,
+    accessToken: encrypt(tokens.accessToken),
+    refreshToken: encrypt(tokens.refreshToken),
     expiresAt: Date.now() + (tokens.expiresIn * 1000),
     portalId
   };
 
-  tokenStore.set(portalId, tokenData);
+  tokenStore.set(String(portalId), tokenData);
   logger.info('Tokens stored for portal', { portalId });
 }
 
@@ -99,7 +128,22 @@ function storeTokens(portalId, tokens) {
  * @returns {Object|null} Token data
  */
 function getTokens(portalId) {
-  return tokenStore.get(portalId) || null;
+  const tokenData = tokenStore.get(String(portalId));
+
+  if (!tokenData) {
+    return null;
+  }
+
+  try {
+    return {
+      ...tokenData,
+      accessToken: decrypt(tokenData.accessToken),
+      refreshToken: decrypt(tokenData.refreshToken)
+    };
+  } catch (error) {
+    logger.error('Failed to decrypt tokens for portal', { portalId, error: error.message });
+    return null;
+  }
 }
 
 /**
@@ -115,6 +159,95 @@ function isTokenExpired(tokens) {
   return Date.now() >= (tokens.expiresAt - 300000);
 }
 
+/**
+ * Check if a refresh failure means the refresh token was revoked
+ * Only an explicit BAD_REFRESH_TOKEN or invalid_grant counts: other 400s and
+ * 401s may be transient or a misconfigured client, and revoking is permanent.
+ * @param {Error} error - Refresh error
+ * @returns {boolean} True if the portal must re-authorize
+ */
+function isRefreshTokenRevoked(error) {
+  const body = error.body || error.response?.data || {};
+  return [body.status, body.error].some(status => REVOKED_TOKEN_STATUSES.includes(status));
+}
+
+/**
+ * Flag a portal whose refresh token has been revoked
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} reason - Revocation reason
+ */
+function markTokensRevoked(portalId, reason) {
+  const tokenData = tokenStore.get(String(portalId));
+
+  if (!tokenData) {
+    return;
+  }
+
+  tokenStore.set(String(portalId), {
+    ...tokenData,
+    revokedAt: new Date().toISOString(),
+    revocationReason: reason
+  });
+  logger.warn('Refresh token revoked - portal must re-authorize', { portalId, reason });
+}
+
+/**
+ * Build the error raised when a portal has to re-run the OAuth flow
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Error} Re-authorization error
+ */
+function reauthRequiredError(portalId) {
+  const error = new Error(`HubSpot authorization revoked for portal ${portalId}`);
+  error.status = 401;
+  error.code = 'REAUTH_REQUIRED';
+  return error;
+}
+
+/**
+ * Refresh tokens for a portal, sharing one in-flight refresh between concurrent callers
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Promise<Object>} Refreshed token data
+ */
+function refreshPortalTokens(portalId) {
+  const key = String(portalId);
+
+  if (pendingRefreshes.has(key)) {
+    return pendingRefreshes.get(key);
+  }
+
+  const refresh = (async () => {
+    const tokens = getTokens(key);
+
+    if (!tokens) {
+      throw new Error(`No tokens found for portal ${portalId}`);
+    }
+
+    if (tokens.revokedAt) {
+      throw reauthRequiredError(portalId);
+    }
+
+    try {
+      const newTokens = await refreshAccessToken(tokens.refreshToken);
+      storeTokens(key, {
+        ...newTokens,
+        refreshToken: newTokens.refreshToken || tokens.refreshToken
+      });
+      return getTokens(key);
+    } catch (error) {
+      if (isRefreshTokenRevoked(error)) {
+        markTokensRevoked(key, error.body?.message || error.message);
+        throw reauthRequiredError(portalId);
+      }
+      throw error;
+    }
+  })().finally(() => {
+    pendingRefreshes.delete(key);
+  });
+
+  pendingRefreshes.set(key, refresh);
+  return refresh;
+}
+
 /**
  * Get a valid access token, refreshing if necessary
  * @param {string} portalId - HubSpot portal ID
@@ -127,10 +260,12 @@ async function getValidAccessToken(portalId) {
     throw new Error(`No tokens found for portal ${portalId}`);
   }
 
+  if (tokens.revokedAt) {
+    throw reauthRequiredError(portalId);
+  }
+
   if (isTokenExpired(tokens)) {
-    const newTokens = await refreshAccessToken(tokens.refreshToken);
-    storeTokens(portalId, newTokens);
-    tokens = getTokens(portalId);
+    tokens = await refreshPortalTokens(portalId);
   }
 
   return tokens.accessToken;
@@ -141,26 +276,79 @@ async function getValidAccessToken(portalId) {
  * @param {string} portalId - HubSpot portal ID
  */
 function removeTokens(portalId) {
-  tokenStore.delete(portalId);
+  tokenStore.delete(String(portalId));
   logger.info('Tokens removed for portal', { portalId });
 }
 
+/**
+ * Store the installation record for a portal
+ * @param {string} portalId - HubSpot portal ID
+ * @param {Object} tokenInfo - Access token metadata
+ * @returns {Object} Installation record
+ */
+function storeInstallation(portalId, tokenInfo) {
+  const existing = installationStore.get(String(portalId));
+  const now = new Date().toISOString();
+
+  const installation = {
+    portalId: String(portalId),
+    hubDomain: tokenInfo.hubDomain || null,
+    appId: tokenInfo.appId || null,
+    installedBy: {
+      userId: tokenInfo.userId || null,
+      email: tokenInfo.user || null
+    },
+    scopes: tokenInfo.scopes || [],
+    installedAt: existing?.installedAt || now,
+    updatedAt: now
+  };
+
+  installationStore.set(String(portalId), installation);
+  logger.info('Installation stored for portal', { portalId, installedBy: installation.installedBy.email });
+
+  return installation;
+}
+
+/**
+ * Get the installation record for a portal
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Object|null} Installation record
+ */
+function getInstallation(portalId) {
+  return installationStore.get(String(portalId));
+}
+
+/**
+ * Remove the installation record for a portal
+ * @param {string} portalId - HubSpot portal ID
+ */
+function removeInstallation(portalId) {
+  installationStore.delete(String(portalId));
+}
+
 /**
  * Get all connected portal IDs
  * @returns {string[]} Array of portal IDs
  */
 function getConnectedPortals() {
-  return Array.from(tokenStore.keys());
+  return tokenStore.keys();
 }
 
 module.exports = {
   getAuthorizationUrl,
   exchangeCodeForTokens,
   refreshAccessToken,
+  getAccessTokenInfo,
   storeTokens,
   getTokens,
   isTokenExpired,
+  isRefreshTokenRevoked,
+  markTokensRevoked,
+  refreshPortalTokens,
   getValidAccessToken,
   removeTokens,
+  storeInstallation,
+  getInstallation,
+  removeInstallation,
   getConnectedPortals
 };
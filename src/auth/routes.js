@@ -4,12 +4,16 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const oauth = require('./oauth');
+const HubSpotService = require('../services/hubspot-service');
+const { provisionRecruitingPipeline } = require('../settings/pipeline-mapping');
+const { PropertySchemaManager } = require('../sync/property-schema');
 const logger = require('../logger');
 
 const router = express.Router();
 
 /**
  * Initiate OAuth flow
+ * Pass ?provisionPipeline=true to create the Recruiting deal pipeline on install.
  * GET /oauth/authorize
  */
 router.get('/authorize', (req, res) => {
@@ -17,6 +21,7 @@ router.get('/authorize', (req, res) => {
 
   // Store state in session for CSRF protection
   req.session.oauthState = state;
+  req.session.provisionPipeline = req.query.provisionPipeline === 'true';
 
   const authUrl = oauth.getAuthorizationUrl(state);
   logger.info('Initiating OAuth flow', { state });
@@ -49,16 +54,40 @@ router.get('/callback', async (req, res) => {
     // Exchange code for tokens
     const tokens = await oauth.exchangeCodeForTokens(code);
 
-    // Get portal ID from token info (would need to make an API call in production)
-    const portalId = tokens.hubId || 'default';
+    // Resolve the portal the app was installed on from the token metadata
+    const tokenInfo = await oauth.getAccessTokenInfo(tokens.accessToken);
+    const portalId = String(tokenInfo.hubId);
 
-    // Store tokens
+    // Store tokens and installation record
     oauth.storeTokens(portalId, tokens);
+    const installation = oauth.storeInstallation(portalId, tokenInfo);
 
     // Store portal ID in session
     req.session.portalId = portalId;
 
-    logger.info('OAuth flow completed successfully', { portalId });
+    try {
+      await new PropertySchemaManager(new HubSpotService(tokens.accessToken, { portalId }), portalId).migrate();
+    } catch (error) {
+      // The install still succeeds: the failure is reported by GET /api/settings/properties
+      // and the migration is retried before the next sync or through the settings API
+      logger.error('Could not migrate custom properties on install', { portalId, error: error.message });
+    }
+
+    if (req.session.provisionPipeline) {
+      delete req.session.provisionPipeline;
+      try {
+        await provisionRecruitingPipeline(new HubSpotService(tokens.accessToken, { portalId }), portalId);
+      } catch (error) {
+        // The install still succeeds; the pipeline can be provisioned later through the settings API
+        logger.warn('Could not provision Recruiting pipeline on install', { portalId, error: error.message });
+      }
+    }
+
+    logger.info('OAuth flow completed successfully', {
+      portalId,
+      hubDomain: installation.hubDomain,
+      installedBy: installation.installedBy.email
+    });
 
     res.redirect('/dashboard');
   } catch (error) {
@@ -76,6 +105,7 @@ router.post('/logout', (req, res) => {
 
   if (portalId) {
     oauth.removeTokens(portalId);
+    oauth.removeInstallation(portalId);
     delete req.session.portalId;
     logger.info('User logged out', { portalId });
   }
@@ -89,11 +119,14 @@ router.post('/logout', (req, res) => {
  */
 router.get('/status', (req, res) => {
   const portalId = req.session.portalId;
-  const isConnected = !!(portalId && oauth.getTokens(portalId));
+  const tokens = portalId ? oauth.getTokens(portalId) : null;
+  const isConnected = !!tokens;
 
   res.json({
     connected: isConnected,
-    portalId: isConnected ? portalId : null
+    portalId: isConnected ? portalId : null,
+    reauthRequired: !!tokens?.revokedAt,
+    installation: isConnected ? oauth.getInstallation(portalId) : null
   });
 });
 
@@ -0,0 +1,89 @@
+/**
+ * Background scheduler that refreshes HubSpot tokens before they expire
+ */
+const oauth = require('./oauth');
+const { config } = require('../config');
+const logger = require('../logger');
+
+class TokenRefreshScheduler {
+  constructor(options = {}) {
+    this.intervalMs = options.intervalMs || config.hubspot.tokenRefresh.intervalMs;
+    this.refreshWindowMs = options.refreshWindowMs || config.hubspot.tokenRefresh.windowMs;
+    this.timer = null;
+  }
+
+  /**
+   * Start the periodic refresh loop
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.runOnce().catch(error => {
+        logger.error('Token refresh run failed', { error: error.message });
+      });
+    }, this.intervalMs);
+    this.timer.unref();
+
+    logger.info('Token refresh scheduler started', { intervalMs: this.intervalMs });
+  }
+
+  /**
+   * Stop the periodic refresh loop
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Token refresh scheduler stopped');
+    }
+  }
+
+  /**
+   * Check if a portal's tokens are due for a proactive refresh
+   * @param {Object} tokens - Token data
+   * @returns {boolean} True if the tokens expire within the refresh window
+   */
+  isDueForRefresh(tokens) {
+    if (!tokens || tokens.revokedAt) {
+      return false;
+    }
+    return !tokens.expiresAt || Date.now() >= tokens.expiresAt - this.refreshWindowMs;
+  }
+
+  /**
+   * Refresh every connected portal whose tokens are about to expire
+   * @returns {Promise<Object>} Run results
+   */
+  async runOnce() {
+    const results = { refreshed: 0, revoked: 0, errors: 0 };
+
+    for (const portalId of oauth.getConnectedPortals()) {
+      if (!this.isDueForRefresh(oauth.getTokens(portalId))) {
+        continue;
+      }
+
+      try {
+        await oauth.refreshPortalTokens(portalId);
+        results.refreshed++;
+      } catch (error) {
+        if (error.code === 'REAUTH_REQUIRED') {
+          results.revoked++;
+        } else {
+          results.errors++;
+          logger.error('Failed to proactively refresh tokens', { portalId, error: error.message });
+        }
+      }
+    }
+
+    if (results.refreshed || results.revoked || results.errors) {
+      logger.info('Token refresh run completed', results);
+    }
+
+    return results;
+  }
+}
+
+module.exports = TokenRefreshScheduler;
@@ -0,0 +1,122 @@
+/**
+ * Per-portal TrackerRMS connection storage
+ */
+const crypto = require('crypto');
+const { config } = require('../config');
+const { createStore } = require('../storage');
+const { encrypt, decrypt } = require('../storage/encryption');
+const { registry } = require('../services/trackerrms-client');
+const logger = require('../logger');
+
+// Connection storage - API keys and webhook secrets are encrypted at rest
+const connectionStore = createStore('trackerrms-connections');
+
+/**
+ * Store a validated TrackerRMS connection for a portal
+ * @param {string} portalId - HubSpot portal ID
+ * @param {Object} connection - Connection details
+ * @param {string} connection.apiKey - TrackerRMS API key
+ * @param {string} [connection.baseUrl] - TrackerRMS API base URL
+ * @param {number} [connection.timeout] - Request timeout in milliseconds
+ * @returns {Object} Stored connection, including the generated webhook secret
+ */
+function storeConnection(portalId, { apiKey, baseUrl, timeout }) {
+  const existing = connectionStore.get(String(portalId));
+  const webhookSecret = existing ? decrypt(existing.webhookSecret) : crypto.randomBytes(24).toString('hex');
+  const now = new Date().toISOString();
+
+  connectionStore.set(String(portalId), {
+    portalId: String(portalId),
+    apiKey: encrypt(apiKey),
+    baseUrl: baseUrl || config.trackerrms.baseUrl,
+    timeout: timeout || null,
+    webhookSecret: encrypt(webhookSecret),
+    connectedAt: existing?.connectedAt || now,
+    updatedAt: now
+  });
+  registry.evict(portalId);
+  logger.info('TrackerRMS connection stored for portal', { portalId });
+
+  return getConnection(portalId);
+}
+
+/**
+ * Get the TrackerRMS connection for a portal
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Object|null} Decrypted connection
+ */
+function getConnection(portalId) {
+  const connection = connectionStore.get(String(portalId));
+
+  if (!connection) {
+    return null;
+  }
+
+  try {
+    return {
+      ...connection,
+      apiKey: decrypt(connection.apiKey),
+      webhookSecret: decrypt(connection.webhookSecret)
+    };
+  } catch (error) {
+    logger.error('Failed to decrypt TrackerRMS connection for portal', { portalId, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Remove the TrackerRMS connection for a portal
+ * @param {string} portalId - HubSpot portal ID
+ */
+function removeConnection(portalId) {
+  connectionStore.delete(String(portalId));
+  registry.evict(portalId);
+  logger.info('TrackerRMS connection removed for portal', { portalId });
+}
+
+/**
+ * Check a webhook secret against the portal's connection
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} secret - Secret received with the webhook
+ * @returns {boolean} True if the secret matches
+ */
+function verifyWebhookSecret(portalId, secret) {
+  const connection = getConnection(portalId);
+
+  if (!connection || !secret) {
+    return false;
+  }
+
+  const expected = Buffer.from(connection.webhookSecret);
+  const received = Buffer.from(String(secret));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Describe a connection without exposing secrets
+ * @param {Object|null} connection - Connection
+ * @returns {Object} Public connection summary
+ */
+function toPublicConnection(connection) {
+  if (!connection) {
+    return { connected: false };
+  }
+
+  return {
+    connected: true,
+    baseUrl: connection.baseUrl,
+    timeout: connection.timeout,
+    apiKeyHint: `****${connection.apiKey.slice(-4)}`,
+    connectedAt: connection.connectedAt,
+    updatedAt: connection.updatedAt
+  };
+}
+
+module.exports = {
+  storeConnection,
+  getConnection,
+  removeConnection,
+  verifyWebhookSecret,
+  toPublicConnection
+};
@@ -16,13 +16,77 @@ const config = {
     appId: process.env.HUBSPOT_APP_ID,
     redirectUri: process.env.HUBSPOT_REDIRECT_URI || 'http://localhost:3000/oauth/callback',
     scopes: (process.env.HUBSPOT_SCOPES || 'crm.objects.deals.read,crm.objects.deals.write').split(','),
-    baseUrl: 'https://api.hubapi.com'
+    baseUrl: 'https://api.hubapi.com',
+    tokenRefresh: {
+      intervalMs: parseInt(process.env.TOKEN_REFRESH_INTERVAL_MS, 10) || 5 * 60 * 1000,
+      windowMs: parseInt(process.env.TOKEN_REFRESH_WINDOW_MS, 10) || 15 * 60 * 1000
+    },
+    rateLimits: {
+      burstLimit: parseInt(process.env.HUBSPOT_BURST_LIMIT, 10) || 100,
+      burstWindowMs: parseInt(process.env.HUBSPOT_BURST_WINDOW_MS, 10) || 10000,
+      searchLimit: parseInt(process.env.HUBSPOT_SEARCH_LIMIT, 10) || 4,
+      searchWindowMs: parseInt(process.env.HUBSPOT_SEARCH_WINDOW_MS, 10) || 1000,
+      dailyLimit: parseInt(process.env.HUBSPOT_DAILY_LIMIT, 10) || 250000
+    }
   },
 
   // TrackerRMS configuration
   trackerrms: {
     apiKey: process.env.TRACKERRMS_API_KEY,
-    baseUrl: process.env.TRACKERRMS_BASE_URL || 'https://api.trackerrms.com/v1'
+    baseUrl: process.env.TRACKERRMS_BASE_URL || 'https://api.trackerrms.com/v1',
+    timeout: parseInt(process.env.TRACKERRMS_TIMEOUT_MS, 10) || 30000,
+    pageSize: parseInt(process.env.TRACKERRMS_PAGE_SIZE, 10) || 100,
+    maxPages: parseInt(process.env.TRACKERRMS_MAX_PAGES, 10) || 10000,
+    clientCacheSize: parseInt(process.env.TRACKERRMS_CLIENT_CACHE_SIZE, 10) || 100,
+    clientIdleTtlMs: parseInt(process.env.TRACKERRMS_CLIENT_IDLE_TTL_MS, 10) || 30 * 60 * 1000
+  },
+
+  // Sync configuration
+  sync: {
+    batchSize: Math.min(parseInt(process.env.SYNC_BATCH_SIZE, 10) || 100, 100),
+    // Records processed in parallel within a batch; HubSpot calls still wait on the portal's rate limiter
+    concurrency: parseInt(process.env.SYNC_CONCURRENCY, 10) || 4,
+    // Incremental syncs fall back to fetching every record this often, to catch anything missed
+    fullReconcileIntervalMs: parseInt(process.env.SYNC_FULL_RECONCILE_INTERVAL_MS, 10) || 24 * 60 * 60 * 1000,
+    // Default cron schedules (UTC) for background syncs
+    schedules: {
+      jobs: process.env.SYNC_SCHEDULE_JOBS || '*/15 * * * *',
+      placements: process.env.SYNC_SCHEDULE_PLACEMENTS || '*/15 * * * *',
+      revenue: process.env.SYNC_SCHEDULE_REVENUE || '0 2 * * *'
+    },
+    // Failed records are retried automatically with exponential backoff up to maxAttempts
+    deadLetters: {
+      maxAttempts: parseInt(process.env.DEAD_LETTER_MAX_ATTEMPTS, 10) || 5,
+      retryBaseMs: parseInt(process.env.DEAD_LETTER_RETRY_BASE_MS, 10) || 5 * 60 * 1000,
+      retryMaxMs: parseInt(process.env.DEAD_LETTER_RETRY_MAX_MS, 10) || 6 * 60 * 60 * 1000
+    },
+    scheduler: {
+      enabled: process.env.SYNC_SCHEDULER_ENABLED !== 'false',
+      tickMs: parseInt(process.env.SYNC_SCHEDULER_TICK_MS, 10) || 60 * 1000,
+      jitterMs: process.env.SYNC_SCHEDULER_JITTER_MS !== undefined ? parseInt(process.env.SYNC_SCHEDULER_JITTER_MS, 10) : 2 * 60 * 1000,
+      lockTtlMs: parseInt(process.env.SYNC_SCHEDULER_LOCK_TTL_MS, 10) || 2 * 60 * 60 * 1000
+    }
+  },
+
+  // Dashboard configuration
+  dashboards: {
+    // TrackerRMS lookups made in parallel when enriching dashboard data
+    concurrency: parseInt(process.env.DASHBOARD_CONCURRENCY, 10) || 4
+  },
+
+  // Retry policy for TrackerRMS and HubSpot API calls
+  retry: {
+    maxRetries: process.env.RETRY_MAX_RETRIES !== undefined ? parseInt(process.env.RETRY_MAX_RETRIES, 10) : 3,
+    baseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS, 10) || 500,
+    maxDelayMs: parseInt(process.env.RETRY_MAX_DELAY_MS, 10) || 30000,
+    maxRetryAfterMs: parseInt(process.env.RETRY_MAX_RETRY_AFTER_MS, 10) || 60000
+  },
+
+  // Storage configuration
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'file',
+    dataDir: process.env.STORAGE_DATA_DIR || 'data',
+    encryptionKey: process.env.ENCRYPTION_KEY
   },
 
   // Logging configuration
@@ -33,8 +97,15 @@ const config = {
 
 /**
  * Validate required configuration
+ * The encryption key is required in every environment; other fields only in production.
+ * @returns {boolean} True when all required configuration is set
+ * @throws {Error} When required configuration is missing
  */
 function validateConfig() {
+  if (!config.storage.encryptionKey) {
+    throw new Error('Missing required configuration: storage.encryptionKey');
+  }
+
   const requiredFields = [
     { key: 'hubspot.clientId', value: config.hubspot.clientId },
     { key: 'hubspot.clientSecret', value: config.hubspot.clientSecret }
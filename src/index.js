@@ -2,6 +2,9 @@
  * Main entry point for the HubSpot TrackerRMS Revenue Attribution App
  */
 const app = require('./app');
+const TokenRefreshScheduler = require('./auth/token-refresh-scheduler');
+const { SyncScheduler } = require('./sync/sync-scheduler');
+const { failInterruptedRuns } = require('./sync/sync-history');
 const { config, validateConfig } = require('./config');
 const logger = require('./logger');
 
@@ -17,6 +20,9 @@ if (!isConfigValid) {
   logger.warn('Configuration incomplete - some features may not work');
 }
 
+// Runs still marked as running were cut off when the process last stopped
+failInterruptedRuns();
+
 // Start server
 const server = app.listen(config.port, () => {
   logger.info('Server started', {
@@ -32,9 +38,21 @@ const server = app.listen(config.port, () => {
   });
 });
 
+// Refresh HubSpot tokens before they expire
+const tokenRefreshScheduler = new TokenRefreshScheduler();
+tokenRefreshScheduler.start();
+
+// Run each portal's scheduled syncs
+const syncScheduler = new SyncScheduler();
+if (config.sync.scheduler.enabled) {
+  syncScheduler.start();
+}
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  tokenRefreshScheduler.stop();
+  syncScheduler.stop();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
@@ -43,6 +61,8 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  tokenRefreshScheduler.stop();
+  syncScheduler.stop();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
@@ -1,14 +1,17 @@
 /**
  * Authentication middleware
  */
+const crypto = require('crypto');
 const oauth = require('../auth/oauth');
+const trackerrmsConnection = require('../auth/trackerrms-connection');
+const { config } = require('../config');
 const logger = require('../logger');
 
 /**
  * Require HubSpot authentication
- * Checks if user has valid tokens in session
+ * Checks if user has valid tokens in session, refreshing them if expired
  */
-function requireAuth(req, res, next) {
+async function requireAuth(req, res, next) {
   const portalId = req.session?.portalId;
 
   if (!portalId) {
@@ -19,9 +22,7 @@ function requireAuth(req, res, next) {
     });
   }
 
-  const tokens = oauth.getTokens(portalId);
-
-  if (!tokens) {
+  if (!oauth.getTokens(portalId)) {
     logger.warn('Authentication required - no tokens found', { portalId });
     return res.status(401).json({
       error: 'Authentication required',
@@ -29,10 +30,25 @@ function requireAuth(req, res, next) {
     });
   }
 
+  let accessToken;
+  try {
+    accessToken = await oauth.getValidAccessToken(portalId);
+  } catch (error) {
+    if (error.code === 'REAUTH_REQUIRED') {
+      logger.warn('Authentication required - refresh token revoked', { portalId });
+      return res.status(401).json({
+        error: 'Authentication required',
+        code: error.code,
+        authUrl: '/oauth/authorize'
+      });
+    }
+    return next(error);
+  }
+
   // Attach token info to request
   req.hubspot = {
     portalId,
-    accessToken: tokens.accessToken
+    accessToken
   };
 
   next();
@@ -41,36 +57,160 @@ function requireAuth(req, res, next) {
 /**
  * Optional authentication - attach tokens if available
  */
-function optionalAuth(req, res, next) {
+async function optionalAuth(req, res, next) {
   const portalId = req.session?.portalId;
 
-  if (portalId) {
-    const tokens = oauth.getTokens(portalId);
-    if (tokens) {
+  if (portalId && oauth.getTokens(portalId)) {
+    try {
       req.hubspot = {
         portalId,
-        accessToken: tokens.accessToken
+        accessToken: await oauth.getValidAccessToken(portalId)
       };
+    } catch (error) {
+      logger.warn('Optional authentication skipped', { portalId, error: error.message });
     }
   }
 
   next();
 }
 
+// URL-encoded characters HubSpot decodes in the request URI before signing it
+const SIGNED_URI_DECODES = {
+  '%3A': ':', '%2F': '/', '%3F': '?', '%40': '@', '%21': '!', '%24': '$',
+  '%27': '\'', '%28': '(', '%29': ')', '%2A': '*', '%2C': ',', '%3B': ';'
+};
+
+/**
+ * Build the request URI HubSpot signs: https://<host><path>?<query>
+ * Behind a proxy the original protocol comes from X-Forwarded-Proto.
+ * @param {Object} req - Request object
+ * @returns {string} Request URI
+ */
+function getSignedRequestUri(req) {
+  const protocol = (req.get('x-forwarded-proto') || req.protocol).split(',')[0].trim();
+  const uri = `${protocol}://${req.get('host')}${req.originalUrl}`;
+  return uri.replace(/%(3A|2F|3F|40|21|24|27|28|29|2A|2C|3B)/gi, encoded => SIGNED_URI_DECODES[encoded.toUpperCase()]);
+}
+
+/**
+ * Verify a HubSpot v3 request signature
+ * HubSpot signs the method, full request URI, raw body and timestamp with the app's client secret.
+ * @param {Object} req - Request object
+ * @returns {boolean} True if signature is valid
+ */
+function verifyHubSpotSignature(req) {
+  const signature = req.headers['x-hubspot-signature-v3'];
+  const timestamp = req.headers['x-hubspot-request-timestamp'];
+
+  if (!signature || !timestamp) {
+    return false;
+  }
+
+  // Check timestamp is within 5 minutes
+  const timestampMs = parseInt(timestamp, 10);
+  if (Math.abs(Date.now() - timestampMs) > 300000) {
+    return false;
+  }
+
+  const sourceString = `${req.method}${getSignedRequestUri(req)}${req.rawBody || ''}${timestamp}`;
+  const expectedSignature = crypto
+    .createHmac('sha256', config.hubspot.clientSecret)
+    .update(sourceString)
+    .digest('base64');
+
+  const received = Buffer.from(signature);
+  const expected = Buffer.from(expectedSignature);
+
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Require a valid HubSpot signature, in every environment
+ */
+function requireHubSpotSignature(req, res, next) {
+  if (!verifyHubSpotSignature(req)) {
+    logger.warn('Invalid HubSpot request signature', { path: req.path });
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  next();
+}
+
+/**
+ * Resolve the portal a request from HubSpot's UI is for, into req.portalId
+ * A request signed by HubSpot names the portal in its portalId query parameter;
+ * without a valid signature the portal of an authenticated session is used, so
+ * an unsigned portalId never selects a portal's stored credentials.
+ */
+function resolveSignedPortal(req, res, next) {
+  if (verifyHubSpotSignature(req) && req.query.portalId) {
+    req.portalId = String(req.query.portalId);
+    return next();
+  }
+
+  const sessionPortalId = req.session?.portalId;
+  if (sessionPortalId && oauth.getTokens(sessionPortalId)) {
+    req.portalId = sessionPortalId;
+    return next();
+  }
+
+  logger.warn('Unsigned HubSpot request without a session', { path: req.path });
+  res.status(401).json({ error: 'Invalid signature' });
+}
+
+/**
+ * Get the TrackerRMS credentials stored for a portal's connection
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Object|null} Credentials ({ apiKey, baseUrl, timeout, portalId, source })
+ */
+function getPortalTrackerRMSCredentials(portalId) {
+  const connection = portalId ? trackerrmsConnection.getConnection(portalId) : null;
+
+  if (!connection) {
+    return null;
+  }
+
+  return {
+    apiKey: connection.apiKey,
+    baseUrl: connection.baseUrl,
+    timeout: connection.timeout,
+    portalId,
+    source: 'portal'
+  };
+}
+
 /**
- * Validate TrackerRMS API key from header only (not query params for security)
+ * Resolve TrackerRMS credentials for a request
+ * The X-TrackerRMS-API-Key header overrides the portal's stored connection
+ * @param {Object} req - Request object
+ * @param {string} [portalId] - Portal to resolve the connection for (defaults to the session portal)
+ * @returns {Object|null} Credentials ({ apiKey, baseUrl, timeout, portalId, source })
  */
-function validateTrackerRMSKey(req, res, next) {
+function getTrackerRMSCredentials(req, portalId = req.hubspot?.portalId || req.session?.portalId) {
   // Only accept API key from header to avoid logging sensitive data in URLs
   const apiKey = req.headers['x-trackerrms-api-key'];
 
-  if (!apiKey) {
+  if (apiKey) {
+    return { apiKey, baseUrl: config.trackerrms.baseUrl, portalId: portalId || null, source: 'header' };
+  }
+
+  return getPortalTrackerRMSCredentials(portalId);
+}
+
+/**
+ * Require TrackerRMS credentials from the portal connection or the header override
+ */
+function resolveTrackerRMSCredentials(req, res, next) {
+  const credentials = getTrackerRMSCredentials(req);
+
+  if (!credentials) {
     return res.status(400).json({
-      error: 'TrackerRMS API key required in X-TrackerRMS-API-Key header'
+      error: 'TrackerRMS is not connected for this portal',
+      connectUrl: '/api/trackerrms/connect'
     });
   }
 
-  req.trackerrms = { apiKey };
+  req.trackerrms = credentials;
   next();
 }
 
@@ -112,7 +252,12 @@ function requestLogger(req, res, next) {
 module.exports = {
   requireAuth,
   optionalAuth,
-  validateTrackerRMSKey,
+  verifyHubSpotSignature,
+  requireHubSpotSignature,
+  resolveSignedPortal,
+  getPortalTrackerRMSCredentials,
+  getTrackerRMSCredentials,
+  resolveTrackerRMSCredentials,
   errorHandler,
   requestLogger
 };
@@ -0,0 +1,65 @@
+/**
+ * Bounded concurrency for per-record API work
+ *
+ * Runs an async function over a list with at most a fixed number of calls in
+ * flight. Results come back in input order whatever order the calls finish in.
+ * Items that share a key run one after another, in input order, so records
+ * that would write the same HubSpot object never race. The pool does not
+ * throttle calls itself: HubSpot calls wait on the portal's rate limiter and
+ * rate-limited TrackerRMS calls back off under the retry policy, which holds
+ * the worker and so slows the whole pool down.
+ */
+
+/**
+ * Map items through an async function with bounded concurrency
+ * The function should handle per-item failures itself. An error it throws
+ * stops new items from starting and is rethrown once the calls in flight finish.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum calls in flight
+ * @param {Function} fn - Async function called with (item, index)
+ * @param {Object} options - Options
+ * @param {Function} [options.keyOf] - Returns a key for an item; items with the same key never run at the same time
+ * @returns {Promise<Array>} Results, in input order
+ */
+async function mapWithConcurrency(items, concurrency, fn, { keyOf = null } = {}) {
+  const results = new Array(items.length);
+
+  // Each lane is a run of indexes processed in order by a single worker
+  const lanes = new Map();
+  items.forEach((item, index) => {
+    const key = keyOf ? String(keyOf(item, index)) : index;
+    if (!lanes.has(key)) {
+      lanes.set(key, []);
+    }
+    lanes.get(key).push(index);
+  });
+
+  const queue = [...lanes.values()];
+  let failure = null;
+
+  const worker = async () => {
+    while (queue.length > 0 && !failure) {
+      for (const index of queue.shift()) {
+        if (failure) {
+          return;
+        }
+        try {
+          results[index] = await fn(items[index], index);
+        } catch (error) {
+          failure = failure || { error };
+          return;
+        }
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(Math.floor(concurrency) || 1, queue.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  if (failure) {
+    throw failure.error;
+  }
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
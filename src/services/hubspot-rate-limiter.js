@@ -0,0 +1,266 @@
+/**
+ * Per-portal rate limiting for HubSpot API usage
+ *
+ * Each portal gets token buckets for HubSpot's burst limit and its stricter
+ * search limit, plus a daily counter. Calls wait for a token instead of
+ * failing, limits are re-synced from X-HubSpot-RateLimit-* headers whenever
+ * HubSpot returns them, and a 429 pauses the portal until the window resets.
+ */
+const https = require('https');
+const { config } = require('../config');
+const { getRetryAfterMs, getStatusCode, getErrorHeaders } = require('./retry');
+const logger = require('../logger');
+
+class TokenBucket {
+  constructor(limit, windowMs) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.tokens = limit;
+    this.lastRefill = Date.now();
+    this.blockedUntil = 0;
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsed = now - this.lastRefill;
+    this.tokens = Math.min(this.limit, this.tokens + (elapsed * this.limit) / this.windowMs);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Take a token if one is available
+   * @returns {number} 0 if a token was taken, otherwise milliseconds to wait
+   */
+  tryTake() {
+    const now = Date.now();
+    if (now < this.blockedUntil) {
+      return this.blockedUntil - now;
+    }
+
+    this.refill();
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return 0;
+    }
+
+    return Math.ceil(((1 - this.tokens) * this.windowMs) / this.limit);
+  }
+
+  /**
+   * Block the bucket until a point in time
+   * @param {number} until - Epoch milliseconds
+   */
+  blockUntil(until) {
+    this.blockedUntil = Math.max(this.blockedUntil, until);
+    this.tokens = 0;
+  }
+
+  getStatus() {
+    this.refill();
+    return {
+      limit: this.limit,
+      windowMs: this.windowMs,
+      remaining: Math.floor(this.tokens),
+      blockedUntil: this.blockedUntil > Date.now() ? new Date(this.blockedUntil).toISOString() : null
+    };
+  }
+}
+
+/**
+ * Get the next UTC midnight
+ * @returns {number} Epoch milliseconds
+ */
+function nextUtcMidnight() {
+  const date = new Date();
+  date.setUTCHours(24, 0, 0, 0);
+  return date.getTime();
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * HTTPS agent that hands the headers of every response to a callback
+ * The HubSpot client has no response hook, so the rate-limit headers of
+ * successful calls are read where the requests are made.
+ */
+class ResponseHeadersAgent extends https.Agent {
+  /**
+   * @param {Function} onHeaders - Called with each response's headers
+   */
+  constructor(onHeaders) {
+    super({ keepAlive: true });
+    this.onHeaders = onHeaders;
+  }
+
+  addRequest(req, options) {
+    req.once('response', res => this.onHeaders(res.headers));
+    return super.addRequest(req, options);
+  }
+}
+
+class HubSpotRateLimiter {
+  constructor(portalId, options = {}) {
+    const limits = { ...config.hubspot.rateLimits, ...options };
+
+    this.portalId = portalId;
+    this.buckets = {
+      standard: new TokenBucket(limits.burstLimit, limits.burstWindowMs),
+      search: new TokenBucket(limits.searchLimit, limits.searchWindowMs)
+    };
+    this.daily = {
+      limit: limits.dailyLimit,
+      used: 0,
+      resetsAt: nextUtcMidnight()
+    };
+    this.waiting = 0;
+    this.httpAgent = null;
+  }
+
+  /**
+   * Get an HTTPS agent for the portal's HubSpot client that re-syncs limits from every response
+   * @returns {https.Agent} Agent
+   */
+  getHttpAgent() {
+    if (!this.httpAgent) {
+      this.httpAgent = new ResponseHeadersAgent(headers => this.updateFromHeaders(headers));
+    }
+    return this.httpAgent;
+  }
+
+  /**
+   * Wait until a call of the given kind may be made
+   * @param {string} [kind='standard'] - Bucket to draw from ('standard' or 'search')
+   * @returns {Promise<void>}
+   */
+  async acquire(kind = 'standard') {
+    this.resetDailyIfDue();
+
+    if (this.daily.used >= this.daily.limit) {
+      const error = new Error(`HubSpot daily API limit reached for portal ${this.portalId}`);
+      error.status = 429;
+      error.code = 'HUBSPOT_DAILY_LIMIT_REACHED';
+      error.retryable = false;
+      throw error;
+    }
+
+    const bucket = this.buckets[kind] || this.buckets.standard;
+
+    let waitMs = bucket.tryTake();
+    if (waitMs > 0) {
+      this.waiting++;
+      try {
+        while (waitMs > 0) {
+          logger.debug('Throttling HubSpot call', { portalId: this.portalId, kind, waitMs });
+          await sleep(waitMs);
+          waitMs = bucket.tryTake();
+        }
+      } finally {
+        this.waiting--;
+      }
+    }
+
+    this.daily.used++;
+  }
+
+  resetDailyIfDue() {
+    if (Date.now() >= this.daily.resetsAt) {
+      this.daily.used = 0;
+      this.daily.resetsAt = nextUtcMidnight();
+    }
+  }
+
+  /**
+   * Re-sync limits from HubSpot rate-limit response headers
+   * Called for every response through getHttpAgent, and for failed calls by recordError.
+   * @param {Object} headers - Response headers
+   */
+  updateFromHeaders(headers = {}) {
+    const header = name => {
+      const value = parseInt(headers[name], 10);
+      return Number.isNaN(value) ? null : value;
+    };
+
+    const max = header('x-hubspot-ratelimit-max');
+    const remaining = header('x-hubspot-ratelimit-remaining');
+    const intervalMs = header('x-hubspot-ratelimit-interval-milliseconds');
+    const dailyLimit = header('x-hubspot-ratelimit-daily');
+    const dailyRemaining = header('x-hubspot-ratelimit-daily-remaining');
+    const standard = this.buckets.standard;
+
+    if (max !== null && intervalMs !== null) {
+      standard.limit = max;
+      standard.windowMs = intervalMs;
+    }
+    if (remaining !== null) {
+      standard.refill();
+      standard.tokens = Math.min(standard.tokens, remaining);
+    }
+    if (dailyLimit !== null) {
+      this.daily.limit = dailyLimit;
+    }
+    if (dailyLimit !== null && dailyRemaining !== null) {
+      this.daily.used = dailyLimit - dailyRemaining;
+    }
+  }
+
+  /**
+   * Record a failed call, pausing the portal if HubSpot rate-limited it
+   * @param {Error} error - HubSpot API error
+   * @param {string} [kind='standard'] - Bucket the call drew from
+   */
+  recordError(error, kind = 'standard') {
+    this.updateFromHeaders(getErrorHeaders(error));
+
+    if (getStatusCode(error) !== 429) {
+      return;
+    }
+
+    const bucket = this.buckets[kind] || this.buckets.standard;
+    const pauseMs = getRetryAfterMs(error) ?? bucket.windowMs;
+    bucket.blockUntil(Date.now() + pauseMs);
+
+    logger.warn('HubSpot rate limit hit - pausing portal', { portalId: this.portalId, kind, pauseMs });
+  }
+
+  /**
+   * Describe remaining quota
+   * @returns {Object} Quota status
+   */
+  getStatus() {
+    this.resetDailyIfDue();
+
+    return {
+      portalId: this.portalId,
+      burst: this.buckets.standard.getStatus(),
+      search: this.buckets.search.getStatus(),
+      daily: {
+        limit: this.daily.limit,
+        used: this.daily.used,
+        remaining: Math.max(0, this.daily.limit - this.daily.used),
+        resetsAt: new Date(this.daily.resetsAt).toISOString()
+      },
+      waiting: this.waiting
+    };
+  }
+}
+
+const limiters = new Map();
+
+/**
+ * Get the rate limiter for a portal
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {HubSpotRateLimiter} Rate limiter
+ */
+function getRateLimiter(portalId) {
+  const key = String(portalId || 'default');
+
+  if (!limiters.has(key)) {
+    limiters.set(key, new HubSpotRateLimiter(key));
+  }
+
+  return limiters.get(key);
+}
+
+module.exports = { HubSpotRateLimiter, TokenBucket, getRateLimiter };
@@ -2,11 +2,98 @@
  * HubSpot API service for CRM operations
  */
 const { Client } = require('@hubspot/api-client');
+const { withRetry } = require('./retry');
+const { getRateLimiter } = require('./hubspot-rate-limiter');
 const logger = require('../logger');
 
+// HubSpot batch endpoints and IN filters accept at most 100 inputs per request
+const BATCH_LIMIT = 100;
+
+// Deal properties returned by deal searches
+const DEAL_SEARCH_PROPERTIES = ['dealname', 'amount', 'dealstage', 'closedate', 'trackerrms_job_id', 'trackerrms_placement_id'];
+
+// Company properties returned by company searches
+const COMPANY_SEARCH_PROPERTIES = ['name', 'domain', 'trackerrms_client_id'];
+
+// Default property group for custom properties, by object type
+const DEFAULT_PROPERTY_GROUPS = {
+  deals: 'dealinformation',
+  companies: 'companyinformation',
+  contacts: 'contactinformation',
+  line_items: 'lineiteminformation'
+};
+
+// HubSpot-defined association type from line items to deals
+const LINE_ITEM_TO_DEAL_ASSOCIATION_TYPE_ID = 20;
+
+/**
+ * Split an array into chunks
+ * @param {Array} items - Items
+ * @param {number} size - Chunk size
+ * @returns {Array<Array>} Chunks
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
 class HubSpotService {
-  constructor(accessToken) {
-    this.client = new Client({ accessToken });
+  /**
+   * @param {string} accessToken - HubSpot access token
+   * @param {Object} options - Service options
+   * @param {string} [options.portalId] - Portal the token belongs to (scopes rate limiting)
+   * @param {Function} [options.getAccessToken] - Returns a valid access token before each call, for long-lived services
+   */
+  constructor(accessToken, options = {}) {
+    this.portalId = options.portalId;
+    this.rateLimiter = getRateLimiter(options.portalId);
+    // Responses pass through the limiter's agent so successful calls keep its quota current too
+    this.client = new Client({ accessToken, httpAgent: this.rateLimiter.getHttpAgent() });
+    this.accessToken = accessToken;
+    this.getAccessToken = options.getAccessToken || null;
+  }
+
+  /**
+   * Switch the client to a fresh access token when the current one has been refreshed
+   * @returns {Promise<void>}
+   */
+  async refreshAccessToken() {
+    if (!this.getAccessToken) {
+      return;
+    }
+
+    const accessToken = await this.getAccessToken();
+    if (accessToken !== this.accessToken) {
+      this.client.setAccessToken(accessToken);
+      this.accessToken = accessToken;
+    }
+  }
+
+  /**
+   * Execute a HubSpot API call through the portal's rate limiter and the shared retry policy
+   * @param {string} operation - Operation name for logging
+   * @param {Function} fn - Async function performing the call
+   * @param {Object} options - Call options
+   * @param {boolean} [options.idempotent=true] - Whether the call is safe to repeat
+   * @param {string} [options.kind='standard'] - Rate-limit bucket ('standard' or 'search')
+   * @returns {Promise<*>} Call result
+   */
+  execute(operation, fn, options = {}) {
+    const { kind = 'standard', ...retryOptions } = options;
+
+    return withRetry(`HubSpot ${operation}`, async () => {
+      await this.rateLimiter.acquire(kind);
+      await this.refreshAccessToken();
+      try {
+        return await fn();
+      } catch (error) {
+        this.rateLimiter.recordError(error, kind);
+        throw error;
+      }
+    }, { ...retryOptions, context: { portalId: this.portalId } });
   }
 
   // ============ DEALS ============
@@ -18,9 +105,9 @@ class HubSpotService {
    */
   async createDeal(dealProperties) {
     try {
-      const response = await this.client.crm.deals.basicApi.create({
+      const response = await this.execute('createDeal', () => this.client.crm.deals.basicApi.create({
         properties: dealProperties
-      });
+      }), { idempotent: false });
       logger.info('Created deal in HubSpot', { dealId: response.id });
       return response;
     } catch (error) {
@@ -37,9 +124,9 @@ class HubSpotService {
    */
   async updateDeal(dealId, dealProperties) {
     try {
-      const response = await this.client.crm.deals.basicApi.update(dealId, {
+      const response = await this.execute('updateDeal', () => this.client.crm.deals.basicApi.update(dealId, {
         properties: dealProperties
-      });
+      }));
       logger.info('Updated deal in HubSpot', { dealId });
       return response;
     } catch (error) {
@@ -56,10 +143,10 @@ class HubSpotService {
    */
   async getDeal(dealId, properties = []) {
     try {
-      const response = await this.client.crm.deals.basicApi.getById(
+      const response = await this.execute('getDeal', () => this.client.crm.deals.basicApi.getById(
         dealId,
         properties.length > 0 ? properties : undefined
-      );
+      ));
       return response;
     } catch (error) {
       logger.error('Failed to get deal from HubSpot', { dealId, error: error.message });
@@ -71,11 +158,12 @@ class HubSpotService {
    * Search deals by property
    * @param {string} propertyName - Property name to search
    * @param {string} value - Value to match
+   * @param {Array<string>} [properties] - Properties to return besides the default deal properties
    * @returns {Promise<Array>} Matching deals
    */
-  async searchDeals(propertyName, value) {
+  async searchDeals(propertyName, value, properties = []) {
     try {
-      const response = await this.client.crm.deals.searchApi.doSearch({
+      const response = await this.execute('searchDeals', () => this.client.crm.deals.searchApi.doSearch({
         filterGroups: [{
           filters: [{
             propertyName,
@@ -83,8 +171,8 @@ class HubSpotService {
             value
           }]
         }],
-        properties: ['dealname', 'amount', 'dealstage', 'closedate', 'trackerrms_job_id', 'trackerrms_placement_id']
-      });
+        properties: [...new Set([...DEAL_SEARCH_PROPERTIES, ...properties])]
+      }), { kind: 'search' });
       return response.results;
     } catch (error) {
       logger.error('Failed to search deals in HubSpot', { propertyName, value, error: error.message });
@@ -92,6 +180,348 @@ class HubSpotService {
     }
   }
 
+  /**
+   * Find deals whose property matches any of the given values
+   * @param {string} propertyName - Property name to match
+   * @param {Array<string>} values - Values to match
+   * @param {Array<string>} [properties] - Properties to return besides the default deal properties
+   * @returns {Promise<Array>} Matching deals
+   */
+  async searchDealsByPropertyValues(propertyName, values, properties = []) {
+    return this.searchObjectsByPropertyValues('deals', propertyName, values, [...DEAL_SEARCH_PROPERTIES, ...properties]);
+  }
+
+  /**
+   * Create deals in batches
+   * Results are not guaranteed to be in input order - match them on an identifying property
+   * @param {Array<Object>} dealPropertiesList - Properties for each deal
+   * @returns {Promise<Array>} Created deals
+   */
+  async batchCreateDeals(dealPropertiesList) {
+    const created = [];
+
+    try {
+      for (const inputChunk of chunk(dealPropertiesList, BATCH_LIMIT)) {
+        const response = await this.execute('batchCreateDeals', () => this.client.crm.deals.batchApi.create({
+          inputs: inputChunk.map(properties => ({ properties, associations: [] }))
+        }), { idempotent: false });
+        created.push(...response.results);
+      }
+
+      logger.info('Batch created deals in HubSpot', { count: created.length });
+      return created;
+    } catch (error) {
+      logger.error('Failed to batch create deals in HubSpot', { count: dealPropertiesList.length, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update deals in batches
+   * @param {Array<Object>} updates - Updates ({ id, properties })
+   * @returns {Promise<Array>} Updated deals
+   */
+  async batchUpdateDeals(updates) {
+    const updated = [];
+
+    try {
+      for (const inputChunk of chunk(updates, BATCH_LIMIT)) {
+        const response = await this.execute('batchUpdateDeals', () => this.client.crm.deals.batchApi.update({
+          inputs: inputChunk.map(({ id, properties }) => ({ id: String(id), properties }))
+        }));
+        updated.push(...response.results);
+      }
+
+      logger.info('Batch updated deals in HubSpot', { count: updated.length });
+      return updated;
+    } catch (error) {
+      logger.error('Failed to batch update deals in HubSpot', { count: updates.length, error: error.message });
+      throw error;
+    }
+  }
+
+  // ============ LINE ITEMS ============
+
+  /**
+   * Get the line items associated with a deal
+   * @param {string} dealId - Deal ID
+   * @param {Array<string>} properties - Line item properties to fetch
+   * @returns {Promise<Array>} Line items
+   */
+  async getDealLineItems(dealId, properties = []) {
+    try {
+      const lineItemIds = [];
+      let after;
+      do {
+        const response = await this.execute('getDealLineItems', () => this.client.crm.associations.v4.basicApi.getPage(
+          'deals',
+          dealId,
+          'line_items',
+          after,
+          500
+        ));
+        lineItemIds.push(...response.results.map(association => String(association.toObjectId)));
+        after = response.paging?.next?.after;
+      } while (after);
+
+      const lineItems = [];
+      for (const idChunk of chunk(lineItemIds, BATCH_LIMIT)) {
+        const response = await this.execute('getDealLineItems', () => this.client.crm.lineItems.batchApi.read({
+          inputs: idChunk.map(id => ({ id })),
+          properties,
+          propertiesWithHistory: []
+        }));
+        lineItems.push(...response.results);
+      }
+
+      return lineItems;
+    } catch (error) {
+      logger.error('Failed to get deal line items from HubSpot', { dealId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create line items on a deal
+   * @param {string} dealId - Deal ID
+   * @param {Array<Object>} lineItemPropertiesList - Properties for each line item
+   * @returns {Promise<Array>} Created line items
+   */
+  async batchCreateLineItems(dealId, lineItemPropertiesList) {
+    const created = [];
+
+    try {
+      for (const inputChunk of chunk(lineItemPropertiesList, BATCH_LIMIT)) {
+        const response = await this.execute('batchCreateLineItems', () => this.client.crm.lineItems.batchApi.create({
+          inputs: inputChunk.map(properties => ({
+            properties,
+            associations: [{
+              to: { id: String(dealId) },
+              types: [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: LINE_ITEM_TO_DEAL_ASSOCIATION_TYPE_ID }]
+            }]
+          }))
+        }), { idempotent: false });
+        created.push(...response.results);
+      }
+
+      logger.info('Batch created line items in HubSpot', { dealId, count: created.length });
+      return created;
+    } catch (error) {
+      logger.error('Failed to batch create line items in HubSpot', { dealId, count: lineItemPropertiesList.length, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update line items in batches
+   * @param {Array<Object>} updates - Updates ({ id, properties })
+   * @returns {Promise<Array>} Updated line items
+   */
+  async batchUpdateLineItems(updates) {
+    const updated = [];
+
+    try {
+      for (const inputChunk of chunk(updates, BATCH_LIMIT)) {
+        const response = await this.execute('batchUpdateLineItems', () => this.client.crm.lineItems.batchApi.update({
+          inputs: inputChunk.map(({ id, properties }) => ({ id: String(id), properties }))
+        }));
+        updated.push(...response.results);
+      }
+
+      logger.info('Batch updated line items in HubSpot', { count: updated.length });
+      return updated;
+    } catch (error) {
+      logger.error('Failed to batch update line items in HubSpot', { count: updates.length, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Archive line items in batches
+   * @param {Array<string>} lineItemIds - Line item IDs
+   * @returns {Promise<void>}
+   */
+  async batchArchiveLineItems(lineItemIds) {
+    try {
+      for (const idChunk of chunk(lineItemIds, BATCH_LIMIT)) {
+        await this.execute('batchArchiveLineItems', () => this.client.crm.lineItems.batchApi.archive({
+          inputs: idChunk.map(id => ({ id: String(id) }))
+        }));
+      }
+
+      logger.info('Batch archived line items in HubSpot', { count: lineItemIds.length });
+    } catch (error) {
+      logger.error('Failed to batch archive line items in HubSpot', { count: lineItemIds.length, error: error.message });
+      throw error;
+    }
+  }
+
+  // ============ OWNERS ============
+
+  /**
+   * Get all active owners in the portal
+   * @returns {Promise<Array>} Owners ({ id, email, firstName, lastName })
+   */
+  async getOwners() {
+    const owners = [];
+
+    try {
+      let after;
+      do {
+        const response = await this.execute('getOwners', () => this.client.crm.owners.ownersApi.getPage(undefined, after, 100, false));
+        owners.push(...response.results);
+        after = response.paging?.next?.after;
+      } while (after);
+
+      return owners;
+    } catch (error) {
+      logger.error('Failed to get owners from HubSpot', { error: error.message });
+      throw error;
+    }
+  }
+
+  // ============ PIPELINES ============
+
+  /**
+   * Get all deal pipelines and their stages
+   * @returns {Promise<Array>} Pipelines
+   */
+  async getDealPipelines() {
+    try {
+      const response = await this.execute('getDealPipelines', () => this.client.crm.pipelines.pipelinesApi.getAll('deals'));
+      return response.results;
+    } catch (error) {
+      logger.error('Failed to get deal pipelines from HubSpot', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a deal pipeline
+   * @param {Object} pipelineDefinition - Pipeline definition ({ label, displayOrder, stages })
+   * @returns {Promise<Object>} Created pipeline
+   */
+  async createDealPipeline(pipelineDefinition) {
+    try {
+      const response = await this.execute('createDealPipeline', () => this.client.crm.pipelines.pipelinesApi.create('deals', pipelineDefinition), { idempotent: false });
+      logger.info('Created deal pipeline in HubSpot', { pipelineId: response.id, label: pipelineDefinition.label });
+      return response;
+    } catch (error) {
+      logger.error('Failed to create deal pipeline in HubSpot', { label: pipelineDefinition.label, error: error.message });
+      throw error;
+    }
+  }
+
+  // ============ CRM OBJECTS ============
+
+  /**
+   * Find CRM objects whose property matches any of the given values
+   * @param {string} objectType - Object type (e.g. 'deals' or a custom object type ID)
+   * @param {string} propertyName - Property name to match
+   * @param {Array<string>} values - Values to match
+   * @param {Array<string>} properties - Properties to return
+   * @returns {Promise<Array>} Matching objects
+   */
+  async searchObjectsByPropertyValues(objectType, propertyName, values, properties = []) {
+    const uniqueValues = [...new Set(values.filter(v => v !== undefined && v !== null).map(String))];
+    const objects = [];
+
+    try {
+      for (const valueChunk of chunk(uniqueValues, BATCH_LIMIT)) {
+        let after;
+        do {
+          const response = await this.execute('searchObjectsByPropertyValues', () => this.client.crm.objects.searchApi.doSearch(objectType, {
+            filterGroups: [{
+              filters: [{
+                propertyName,
+                operator: 'IN',
+                values: valueChunk
+              }]
+            }],
+            properties: [...new Set([propertyName, ...properties])],
+            limit: BATCH_LIMIT,
+            after
+          }), { kind: 'search' });
+
+          objects.push(...response.results);
+          after = response.paging?.next?.after;
+        } while (after);
+      }
+
+      return objects;
+    } catch (error) {
+      logger.error('Failed to batch search objects in HubSpot', { objectType, propertyName, count: uniqueValues.length, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Read CRM objects by ID
+   * @param {string} objectType - Object type (e.g. 'deals' or a custom object type ID)
+   * @param {Array<string>} objectIds - Object IDs
+   * @param {Array<string>} properties - Properties to return
+   * @returns {Promise<Array>} Objects that exist
+   */
+  async batchReadObjects(objectType, objectIds, properties = []) {
+    const objects = [];
+
+    try {
+      for (const idChunk of chunk([...new Set(objectIds.map(String))], BATCH_LIMIT)) {
+        const response = await this.execute('batchReadObjects', () => this.client.crm.objects.batchApi.read(objectType, {
+          inputs: idChunk.map(id => ({ id })),
+          properties,
+          propertiesWithHistory: []
+        }, false));
+        objects.push(...response.results);
+      }
+
+      return objects;
+    } catch (error) {
+      logger.error('Failed to batch read objects from HubSpot', { objectType, count: objectIds.length, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a CRM object
+   * @param {string} objectType - Object type
+   * @param {Object} properties - Object properties
+   * @returns {Promise<Object>} Created object
+   */
+  async createObject(objectType, properties) {
+    try {
+      const response = await this.execute('createObject', () => this.client.crm.objects.basicApi.create(objectType, {
+        properties,
+        associations: []
+      }), { idempotent: false });
+      logger.info('Created object in HubSpot', { objectType, objectId: response.id });
+      return response;
+    } catch (error) {
+      logger.error('Failed to create object in HubSpot', { objectType, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a CRM object
+   * @param {string} objectType - Object type
+   * @param {string} objectId - Object ID
+   * @param {Object} properties - Properties to update
+   * @returns {Promise<Object>} Updated object
+   */
+  async updateObject(objectType, objectId, properties) {
+    try {
+      const response = await this.execute('updateObject', () => this.client.crm.objects.basicApi.update(objectType, objectId, {
+        properties
+      }));
+      logger.info('Updated object in HubSpot', { objectType, objectId });
+      return response;
+    } catch (error) {
+      logger.error('Failed to update object in HubSpot', { objectType, objectId, error: error.message });
+      throw error;
+    }
+  }
+
   // ============ CONTACTS ============
 
   /**
@@ -101,9 +531,9 @@ class HubSpotService {
    */
   async createContact(contactProperties) {
     try {
-      const response = await this.client.crm.contacts.basicApi.create({
+      const response = await this.execute('createContact', () => this.client.crm.contacts.basicApi.create({
         properties: contactProperties
-      });
+      }), { idempotent: false });
       logger.info('Created contact in HubSpot', { contactId: response.id });
       return response;
     } catch (error) {
@@ -120,9 +550,9 @@ class HubSpotService {
    */
   async updateContact(contactId, contactProperties) {
     try {
-      const response = await this.client.crm.contacts.basicApi.update(contactId, {
+      const response = await this.execute('updateContact', () => this.client.crm.contacts.basicApi.update(contactId, {
         properties: contactProperties
-      });
+      }));
       logger.info('Updated contact in HubSpot', { contactId });
       return response;
     } catch (error) {
@@ -138,7 +568,7 @@ class HubSpotService {
    */
   async findContactByEmail(email) {
     try {
-      const response = await this.client.crm.contacts.searchApi.doSearch({
+      const response = await this.execute('findContactByEmail', () => this.client.crm.contacts.searchApi.doSearch({
         filterGroups: [{
           filters: [{
             propertyName: 'email',
@@ -146,7 +576,7 @@ class HubSpotService {
             value: email
           }]
         }]
-      });
+      }), { kind: 'search' });
       return response.results.length > 0 ? response.results[0] : null;
     } catch (error) {
       logger.error('Failed to find contact by email in HubSpot', { email, error: error.message });
@@ -154,24 +584,80 @@ class HubSpotService {
     }
   }
 
+  // ============ COMPANIES ============
+
+  /**
+   * Create a company in HubSpot
+   * @param {Object} companyProperties - Company properties
+   * @returns {Promise<Object>} Created company
+   */
+  async createCompany(companyProperties) {
+    try {
+      const response = await this.execute('createCompany', () => this.client.crm.companies.basicApi.create({
+        properties: companyProperties,
+        associations: []
+      }), { idempotent: false });
+      logger.info('Created company in HubSpot', { companyId: response.id });
+      return response;
+    } catch (error) {
+      logger.error('Failed to create company in HubSpot', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a company in HubSpot
+   * @param {string} companyId - Company ID
+   * @param {Object} companyProperties - Properties to update
+   * @returns {Promise<Object>} Updated company
+   */
+  async updateCompany(companyId, companyProperties) {
+    try {
+      const response = await this.execute('updateCompany', () => this.client.crm.companies.basicApi.update(companyId, {
+        properties: companyProperties
+      }));
+      logger.info('Updated company in HubSpot', { companyId });
+      return response;
+    } catch (error) {
+      logger.error('Failed to update company in HubSpot', { companyId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find companies whose property matches any of the given values
+   * @param {string} propertyName - Property name to match
+   * @param {Array<string>} values - Values to match
+   * @returns {Promise<Array>} Matching companies
+   */
+  async searchCompaniesByPropertyValues(propertyName, values) {
+    return this.searchObjectsByPropertyValues('companies', propertyName, values, COMPANY_SEARCH_PROPERTIES);
+  }
+
   // ============ ASSOCIATIONS ============
 
   /**
    * Associate a deal with a contact
    * @param {string} dealId - Deal ID
    * @param {string} contactId - Contact ID
+   * @param {number} [labelTypeId] - User-defined association label type ID to apply as well
    * @returns {Promise<Object>} Association result
    */
-  async associateDealWithContact(dealId, contactId) {
+  async associateDealWithContact(dealId, contactId, labelTypeId) {
+    const types = [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: 3 }];
+    if (labelTypeId) {
+      types.push({ associationCategory: 'USER_DEFINED', associationTypeId: labelTypeId });
+    }
+
     try {
-      const response = await this.client.crm.associations.v4.basicApi.create(
+      const response = await this.execute('associateDealWithContact', () => this.client.crm.associations.v4.basicApi.create(
         'deals',
         dealId,
         'contacts',
         contactId,
-        [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: 3 }]
-      );
-      logger.info('Associated deal with contact', { dealId, contactId });
+        types
+      ));
+      logger.info('Associated deal with contact', { dealId, contactId, labelTypeId });
       return response;
     } catch (error) {
       logger.error('Failed to associate deal with contact', { dealId, contactId, error: error.message });
@@ -179,59 +665,253 @@ class HubSpotService {
     }
   }
 
+  /**
+   * Associate a deal with a company
+   * @param {string} dealId - Deal ID
+   * @param {string} companyId - Company ID
+   * @returns {Promise<Object>} Association result
+   */
+  async associateDealWithCompany(dealId, companyId) {
+    try {
+      const response = await this.execute('associateDealWithCompany', () => this.client.crm.associations.v4.basicApi.create(
+        'deals',
+        dealId,
+        'companies',
+        companyId,
+        [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: 5 }]
+      ));
+      logger.info('Associated deal with company', { dealId, companyId });
+      return response;
+    } catch (error) {
+      logger.error('Failed to associate deal with company', { dealId, companyId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Associate two CRM objects using the default association type for the pair
+   * @param {string} fromObjectType - Source object type
+   * @param {string} fromObjectId - Source object ID
+   * @param {string} toObjectType - Target object type
+   * @param {string} toObjectId - Target object ID
+   * @returns {Promise<Object>} Association result
+   */
+  async associateObjects(fromObjectType, fromObjectId, toObjectType, toObjectId) {
+    try {
+      const response = await this.execute('associateObjects', () => this.client.crm.associations.v4.basicApi.createDefault(
+        fromObjectType,
+        fromObjectId,
+        toObjectType,
+        toObjectId
+      ));
+      logger.info('Associated objects', { fromObjectType, fromObjectId, toObjectType, toObjectId });
+      return response;
+    } catch (error) {
+      logger.error('Failed to associate objects', { fromObjectType, fromObjectId, toObjectType, toObjectId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the association types (including labels) defined between two object types
+   * @param {string} fromObjectType - Source object type
+   * @param {string} toObjectType - Target object type
+   * @returns {Promise<Array>} Association types ({ category, typeId, label })
+   */
+  async getAssociationLabels(fromObjectType, toObjectType) {
+    try {
+      const response = await this.execute('getAssociationLabels', () => this.client.crm.associations.v4.schema.definitionsApi.getAll(
+        fromObjectType,
+        toObjectType
+      ));
+      return response.results;
+    } catch (error) {
+      logger.error('Failed to get association labels from HubSpot', { fromObjectType, toObjectType, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a user-defined association label between two object types
+   * @param {string} fromObjectType - Source object type
+   * @param {string} toObjectType - Target object type
+   * @param {string} label - Label shown in HubSpot
+   * @param {string} name - Internal label name
+   * @returns {Promise<Array>} Created association types
+   */
+  async createAssociationLabel(fromObjectType, toObjectType, label, name) {
+    try {
+      const response = await this.execute('createAssociationLabel', () => this.client.crm.associations.v4.schema.definitionsApi.create(
+        fromObjectType,
+        toObjectType,
+        { label, name }
+      ), { idempotent: false });
+      logger.info('Created association label in HubSpot', { fromObjectType, toObjectType, label });
+      return response.results;
+    } catch (error) {
+      logger.error('Failed to create association label in HubSpot', { fromObjectType, toObjectType, label, error: error.message });
+      throw error;
+    }
+  }
+
+  // ============ CUSTOM OBJECT SCHEMAS ============
+
+  /**
+   * Get all custom object schemas in the portal
+   * @returns {Promise<Array>} Schemas
+   */
+  async getSchemas() {
+    try {
+      const response = await this.execute('getSchemas', () => this.client.crm.schemas.coreApi.getAll());
+      return response.results;
+    } catch (error) {
+      logger.error('Failed to get custom object schemas from HubSpot', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a custom object schema
+   * @param {Object} schemaDefinition - Schema definition
+   * @returns {Promise<Object>} Created schema
+   */
+  async createSchema(schemaDefinition) {
+    try {
+      const response = await this.execute('createSchema', () => this.client.crm.schemas.coreApi.create(schemaDefinition), { idempotent: false });
+      logger.info('Created custom object schema in HubSpot', { name: schemaDefinition.name, objectTypeId: response.objectTypeId });
+      return response;
+    } catch (error) {
+      logger.error('Failed to create custom object schema in HubSpot', { name: schemaDefinition.name, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Define an association between a custom object and another object type
+   * @param {string} fromObjectTypeId - Custom object type ID
+   * @param {string} toObjectTypeId - Object type ID to associate with
+   * @param {string} name - Association name
+   * @returns {Promise<Object>} Created association definition
+   */
+  async createSchemaAssociation(fromObjectTypeId, toObjectTypeId, name) {
+    try {
+      const response = await this.execute('createSchemaAssociation', () => this.client.crm.schemas.coreApi.createAssociation(fromObjectTypeId, {
+        fromObjectTypeId,
+        toObjectTypeId,
+        name
+      }), { idempotent: false });
+      logger.info('Created custom object association in HubSpot', { fromObjectTypeId, toObjectTypeId, name });
+      return response;
+    } catch (error) {
+      logger.error('Failed to create custom object association in HubSpot', { fromObjectTypeId, toObjectTypeId, error: error.message });
+      throw error;
+    }
+  }
+
   // ============ CUSTOM PROPERTIES ============
 
   /**
-   * Create a custom property for deals
+   * Get the property definitions for an object type
+   * @param {string} objectType - Object type ('deals', 'companies' or 'contacts')
+   * @returns {Promise<Array>} Properties ({ name, label, type, fieldType, groupName, options, modificationMetadata })
+   */
+  async getProperties(objectType) {
+    try {
+      const response = await this.execute('getProperties', () => this.client.crm.properties.coreApi.getAll(objectType, false));
+      return response.results;
+    } catch (error) {
+      logger.error('Failed to get properties from HubSpot', { objectType, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a custom property
+   * @param {string} objectType - Object type ('deals', 'companies' or 'contacts')
    * @param {Object} propertyDefinition - Property definition
    * @returns {Promise<Object>} Created property
    */
-  async createDealProperty(propertyDefinition) {
+  async createProperty(objectType, propertyDefinition) {
     try {
-      const response = await this.client.crm.properties.coreApi.create('deals', {
+      const response = await this.execute('createProperty', () => this.client.crm.properties.coreApi.create(objectType, {
         name: propertyDefinition.name,
         label: propertyDefinition.label,
         type: propertyDefinition.type || 'string',
         fieldType: propertyDefinition.fieldType || 'text',
-        groupName: propertyDefinition.groupName || 'dealinformation',
-        description: propertyDefinition.description || ''
-      });
-      logger.info('Created deal property in HubSpot', { propertyName: propertyDefinition.name });
+        groupName: propertyDefinition.groupName || DEFAULT_PROPERTY_GROUPS[objectType],
+        description: propertyDefinition.description || '',
+        ...(propertyDefinition.options && { options: propertyDefinition.options })
+      }), { idempotent: false });
+      logger.info('Created property in HubSpot', { objectType, propertyName: propertyDefinition.name });
       return response;
     } catch (error) {
       // Property might already exist - check for 409 status
       const statusCode = error.code || error.status || error.response?.status;
       if (statusCode === 409) {
-        logger.info('Deal property already exists', { propertyName: propertyDefinition.name });
+        logger.info('Property already exists', { objectType, propertyName: propertyDefinition.name });
         return null;
       }
-      logger.error('Failed to create deal property in HubSpot', { propertyName: propertyDefinition.name, error: error.message });
+      logger.error('Failed to create property in HubSpot', { objectType, propertyName: propertyDefinition.name, error: error.message });
       throw error;
     }
   }
 
   /**
-   * Ensure TrackerRMS custom properties exist
-   * @returns {Promise<void>}
+   * Update a property definition
+   * @param {string} objectType - Object type
+   * @param {string} propertyName - Property name
+   * @param {Object} changes - Definition changes ({ label, type, fieldType, groupName, options })
+   * @returns {Promise<Object>} Updated property
    */
-  async ensureCustomProperties() {
-    const properties = [
-      { name: 'trackerrms_job_id', label: 'TrackerRMS Job ID', type: 'string', fieldType: 'text' },
-      { name: 'trackerrms_placement_id', label: 'TrackerRMS Placement ID', type: 'string', fieldType: 'text' },
-      { name: 'trackerrms_service_line', label: 'TrackerRMS Service Line', type: 'string', fieldType: 'text' },
-      { name: 'trackerrms_revenue', label: 'TrackerRMS Revenue', type: 'number', fieldType: 'number' },
-      { name: 'trackerrms_margin', label: 'TrackerRMS Margin', type: 'number', fieldType: 'number' },
-      { name: 'trackerrms_placement_date', label: 'TrackerRMS Placement Date', type: 'date', fieldType: 'date' },
-      { name: 'trackerrms_velocity_score', label: 'Placement Velocity Score', type: 'number', fieldType: 'number' },
-      { name: 'trackerrms_roi_score', label: 'ROI Score', type: 'number', fieldType: 'number' }
-    ];
-
-    for (const property of properties) {
-      try {
-        await this.createDealProperty(property);
-      } catch (error) {
-        logger.warn('Could not create property', { property: property.name, error: error.message });
+  async updateProperty(objectType, propertyName, changes) {
+    try {
+      const response = await this.execute('updateProperty', () => this.client.crm.properties.coreApi.update(objectType, propertyName, changes));
+      logger.info('Updated property in HubSpot', { objectType, propertyName, fields: Object.keys(changes) });
+      return response;
+    } catch (error) {
+      logger.error('Failed to update property in HubSpot', { objectType, propertyName, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the property groups for an object type
+   * @param {string} objectType - Object type
+   * @returns {Promise<Array>} Property groups ({ name, label, displayOrder })
+   */
+  async getPropertyGroups(objectType) {
+    try {
+      const response = await this.execute('getPropertyGroups', () => this.client.crm.properties.groupsApi.getAll(objectType));
+      return response.results;
+    } catch (error) {
+      logger.error('Failed to get property groups from HubSpot', { objectType, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a property group
+   * @param {string} objectType - Object type
+   * @param {Object} group - Group definition ({ name, label, displayOrder })
+   * @returns {Promise<Object|null>} Created group, or null if it already exists
+   */
+  async createPropertyGroup(objectType, group) {
+    try {
+      const response = await this.execute('createPropertyGroup', () => this.client.crm.properties.groupsApi.create(objectType, {
+        name: group.name,
+        label: group.label,
+        displayOrder: group.displayOrder ?? -1
+      }), { idempotent: false });
+      logger.info('Created property group in HubSpot', { objectType, groupName: group.name });
+      return response;
+    } catch (error) {
+      const statusCode = error.code || error.status || error.response?.status;
+      if (statusCode === 409) {
+        logger.info('Property group already exists', { objectType, groupName: group.name });
+        return null;
       }
+      logger.error('Failed to create property group in HubSpot', { objectType, groupName: group.name, error: error.message });
+      throw error;
     }
   }
 }
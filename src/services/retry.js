@@ -0,0 +1,172 @@
+/**
+ * Shared retry policy for TrackerRMS and HubSpot API calls
+ *
+ * Retries transient failures (429, 5xx, timeouts, dropped connections) with
+ * exponential backoff and full jitter, honouring Retry-After when present.
+ * Non-idempotent operations are only retried when the upstream rejected the
+ * request outright (429), so a retry can never apply a write twice.
+ */
+const { config } = require('../config');
+const logger = require('../logger');
+
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNABORTED', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Get the HTTP status code from an axios or HubSpot SDK error
+ * @param {Error} error - Request error
+ * @returns {number|undefined} Status code
+ */
+function getStatusCode(error) {
+  if (error.response?.status) {
+    return error.response.status;
+  }
+  if (typeof error.code === 'number') {
+    return error.code;
+  }
+  return error.status || error.statusCode;
+}
+
+/**
+ * Get response headers from an axios or HubSpot SDK error
+ * @param {Error} error - Request error
+ * @returns {Object} Response headers
+ */
+function getErrorHeaders(error) {
+  return error.response?.headers || error.headers || {};
+}
+
+/**
+ * Classify an error as retryable or fatal
+ * @param {Error} error - Request error
+ * @param {Object} options - Classification options
+ * @param {boolean} [options.idempotent=true] - Whether the operation is safe to repeat
+ * @returns {boolean} True if the operation should be retried
+ */
+function isRetryableError(error, { idempotent = true } = {}) {
+  // Errors raised locally can opt out of retries explicitly
+  if (error.retryable === false) {
+    return false;
+  }
+
+  const statusCode = getStatusCode(error);
+
+  // Rate-limited requests were never applied, so they are safe to retry
+  if (statusCode === 429) {
+    return true;
+  }
+
+  if (!idempotent) {
+    return false;
+  }
+
+  if (statusCode) {
+    return RETRYABLE_STATUS_CODES.includes(statusCode);
+  }
+
+  return RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Parse the Retry-After header of an error response
+ * @param {Error} error - Request error
+ * @returns {number|null} Delay in milliseconds, or null if absent
+ */
+function getRetryAfterMs(error) {
+  const headers = getErrorHeaders(error);
+  const retryAfter = headers['retry-after'] ?? headers['Retry-After'];
+
+  if (retryAfter === undefined || retryAfter === null || retryAfter === '') {
+    return null;
+  }
+
+  const seconds = Number(retryAfter);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Compute an exponential backoff delay with full jitter
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} policy - Retry policy
+ * @returns {number} Delay in milliseconds
+ */
+function computeBackoffMs(attempt, policy) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run an operation under the retry policy
+ * @param {string} operation - Operation name for logging
+ * @param {Function} fn - Async function to run; receives the attempt number
+ * @param {Object} options - Policy overrides
+ * @param {boolean} [options.idempotent=true] - Whether the operation is safe to repeat
+ * @param {number} [options.maxRetries] - Maximum number of retries
+ * @param {number} [options.baseDelayMs] - Base backoff delay
+ * @param {number} [options.maxDelayMs] - Maximum backoff delay
+ * @param {Object} [options.context] - Extra logging context
+ * @returns {Promise<*>} Operation result
+ */
+async function withRetry(operation, fn, options = {}) {
+  const policy = { ...config.retry, idempotent: true, ...options };
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+      const retryable = isRetryableError(error, policy);
+
+      error.attempts = attempt;
+      error.retryable = retryable;
+
+      if (!retryable || attempt > policy.maxRetries) {
+        logger.warn('Upstream call failed', {
+          operation,
+          attempt,
+          statusCode,
+          classification: retryable ? 'retries_exhausted' : 'fatal',
+          error: error.message,
+          ...policy.context
+        });
+        throw error;
+      }
+
+      const retryAfterMs = getRetryAfterMs(error);
+      const delayMs = retryAfterMs !== null
+        ? Math.min(retryAfterMs, policy.maxRetryAfterMs)
+        : computeBackoffMs(attempt, policy);
+
+      logger.warn('Retrying upstream call after transient failure', {
+        operation,
+        attempt,
+        statusCode,
+        errorCode: typeof error.code === 'string' ? error.code : undefined,
+        delayMs,
+        retryAfter: retryAfterMs !== null,
+        error: error.message,
+        ...policy.context
+      });
+
+      await sleep(delayMs);
+    }
+  }
+}
+
+module.exports = {
+  withRetry,
+  isRetryableError,
+  getRetryAfterMs,
+  getStatusCode,
+  getErrorHeaders,
+  computeBackoffMs
+};
@@ -1,40 +1,175 @@
 /**
  * TrackerRMS API client for Jobs and Placements
  */
+const crypto = require('crypto');
 const axios = require('axios');
 const { config } = require('../config');
+const { withRetry } = require('./retry');
 const logger = require('../logger');
 
 class TrackerRMSClient {
-  constructor(apiKey = config.trackerrms.apiKey) {
+  /**
+   * @param {string} apiKey - TrackerRMS API key
+   * @param {string} baseUrl - TrackerRMS API base URL
+   * @param {Object} options - Client options
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   */
+  constructor(apiKey = config.trackerrms.apiKey, baseUrl = config.trackerrms.baseUrl, options = {}) {
     this.apiKey = apiKey;
-    this.baseUrl = config.trackerrms.baseUrl;
+    this.baseUrl = baseUrl || config.trackerrms.baseUrl;
+    this.timeout = options.timeout || config.trackerrms.timeout;
     this.client = axios.create({
       baseURL: this.baseUrl,
       headers: {
         'Authorization': `Bearer ${this.apiKey}`,
         'Content-Type': 'application/json'
       },
-      timeout: 30000
+      timeout: this.timeout
     });
   }
 
   /**
-   * Get all jobs with optional filters
-   * @param {Object} options - Filter options
-   * @returns {Promise<Array>} List of jobs
+   * GET a TrackerRMS resource under the shared retry policy
+   * @param {string} path - Endpoint path
+   * @param {Object} [requestConfig] - Axios request config
+   * @returns {Promise<Object>} Axios response
    */
-  async getJobs(options = {}) {
+  get(path, requestConfig) {
+    return withRetry(`TrackerRMS GET ${path}`, () => this.client.get(path, requestConfig), {
+      context: { baseUrl: this.baseUrl }
+    });
+  }
+
+  /**
+   * Validate the API key and base URL by making a lightweight request
+   * @returns {Promise<boolean>} True if TrackerRMS accepted the credentials
+   */
+  async validateConnection() {
     try {
-      const response = await this.client.get('/jobs', { params: options });
-      logger.info('Fetched jobs from TrackerRMS', { count: response.data.length });
-      return response.data;
+      await this.get('/service-lines');
+      return true;
     } catch (error) {
-      logger.error('Failed to fetch jobs from TrackerRMS', { error: error.message });
+      const statusCode = error.response?.status;
+      if (statusCode === 401 || statusCode === 403) {
+        logger.warn('TrackerRMS rejected credentials', { baseUrl: this.baseUrl, statusCode });
+        return false;
+      }
+      logger.error('Failed to validate TrackerRMS connection', { baseUrl: this.baseUrl, error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Walk every page of a list endpoint
+   * @param {string} path - Endpoint path
+   * @param {Object} params - Query parameters
+   * @param {Object} context - Logging context
+   * @param {Object} hooks - Callbacks
+   * @param {Function} [hooks.onTotal] - Called with the total record count, when the endpoint reports one
+   * @yields {Object} Records across all pages
+   */
+  async *paginate(path, params = {}, context = {}, hooks = {}) {
+    const pageSize = params.pageSize || config.trackerrms.pageSize;
+    let previousFirstId;
+
+    for (let page = 1; page <= config.trackerrms.maxPages; page++) {
+      let response;
+      try {
+        response = await this.get(path, { params: { ...params, page, pageSize } });
+      } catch (error) {
+        logger.error('Failed to fetch page from TrackerRMS', { path, page, ...context, error: error.message });
+        throw error;
+      }
+
+      const { records, hasMore, total } = this.parsePage(response.data, page, pageSize);
+
+      if (page === 1 && total !== undefined && hooks.onTotal) {
+        hooks.onTotal(total);
+      }
+
+      // Stop if the endpoint ignores paging parameters and repeats the same page
+      if (records.length > 0 && records[0].id !== undefined && records[0].id === previousFirstId) {
+        logger.warn('TrackerRMS returned a repeated page - stopping pagination', { path, page });
+        return;
+      }
+      previousFirstId = records[0]?.id;
+
+      for (const record of records) {
+        yield record;
+      }
+
+      if (!hasMore) {
+        return;
+      }
+    }
+
+    logger.warn('Reached maximum page count for TrackerRMS endpoint', { path, maxPages: config.trackerrms.maxPages });
+  }
+
+  /**
+   * Extract records and paging state from a list response
+   * Supports bare arrays and envelopes ({ data|items|results, hasMore|totalPages|total })
+   * @param {Array|Object} body - Response body
+   * @param {number} page - Current page number
+   * @param {number} pageSize - Requested page size
+   * @returns {Object} Records, whether more pages exist and the total record count if reported
+   */
+  parsePage(body, page, pageSize) {
+    if (Array.isArray(body)) {
+      return { records: body, hasMore: body.length >= pageSize };
+    }
+
+    const records = body?.data || body?.items || body?.results || [];
+    let hasMore;
+
+    if (typeof body?.hasMore === 'boolean') {
+      hasMore = body.hasMore;
+    } else if (body?.totalPages !== undefined) {
+      hasMore = page < body.totalPages;
+    } else if (body?.total !== undefined) {
+      hasMore = page * pageSize < body.total;
+    } else {
+      hasMore = records.length >= pageSize;
+    }
+
+    const total = body?.total ?? body?.totalCount;
+    return { records, hasMore, total: total !== undefined ? Number(total) : undefined };
+  }
+
+  /**
+   * Collect every record from a paginated endpoint
+   * @param {AsyncIterable} iterator - Record iterator
+   * @returns {Promise<Array>} All records
+   */
+  async collect(iterator) {
+    const records = [];
+    for await (const record of iterator) {
+      records.push(record);
+    }
+    return records;
+  }
+
+  /**
+   * Iterate over all jobs with optional filters, page by page
+   * @param {Object} options - Filter options
+   * @param {Object} hooks - Pagination callbacks (see paginate)
+   * @yields {Object} Job
+   */
+  iterateJobs(options = {}, hooks = {}) {
+    return this.paginate('/jobs', options, {}, hooks);
+  }
+
+  /**
+   * Get all jobs with optional filters
+   * @param {Object} options - Filter options
+   * @returns {Promise<Array>} List of jobs
+   */
+  async getJobs(options = {}) {
+    const jobs = await this.collect(this.iterateJobs(options));
+    logger.info('Fetched jobs from TrackerRMS', { count: jobs.length });
+    return jobs;
+  }
+
   /**
    * Get a single job by ID
    * @param {string} jobId - Job ID
@@ -42,7 +177,7 @@ class TrackerRMSClient {
    */
   async getJob(jobId) {
     try {
-      const response = await this.client.get(`/jobs/${jobId}`);
+      const response = await this.get(`/jobs/${jobId}`);
       return response.data;
     } catch (error) {
       logger.error('Failed to fetch job from TrackerRMS', { jobId, error: error.message });
@@ -50,20 +185,25 @@ class TrackerRMSClient {
     }
   }
 
+  /**
+   * Iterate over all placements with optional filters, page by page
+   * @param {Object} options - Filter options
+   * @param {Object} hooks - Pagination callbacks (see paginate)
+   * @yields {Object} Placement
+   */
+  iteratePlacements(options = {}, hooks = {}) {
+    return this.paginate('/placements', options, {}, hooks);
+  }
+
   /**
    * Get all placements with optional filters
    * @param {Object} options - Filter options
    * @returns {Promise<Array>} List of placements
    */
   async getPlacements(options = {}) {
-    try {
-      const response = await this.client.get('/placements', { params: options });
-      logger.info('Fetched placements from TrackerRMS', { count: response.data.length });
-      return response.data;
-    } catch (error) {
-      logger.error('Failed to fetch placements from TrackerRMS', { error: error.message });
-      throw error;
-    }
+    const placements = await this.collect(this.iteratePlacements(options));
+    logger.info('Fetched placements from TrackerRMS', { count: placements.length });
+    return placements;
   }
 
   /**
@@ -73,7 +213,7 @@ class TrackerRMSClient {
    */
   async getPlacement(placementId) {
     try {
-      const response = await this.client.get(`/placements/${placementId}`);
+      const response = await this.get(`/placements/${placementId}`);
       return response.data;
     } catch (error) {
       logger.error('Failed to fetch placement from TrackerRMS', { placementId, error: error.message });
@@ -81,19 +221,31 @@ class TrackerRMSClient {
     }
   }
 
+  /**
+   * Iterate over placements for a specific job, page by page
+   * @param {string} jobId - Job ID
+   * @yields {Object} Placement
+   */
+  iteratePlacementsByJob(jobId) {
+    return this.paginate(`/jobs/${jobId}/placements`, {}, { jobId });
+  }
+
   /**
    * Get placements for a specific job
    * @param {string} jobId - Job ID
    * @returns {Promise<Array>} List of placements
    */
   async getPlacementsByJob(jobId) {
-    try {
-      const response = await this.client.get(`/jobs/${jobId}/placements`);
-      return response.data;
-    } catch (error) {
-      logger.error('Failed to fetch placements for job from TrackerRMS', { jobId, error: error.message });
-      throw error;
-    }
+    return this.collect(this.iteratePlacementsByJob(jobId));
+  }
+
+  /**
+   * Iterate over candidates for a job, page by page
+   * @param {string} jobId - Job ID
+   * @yields {Object} Candidate
+   */
+  iterateCandidatesByJob(jobId) {
+    return this.paginate(`/jobs/${jobId}/candidates`, {}, { jobId });
   }
 
   /**
@@ -102,13 +254,28 @@ class TrackerRMSClient {
    * @returns {Promise<Array>} List of candidates
    */
   async getCandidatesByJob(jobId) {
-    try {
-      const response = await this.client.get(`/jobs/${jobId}/candidates`);
-      return response.data;
-    } catch (error) {
-      logger.error('Failed to fetch candidates for job from TrackerRMS', { jobId, error: error.message });
-      throw error;
-    }
+    return this.collect(this.iterateCandidatesByJob(jobId));
+  }
+
+  /**
+   * Iterate over all clients (customer companies) with optional filters, page by page
+   * @param {Object} options - Filter options
+   * @param {Object} hooks - Pagination callbacks (see paginate)
+   * @yields {Object} Client
+   */
+  iterateClients(options = {}, hooks = {}) {
+    return this.paginate('/clients', options, {}, hooks);
+  }
+
+  /**
+   * Get all clients with optional filters
+   * @param {Object} options - Filter options
+   * @returns {Promise<Array>} List of clients
+   */
+  async getClients(options = {}) {
+    const clients = await this.collect(this.iterateClients(options));
+    logger.info('Fetched clients from TrackerRMS', { count: clients.length });
+    return clients;
   }
 
   /**
@@ -117,7 +284,7 @@ class TrackerRMSClient {
    */
   async getServiceLines() {
     try {
-      const response = await this.client.get('/service-lines');
+      const response = await this.get('/service-lines');
       return response.data;
     } catch (error) {
       logger.error('Failed to fetch service lines from TrackerRMS', { error: error.message });
@@ -132,7 +299,7 @@ class TrackerRMSClient {
    */
   async getPlacementRevenue(placementId) {
     try {
-      const response = await this.client.get(`/placements/${placementId}/revenue`);
+      const response = await this.get(`/placements/${placementId}/revenue`);
       return response.data;
     } catch (error) {
       logger.error('Failed to fetch placement revenue from TrackerRMS', { placementId, error: error.message });
@@ -141,14 +308,140 @@ class TrackerRMSClient {
   }
 }
 
-// Singleton instance
-let clientInstance = null;
+/**
+ * Registry of TrackerRMS clients keyed by tenant and credentials
+ *
+ * Each tenant (HubSpot portal) gets its own client so calls made on behalf of
+ * different customers never share credentials. Least recently used and idle
+ * clients are evicted.
+ */
+class TrackerRMSClientRegistry {
+  constructor(options = {}) {
+    this.maxClients = options.maxClients || config.trackerrms.clientCacheSize;
+    this.idleTtlMs = options.idleTtlMs || config.trackerrms.clientIdleTtlMs;
+    this.clients = new Map();
+  }
+
+  /**
+   * Build the registry key for a tenant's credentials
+   * @param {Object} credentials - Tenant credentials
+   * @returns {string} Registry key
+   */
+  buildKey({ tenantId, apiKey, baseUrl, timeout }) {
+    const fingerprint = crypto
+      .createHash('sha256')
+      .update([apiKey, baseUrl || config.trackerrms.baseUrl, timeout || ''].join('|'))
+      .digest('hex')
+      .slice(0, 16);
+
+    return `${tenantId || 'default'}:${fingerprint}`;
+  }
+
+  /**
+   * Get or create the client for a tenant
+   * @param {Object} credentials - Tenant credentials
+   * @param {string} [credentials.tenantId] - Tenant (HubSpot portal) ID
+   * @param {string} [credentials.apiKey] - TrackerRMS API key
+   * @param {string} [credentials.baseUrl] - TrackerRMS API base URL
+   * @param {number} [credentials.timeout] - Request timeout in milliseconds
+   * @returns {TrackerRMSClient} Client instance
+   */
+  getClient(credentials = {}) {
+    const resolved = { ...credentials, apiKey: credentials.apiKey || config.trackerrms.apiKey };
+    const key = this.buildKey(resolved);
+
+    this.evictIdle();
 
-function getClient(apiKey) {
-  if (!clientInstance || apiKey) {
-    clientInstance = new TrackerRMSClient(apiKey);
+    let entry = this.clients.get(key);
+    if (entry) {
+      // Re-insert to mark as most recently used
+      this.clients.delete(key);
+    } else {
+      entry = {
+        tenantId: resolved.tenantId || 'default',
+        client: new TrackerRMSClient(resolved.apiKey, resolved.baseUrl, { timeout: resolved.timeout })
+      };
+      logger.debug('Created TrackerRMS client', { tenantId: entry.tenantId, baseUrl: entry.client.baseUrl });
+    }
+
+    entry.lastUsedAt = Date.now();
+    this.clients.set(key, entry);
+    this.evictOverflow();
+
+    return entry.client;
+  }
+
+  /**
+   * Evict all clients for a tenant (e.g. after its credentials change)
+   * @param {string} tenantId - Tenant ID
+   * @returns {number} Number of clients evicted
+   */
+  evict(tenantId) {
+    let evicted = 0;
+
+    for (const [key, entry] of this.clients) {
+      if (entry.tenantId === String(tenantId)) {
+        this.clients.delete(key);
+        evicted++;
+      }
+    }
+
+    return evicted;
+  }
+
+  /**
+   * Evict clients that have not been used within the idle TTL
+   */
+  evictIdle() {
+    const cutoff = Date.now() - this.idleTtlMs;
+
+    for (const [key, entry] of this.clients) {
+      if (entry.lastUsedAt < cutoff) {
+        this.clients.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Evict least recently used clients beyond the registry size
+   */
+  evictOverflow() {
+    while (this.clients.size > this.maxClients) {
+      const oldestKey = this.clients.keys().next().value;
+      this.clients.delete(oldestKey);
+    }
   }
-  return clientInstance;
+
+  /**
+   * Remove all clients
+   */
+  clear() {
+    this.clients.clear();
+  }
+
+  /**
+   * Number of cached clients
+   * @returns {number} Client count
+   */
+  get size() {
+    return this.clients.size;
+  }
+}
+
+const registry = new TrackerRMSClientRegistry();
+
+/**
+ * Get the TrackerRMS client for a tenant's credentials
+ * @param {Object} credentials - Credentials ({ portalId, apiKey, baseUrl, timeout })
+ * @returns {TrackerRMSClient} Client instance
+ */
+function getClient(credentials = {}) {
+  return registry.getClient({
+    tenantId: credentials.portalId,
+    apiKey: credentials.apiKey,
+    baseUrl: credentials.baseUrl,
+    timeout: credentials.timeout
+  });
 }
 
-module.exports = { TrackerRMSClient, getClient };
+module.exports = { TrackerRMSClient, TrackerRMSClientRegistry, registry, getClient };
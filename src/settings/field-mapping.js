@@ -0,0 +1,301 @@
+/**
+ * Per-portal mapping of TrackerRMS job and placement fields to HubSpot deal properties
+ *
+ * A mapping has a list of entries per entity ('jobs', 'placements'). Each entry
+ * reads a value from the TrackerRMS record and writes it to a deal property:
+ *
+ *   {
+ *     target: 'closedate',               // deal property
+ *     source: ['startDate', 'createdAt'], // dotted path, or paths tried in order
+ *     transforms: [{ type: 'date', format: 'date' }],
+ *     default: null                       // used when no value is found
+ *   }
+ *
+ * Entries without a value and without a default leave the property untouched.
+ */
+const { getPortalSettings, updatePortalSettings } = require('./portal-settings');
+
+const MAPPED_ENTITIES = ['jobs', 'placements'];
+
+// Deal properties the sync service owns: sync keys, pipeline mapping, owner mapping and line item totals
+const RESERVED_PROPERTIES = {
+  jobs: ['trackerrms_job_id', 'pipeline', 'dealstage', 'hubspot_owner_id', 'trackerrms_secondary_recruiters'],
+  placements: ['trackerrms_placement_id', 'trackerrms_job_id', 'pipeline', 'dealstage', 'hubspot_owner_id', 'trackerrms_secondary_recruiters', 'amount']
+};
+
+// The mappings the app has always used, applied until a portal configures its own
+const DEFAULT_FIELD_MAPPING = {
+  jobs: [
+    { target: 'dealname', source: ['title', 'name'] },
+    { target: 'amount', source: 'estimatedRevenue', default: 0 },
+    { target: 'closedate', source: 'targetDate', default: null },
+    { target: 'trackerrms_service_line', source: ['serviceLine', 'category'], default: '' }
+  ],
+  placements: [
+    { target: 'dealname', source: 'title' },
+    { target: 'closedate', source: ['startDate', 'createdAt'] },
+    { target: 'trackerrms_service_line', source: 'serviceLine', default: '' },
+    { target: 'trackerrms_revenue', source: 'revenue', default: 0 },
+    { target: 'trackerrms_margin', source: 'margin', default: 0 },
+    { target: 'trackerrms_placement_date', source: 'startDate', default: null }
+  ]
+};
+
+const isEmpty = value => value === undefined || value === null || value === '';
+
+/**
+ * Read a dotted path from a record
+ * @param {Object} record - Source record
+ * @param {string} path - Dotted path, e.g. 'client.name'
+ * @returns {*} Value, or undefined
+ */
+function getPath(record, path) {
+  return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), record);
+}
+
+/**
+ * Whether a source path reads candidate personal data
+ * @param {string} path - Dotted path
+ * @returns {boolean} True for candidate fields other than the candidate ID
+ */
+function isCandidatePiiPath(path) {
+  const [field] = path.split('.');
+  return field.toLowerCase().startsWith('candidate') && field !== 'candidateId';
+}
+
+const DATE_FORMATS = ['date', 'datetime', 'timestamp'];
+
+// Transforms take the current value and return the new one; undefined means "no value"
+const TRANSFORMS = {
+  date: (value, { format = 'date' }) => {
+    const date = isEmpty(value) ? null : new Date(value);
+    if (!date || Number.isNaN(date.getTime())) {
+      return undefined;
+    }
+    if (format === 'timestamp') {
+      return date.getTime();
+    }
+    return format === 'datetime' ? date.toISOString() : date.toISOString().slice(0, 10);
+  },
+
+  round: (value, { decimals = 2 }) => {
+    const number = Number(value);
+    if (isEmpty(value) || Number.isNaN(number)) {
+      return undefined;
+    }
+    const factor = 10 ** decimals;
+    return Math.round(number * factor) / factor;
+  },
+
+  lookup: (value, { values }) => {
+    if (isEmpty(value)) {
+      return undefined;
+    }
+    const key = Object.keys(values).find(k => k.toLowerCase() === String(value).toLowerCase());
+    return key === undefined ? undefined : values[key];
+  },
+
+  concat: (value, { paths = [], separator = ' ' }, read) => {
+    const parts = [value, ...paths.map(read)].filter(part => !isEmpty(part));
+    return parts.length > 0 ? parts.join(separator) : undefined;
+  }
+};
+
+/**
+ * Get the field mapping for a portal
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Object} Field mapping
+ */
+function getFieldMapping(portalId) {
+  return getPortalSettings(portalId).fieldMapping || DEFAULT_FIELD_MAPPING;
+}
+
+/**
+ * Apply a field mapping's entries to a TrackerRMS record
+ * @param {Array} entries - Mapping entries for the record's entity
+ * @param {Object} record - TrackerRMS job or placement
+ * @param {Object} options - Options
+ * @param {boolean} [options.excludeCandidatePii] - Treat candidate fields as missing
+ * @returns {Object} Deal properties
+ */
+function applyFieldMapping(entries, record, options = {}) {
+  const read = path => (options.excludeCandidatePii && isCandidatePiiPath(path) ? undefined : getPath(record, path));
+  const properties = {};
+
+  for (const entry of entries) {
+    const sources = [].concat(entry.source || []);
+    let value = sources.map(read).find(candidate => !isEmpty(candidate));
+
+    for (const transform of entry.transforms || []) {
+      value = TRANSFORMS[transform.type](value, transform, read);
+    }
+
+    if (!isEmpty(value)) {
+      properties[entry.target] = value;
+    } else if (entry.default !== undefined) {
+      properties[entry.target] = entry.default;
+    }
+  }
+
+  return properties;
+}
+
+/**
+ * Validate a single transform against its target property
+ * @param {Object} transform - Transform definition
+ * @param {Object} property - HubSpot property metadata
+ * @returns {string|null} Error message
+ */
+function validateTransform(transform, property) {
+  switch (transform?.type) {
+  case 'date':
+    if (transform.format !== undefined && !DATE_FORMATS.includes(transform.format)) {
+      return `date format must be one of: ${DATE_FORMATS.join(', ')}`;
+    }
+    return ['date', 'datetime'].includes(property.type) || (property.type === 'string' && transform.format !== 'timestamp')
+      ? null
+      : `date transform cannot write to a ${property.type} property`;
+  case 'round':
+    if (transform.decimals !== undefined && !(Number.isInteger(transform.decimals) && transform.decimals >= 0)) {
+      return 'round decimals must be a non-negative integer';
+    }
+    return property.type === 'number' ? null : `round transform cannot write to a ${property.type} property`;
+  case 'lookup': {
+    if (!transform.values || typeof transform.values !== 'object' || Array.isArray(transform.values)) {
+      return 'lookup values must be an object';
+    }
+    if (property.type !== 'enumeration') {
+      return null;
+    }
+    const options = (property.options || []).map(option => option.value);
+    const invalid = Object.values(transform.values).filter(value => !options.includes(String(value)));
+    return invalid.length > 0 ? `lookup values ${invalid.join(', ')} are not options of ${property.name}` : null;
+  }
+  case 'concat':
+    if (!Array.isArray(transform.paths) || transform.paths.some(path => typeof path !== 'string')) {
+      return 'concat paths must be an array of source paths';
+    }
+    return ['string', 'enumeration'].includes(property.type) ? null : `concat transform cannot write to a ${property.type} property`;
+  default:
+    return `unknown transform ${transform?.type} (expected one of: ${Object.keys(TRANSFORMS).join(', ')})`;
+  }
+}
+
+/**
+ * Validate a field mapping against the portal's deal property metadata
+ * @param {Object} mapping - Field mapping
+ * @param {Array} properties - HubSpot deal properties
+ * @returns {string[]} Validation errors
+ */
+function validateFieldMapping(mapping, properties) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return ['Field mapping must be an object'];
+  }
+
+  const propertiesByName = new Map(properties.map(property => [property.name, property]));
+  const errors = Object.keys(mapping)
+    .filter(entity => !MAPPED_ENTITIES.includes(entity))
+    .map(entity => `Unknown entity: ${entity} (expected one of: ${MAPPED_ENTITIES.join(', ')})`);
+
+  for (const entity of MAPPED_ENTITIES) {
+    const entries = mapping[entity];
+
+    if (!Array.isArray(entries)) {
+      errors.push(`${entity} must be an array of { target, source, transforms, default } entries`);
+      continue;
+    }
+
+    const targets = new Set();
+    entries.forEach((entry, index) => {
+      const label = `${entity}[${index}]`;
+      const property = propertiesByName.get(entry?.target);
+      const sources = [].concat(entry?.source || []);
+
+      if (typeof entry?.target !== 'string') {
+        errors.push(`${label}: target must be a deal property name`);
+        return;
+      }
+      if (RESERVED_PROPERTIES[entity].includes(entry.target)) {
+        errors.push(`${label}: ${entry.target} is managed by the sync and cannot be mapped`);
+        return;
+      }
+      if (targets.has(entry.target)) {
+        errors.push(`${label}: ${entry.target} is mapped more than once`);
+      }
+      targets.add(entry.target);
+
+      if (!property) {
+        errors.push(`${label}: deal property ${entry.target} does not exist`);
+        return;
+      }
+      if (property.modificationMetadata?.readOnlyValue || property.calculated) {
+        errors.push(`${label}: deal property ${entry.target} is read-only`);
+      }
+      if (sources.some(source => typeof source !== 'string' || source === '')) {
+        errors.push(`${label}: source must be a path or an array of paths`);
+      }
+      if (sources.length === 0 && entry.default === undefined) {
+        errors.push(`${label}: needs a source or a default`);
+      }
+      if (entry.transforms !== undefined && !Array.isArray(entry.transforms)) {
+        errors.push(`${label}: transforms must be an array`);
+        return;
+      }
+
+      (entry.transforms || []).forEach((transform, transformIndex) => {
+        const error = validateTransform(transform, property);
+        if (error) {
+          errors.push(`${label}.transforms[${transformIndex}]: ${error}`);
+        }
+      });
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate and store a portal's field mapping
+ * @param {string} portalId - HubSpot portal ID
+ * @param {Object} mapping - Field mapping
+ * @param {Array} properties - HubSpot deal properties to validate against
+ * @returns {Object} Result ({ mapping } or { errors })
+ */
+function setFieldMapping(portalId, mapping, properties) {
+  const errors = validateFieldMapping(mapping, properties);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const normalized = Object.fromEntries(MAPPED_ENTITIES.map(entity => [
+    entity,
+    mapping[entity].map(({ target, source, transforms, default: defaultValue }) => ({
+      target,
+      ...(source !== undefined && { source }),
+      ...(transforms?.length > 0 && { transforms }),
+      ...(defaultValue !== undefined && { default: defaultValue })
+    }))
+  ]));
+  updatePortalSettings(portalId, { fieldMapping: normalized });
+  return { mapping: normalized };
+}
+
+/**
+ * Go back to the default field mapping
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Object} Default field mapping
+ */
+function resetFieldMapping(portalId) {
+  updatePortalSettings(portalId, { fieldMapping: null });
+  return DEFAULT_FIELD_MAPPING;
+}
+
+module.exports = {
+  DEFAULT_FIELD_MAPPING,
+  RESERVED_PROPERTIES,
+  getFieldMapping,
+  applyFieldMapping,
+  validateFieldMapping,
+  setFieldMapping,
+  resetFieldMapping
+};
@@ -0,0 +1,189 @@
+/**
+ * Per-portal mapping of TrackerRMS statuses to HubSpot deal pipelines and stages
+ *
+ * A mapping has an entry per entity ('jobs', 'placements'), each mapping a
+ * lower-cased TrackerRMS status to a { pipelineId, stageId } pair. The
+ * 'default' status is used for statuses without their own entry.
+ */
+const { getPortalSettings, updatePortalSettings } = require('./portal-settings');
+const logger = require('../logger');
+
+const MAPPED_ENTITIES = ['jobs', 'placements'];
+
+const stage = stageId => ({ pipelineId: 'default', stageId });
+
+// HubSpot's default sales pipeline, used until a portal configures its own mapping
+const DEFAULT_PIPELINE_MAPPING = {
+  jobs: {
+    open: stage('appointmentscheduled'),
+    active: stage('qualifiedtobuy'),
+    interviewing: stage('presentationscheduled'),
+    offer: stage('decisionmakerboughtin'),
+    filled: stage('closedwon'),
+    closed: stage('closedlost'),
+    cancelled: stage('closedlost'),
+    default: stage('appointmentscheduled')
+  },
+  placements: {
+    default: stage('closedwon')
+  }
+};
+
+const RECRUITING_PIPELINE_LABEL = 'Recruiting';
+
+// Stages of the provisioned Recruiting pipeline, with the statuses each one receives
+const RECRUITING_STAGES = [
+  { label: 'Open', metadata: { probability: '0.1' }, jobs: ['open', 'default'] },
+  { label: 'Sourcing', metadata: { probability: '0.2' }, jobs: ['active'] },
+  { label: 'Interviewing', metadata: { probability: '0.4' }, jobs: ['interviewing'] },
+  { label: 'Offer', metadata: { probability: '0.8' }, jobs: ['offer'] },
+  { label: 'Filled', metadata: { isClosed: 'true', probability: '1.0' }, jobs: ['filled'], placements: ['default'] },
+  { label: 'Closed Lost', metadata: { isClosed: 'true', probability: '0.0' }, jobs: ['closed', 'cancelled'] }
+];
+
+/**
+ * Get the pipeline mapping for a portal
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Object} Pipeline mapping
+ */
+function getPipelineMapping(portalId) {
+  return getPortalSettings(portalId).pipelineMapping || DEFAULT_PIPELINE_MAPPING;
+}
+
+/**
+ * Resolve the pipeline and stage for a TrackerRMS status
+ * @param {Object} mapping - Pipeline mapping
+ * @param {string} entity - 'jobs' or 'placements'
+ * @param {string} status - TrackerRMS status
+ * @returns {Object} { pipelineId, stageId }
+ */
+function resolvePipelineStage(mapping, entity, status) {
+  const statuses = mapping[entity] || DEFAULT_PIPELINE_MAPPING[entity];
+  return statuses[String(status || '').toLowerCase()] || statuses.default;
+}
+
+/**
+ * Validate a pipeline mapping against the portal's deal pipelines
+ * @param {Object} mapping - Pipeline mapping
+ * @param {Array} pipelines - HubSpot deal pipelines (with stages)
+ * @returns {string[]} Validation errors
+ */
+function validatePipelineMapping(mapping, pipelines) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return ['Pipeline mapping must be an object'];
+  }
+
+  const errors = Object.keys(mapping)
+    .filter(entity => !MAPPED_ENTITIES.includes(entity))
+    .map(entity => `Unknown entity: ${entity} (expected one of: ${MAPPED_ENTITIES.join(', ')})`);
+
+  for (const entity of MAPPED_ENTITIES) {
+    const statuses = mapping[entity];
+
+    if (!statuses || typeof statuses !== 'object' || Array.isArray(statuses)) {
+      errors.push(`${entity} must map TrackerRMS statuses to { pipelineId, stageId }`);
+      continue;
+    }
+    if (!statuses.default) {
+      errors.push(`${entity} must include a default mapping`);
+    }
+
+    for (const [status, target] of Object.entries(statuses)) {
+      const pipeline = pipelines.find(p => p.id === target?.pipelineId);
+
+      if (!pipeline) {
+        errors.push(`${entity}.${status}: pipeline ${target?.pipelineId} does not exist`);
+      } else if (!(pipeline.stages || []).some(s => s.id === target.stageId)) {
+        errors.push(`${entity}.${status}: stage ${target.stageId} does not exist in pipeline ${pipeline.label}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Normalise a mapping's status keys to lower case
+ * @param {Object} mapping - Pipeline mapping
+ * @returns {Object} Normalised mapping
+ */
+function normalizePipelineMapping(mapping) {
+  return Object.fromEntries(MAPPED_ENTITIES.map(entity => [
+    entity,
+    Object.fromEntries(Object.entries(mapping[entity]).map(([status, { pipelineId, stageId }]) =>
+      [status.toLowerCase(), { pipelineId: String(pipelineId), stageId: String(stageId) }]))
+  ]));
+}
+
+/**
+ * Validate and store a portal's pipeline mapping
+ * @param {string} portalId - HubSpot portal ID
+ * @param {Object} mapping - Pipeline mapping
+ * @param {Array} pipelines - HubSpot deal pipelines to validate against
+ * @returns {Object} Result ({ mapping } or { errors })
+ */
+function setPipelineMapping(portalId, mapping, pipelines) {
+  const errors = validatePipelineMapping(mapping, pipelines);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const normalized = normalizePipelineMapping(mapping);
+  updatePortalSettings(portalId, { pipelineMapping: normalized });
+  return { mapping: normalized };
+}
+
+/**
+ * Provision the Recruiting deal pipeline and map TrackerRMS statuses onto it
+ * Reuses an existing pipeline labelled "Recruiting" if the portal has one.
+ * @param {HubSpotService} hubspot - HubSpot service for the portal
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Promise<Object>} { pipeline, mapping }
+ */
+async function provisionRecruitingPipeline(hubspot, portalId) {
+  const pipelines = await hubspot.getDealPipelines();
+  let pipeline = pipelines.find(p => p.label === RECRUITING_PIPELINE_LABEL);
+
+  if (!pipeline) {
+    pipeline = await hubspot.createDealPipeline({
+      label: RECRUITING_PIPELINE_LABEL,
+      displayOrder: pipelines.length,
+      stages: RECRUITING_STAGES.map((definition, index) => ({
+        label: definition.label,
+        displayOrder: index,
+        metadata: definition.metadata
+      }))
+    });
+  }
+
+  const mapping = { jobs: {}, placements: {} };
+  for (const definition of RECRUITING_STAGES) {
+    const pipelineStage = (pipeline.stages || []).find(s => s.label === definition.label);
+    if (!pipelineStage) {
+      continue;
+    }
+
+    for (const entity of MAPPED_ENTITIES) {
+      for (const status of definition[entity] || []) {
+        mapping[entity][status] = { pipelineId: pipeline.id, stageId: pipelineStage.id };
+      }
+    }
+  }
+
+  const result = setPipelineMapping(portalId, mapping, [pipeline]);
+  if (result.errors) {
+    throw new Error(`Recruiting pipeline is missing stages: ${result.errors.join('; ')}`);
+  }
+
+  logger.info('Recruiting pipeline provisioned', { portalId, pipelineId: pipeline.id });
+  return { pipeline, mapping: result.mapping };
+}
+
+module.exports = {
+  DEFAULT_PIPELINE_MAPPING,
+  getPipelineMapping,
+  resolvePipelineStage,
+  validatePipelineMapping,
+  setPipelineMapping,
+  provisionRecruitingPipeline
+};
@@ -0,0 +1,108 @@
+/**
+ * Per-portal app settings
+ */
+const { createStore } = require('../storage');
+const logger = require('../logger');
+
+const settingsStore = createStore('portal-settings');
+
+// How TrackerRMS records are modelled in HubSpot
+const OBJECT_MODELS = ['deals', 'custom_objects'];
+
+const DEFAULT_SETTINGS = {
+  // 'deals' writes placements onto deals; 'custom_objects' writes jobs and
+  // placements into TrackerRMS custom objects associated to deals
+  objectModel: 'deals',
+  // Provisioned custom object type IDs ({ jobObjectTypeId, placementObjectTypeId })
+  customObjects: null,
+  // When true, candidate names and contact details are never written to HubSpot
+  excludeCandidatePii: false,
+  // Provisioned deal-to-contact association label type IDs ({ placedCandidate, hiringManager })
+  contactAssociationLabels: null,
+  // TrackerRMS status to deal pipeline/stage mapping (null uses the default sales pipeline)
+  pipelineMapping: null,
+  // Manual recruiter email to HubSpot owner ID overrides
+  ownerOverrides: {},
+  // Custom TrackerRMS field to deal property mapping (null uses DEFAULT_FIELD_MAPPING)
+  fieldMapping: null,
+  // Last applied custom property schema migration
+  propertySchemaVersion: 0,
+  // Why the last schema migration failed ({ message, failedAt }), cleared once migrations succeed
+  propertySchemaError: null,
+  // Background sync schedules by scope ({ enabled, cron }; null uses the configured defaults)
+  syncSchedules: null
+};
+
+// Validators for settings that can be changed through the API
+const SETTING_VALIDATORS = {
+  objectModel: value => (OBJECT_MODELS.includes(value)
+    ? null
+    : `objectModel must be one of: ${OBJECT_MODELS.join(', ')}`),
+  excludeCandidatePii: value => (typeof value === 'boolean'
+    ? null
+    : 'excludeCandidatePii must be a boolean'),
+  // Needs validating against the portal's pipelines, so it has its own endpoint
+  pipelineMapping: () => 'pipelineMapping must be updated through /api/settings/pipeline-mapping',
+  ownerOverrides: () => 'ownerOverrides must be updated through /api/settings/owner-mapping',
+  fieldMapping: () => 'fieldMapping must be updated through /api/settings/field-mapping',
+  syncSchedules: () => 'syncSchedules must be updated through /api/sync/schedules'
+};
+
+/**
+ * Get settings for a portal, with defaults applied
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Object} Portal settings
+ */
+function getPortalSettings(portalId) {
+  return { ...DEFAULT_SETTINGS, ...(settingsStore.get(String(portalId)) || {}) };
+}
+
+/**
+ * Validate user-supplied setting changes
+ * @param {Object} changes - Setting changes
+ * @returns {string[]} Validation errors
+ */
+function validateSettings(changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return ['Settings must be an object'];
+  }
+
+  return Object.entries(changes).reduce((errors, [key, value]) => {
+    const validator = SETTING_VALIDATORS[key];
+    const error = validator ? validator(value) : `Unknown setting: ${key}`;
+    return error ? [...errors, error] : errors;
+  }, []);
+}
+
+/**
+ * Update settings for a portal
+ * @param {string} portalId - HubSpot portal ID
+ * @param {Object} changes - Setting changes (validate user input with validateSettings first)
+ * @returns {Object} Updated portal settings
+ */
+function updatePortalSettings(portalId, changes) {
+  const stored = settingsStore.get(String(portalId)) || {};
+  const updated = { ...stored, ...changes, updatedAt: new Date().toISOString() };
+
+  settingsStore.set(String(portalId), updated);
+  logger.info('Portal settings updated', { portalId, settings: Object.keys(changes) });
+
+  return getPortalSettings(portalId);
+}
+
+/**
+ * Remove all settings for a portal
+ * @param {string} portalId - HubSpot portal ID
+ */
+function removePortalSettings(portalId) {
+  settingsStore.delete(String(portalId));
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  OBJECT_MODELS,
+  getPortalSettings,
+  validateSettings,
+  updatePortalSettings,
+  removePortalSettings
+};
@@ -0,0 +1,107 @@
+/**
+ * Per-portal schedules for background syncs
+ *
+ * Each scheduled scope ('jobs', 'placements', 'revenue') has a cron expression
+ * and can be switched off. Portals without their own schedules use the
+ * defaults from the sync configuration.
+ */
+const { getPortalSettings, updatePortalSettings } = require('./portal-settings');
+const { validateCron } = require('../sync/cron');
+const { config } = require('../config');
+
+const SCHEDULED_SCOPES = ['jobs', 'placements', 'revenue'];
+
+const DEFAULT_SYNC_SCHEDULES = Object.fromEntries(SCHEDULED_SCOPES.map(scope => [
+  scope,
+  { enabled: true, cron: config.sync.schedules[scope] }
+]));
+
+/**
+ * Get a portal's sync schedules, with defaults for scopes it has not set
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Object} Schedules by scope ({ enabled, cron })
+ */
+function getSyncSchedules(portalId) {
+  const custom = getPortalSettings(portalId).syncSchedules || {};
+  return Object.fromEntries(SCHEDULED_SCOPES.map(scope => [scope, { ...DEFAULT_SYNC_SCHEDULES[scope], ...custom[scope] }]));
+}
+
+/**
+ * Validate schedule changes
+ * @param {Object} schedules - Schedules by scope ({ enabled?, cron? })
+ * @returns {string[]} Validation errors
+ */
+function validateSyncSchedules(schedules) {
+  if (!schedules || typeof schedules !== 'object' || Array.isArray(schedules)) {
+    return ['Schedules must be an object'];
+  }
+
+  const errors = [];
+
+  for (const [scope, schedule] of Object.entries(schedules)) {
+    if (!SCHEDULED_SCOPES.includes(scope)) {
+      errors.push(`Unknown schedule: ${scope} (expected one of: ${SCHEDULED_SCOPES.join(', ')})`);
+      continue;
+    }
+    if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+      errors.push(`${scope} must be an object`);
+      continue;
+    }
+
+    const unknown = Object.keys(schedule).filter(key => !['enabled', 'cron'].includes(key));
+    if (unknown.length > 0) {
+      errors.push(`${scope} has unknown fields: ${unknown.join(', ')}`);
+    }
+    if (schedule.enabled !== undefined && typeof schedule.enabled !== 'boolean') {
+      errors.push(`${scope}.enabled must be a boolean`);
+    }
+    if (schedule.cron !== undefined) {
+      const cronError = validateCron(schedule.cron);
+      if (cronError) {
+        errors.push(`${scope}.cron: ${cronError}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate and store schedule changes; scopes left out keep their schedule
+ * @param {string} portalId - HubSpot portal ID
+ * @param {Object} schedules - Schedules by scope ({ enabled?, cron? })
+ * @returns {Object} Result ({ schedules } or { errors })
+ */
+function setSyncSchedules(portalId, schedules) {
+  const errors = validateSyncSchedules(schedules);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const custom = { ...getPortalSettings(portalId).syncSchedules };
+  for (const [scope, schedule] of Object.entries(schedules)) {
+    custom[scope] = { ...custom[scope], ...schedule };
+  }
+
+  updatePortalSettings(portalId, { syncSchedules: custom });
+  return { schedules: getSyncSchedules(portalId) };
+}
+
+/**
+ * Go back to the default schedules
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Object} Default schedules
+ */
+function resetSyncSchedules(portalId) {
+  updatePortalSettings(portalId, { syncSchedules: null });
+  return getSyncSchedules(portalId);
+}
+
+module.exports = {
+  SCHEDULED_SCOPES,
+  DEFAULT_SYNC_SCHEDULES,
+  getSyncSchedules,
+  validateSyncSchedules,
+  setSyncSchedules,
+  resetSyncSchedules
+};
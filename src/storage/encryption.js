@@ -0,0 +1,66 @@
+/**
+ * AES-256-GCM encryption for secrets stored at rest
+ */
+const crypto = require('crypto');
+const { config } = require('../config');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+/**
+ * Derive the 256-bit encryption key from configuration
+ * There is no fallback: a default key would leave stored secrets readable by anyone with the data files.
+ * @returns {Buffer} Encryption key
+ * @throws {Error} When ENCRYPTION_KEY is not set
+ */
+function getKey() {
+  if (!config.storage.encryptionKey) {
+    throw new Error('ENCRYPTION_KEY must be set to encrypt stored secrets');
+  }
+  return crypto.createHash('sha256').update(config.storage.encryptionKey).digest();
+}
+
+/**
+ * Encrypt a string value
+ * @param {string} plaintext - Value to encrypt
+ * @returns {string|null} Encrypted payload
+ */
+function encrypt(plaintext) {
+  if (plaintext === undefined || plaintext === null) {
+    return null;
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [VERSION, iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+/**
+ * Decrypt a payload produced by encrypt()
+ * @param {string} payload - Encrypted payload
+ * @returns {string|null} Decrypted value
+ */
+function decrypt(payload) {
+  if (!payload) {
+    return null;
+  }
+
+  const [version, iv, tag, ciphertext] = payload.split(':');
+
+  if (version !== VERSION || !iv || !tag || !ciphertext) {
+    throw new Error('Unsupported encrypted payload format');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+module.exports = { encrypt, decrypt };
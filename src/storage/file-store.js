@@ -0,0 +1,54 @@
+/**
+ * JSON file-backed key/value store
+ *
+ * Records are kept in memory and written through to a single JSON file per
+ * store, so reads stay synchronous and survive restarts.
+ */
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./memory-store');
+const logger = require('../logger');
+
+class FileStore extends MemoryStore {
+  constructor(name, dataDir) {
+    super(name);
+    this.filePath = path.resolve(dataDir, `${name}.json`);
+    this.load();
+  }
+
+  /**
+   * Load records from disk
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const contents = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.records = new Map(Object.entries(contents));
+      logger.info('Loaded store from disk', { store: this.name, records: this.records.size });
+    } catch (error) {
+      logger.error('Failed to load store from disk', { store: this.name, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Write all records to disk atomically
+   */
+  persist() {
+    const tempPath = `${this.filePath}.tmp`;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(this.records)), { mode: 0o600 });
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      logger.error('Failed to persist store to disk', { store: this.name, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = FileStore;
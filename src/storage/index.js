@@ -0,0 +1,24 @@
+/**
+ * Pluggable storage backends
+ */
+const { config } = require('../config');
+const MemoryStore = require('./memory-store');
+const FileStore = require('./file-store');
+
+/**
+ * Create a named key/value store using the configured driver
+ * @param {string} name - Store name (used as the file name for the file driver)
+ * @returns {MemoryStore} Store instance
+ */
+function createStore(name) {
+  switch (config.storage.driver) {
+  case 'memory':
+    return new MemoryStore(name);
+  case 'file':
+    return new FileStore(name, config.storage.dataDir);
+  default:
+    throw new Error(`Unknown storage driver: ${config.storage.driver}`);
+  }
+}
+
+module.exports = { createStore, MemoryStore, FileStore };
@@ -0,0 +1,95 @@
+/**
+ * In-memory key/value store
+ */
+
+class MemoryStore {
+  constructor(name) {
+    this.name = name;
+    this.records = new Map();
+  }
+
+  /**
+   * Get a record by key
+   * @param {string} key - Record key
+   * @returns {*} Stored value or null
+   */
+  get(key) {
+    return this.records.has(key) ? this.records.get(key) : null;
+  }
+
+  /**
+   * Store a record
+   * @param {string} key - Record key
+   * @param {*} value - JSON-serializable value
+   */
+  set(key, value) {
+    this.records.set(key, value);
+    this.persist();
+  }
+
+  /**
+   * Store several records, persisting once
+   * @param {Array} entries - [key, value] pairs
+   */
+  setMany(entries) {
+    if (entries.length === 0) {
+      return;
+    }
+
+    entries.forEach(([key, value]) => this.records.set(key, value));
+    this.persist();
+  }
+
+  /**
+   * Delete a record
+   * @param {string} key - Record key
+   * @returns {boolean} True if a record was removed
+   */
+  delete(key) {
+    const removed = this.records.delete(key);
+    if (removed) {
+      this.persist();
+    }
+    return removed;
+  }
+
+  /**
+   * Check if a record exists
+   * @param {string} key - Record key
+   * @returns {boolean} True if present
+   */
+  has(key) {
+    return this.records.has(key);
+  }
+
+  /**
+   * Get all record keys
+   * @returns {string[]} Keys
+   */
+  keys() {
+    return Array.from(this.records.keys());
+  }
+
+  /**
+   * Get all record values
+   * @returns {Array} Values
+   */
+  values() {
+    return Array.from(this.records.values());
+  }
+
+  /**
+   * Remove all records
+   */
+  clear() {
+    this.records.clear();
+    this.persist();
+  }
+
+  /**
+   * Persist records - no-op for the memory backend
+   */
+  persist() {}
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,161 @@
+/**
+ * Sync of TrackerRMS clients into HubSpot companies
+ */
+const logger = require('../logger');
+
+/**
+ * Normalise a website or domain to a bare HubSpot company domain
+ * @param {string} value - Website URL or domain
+ * @returns {string|null} Domain (e.g. 'acme.com')
+ */
+function normalizeDomain(value) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+
+  const domain = value.trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '')
+    .split(/[/?#]/)[0]
+    .split(':')[0];
+
+  return domain.includes('.') ? domain : null;
+}
+
+/**
+ * Index companies by a property value, keeping the first company per value
+ * @param {Array} companies - HubSpot companies
+ * @param {string} propertyName - Property to index on
+ * @param {Function} [normalize] - Value normaliser
+ * @returns {Map<string, Object>} Companies by property value
+ */
+function indexCompanies(companies, propertyName, normalize = String) {
+  const index = new Map();
+
+  for (const company of companies) {
+    const value = company.properties?.[propertyName];
+    const key = value ? normalize(value) : null;
+    if (key && !index.has(key)) {
+      index.set(key, company);
+    }
+  }
+
+  return index;
+}
+
+const normalizeName = name => String(name).trim().toLowerCase();
+
+class CompanySync {
+  /**
+   * @param {HubSpotService} hubspot - HubSpot service for the portal
+   */
+  constructor(hubspot) {
+    this.hubspot = hubspot;
+  }
+
+  /**
+   * Create or update HubSpot companies for a batch of TrackerRMS clients
+   * Clients are matched on the trackerrms_client_id company property first, then on domain.
+   * @param {Array} clients - TrackerRMS clients
+   * @returns {Promise<Array>} Per-item results, in input order
+   */
+  async syncClientBatch(clients) {
+    const byClientId = indexCompanies(
+      await this.hubspot.searchCompaniesByPropertyValues('trackerrms_client_id', clients.map(client => client.id)),
+      'trackerrms_client_id'
+    );
+
+    const unmatchedDomains = clients
+      .filter(client => !byClientId.has(String(client.id)))
+      .map(client => this.getClientDomain(client))
+      .filter(Boolean);
+    const byDomain = unmatchedDomains.length > 0
+      ? indexCompanies(await this.hubspot.searchCompaniesByPropertyValues('domain', unmatchedDomains), 'domain', normalizeDomain)
+      : new Map();
+
+    const results = [];
+
+    for (const client of clients) {
+      try {
+        const domain = this.getClientDomain(client);
+        const existing = byClientId.get(String(client.id)) || (domain && byDomain.get(domain));
+        const properties = this.mapClientToCompanyProperties(client);
+
+        if (existing) {
+          // HubSpot owns the company's name and domain once it exists
+          delete properties.name;
+          delete properties.domain;
+          await this.hubspot.updateCompany(existing.id, properties);
+          results.push({ clientId: client.id, companyId: existing.id, action: 'updated' });
+        } else {
+          const company = await this.hubspot.createCompany(properties);
+          byClientId.set(String(client.id), company);
+          results.push({ clientId: client.id, companyId: company.id, action: 'created' });
+        }
+      } catch (error) {
+        logger.error('Failed to sync client', { clientId: client.id, error: error.message });
+        results.push({ clientId: client.id, action: 'error', error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Find the HubSpot companies for jobs or placements
+   * Records are matched on their clientId, falling back to the client name.
+   * @param {Array} records - TrackerRMS jobs or placements
+   * @returns {Promise<Array<string|null>>} Company ID per record, in input order
+   */
+  async resolveCompanyIds(records) {
+    const clientIds = records.map(record => record.clientId).filter(Boolean);
+    const byClientId = clientIds.length > 0
+      ? indexCompanies(await this.hubspot.searchCompaniesByPropertyValues('trackerrms_client_id', clientIds), 'trackerrms_client_id')
+      : new Map();
+
+    const unmatchedNames = records
+      .filter(record => record.clientName && !byClientId.has(String(record.clientId)))
+      .map(record => record.clientName);
+    const byName = unmatchedNames.length > 0
+      ? indexCompanies(await this.hubspot.searchCompaniesByPropertyValues('name', unmatchedNames), 'name', normalizeName)
+      : new Map();
+
+    return records.map(record => {
+      const company = (record.clientId && byClientId.get(String(record.clientId))) ||
+        (record.clientName && byName.get(normalizeName(record.clientName)));
+      return company ? company.id : null;
+    });
+  }
+
+  /**
+   * Get a client's normalised domain
+   * @param {Object} client - TrackerRMS client
+   * @returns {string|null} Domain
+   */
+  getClientDomain(client) {
+    return normalizeDomain(client.domain || client.website || client.url);
+  }
+
+  /**
+   * Map TrackerRMS client to HubSpot company properties
+   * @param {Object} client - TrackerRMS client
+   * @returns {Object} Company properties
+   */
+  mapClientToCompanyProperties(client) {
+    const properties = {
+      name: client.name || client.companyName,
+      domain: this.getClientDomain(client),
+      trackerrms_client_id: client.id,
+      phone: client.phone,
+      city: client.city,
+      state: client.state,
+      country: client.country
+    };
+
+    return Object.fromEntries(
+      Object.entries(properties).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+  }
+}
+
+module.exports = CompanySync;
@@ -0,0 +1,185 @@
+/**
+ * Sync of placement candidates and hiring managers into HubSpot contacts
+ */
+const { getPortalSettings, updatePortalSettings } = require('../settings/portal-settings');
+const logger = require('../logger');
+
+// Deal-to-contact association labels applied to placement contacts, and the
+// contact property holding each role's TrackerRMS ID
+const CONTACT_ROLES = {
+  placedCandidate: { label: 'Placed Candidate', name: 'placed_candidate', idProperty: 'trackerrms_candidate_id' },
+  hiringManager: { label: 'Hiring Manager', name: 'hiring_manager', idProperty: 'trackerrms_contact_id' }
+};
+
+/**
+ * Split a full name into HubSpot first and last name properties
+ * @param {string} name - Full name
+ * @returns {Object} { firstname, lastname }
+ */
+function splitName(name) {
+  const parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+  return {
+    firstname: parts[0],
+    lastname: parts.length > 1 ? parts.slice(1).join(' ') : undefined
+  };
+}
+
+/**
+ * Drop empty values from a property set
+ * @param {Object} properties - Properties
+ * @returns {Object} Properties with values
+ */
+function compact(properties) {
+  return Object.fromEntries(
+    Object.entries(properties).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
+}
+
+class ContactSync {
+  /**
+   * @param {HubSpotService} hubspot - HubSpot service for the portal
+   * @param {string} portalId - HubSpot portal ID
+   */
+  constructor(hubspot, portalId) {
+    this.hubspot = hubspot;
+    this.portalId = portalId;
+    this.labelTypeIds = getPortalSettings(portalId).contactAssociationLabels;
+  }
+
+  /**
+   * Provision the "Placed Candidate" and "Hiring Manager" deal-to-contact labels
+   * @returns {Promise<Object>} Label type IDs ({ placedCandidate, hiringManager })
+   */
+  async ensureAssociationLabels() {
+    if (this.labelTypeIds?.placedCandidate && this.labelTypeIds?.hiringManager) {
+      return this.labelTypeIds;
+    }
+
+    const findTypeId = types => role => types
+      .find(type => type.category === 'USER_DEFINED' && type.label === CONTACT_ROLES[role].label)?.typeId;
+
+    let types = await this.hubspot.getAssociationLabels('deals', 'contacts');
+    const missing = Object.keys(CONTACT_ROLES).filter(role => !findTypeId(types)(role));
+
+    for (const role of missing) {
+      await this.hubspot.createAssociationLabel('deals', 'contacts', CONTACT_ROLES[role].label, CONTACT_ROLES[role].name);
+    }
+    if (missing.length > 0) {
+      types = await this.hubspot.getAssociationLabels('deals', 'contacts');
+    }
+
+    this.labelTypeIds = {
+      placedCandidate: findTypeId(types)('placedCandidate'),
+      hiringManager: findTypeId(types)('hiringManager')
+    };
+    updatePortalSettings(this.portalId, { contactAssociationLabels: this.labelTypeIds });
+
+    return this.labelTypeIds;
+  }
+
+  /**
+   * Upsert a placement's candidate and hiring manager and associate them with the deal
+   * @param {Object} placement - TrackerRMS placement
+   * @param {string} [dealId] - Placement deal ID
+   * @param {Object} options - Options
+   * @param {boolean} [options.includeCandidate=true] - Whether to write the candidate (PII opt-out)
+   * @returns {Promise<Object>} Contact IDs by role ({ placedCandidate, hiringManager })
+   */
+  async syncPlacementContacts(placement, dealId, options = {}) {
+    const { includeCandidate = true } = options;
+    const people = {
+      placedCandidate: includeCandidate ? this.getCandidate(placement) : null,
+      hiringManager: this.getHiringManager(placement)
+    };
+    const contactIds = {};
+
+    for (const [role, person] of Object.entries(people)) {
+      if (!person?.email) {
+        continue;
+      }
+
+      const contactId = await this.upsertContact(person, role);
+      contactIds[role] = contactId;
+
+      if (dealId) {
+        const labelTypeIds = await this.ensureAssociationLabels();
+        await this.hubspot.associateDealWithContact(dealId, contactId, labelTypeIds[role]);
+      }
+    }
+
+    return contactIds;
+  }
+
+  /**
+   * Create or update a contact matched on email
+   * @param {Object} person - Person ({ trackerrmsId, email, name, phone, jobTitle, company })
+   * @param {string} [role] - Contact role ('placedCandidate' or 'hiringManager')
+   * @returns {Promise<string>} Contact ID
+   */
+  async upsertContact(person, role) {
+    const properties = this.mapPersonToContactProperties(person, role);
+    const existing = await this.hubspot.findContactByEmail(person.email);
+
+    if (existing) {
+      await this.hubspot.updateContact(existing.id, properties);
+      return existing.id;
+    }
+
+    const contact = await this.hubspot.createContact(properties);
+    logger.info('Created placement contact', { contactId: contact.id });
+    return contact.id;
+  }
+
+  /**
+   * Get the placed candidate from a placement
+   * @param {Object} placement - TrackerRMS placement
+   * @returns {Object} Person
+   */
+  getCandidate(placement) {
+    const candidate = placement.candidate || {};
+    return {
+      trackerrmsId: placement.candidateId || candidate.id,
+      email: placement.candidateEmail || candidate.email,
+      name: placement.candidateName || candidate.name,
+      phone: placement.candidatePhone || candidate.phone
+    };
+  }
+
+  /**
+   * Get the client hiring manager from a placement
+   * @param {Object} placement - TrackerRMS placement
+   * @returns {Object} Person
+   */
+  getHiringManager(placement) {
+    const manager = placement.hiringManager || {};
+    return {
+      trackerrmsId: placement.hiringManagerId || manager.id,
+      email: placement.hiringManagerEmail || manager.email,
+      name: placement.hiringManagerName || manager.name,
+      phone: placement.hiringManagerPhone || manager.phone,
+      jobTitle: manager.title,
+      company: placement.clientName
+    };
+  }
+
+  /**
+   * Map a person to HubSpot contact properties
+   * @param {Object} person - Person
+   * @param {string} [role] - Contact role, which decides where the TrackerRMS ID is written
+   * @returns {Object} Contact properties
+   */
+  mapPersonToContactProperties(person, role) {
+    const idProperty = CONTACT_ROLES[role]?.idProperty;
+
+    return compact({
+      ...(idProperty && { [idProperty]: person.trackerrmsId }),
+      email: person.email,
+      ...splitName(person.name),
+      phone: person.phone,
+      jobtitle: person.jobTitle,
+      company: person.company
+    });
+  }
+}
+
+module.exports = ContactSync;
@@ -0,0 +1,147 @@
+/**
+ * Minimal five-field cron expressions for sync schedules
+ *
+ * Supports "minute hour day-of-month month day-of-week" with *, lists (1,15),
+ * ranges (1-5) and steps (*\/15, 0-30/10). Expressions are evaluated in UTC.
+ * As in standard cron, when both day fields are restricted a day matches
+ * either of them.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  // 7 is accepted as Sunday
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Searching further than this means the expression can never match (e.g. 30 February)
+const MAX_SEARCH_DAYS = 366 * 5;
+
+/**
+ * Parse one cron field into the values it matches
+ * @param {string} text - Field text
+ * @param {Object} field - Field definition ({ name, min, max })
+ * @returns {Set<number>} Matching values
+ * @throws {Error} When the field is invalid
+ */
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid ${name} field: ${text}`);
+    }
+
+    const [, range, startText, endText, stepText] = match;
+    const start = range === '*' ? min : Number(startText);
+    const end = range === '*' ? max : Number(endText ?? (stepText ? max : startText));
+    const step = stepText ? Number(stepText) : 1;
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid ${name} field: ${text}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field cron expression
+ * @returns {Object} Matching values per field ({ minutes, hours, daysOfMonth, months, daysOfWeek, ... })
+ * @throws {Error} When the expression is invalid
+ */
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression must have ${FIELDS.length} fields: ${expression}`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    restrictsDayOfMonth: parts[2] !== '*',
+    restrictsDayOfWeek: parts[4] !== '*'
+  };
+}
+
+/**
+ * Check a cron expression
+ * @param {string} expression - Cron expression
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateCron(expression) {
+  try {
+    parseCron(expression);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Whether a day matches the expression's day-of-month and day-of-week fields
+ * @param {Object} cron - Parsed expression
+ * @param {Date} date - Day to check (UTC)
+ * @returns {boolean} True when the day matches
+ */
+function matchesDay(cron, date) {
+  const dayOfMonth = cron.daysOfMonth.has(date.getUTCDate());
+  const dayOfWeek = cron.daysOfWeek.has(date.getUTCDay());
+
+  if (cron.restrictsDayOfMonth && cron.restrictsDayOfWeek) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Get the first time after a date that matches a cron expression
+ * @param {string} expression - Cron expression
+ * @param {Date} [after] - Start searching after this time (defaults to now)
+ * @returns {Date} Next matching time, to the minute
+ * @throws {Error} When the expression is invalid or never matches
+ */
+function nextCronTime(expression, after = new Date()) {
+  const cron = parseCron(expression);
+  const date = new Date(after.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = after.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+    } else if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+    } else if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  throw new Error(`Cron expression never matches: ${expression}`);
+}
+
+module.exports = { parseCron, validateCron, nextCronTime };
@@ -0,0 +1,336 @@
+/**
+ * Sync of TrackerRMS jobs and placements into HubSpot custom objects
+ */
+const CompanySync = require('./company-sync');
+const { isDryRunHubSpot } = require('./dry-run');
+const { getPortalSettings, updatePortalSettings } = require('../settings/portal-settings');
+const logger = require('../logger');
+
+const JOB_OBJECT_NAME = 'trackerrms_job';
+const PLACEMENT_OBJECT_NAME = 'trackerrms_placement';
+
+/**
+ * Build a custom object property definition
+ * @param {string} name - Property name
+ * @param {string} label - Property label
+ * @param {string} type - Property type ('string', 'number' or 'date')
+ * @returns {Object} Property definition
+ */
+function property(name, label, type = 'string') {
+  const fieldTypes = { string: 'text', number: 'number', date: 'date' };
+  return { name, label, type, fieldType: fieldTypes[type] };
+}
+
+const JOB_SCHEMA = {
+  name: JOB_OBJECT_NAME,
+  labels: { singular: 'TrackerRMS Job', plural: 'TrackerRMS Jobs' },
+  primaryDisplayProperty: 'job_title',
+  requiredProperties: ['trackerrms_job_id'],
+  searchableProperties: ['trackerrms_job_id', 'job_title', 'client_name'],
+  properties: [
+    { ...property('trackerrms_job_id', 'TrackerRMS Job ID'), hasUniqueValue: true },
+    property('job_title', 'Job Title'),
+    property('status', 'Status'),
+    property('client_name', 'Client'),
+    property('service_line', 'Service Line'),
+    property('location', 'Location'),
+    property('positions', 'Positions', 'number'),
+    property('bill_rate', 'Bill Rate', 'number'),
+    property('estimated_revenue', 'Estimated Revenue', 'number'),
+    property('open_date', 'Open Date', 'date'),
+    property('target_date', 'Target Date', 'date')
+  ],
+  associatedObjects: ['DEAL', 'COMPANY']
+};
+
+const PLACEMENT_SCHEMA = {
+  name: PLACEMENT_OBJECT_NAME,
+  labels: { singular: 'TrackerRMS Placement', plural: 'TrackerRMS Placements' },
+  primaryDisplayProperty: 'placement_title',
+  requiredProperties: ['trackerrms_placement_id'],
+  searchableProperties: ['trackerrms_placement_id', 'placement_title', 'candidate_name'],
+  properties: [
+    { ...property('trackerrms_placement_id', 'TrackerRMS Placement ID'), hasUniqueValue: true },
+    property('trackerrms_job_id', 'TrackerRMS Job ID'),
+    property('placement_title', 'Placement'),
+    property('status', 'Status'),
+    property('candidate_name', 'Candidate'),
+    property('client_name', 'Client'),
+    property('service_line', 'Service Line'),
+    property('start_date', 'Start Date', 'date'),
+    property('end_date', 'End Date', 'date'),
+    property('bill_rate', 'Bill Rate', 'number'),
+    property('pay_rate', 'Pay Rate', 'number'),
+    property('hours', 'Hours', 'number'),
+    property('revenue', 'Revenue', 'number'),
+    property('margin', 'Margin', 'number')
+  ],
+  associatedObjects: ['DEAL', 'COMPANY', 'CONTACT']
+};
+
+/**
+ * Format a TrackerRMS date for a HubSpot date property
+ * @param {string} value - Date value
+ * @returns {string|null} Date as YYYY-MM-DD
+ */
+function toDateProperty(value) {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().substring(0, 10);
+}
+
+class CustomObjectSync {
+  /**
+   * @param {HubSpotService} hubspot - HubSpot service for the portal
+   * @param {string} portalId - HubSpot portal ID
+   */
+  constructor(hubspot, portalId) {
+    this.hubspot = hubspot;
+    this.portalId = portalId;
+    this.companies = new CompanySync(hubspot);
+    this.objectTypes = getPortalSettings(portalId).customObjects;
+  }
+
+  /**
+   * Provision the TrackerRMS Job and Placement schemas if the portal does not have them yet
+   * A dry run only looks the schemas up, and keeps their IDs out of the portal's settings.
+   * @returns {Promise<Object>} Object type IDs ({ jobObjectTypeId, placementObjectTypeId })
+   */
+  async ensureSchemas() {
+    if (this.objectTypes?.jobObjectTypeId && this.objectTypes?.placementObjectTypeId) {
+      return this.objectTypes;
+    }
+
+    const schemas = await this.hubspot.getSchemas();
+    const findSchema = name => schemas.find(schema => schema.name === name);
+
+    const jobSchema = findSchema(JOB_OBJECT_NAME) || await this.hubspot.createSchema(JOB_SCHEMA);
+    const placementSchema = findSchema(PLACEMENT_OBJECT_NAME) || await this.hubspot.createSchema(PLACEMENT_SCHEMA);
+
+    const linked = (jobSchema.associations || [])
+      .some(association => association.toObjectTypeId === placementSchema.objectTypeId);
+    if (!linked) {
+      await this.hubspot.createSchemaAssociation(jobSchema.objectTypeId, placementSchema.objectTypeId, 'job_to_placement');
+    }
+
+    this.objectTypes = {
+      jobObjectTypeId: jobSchema.objectTypeId,
+      placementObjectTypeId: placementSchema.objectTypeId
+    };
+    if (!isDryRunHubSpot(this.hubspot)) {
+      updatePortalSettings(this.portalId, { customObjects: this.objectTypes });
+      logger.info('TrackerRMS custom objects provisioned', { portalId: this.portalId, ...this.objectTypes });
+    }
+
+    return this.objectTypes;
+  }
+
+  /**
+   * Create or update a custom object record matched on its TrackerRMS ID
+   * @param {string} objectTypeId - Custom object type ID
+   * @param {string} idProperty - TrackerRMS ID property
+   * @param {Object} properties - Record properties
+   * @returns {Promise<Object>} Result ({ objectId, action })
+   */
+  async upsertRecord(objectTypeId, idProperty, properties) {
+    const [existing] = await this.hubspot.searchObjectsByPropertyValues(objectTypeId, idProperty, [properties[idProperty]]);
+
+    if (existing) {
+      await this.hubspot.updateObject(objectTypeId, existing.id, properties);
+      return { objectId: existing.id, action: 'updated' };
+    }
+
+    const created = await this.hubspot.createObject(objectTypeId, properties);
+    return { objectId: created.id, action: 'created' };
+  }
+
+  /**
+   * Find a custom object record by its TrackerRMS ID
+   * @param {string} objectTypeId - Custom object type ID
+   * @param {string} idProperty - TrackerRMS ID property
+   * @param {string} value - TrackerRMS ID
+   * @returns {Promise<Object|null>} Record or null
+   */
+  async findRecord(objectTypeId, idProperty, value) {
+    const [record] = await this.hubspot.searchObjectsByPropertyValues(objectTypeId, idProperty, [value]);
+    return record || null;
+  }
+
+  /**
+   * Associate a record, logging rather than failing when HubSpot rejects the association
+   * @param {string} fromObjectType - Source object type
+   * @param {string} fromObjectId - Source object ID
+   * @param {string} toObjectType - Target object type
+   * @param {string} toObjectId - Target object ID
+   * @returns {Promise<boolean>} Whether the association was created
+   */
+  async associate(fromObjectType, fromObjectId, toObjectType, toObjectId) {
+    try {
+      await this.hubspot.associateObjects(fromObjectType, fromObjectId, toObjectType, toObjectId);
+      return true;
+    } catch (error) {
+      logger.warn('Could not associate TrackerRMS record', { fromObjectType, fromObjectId, toObjectType, toObjectId, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Associate a record with the client's company, if one exists in HubSpot
+   * @param {string} objectTypeId - Custom object type ID
+   * @param {string} objectId - Record ID
+   * @param {Object} source - TrackerRMS job or placement
+   * @returns {Promise<string|null>} Company ID
+   */
+  async associateCompany(objectTypeId, objectId, source) {
+    if (!source.clientId && !source.clientName) {
+      return null;
+    }
+
+    const [companyId] = await this.companies.resolveCompanyIds([source]);
+    if (!companyId) {
+      return null;
+    }
+
+    await this.associate(objectTypeId, objectId, 'companies', companyId);
+    return companyId;
+  }
+
+  /**
+   * Write a job into its custom object and associate it with the job deal and client company
+   * @param {Object} job - TrackerRMS job
+   * @param {string} [dealId] - Job deal ID
+   * @returns {Promise<Object>} Result ({ objectId, action })
+   */
+  async syncJob(job, dealId) {
+    const { jobObjectTypeId } = await this.ensureSchemas();
+    const result = await this.upsertRecord(jobObjectTypeId, 'trackerrms_job_id', this.mapJobToProperties(job));
+
+    if (dealId) {
+      await this.associate(jobObjectTypeId, result.objectId, 'deals', dealId);
+    }
+    await this.associateCompany(jobObjectTypeId, result.objectId, job);
+
+    return result;
+  }
+
+  /**
+   * Write a placement into its custom object and associate it with the job deal,
+   * the job record and the client company
+   * @param {Object} placement - TrackerRMS placement
+   * @returns {Promise<Object>} Sync result
+   */
+  async syncPlacement(placement) {
+    const { jobObjectTypeId, placementObjectTypeId } = await this.ensureSchemas();
+    const { objectId, action } = await this.upsertRecord(
+      placementObjectTypeId,
+      'trackerrms_placement_id',
+      this.mapPlacementToProperties(placement)
+    );
+    const result = { placementId: placement.id, objectId, action };
+
+    if (placement.jobId) {
+      const [jobDeal] = await this.hubspot.searchDeals('trackerrms_job_id', placement.jobId);
+      if (jobDeal) {
+        await this.associate(placementObjectTypeId, objectId, 'deals', jobDeal.id);
+        result.jobId = placement.jobId;
+        result.dealId = jobDeal.id;
+      }
+
+      const jobRecord = await this.findRecord(jobObjectTypeId, 'trackerrms_job_id', placement.jobId);
+      if (jobRecord) {
+        await this.associate(placementObjectTypeId, objectId, jobObjectTypeId, jobRecord.id);
+      }
+    }
+
+    await this.associateCompany(placementObjectTypeId, objectId, placement);
+
+    return result;
+  }
+
+  /**
+   * Associate a placement record with its candidate and hiring manager contacts
+   * @param {string} objectId - Placement record ID
+   * @param {Array<string>} contactIds - Contact IDs
+   * @returns {Promise<void>}
+   */
+  async associatePlacementContacts(objectId, contactIds) {
+    const { placementObjectTypeId } = await this.ensureSchemas();
+
+    for (const contactId of contactIds) {
+      await this.associate(placementObjectTypeId, objectId, 'contacts', contactId);
+    }
+  }
+
+  /**
+   * Update a placement record with revenue data
+   * @param {string} placementId - TrackerRMS placement ID
+   * @param {Object} revenueData - TrackerRMS revenue data
+   * @returns {Promise<string|null>} Updated record ID, or null if the placement has no record
+   */
+  async updatePlacementRevenue(placementId, revenueData) {
+    const { placementObjectTypeId } = await this.ensureSchemas();
+    const record = await this.findRecord(placementObjectTypeId, 'trackerrms_placement_id', placementId);
+
+    if (!record) {
+      return null;
+    }
+
+    await this.hubspot.updateObject(placementObjectTypeId, record.id, {
+      revenue: revenueData.totalRevenue || 0,
+      margin: revenueData.margin || 0
+    });
+    return record.id;
+  }
+
+  /**
+   * Map TrackerRMS job to custom object properties
+   * @param {Object} job - TrackerRMS job
+   * @returns {Object} Record properties
+   */
+  mapJobToProperties(job) {
+    return {
+      trackerrms_job_id: job.id,
+      job_title: job.title || job.name,
+      status: job.status || '',
+      client_name: job.clientName || '',
+      service_line: job.serviceLine || job.category || '',
+      location: job.location || '',
+      positions: job.positions || job.numberOfPositions || 1,
+      bill_rate: job.billRate || 0,
+      estimated_revenue: job.estimatedRevenue || 0,
+      open_date: toDateProperty(job.openDate || job.createdAt),
+      target_date: toDateProperty(job.targetDate)
+    };
+  }
+
+  /**
+   * Map TrackerRMS placement to custom object properties
+   * @param {Object} placement - TrackerRMS placement
+   * @returns {Object} Record properties
+   */
+  mapPlacementToProperties(placement) {
+    const { excludeCandidatePii } = getPortalSettings(this.portalId);
+
+    return {
+      trackerrms_placement_id: placement.id,
+      trackerrms_job_id: placement.jobId || '',
+      placement_title: placement.title || (excludeCandidatePii ? `Placement ${placement.id}` : `Placement: ${placement.candidateName}`),
+      status: placement.status || '',
+      candidate_name: excludeCandidatePii ? '' : placement.candidateName || '',
+      client_name: placement.clientName || '',
+      service_line: placement.serviceLine || '',
+      start_date: toDateProperty(placement.startDate),
+      end_date: toDateProperty(placement.endDate),
+      bill_rate: placement.billRate || 0,
+      pay_rate: placement.payRate || 0,
+      hours: placement.hours || 0,
+      revenue: placement.revenue || 0,
+      margin: placement.margin || 0
+    };
+  }
+}
+
+module.exports = CustomObjectSync;
@@ -0,0 +1,205 @@
+/**
+ * Dead-letter store for records and webhook events that failed to sync
+ *
+ * Each failed job, placement, revenue update or webhook event is kept with the
+ * payload needed to retry it, the last error, how many attempts have failed
+ * and when it first and last failed. A record has at most one entry: failing
+ * again updates it, and syncing successfully removes it. Pending entries are
+ * retried automatically with exponential backoff until they have failed
+ * maxAttempts times, after which they are only retried on request.
+ */
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('../storage');
+const { config } = require('../config');
+const logger = require('../logger');
+
+const deadLetterStore = createStore('sync-dead-letters');
+
+const DEAD_LETTER_ENTITIES = ['jobs', 'placements', 'revenue', 'webhook'];
+
+/**
+ * Summarise an entry for listings, without its payload
+ * @param {Object} entry - Dead letter
+ * @returns {Object} Dead letter summary
+ */
+function summarizeDeadLetter({ payload: _payload, ...entry }) {
+  return entry;
+}
+
+/**
+ * Get a portal's entries, most recently failed first
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Array} Dead letters
+ */
+function getPortalDeadLetters(portalId) {
+  return deadLetterStore.values()
+    .filter(entry => entry.portalId === String(portalId))
+    .sort((a, b) => b.lastFailedAt.localeCompare(a.lastFailedAt));
+}
+
+/**
+ * Work out when a failed entry is next retried automatically
+ * @param {number} attempts - Failed attempts so far
+ * @param {string} failedAt - Time of the last failure (ISO 8601)
+ * @returns {string|null} Next retry time (ISO 8601), or null once attempts are exhausted
+ */
+function computeNextRetryAt(attempts, failedAt) {
+  const { maxAttempts, retryBaseMs, retryMaxMs } = config.sync.deadLetters;
+
+  if (attempts >= maxAttempts) {
+    return null;
+  }
+
+  const delayMs = Math.min(retryMaxMs, retryBaseMs * Math.pow(2, attempts - 1));
+  return new Date(Date.parse(failedAt) + delayMs).toISOString();
+}
+
+/**
+ * Record failed records, adding entries or updating the ones they already have
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} entity - 'jobs', 'placements', 'revenue' or 'webhook'
+ * @param {Array} failures - Failures ({ recordId, payload, error })
+ * @returns {Array} Dead letters
+ */
+function recordFailures(portalId, entity, failures) {
+  if (failures.length === 0) {
+    return [];
+  }
+
+  const existing = new Map(getPortalDeadLetters(portalId)
+    .filter(entry => entry.entity === entity)
+    .map(entry => [entry.recordId, entry]));
+  const failedAt = new Date().toISOString();
+
+  const entries = failures.map(({ recordId, payload, error }) => {
+    const previous = existing.get(String(recordId));
+    const attempts = (previous?.attempts || 0) + 1;
+    const nextRetryAt = computeNextRetryAt(attempts, failedAt);
+    const entry = {
+      id: previous?.id || uuidv4(),
+      portalId: String(portalId),
+      entity,
+      recordId: String(recordId),
+      payload,
+      error: error instanceof Error ? error.message : String(error),
+      attempts,
+      firstFailedAt: previous?.firstFailedAt || failedAt,
+      lastFailedAt: failedAt,
+      nextRetryAt,
+      status: nextRetryAt ? 'pending' : 'exhausted'
+    };
+
+    logger.warn('Recorded dead letter', { portalId, entity, recordId: entry.recordId, attempts, status: entry.status });
+    return entry;
+  });
+
+  deadLetterStore.setMany(entries.map(entry => [entry.id, entry]));
+  return entries;
+}
+
+/**
+ * Remove the entries of records that have since synced successfully
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} entity - 'jobs', 'placements', 'revenue' or 'webhook'
+ * @param {Array} recordIds - IDs of the records that synced
+ * @returns {number} Entries removed
+ */
+function resolveDeadLetters(portalId, entity, recordIds) {
+  if (recordIds.length === 0) {
+    return 0;
+  }
+
+  const synced = new Set(recordIds.map(String));
+  const resolved = getPortalDeadLetters(portalId)
+    .filter(entry => entry.entity === entity && synced.has(entry.recordId));
+
+  resolved.forEach(entry => deadLetterStore.delete(entry.id));
+  if (resolved.length > 0) {
+    logger.info('Resolved dead letters', { portalId, entity, count: resolved.length });
+  }
+  return resolved.length;
+}
+
+/**
+ * List a portal's entries, most recently failed first, without their payloads
+ * @param {string} portalId - HubSpot portal ID
+ * @param {Object} filters - Filters
+ * @param {string} [filters.entity] - Only entries for this entity
+ * @param {string} [filters.status] - Only entries with this status ('pending' or 'exhausted')
+ * @returns {Array} Dead letter summaries
+ */
+function listDeadLetters(portalId, { entity, status } = {}) {
+  return getPortalDeadLetters(portalId)
+    .filter(entry => (!entity || entry.entity === entity) && (!status || entry.status === status))
+    .map(summarizeDeadLetter);
+}
+
+/**
+ * Get one of a portal's entries, with its payload
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} id - Dead letter ID
+ * @returns {Object|null} Dead letter
+ */
+function getDeadLetter(portalId, id) {
+  const entry = deadLetterStore.get(id);
+  return entry && entry.portalId === String(portalId) ? entry : null;
+}
+
+/**
+ * Get a portal's entries by ID, skipping IDs it does not have
+ * @param {string} portalId - HubSpot portal ID
+ * @param {Array} ids - Dead letter IDs
+ * @returns {Array} Dead letters
+ */
+function getDeadLetters(portalId, ids) {
+  return ids.map(id => getDeadLetter(portalId, id)).filter(Boolean);
+}
+
+/**
+ * Get the IDs of a portal's entries that are due an automatic retry
+ * @param {string} portalId - HubSpot portal ID
+ * @param {Date} [now] - Current time
+ * @returns {string[]} Dead letter IDs
+ */
+function getDueDeadLetterIds(portalId, now = new Date()) {
+  return getPortalDeadLetters(portalId)
+    .filter(entry => entry.status === 'pending' && Date.parse(entry.nextRetryAt) <= now.getTime())
+    .map(entry => entry.id);
+}
+
+/**
+ * Discard a portal's entries without retrying them
+ * @param {string} portalId - HubSpot portal ID
+ * @param {Array} ids - Dead letter IDs
+ * @returns {number} Entries discarded
+ */
+function discardDeadLetters(portalId, ids) {
+  const discarded = getDeadLetters(portalId, ids);
+  discarded.forEach(entry => deadLetterStore.delete(entry.id));
+
+  if (discarded.length > 0) {
+    logger.info('Discarded dead letters', { portalId, count: discarded.length });
+  }
+  return discarded.length;
+}
+
+/**
+ * Forget all of a portal's entries
+ * @param {string} portalId - HubSpot portal ID
+ */
+function removeDeadLetters(portalId) {
+  getPortalDeadLetters(portalId).forEach(entry => deadLetterStore.delete(entry.id));
+}
+
+module.exports = {
+  DEAD_LETTER_ENTITIES,
+  computeNextRetryAt,
+  recordFailures,
+  resolveDeadLetters,
+  listDeadLetters,
+  getDeadLetter,
+  getDeadLetters,
+  getDueDeadLetterIds,
+  discardDeadLetters,
+  removeDeadLetters
+};
@@ -0,0 +1,249 @@
+/**
+ * Dry-run support for syncs
+ *
+ * A dry run wraps the portal's HubSpotService: reads go to HubSpot as usual,
+ * while record writes are captured in a SyncPlan together with the current
+ * value of every property they would change. Provisioning calls (schemas,
+ * properties, labels, pipelines) are refused so nothing is created in the
+ * portal or stored in the portal's settings.
+ */
+const DRY_RUN_ID_PREFIX = 'dry-run-';
+
+// Properties that identify the TrackerRMS record (or contact) behind a HubSpot object
+const KEY_PROPERTIES = ['trackerrms_placement_id', 'trackerrms_job_id', 'trackerrms_client_id', 'trackerrms_line_item_key', 'email'];
+
+// Provisioning operations that would change the portal or persist IDs of objects that do not exist
+const BLOCKED_OPERATIONS = [
+  'createDealPipeline',
+  'createAssociationLabel',
+  'createSchema',
+  'createSchemaAssociation',
+  'createProperty',
+  'updateProperty',
+  'createPropertyGroup'
+];
+
+const isDryRunId = id => String(id).startsWith(DRY_RUN_ID_PREFIX);
+
+// Marks the HubSpot services created by createDryRunHubSpot
+const DRY_RUN_SERVICE = Symbol('dryRunService');
+
+/**
+ * Whether a HubSpot service only plans its writes
+ * @param {HubSpotService} hubspot - HubSpot service
+ * @returns {boolean} True for a dry-run HubSpot service
+ */
+const isDryRunHubSpot = hubspot => Boolean(hubspot?.[DRY_RUN_SERVICE]);
+
+const isBlank = value => value === undefined || value === null || value === '';
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}/;
+
+/**
+ * Whether a written value matches the value HubSpot holds
+ * HubSpot returns every property as a string, so numbers and dates are compared by value.
+ * @param {*} before - Current HubSpot value
+ * @param {*} after - Value that would be written
+ * @returns {boolean} True when writing would not change the property
+ */
+function valuesEqual(before, after) {
+  if (isBlank(before) || isBlank(after)) {
+    return isBlank(before) && isBlank(after);
+  }
+  if (String(before) === String(after)) {
+    return true;
+  }
+  if (!Number.isNaN(Number(before)) && !Number.isNaN(Number(after))) {
+    return Number(before) === Number(after);
+  }
+
+  // Dates are written as YYYY-MM-DD and read back as midnight UTC timestamps
+  return ISO_DATE.test(before) && ISO_DATE.test(after) && Date.parse(before) === Date.parse(after);
+}
+
+/**
+ * List the properties a write would change
+ * @param {Object} before - Current HubSpot properties
+ * @param {Object} after - Properties that would be written
+ * @returns {Array} Changes ({ property, before, after })
+ */
+function diffProperties(before, after) {
+  return Object.entries(after)
+    .filter(([property, value]) => !valuesEqual(before[property], value))
+    .map(([property, value]) => ({ property, before: isBlank(before[property]) ? null : before[property], after: value }));
+}
+
+/**
+ * Quote a value for CSV output
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function csvCell(value) {
+  if (isBlank(value)) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class SyncPlan {
+  constructor() {
+    this.changes = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Record an object that would be created
+   * @param {string} objectType - HubSpot object type
+   * @param {Object} properties - Properties that would be written
+   * @returns {string} Placeholder object ID
+   */
+  recordCreate(objectType, properties) {
+    const id = `${DRY_RUN_ID_PREFIX}${this.nextId++}`;
+    this.changes.push({
+      objectType,
+      action: 'create',
+      id,
+      key: this.keyOf(properties),
+      changes: diffProperties({}, properties)
+    });
+    return id;
+  }
+
+  /**
+   * Record an update, or a skip when nothing would change
+   * @param {string} objectType - HubSpot object type
+   * @param {string} id - Object ID
+   * @param {Object} before - Current HubSpot properties
+   * @param {Object} after - Properties that would be written
+   */
+  recordUpdate(objectType, id, before, after) {
+    const changes = diffProperties(before, after);
+    this.changes.push({
+      objectType,
+      action: changes.length > 0 ? 'update' : 'skip',
+      id: String(id),
+      key: this.keyOf({ ...before, ...after }),
+      changes
+    });
+  }
+
+  /**
+   * Record an object that would be archived
+   * @param {string} objectType - HubSpot object type
+   * @param {string} id - Object ID
+   */
+  recordArchive(objectType, id) {
+    this.changes.push({ objectType, action: 'archive', id: String(id), key: null, changes: [] });
+  }
+
+  /**
+   * Identify the record behind a set of properties
+   * @param {Object} properties - Object properties
+   * @returns {string|null} Key property value
+   */
+  keyOf(properties) {
+    const keyProperty = KEY_PROPERTIES.find(name => !isBlank(properties[name]));
+    return keyProperty ? `${keyProperty}:${properties[keyProperty]}` : null;
+  }
+
+  /**
+   * Count planned changes by action
+   * @returns {Object} { create, update, skip, archive }
+   */
+  getSummary() {
+    return this.changes.reduce(
+      (summary, change) => ({ ...summary, [change.action]: summary[change.action] + 1 }),
+      { create: 0, update: 0, skip: 0, archive: 0 }
+    );
+  }
+
+  toJSON() {
+    return { summary: this.getSummary(), changes: this.changes };
+  }
+
+  /**
+   * Render the plan as CSV, one row per changed property
+   * @returns {string} CSV document
+   */
+  toCSV() {
+    const rows = [['objectType', 'action', 'id', 'key', 'property', 'before', 'after']];
+
+    for (const change of this.changes) {
+      const base = [change.objectType, change.action, change.id, change.key];
+      if (change.changes.length === 0) {
+        rows.push([...base, '', '', '']);
+      }
+      for (const { property, before, after } of change.changes) {
+        rows.push([...base, property, before, after]);
+      }
+    }
+
+    return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+  }
+}
+
+/**
+ * Wrap a HubSpot service so record writes are planned instead of made
+ * @param {HubSpotService} hubspot - HubSpot service for the portal
+ * @param {SyncPlan} plan - Plan to record writes in
+ * @returns {HubSpotService} Dry-run HubSpot service
+ */
+function createDryRunHubSpot(hubspot, plan) {
+  const create = objectType => properties => ({ id: plan.recordCreate(objectType, properties), properties });
+
+  // Read the current values of the properties being written, then record the updates
+  const update = objectType => async updates => {
+    const existingIds = updates.map(({ id }) => id).filter(id => !isDryRunId(id));
+    const propertyNames = [...new Set(updates.flatMap(({ properties }) => Object.keys(properties)))];
+    const current = existingIds.length > 0
+      ? new Map((await hubspot.batchReadObjects(objectType, existingIds, propertyNames)).map(object => [String(object.id), object.properties]))
+      : new Map();
+
+    return updates.map(({ id, properties }) => {
+      plan.recordUpdate(objectType, id, current.get(String(id)) || {}, properties);
+      return { id: String(id), properties };
+    });
+  };
+
+  const writes = {
+    createDeal: async properties => create('deals')(properties),
+    updateDeal: async (id, properties) => (await update('deals')([{ id, properties }]))[0],
+    batchCreateDeals: async list => list.map(create('deals')),
+    batchUpdateDeals: update('deals'),
+    getDealLineItems: async (dealId, properties) => (isDryRunId(dealId) ? [] : hubspot.getDealLineItems(dealId, properties)),
+    batchCreateLineItems: async (_dealId, list) => list.map(create('line_items')),
+    batchUpdateLineItems: update('line_items'),
+    batchArchiveLineItems: async ids => ids.forEach(id => plan.recordArchive('line_items', id)),
+    createObject: async (objectType, properties) => create(objectType)(properties),
+    updateObject: async (objectType, id, properties) => (await update(objectType)([{ id, properties }]))[0],
+    createContact: async properties => create('contacts')(properties),
+    updateContact: async (id, properties) => (await update('contacts')([{ id, properties }]))[0],
+    createCompany: async properties => create('companies')(properties),
+    updateCompany: async (id, properties) => (await update('companies')([{ id, properties }]))[0],
+    // Associations follow from the records above, so they are not listed separately
+    associateDealWithContact: async () => ({}),
+    associateDealWithCompany: async () => ({}),
+    associateObjects: async () => ({})
+  };
+
+  return new Proxy(hubspot, {
+    get(target, property) {
+      if (property === DRY_RUN_SERVICE) {
+        return true;
+      }
+      if (Object.prototype.hasOwnProperty.call(writes, property)) {
+        return writes[property];
+      }
+      if (BLOCKED_OPERATIONS.includes(property)) {
+        return async () => {
+          throw new Error(`${property} is not available in a dry run`);
+        };
+      }
+      const value = target[property];
+      return typeof value === 'function' ? value.bind(target) : value;
+    }
+  });
+}
+
+module.exports = { SyncPlan, createDryRunHubSpot, isDryRunHubSpot, diffProperties, valuesEqual };
@@ -0,0 +1,214 @@
+/**
+ * Line items for placement deals
+ *
+ * Each placement is broken down into line items (permanent placement fee,
+ * contract billing periods, extensions and credits). Line items are keyed by
+ * trackerrms_line_item_key so re-syncs update them in place, and only line
+ * items this app created are ever changed or removed.
+ */
+const logger = require('../logger');
+
+const LINE_ITEM_PROPERTIES = ['name', 'description', 'quantity', 'price', 'trackerrms_line_item_key'];
+
+/**
+ * Round a money value to cents
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+function toMoney(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Describe a billing period
+ * @param {Object} period - Period ({ startDate, endDate })
+ * @returns {string} Period description
+ */
+function describePeriod(period) {
+  const start = period.startDate ? String(period.startDate).substring(0, 10) : null;
+  const end = period.endDate ? String(period.endDate).substring(0, 10) : null;
+  return [start, end].filter(Boolean).join(' to ');
+}
+
+/**
+ * Build a line item for an hours-based or fixed-amount billing entry
+ * @param {string} key - Line item key
+ * @param {string} name - Line item name
+ * @param {Object} entry - Billing entry ({ hours, billRate, amount, startDate, endDate })
+ * @param {number} defaultRate - Rate to use when the entry has none
+ * @returns {Object} Line item
+ */
+function billingLineItem(key, name, entry, defaultRate) {
+  const hasHours = entry.hours !== undefined && entry.hours !== null;
+
+  return {
+    key,
+    name,
+    description: describePeriod(entry),
+    quantity: hasHours ? Number(entry.hours) : 1,
+    price: toMoney(hasHours ? (entry.billRate ?? defaultRate) : entry.amount)
+  };
+}
+
+/**
+ * Break a placement down into line items
+ * @param {Object} placement - TrackerRMS placement
+ * @returns {Array<Object>} Line items ({ key, name, description, quantity, price })
+ */
+function buildPlacementLineItems(placement) {
+  const key = suffix => `${placement.id}:${suffix}`;
+  const fee = placement.placementFee ?? placement.fee;
+  const isPermanent = String(placement.type || placement.placementType || '').toLowerCase() === 'permanent';
+  const periods = placement.billingPeriods || [];
+  const extensions = placement.extensions || [];
+  const lineItems = [];
+
+  if (isPermanent || (fee !== undefined && fee !== null)) {
+    lineItems.push({
+      key: key('fee'),
+      name: 'Permanent placement fee',
+      description: '',
+      quantity: 1,
+      price: toMoney(fee ?? placement.revenue)
+    });
+  }
+
+  periods.forEach((period, index) => {
+    lineItems.push(billingLineItem(key(`period:${period.id ?? index + 1}`), 'Contract billing period', period, placement.billRate));
+  });
+
+  extensions.forEach((extension, index) => {
+    lineItems.push(billingLineItem(key(`extension:${extension.id ?? index + 1}`), 'Contract extension', extension, placement.billRate));
+  });
+
+  // Contracts without a period breakdown bill their revenue, or rate x hours, as one line
+  if (lineItems.length === 0) {
+    if (placement.revenue) {
+      lineItems.push({ key: key('revenue'), name: 'Placement revenue', description: '', quantity: 1, price: toMoney(placement.revenue) });
+    } else if (placement.billRate && placement.hours) {
+      lineItems.push({
+        key: key('contract'),
+        name: 'Contract hours',
+        description: '',
+        quantity: Number(placement.hours),
+        price: toMoney(placement.billRate)
+      });
+    }
+  }
+
+  (placement.credits || []).forEach((credit, index) => {
+    lineItems.push({
+      key: key(`credit:${credit.id ?? index + 1}`),
+      name: 'Credit',
+      description: credit.reason || credit.description || '',
+      quantity: 1,
+      price: -Math.abs(toMoney(credit.amount))
+    });
+  });
+
+  return lineItems;
+}
+
+/**
+ * Total value of a set of line items
+ * @param {Array<Object>} lineItems - Line items
+ * @returns {number} Total
+ */
+function lineItemsTotal(lineItems) {
+  return toMoney(lineItems.reduce((sum, item) => sum + item.quantity * item.price, 0));
+}
+
+class LineItemSync {
+  /**
+   * @param {HubSpotService} hubspot - HubSpot service for the portal
+   */
+  constructor(hubspot) {
+    this.hubspot = hubspot;
+  }
+
+  /**
+   * Bring a deal's line items for a placement in line with the placement
+   * @param {string} dealId - Deal ID
+   * @param {Object} placement - TrackerRMS placement
+   * @returns {Promise<Object>} Counts ({ created, updated, removed, unchanged })
+   */
+  async syncPlacementLineItems(dealId, placement) {
+    const desired = buildPlacementLineItems(placement);
+    const prefix = `${placement.id}:`;
+
+    const existing = new Map();
+    for (const lineItem of await this.hubspot.getDealLineItems(dealId, LINE_ITEM_PROPERTIES)) {
+      const key = lineItem.properties?.trackerrms_line_item_key;
+      if (key && key.startsWith(prefix)) {
+        existing.set(key, lineItem);
+      }
+    }
+
+    const creates = [];
+    const updates = [];
+    let unchanged = 0;
+
+    for (const item of desired) {
+      const properties = this.toLineItemProperties(item);
+      const current = existing.get(item.key);
+      existing.delete(item.key);
+
+      if (!current) {
+        creates.push(properties);
+      } else if (this.hasChanged(current, properties)) {
+        updates.push({ id: current.id, properties });
+      } else {
+        unchanged++;
+      }
+    }
+
+    // Whatever is left was created by an earlier sync and no longer applies
+    const removed = [...existing.values()].map(lineItem => lineItem.id);
+
+    if (creates.length > 0) {
+      await this.hubspot.batchCreateLineItems(dealId, creates);
+    }
+    if (updates.length > 0) {
+      await this.hubspot.batchUpdateLineItems(updates);
+    }
+    if (removed.length > 0) {
+      await this.hubspot.batchArchiveLineItems(removed);
+    }
+
+    const counts = { created: creates.length, updated: updates.length, removed: removed.length, unchanged };
+    logger.info('Placement line items synced', { dealId, placementId: placement.id, ...counts });
+    return counts;
+  }
+
+  /**
+   * Map a line item to HubSpot line item properties
+   * @param {Object} item - Line item
+   * @returns {Object} Line item properties
+   */
+  toLineItemProperties(item) {
+    return {
+      name: item.name,
+      description: item.description,
+      quantity: String(item.quantity),
+      price: String(item.price),
+      trackerrms_line_item_key: item.key
+    };
+  }
+
+  /**
+   * Whether an existing line item differs from the desired properties
+   * @param {Object} lineItem - HubSpot line item
+   * @param {Object} properties - Desired properties
+   * @returns {boolean} True when an update is needed
+   */
+  hasChanged(lineItem, properties) {
+    return Object.entries(properties).some(([name, value]) => {
+      const current = lineItem.properties?.[name] ?? '';
+      return ['quantity', 'price'].includes(name)
+        ? Number(current) !== Number(value)
+        : String(current) !== String(value);
+    });
+  }
+}
+
+module.exports = { LineItemSync, buildPlacementLineItems, lineItemsTotal };
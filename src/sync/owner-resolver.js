@@ -0,0 +1,227 @@
+/**
+ * Resolution of TrackerRMS recruiters and account managers to HubSpot owners
+ *
+ * Users are matched to owners by email, with per-portal manual overrides
+ * taking precedence. Users that cannot be matched are collected during a sync
+ * and saved to a per-portal report so admins can add overrides for them.
+ */
+const { createStore } = require('../storage');
+const { getPortalSettings, updatePortalSettings } = require('../settings/portal-settings');
+const logger = require('../logger');
+
+const unmatchedStore = createStore('unmatched-owners');
+
+const normalizeEmail = email => String(email).trim().toLowerCase();
+
+/**
+ * Normalise a TrackerRMS user reference to { email, name }
+ * @param {Object|string} user - User object or email
+ * @returns {Object|null} User, or null without an email
+ */
+function toUser(user) {
+  if (!user) {
+    return null;
+  }
+  if (typeof user === 'string') {
+    return user.includes('@') ? { email: normalizeEmail(user), name: null } : null;
+  }
+  return user.email ? { ...user, email: normalizeEmail(user.email), name: user.name || null } : null;
+}
+
+/**
+ * Get the unmatched users report for a portal
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Array} Unmatched users ({ email, name, role, occurrences, firstSeenAt, lastSeenAt })
+ */
+function getUnmatchedOwners(portalId) {
+  return Object.values(unmatchedStore.get(String(portalId)) || {})
+    .sort((a, b) => b.occurrences - a.occurrences);
+}
+
+/**
+ * Validate owner overrides against the portal's owners
+ * @param {Object} overrides - Email to owner ID overrides
+ * @param {Array} owners - HubSpot owners
+ * @returns {string[]} Validation errors
+ */
+function validateOwnerOverrides(overrides, owners) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return ['Owner overrides must be an object of email to HubSpot owner ID'];
+  }
+
+  const ownerIds = new Set(owners.map(owner => String(owner.id)));
+
+  return Object.entries(overrides).reduce((errors, [email, ownerId]) => {
+    if (!email.includes('@')) {
+      return [...errors, `${email}: must be an email address`];
+    }
+    if (!ownerIds.has(String(ownerId))) {
+      return [...errors, `${email}: owner ${ownerId} does not exist`];
+    }
+    return errors;
+  }, []);
+}
+
+/**
+ * Validate and store a portal's owner overrides
+ * Overridden users are dropped from the unmatched report.
+ * @param {string} portalId - HubSpot portal ID
+ * @param {Object} overrides - Email to owner ID overrides
+ * @param {Array} owners - HubSpot owners to validate against
+ * @returns {Object} Result ({ overrides } or { errors })
+ */
+function setOwnerOverrides(portalId, overrides, owners) {
+  const errors = validateOwnerOverrides(overrides, owners);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const normalized = Object.fromEntries(
+    Object.entries(overrides).map(([email, ownerId]) => [normalizeEmail(email), String(ownerId)])
+  );
+  updatePortalSettings(portalId, { ownerOverrides: normalized });
+
+  const unmatched = { ...(unmatchedStore.get(String(portalId)) || {}) };
+  Object.keys(normalized).forEach(email => delete unmatched[email]);
+  unmatchedStore.set(String(portalId), unmatched);
+
+  return { overrides: normalized };
+}
+
+class OwnerResolver {
+  /**
+   * @param {HubSpotService} hubspot - HubSpot service for the portal
+   * @param {string} portalId - HubSpot portal ID
+   */
+  constructor(hubspot, portalId) {
+    this.hubspot = hubspot;
+    this.portalId = portalId;
+    this.ownersByEmail = null;
+    this.unavailable = false;
+    this.unmatched = new Map();
+  }
+
+  /**
+   * Load the portal's owners, once per resolver
+   * When owners cannot be loaded, records are left unassigned and nothing is reported as unmatched.
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (this.ownersByEmail) {
+      return;
+    }
+
+    try {
+      const owners = await this.hubspot.getOwners();
+      this.ownersByEmail = new Map(
+        owners.filter(owner => owner.email).map(owner => [normalizeEmail(owner.email), String(owner.id)])
+      );
+    } catch (error) {
+      logger.warn('Could not load HubSpot owners - deals will not be assigned', { portalId: this.portalId, error: error.message });
+      this.ownersByEmail = new Map();
+      this.unavailable = true;
+    }
+  }
+
+  /**
+   * Resolve a TrackerRMS user to a HubSpot owner ID
+   * @param {Object|string} user - TrackerRMS user (or email)
+   * @param {string} role - User's role on the record, for the unmatched report
+   * @returns {string|null} Owner ID
+   */
+  resolve(user, role) {
+    const resolved = toUser(user);
+    if (!resolved || !this.ownersByEmail) {
+      return null;
+    }
+
+    const overrides = getPortalSettings(this.portalId).ownerOverrides || {};
+    const ownerId = overrides[resolved.email] || this.ownersByEmail.get(resolved.email) || null;
+
+    if (!ownerId && !this.unavailable) {
+      this.recordUnmatched(resolved, role);
+    }
+    return ownerId;
+  }
+
+  /**
+   * Owner properties for a job or placement deal
+   * The primary recruiter owns the deal, falling back to the account manager.
+   * Secondary recruiters on split-credit placements are listed in trackerrms_secondary_recruiters.
+   * @param {Object} record - TrackerRMS job or placement
+   * @returns {Object} Deal properties
+   */
+  getOwnerProperties(record) {
+    const recruiters = (record.recruiters || []).map(toUser).filter(Boolean);
+    const primary = toUser(record.recruiter || record.recruiterEmail) ||
+      recruiters.find(recruiter => recruiter.primary) ||
+      recruiters[0];
+    const accountManager = toUser(record.accountManager || record.accountManagerEmail);
+
+    const properties = {};
+    const ownerId = (primary && this.resolve(primary, 'recruiter')) ||
+      (accountManager && this.resolve(accountManager, 'account manager'));
+    if (ownerId) {
+      properties.hubspot_owner_id = ownerId;
+    }
+
+    const secondary = [
+      ...recruiters.filter(recruiter => recruiter.email !== primary?.email),
+      ...(record.secondaryRecruiters || []).map(toUser).filter(Boolean)
+    ];
+    if (secondary.length > 0) {
+      properties.trackerrms_secondary_recruiters = secondary.map(recruiter => {
+        const split = recruiter.split ?? recruiter.percentage;
+        const label = recruiter.name ? `${recruiter.name} <${recruiter.email}>` : recruiter.email;
+        return split !== undefined && split !== null ? `${label} (${split}%)` : label;
+      }).join('; ');
+      secondary.forEach(recruiter => this.resolve(recruiter, 'secondary recruiter'));
+    }
+
+    return properties;
+  }
+
+  /**
+   * Collect an unmatched user until saveUnmatched is called
+   * @param {Object} user - User ({ email, name })
+   * @param {string} role - User's role
+   */
+  recordUnmatched(user, role) {
+    const now = new Date().toISOString();
+    const existing = this.unmatched.get(user.email);
+
+    this.unmatched.set(user.email, {
+      email: user.email,
+      name: user.name || existing?.name || null,
+      role,
+      occurrences: (existing?.occurrences || 0) + 1,
+      firstSeenAt: existing?.firstSeenAt || now,
+      lastSeenAt: now
+    });
+  }
+
+  /**
+   * Add the users collected since the last save to the portal's unmatched report
+   */
+  saveUnmatched() {
+    if (this.unmatched.size === 0) {
+      return;
+    }
+
+    const unmatched = { ...(unmatchedStore.get(String(this.portalId)) || {}) };
+    this.unmatched.forEach((user, email) => {
+      const existing = unmatched[email];
+      unmatched[email] = {
+        ...user,
+        name: user.name || existing?.name || null,
+        occurrences: (existing?.occurrences || 0) + user.occurrences,
+        firstSeenAt: existing?.firstSeenAt || user.firstSeenAt
+      };
+    });
+
+    unmatchedStore.set(String(this.portalId), unmatched);
+    this.unmatched.clear();
+  }
+}
+
+module.exports = { OwnerResolver, getUnmatchedOwners, validateOwnerOverrides, setOwnerOverrides };
@@ -0,0 +1,271 @@
+/**
+ * Schema management for the app's HubSpot custom properties
+ *
+ * The desired property definitions live here. Portals are brought up to date
+ * by versioned migrations, and any difference between the definitions and
+ * what exists in a portal (type, fieldType, options, label, group) is
+ * reported as drift.
+ */
+const { getPortalSettings, updatePortalSettings } = require('../settings/portal-settings');
+const logger = require('../logger');
+
+const PROPERTY_GROUP = { name: 'trackerrms', label: 'TrackerRMS' };
+
+const text = (name, label) => ({ name, label, type: 'string', fieldType: 'text' });
+const number = (name, label) => ({ name, label, type: 'number', fieldType: 'number' });
+
+// Desired custom properties, by object type
+const PROPERTY_DEFINITIONS = {
+  deals: [
+    text('trackerrms_job_id', 'TrackerRMS Job ID'),
+    text('trackerrms_placement_id', 'TrackerRMS Placement ID'),
+    text('trackerrms_service_line', 'TrackerRMS Service Line'),
+    number('trackerrms_revenue', 'TrackerRMS Revenue'),
+    number('trackerrms_margin', 'TrackerRMS Margin'),
+    { name: 'trackerrms_placement_date', label: 'TrackerRMS Placement Date', type: 'date', fieldType: 'date' },
+    number('trackerrms_velocity_score', 'Placement Velocity Score'),
+    number('trackerrms_roi_score', 'ROI Score'),
+    { name: 'trackerrms_secondary_recruiters', label: 'TrackerRMS Secondary Recruiters', type: 'string', fieldType: 'textarea' }
+  ],
+  companies: [
+    text('trackerrms_client_id', 'TrackerRMS Client ID')
+  ],
+  contacts: [
+    text('trackerrms_candidate_id', 'TrackerRMS Candidate ID'),
+    text('trackerrms_contact_id', 'TrackerRMS Contact ID')
+  ],
+  line_items: [
+    text('trackerrms_line_item_key', 'TrackerRMS Line Item Key')
+  ]
+};
+
+const OBJECT_TYPES = Object.keys(PROPERTY_DEFINITIONS);
+
+// Applied in order, once per portal; the portal's propertySchemaVersion records the last one applied
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create the TrackerRMS property group on deals, companies, contacts and line items',
+    up: manager => manager.ensureGroups()
+  },
+  {
+    version: 2,
+    description: 'Create deal, company and line item properties and move existing ones into the TrackerRMS group',
+    up: manager => manager.reconcile(['deals', 'companies', 'line_items'])
+  },
+  {
+    version: 3,
+    description: 'Add TrackerRMS candidate and contact ID properties to contacts',
+    up: manager => manager.reconcile(['contacts'])
+  }
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Normalise enumeration options for comparison
+ * @param {Array} options - Property options
+ * @returns {Array} Sorted { value, label } pairs
+ */
+function normalizeOptions(options = []) {
+  return options
+    .filter(option => !option.hidden)
+    .map(option => ({ value: String(option.value), label: option.label }))
+    .sort((a, b) => a.value.localeCompare(b.value));
+}
+
+/**
+ * Compare a desired property definition with the existing property
+ * @param {Object} definition - Desired definition
+ * @param {Object} existing - Property as it exists in the portal
+ * @returns {Array} Differences ({ field, expected, actual })
+ */
+function diffProperty(definition, existing) {
+  const expected = { ...definition, groupName: PROPERTY_GROUP.name };
+  const differences = ['type', 'fieldType', 'label', 'groupName']
+    .filter(field => expected[field] !== existing[field])
+    .map(field => ({ field, expected: expected[field], actual: existing[field] }));
+
+  if (definition.type === 'enumeration') {
+    const expectedOptions = normalizeOptions(definition.options);
+    const actualOptions = normalizeOptions(existing.options);
+    if (JSON.stringify(expectedOptions) !== JSON.stringify(actualOptions)) {
+      differences.push({ field: 'options', expected: expectedOptions, actual: actualOptions });
+    }
+  }
+
+  return differences;
+}
+
+class PropertySchemaManager {
+  /**
+   * @param {HubSpotService} hubspot - HubSpot service for the portal
+   * @param {string} portalId - HubSpot portal ID
+   */
+  constructor(hubspot, portalId) {
+    this.hubspot = hubspot;
+    this.portalId = portalId;
+  }
+
+  /**
+   * Get the portal's schema version, pending migrations and why the last migration failed
+   * @returns {Object} { version, latestVersion, pending, lastError }
+   */
+  getVersion() {
+    const { propertySchemaVersion: version, propertySchemaError } = getPortalSettings(this.portalId);
+    return {
+      version,
+      latestVersion: LATEST_VERSION,
+      pending: MIGRATIONS
+        .filter(migration => migration.version > version)
+        .map(({ version: pendingVersion, description }) => ({ version: pendingVersion, description })),
+      lastError: propertySchemaError
+    };
+  }
+
+  /**
+   * Apply pending migrations in order
+   * Stops at the first failing migration, leaving the portal at the last version that
+   * succeeded, and records the failure so getVersion reports it until a migration succeeds.
+   * @returns {Promise<Object>} { fromVersion, version, applied }
+   */
+  async migrate() {
+    const { propertySchemaVersion: fromVersion, propertySchemaError } = getPortalSettings(this.portalId);
+    const applied = [];
+
+    try {
+      for (const migration of MIGRATIONS.filter(m => m.version > fromVersion)) {
+        const results = await migration.up(this);
+        const failed = (results || []).filter(result => result.action === 'failed');
+
+        if (failed.length > 0) {
+          const error = new Error(`Property schema migration ${migration.version} failed for ${failed.map(result => `${result.objectType}.${result.name}`).join(', ')}`);
+          error.applied = applied;
+          error.results = results;
+          throw error;
+        }
+
+        updatePortalSettings(this.portalId, { propertySchemaVersion: migration.version });
+        applied.push({ version: migration.version, description: migration.description, results: results || [] });
+        logger.info('Applied property schema migration', { portalId: this.portalId, version: migration.version });
+      }
+    } catch (error) {
+      updatePortalSettings(this.portalId, { propertySchemaError: { message: error.message, failedAt: new Date().toISOString() } });
+      throw error;
+    }
+
+    if (propertySchemaError) {
+      updatePortalSettings(this.portalId, { propertySchemaError: null });
+    }
+
+    return { fromVersion, version: getPortalSettings(this.portalId).propertySchemaVersion, applied };
+  }
+
+  /**
+   * Create the TrackerRMS property group on every object type that lacks one
+   * @returns {Promise<Array>} Per-group results ({ objectType, name, action })
+   */
+  async ensureGroups() {
+    const results = [];
+
+    for (const objectType of OBJECT_TYPES) {
+      const groups = await this.hubspot.getPropertyGroups(objectType);
+
+      if (groups.some(group => group.name === PROPERTY_GROUP.name)) {
+        results.push({ objectType, name: PROPERTY_GROUP.name, action: 'unchanged' });
+        continue;
+      }
+
+      try {
+        await this.hubspot.createPropertyGroup(objectType, PROPERTY_GROUP);
+        results.push({ objectType, name: PROPERTY_GROUP.name, action: 'created' });
+      } catch (error) {
+        results.push({ objectType, name: PROPERTY_GROUP.name, action: 'failed', error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Create missing properties and update drifted ones to match their definitions
+   * @param {string[]} [objectTypes] - Object types to reconcile (defaults to all)
+   * @returns {Promise<Array>} Per-property results ({ objectType, name, action, error? })
+   */
+  async reconcile(objectTypes = OBJECT_TYPES) {
+    const results = [];
+
+    for (const objectType of objectTypes) {
+      const existing = new Map((await this.hubspot.getProperties(objectType)).map(property => [property.name, property]));
+
+      for (const definition of PROPERTY_DEFINITIONS[objectType]) {
+        const property = existing.get(definition.name);
+        const differences = property ? diffProperty(definition, property) : null;
+
+        try {
+          if (!property) {
+            await this.hubspot.createProperty(objectType, { ...definition, groupName: PROPERTY_GROUP.name });
+            results.push({ objectType, name: definition.name, action: 'created' });
+          } else if (differences.length > 0) {
+            const changes = Object.fromEntries(differences.map(({ field }) => [field, field === 'groupName' ? PROPERTY_GROUP.name : definition[field]]));
+            await this.hubspot.updateProperty(objectType, definition.name, changes);
+            results.push({ objectType, name: definition.name, action: 'updated', differences });
+          } else {
+            results.push({ objectType, name: definition.name, action: 'unchanged' });
+          }
+        } catch (error) {
+          // HubSpot refuses some changes, e.g. a type change on a property that already holds values
+          logger.warn('Could not reconcile property', { portalId: this.portalId, objectType, property: definition.name, error: error.message });
+          results.push({ objectType, name: definition.name, action: 'failed', error: error.message });
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Report differences between the desired definitions and the portal
+   * @returns {Promise<Object>} { inSync, version, groups, properties }
+   */
+  async getDrift() {
+    const groups = [];
+    const properties = [];
+
+    for (const objectType of OBJECT_TYPES) {
+      const [existingGroups, existingProperties] = await Promise.all([
+        this.hubspot.getPropertyGroups(objectType),
+        this.hubspot.getProperties(objectType)
+      ]);
+      const existing = new Map(existingProperties.map(property => [property.name, property]));
+
+      groups.push({
+        objectType,
+        name: PROPERTY_GROUP.name,
+        status: existingGroups.some(group => group.name === PROPERTY_GROUP.name) ? 'ok' : 'missing'
+      });
+
+      for (const definition of PROPERTY_DEFINITIONS[objectType]) {
+        const property = existing.get(definition.name);
+        if (!property) {
+          properties.push({ objectType, name: definition.name, status: 'missing' });
+          continue;
+        }
+
+        const differences = diffProperty(definition, property);
+        properties.push(differences.length > 0
+          ? { objectType, name: definition.name, status: 'drifted', differences }
+          : { objectType, name: definition.name, status: 'ok' });
+      }
+    }
+
+    return {
+      inSync: [...groups, ...properties].every(item => item.status === 'ok'),
+      ...this.getVersion(),
+      groups,
+      properties
+    };
+  }
+}
+
+module.exports = { PropertySchemaManager, PROPERTY_GROUP, PROPERTY_DEFINITIONS, MIGRATIONS, diffProperty };
@@ -0,0 +1,290 @@
+/**
+ * Persistent history of sync runs
+ *
+ * Every sync run is recorded with its trigger, scope, timing, counts and
+ * per-item outcomes. The last run and last successful run are also kept per
+ * portal and entity type, so they survive runs being pruned from the history.
+ * Item outcomes are stored apart from the runs, and only once a run finishes,
+ * so starting and listing runs never rewrites them.
+ */
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('../storage');
+const logger = require('../logger');
+
+const runStore = createStore('sync-runs');
+const runItemStore = createStore('sync-run-items');
+const entityStatusStore = createStore('sync-status');
+
+const SYNC_TRIGGERS = ['manual', 'webhook', 'schedule'];
+
+// Entity types a sync scope covers
+const SCOPE_ENTITIES = {
+  clients: ['clients'],
+  jobs: ['jobs'],
+  placements: ['placements'],
+  revenue: ['revenue'],
+  full: ['clients', 'jobs', 'placements', 'revenue'],
+  // Dead-letter retries only touch a few records, so they leave the entity status alone
+  retry: []
+};
+
+// Scopes whose results are keyed by entity type
+const MULTI_ENTITY_SCOPES = ['full', 'retry'];
+
+// Runs kept per portal; older finished runs are pruned when new runs start.
+// Webhook runs are kept separately, so a busy webhook feed cannot push manual,
+// scheduled and full-sync runs out of the history.
+const MAX_RUNS_PER_PORTAL = 50;
+const MAX_WEBHOOK_RUNS_PER_PORTAL = 50;
+
+// Item outcomes stored per run; failures are kept ahead of other outcomes
+const MAX_ITEMS_PER_RUN = 500;
+
+/**
+ * Summarise a run for listings, without its items
+ * @param {Object} run - Sync run
+ * @returns {Object} Run summary
+ */
+function summarizeRun({ items: _items, ...run }) {
+  return run;
+}
+
+/**
+ * Keep at most MAX_ITEMS_PER_RUN items, preferring failures, in their original order
+ * @param {Array} items - Item outcomes
+ * @returns {Array} Items to store
+ */
+function limitItems(items) {
+  if (items.length <= MAX_ITEMS_PER_RUN) {
+    return items;
+  }
+
+  const failures = items.filter(item => item.action === 'error').length;
+  let othersLeft = Math.max(0, MAX_ITEMS_PER_RUN - failures);
+  let failuresLeft = MAX_ITEMS_PER_RUN;
+
+  return items.filter(item => {
+    if (item.action === 'error') {
+      return failuresLeft-- > 0;
+    }
+    return othersLeft-- > 0;
+  });
+}
+
+/**
+ * Get a portal's runs, newest first
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Array} Sync runs
+ */
+function getPortalRuns(portalId) {
+  return runStore.values()
+    .filter(run => run.portalId === String(portalId))
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+/**
+ * Drop a portal's oldest finished runs beyond the retention limits
+ * @param {string} portalId - HubSpot portal ID
+ */
+function pruneRuns(portalId) {
+  const finished = getPortalRuns(portalId).filter(run => run.status !== 'running');
+  const webhookRuns = finished.filter(run => run.trigger === 'webhook');
+  const otherRuns = finished.filter(run => run.trigger !== 'webhook');
+
+  [...webhookRuns.slice(MAX_WEBHOOK_RUNS_PER_PORTAL), ...otherRuns.slice(MAX_RUNS_PER_PORTAL)].forEach(run => {
+    runStore.delete(run.id);
+    if (runItemStore.has(run.id)) {
+      runItemStore.delete(run.id);
+    }
+  });
+}
+
+/**
+ * Record the start of a sync run
+ * @param {string} portalId - HubSpot portal ID
+ * @param {Object} details - Run details
+ * @param {string} details.trigger - 'manual', 'webhook' or 'schedule'
+ * @param {string} details.scope - 'clients', 'jobs', 'placements', 'revenue', 'full' or 'retry'
+ * @param {boolean} [details.dryRun] - Whether the run only planned its writes
+ * @returns {Object} Sync run
+ */
+function startRun(portalId, { trigger, scope, dryRun = false }) {
+  if (!SYNC_TRIGGERS.includes(trigger)) {
+    throw new Error(`Unknown sync trigger: ${trigger}`);
+  }
+  if (!SCOPE_ENTITIES[scope]) {
+    throw new Error(`Unknown sync scope: ${scope}`);
+  }
+
+  const run = {
+    id: uuidv4(),
+    portalId: String(portalId),
+    trigger,
+    scope,
+    dryRun,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    counts: {},
+    itemCount: 0,
+    itemsTruncated: false,
+    error: null
+  };
+
+  runStore.set(run.id, run);
+  pruneRuns(portalId);
+  return run;
+}
+
+/**
+ * Update the per-entity status for a finished run
+ * Dry runs change nothing in HubSpot, so they are not counted.
+ * @param {Object} run - Finished sync run
+ */
+function updateEntityStatus(run) {
+  if (run.dryRun) {
+    return;
+  }
+
+  const status = { ...(entityStatusStore.get(run.portalId) || {}) };
+  for (const entity of SCOPE_ENTITIES[run.scope]) {
+    status[entity] = {
+      ...status[entity],
+      lastRunId: run.id,
+      lastRunAt: run.finishedAt,
+      lastRunStatus: run.status,
+      ...(['succeeded', 'partial'].includes(run.status) && { lastSuccessAt: run.finishedAt, lastSuccessRunId: run.id })
+    };
+  }
+  entityStatusStore.set(run.portalId, status);
+}
+
+/**
+ * Record a run that finished, with its results
+ * @param {string} runId - Sync run ID
+ * @param {Object} results - Sync results ({ created, updated, errors, items }, or one per entity for full syncs and retries)
+ * @returns {Object} Sync run
+ */
+function completeRun(runId, results) {
+  const run = runStore.get(runId);
+  const byEntity = MULTI_ENTITY_SCOPES.includes(run.scope) ? results : { [run.scope]: results };
+  const counts = {};
+  const items = [];
+
+  for (const [entity, { items: entityItems = [], ...entityCounts }] of Object.entries(byEntity)) {
+    counts[entity] = entityCounts;
+    items.push(...entityItems.map(item => ({ entity, ...item })));
+  }
+
+  const hasErrors = Object.values(counts).some(entityCounts => entityCounts.errors > 0);
+  const storedItems = limitItems(items);
+  const finished = {
+    ...run,
+    status: hasErrors ? 'partial' : 'succeeded',
+    finishedAt: new Date().toISOString(),
+    counts,
+    itemCount: items.length,
+    itemsTruncated: storedItems.length < items.length
+  };
+
+  runItemStore.set(runId, storedItems);
+  runStore.set(runId, finished);
+  updateEntityStatus(finished);
+  return { ...finished, items: storedItems };
+}
+
+/**
+ * Record a run that stopped with an error, or was cancelled
+ * @param {string} runId - Sync run ID
+ * @param {Error} error - Error that stopped the run (code SYNC_CANCELLED for cancellations)
+ * @returns {Object} Sync run
+ */
+function failRun(runId, error) {
+  const failed = {
+    ...runStore.get(runId),
+    status: error.code === 'SYNC_CANCELLED' ? 'cancelled' : 'failed',
+    finishedAt: new Date().toISOString(),
+    error: error.message
+  };
+
+  runStore.set(runId, failed);
+  updateEntityStatus(failed);
+  logger.warn(`Sync run ${failed.status}`, { portalId: failed.portalId, runId, scope: failed.scope, error: error.message });
+  return { ...failed, items: [] };
+}
+
+/**
+ * Fail runs left running by a process that stopped before they finished
+ * Call on startup, before any sync starts.
+ * @returns {number} Runs marked as failed
+ */
+function failInterruptedRuns() {
+  const interrupted = runStore.values().filter(run => run.status === 'running');
+
+  interrupted.forEach(run => failRun(run.id, new Error('Sync run was interrupted by a restart')));
+  if (interrupted.length > 0) {
+    logger.warn('Marked interrupted sync runs as failed', { count: interrupted.length });
+  }
+  return interrupted.length;
+}
+
+/**
+ * List a portal's runs, newest first, without their items
+ * @param {string} portalId - HubSpot portal ID
+ * @param {Object} filters - Filters
+ * @param {string} [filters.status] - Only runs with this status
+ * @param {string} [filters.trigger] - Only runs with this trigger
+ * @param {string} [filters.scope] - Only runs with this scope
+ * @param {number} [filters.limit] - Maximum number of runs (default 20)
+ * @returns {Array} Run summaries
+ */
+function listRuns(portalId, { status, trigger, scope, limit = 20 } = {}) {
+  return getPortalRuns(portalId)
+    .filter(run => (!status || run.status === status) && (!trigger || run.trigger === trigger) && (!scope || run.scope === scope))
+    .slice(0, limit)
+    .map(summarizeRun);
+}
+
+/**
+ * Get one of a portal's runs, with its stored items
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} runId - Sync run ID
+ * @returns {Object|null} Sync run
+ */
+function getRun(portalId, runId) {
+  const run = runStore.get(runId);
+  return run && run.portalId === String(portalId) ? { ...run, items: runItemStore.get(runId) || [] } : null;
+}
+
+/**
+ * Get the last run and last successful run per entity type
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Object} Status by entity type ({ lastRunAt, lastRunStatus, lastSuccessAt, ... })
+ */
+function getEntityStatus(portalId) {
+  const status = entityStatusStore.get(String(portalId)) || {};
+  return Object.fromEntries(SCOPE_ENTITIES.full.map(entity => [entity, {
+    lastRunId: null,
+    lastRunAt: null,
+    lastRunStatus: null,
+    lastSuccessAt: null,
+    lastSuccessRunId: null,
+    ...status[entity]
+  }]));
+}
+
+module.exports = {
+  SYNC_TRIGGERS,
+  SCOPE_ENTITIES,
+  MAX_RUNS_PER_PORTAL,
+  MAX_WEBHOOK_RUNS_PER_PORTAL,
+  MAX_ITEMS_PER_RUN,
+  startRun,
+  completeRun,
+  failRun,
+  failInterruptedRuns,
+  listRuns,
+  getRun,
+  getEntityStatus,
+  summarizeRun
+};
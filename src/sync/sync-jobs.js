@@ -0,0 +1,273 @@
+/**
+ * Background sync jobs
+ *
+ * Sync routes enqueue a job and return straight away. The job runs the sync
+ * in the background and records its progress, so clients poll for status
+ * instead of holding a request open for the whole sync. Jobs live in memory:
+ * they track work in this process, while the sync history keeps the durable
+ * record of each run.
+ */
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../logger');
+
+const jobs = new Map();
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+// Scopes a portal can only have one job for at a time, with how they are described
+const EXCLUSIVE_SCOPES = {
+  full: 'A full sync',
+  retry: 'A dead-letter retry'
+};
+
+// Finished jobs kept per portal; older ones are pruned as jobs finish
+const MAX_FINISHED_JOBS_PER_PORTAL = 20;
+
+const isActive = job => ACTIVE_STATUSES.includes(job.status);
+
+/**
+ * Public view of a job
+ * @param {Object} job - Sync job
+ * @param {Object} options - Options
+ * @param {boolean} [options.withResults=true] - Include results and the dry-run plan
+ * @returns {Object} Job
+ */
+function toJSON(job, { withResults = true } = {}) {
+  const view = {
+    id: job.id,
+    portalId: job.portalId,
+    scope: job.scope,
+    trigger: job.trigger,
+    dryRun: job.dryRun,
+    status: job.status,
+    cancelRequested: job.cancelRequested,
+    progress: { ...job.progress },
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    runId: job.runId,
+    error: job.error
+  };
+
+  if (withResults) {
+    view.results = job.results;
+    if (job.plan) {
+      view.plan = job.plan.toJSON();
+    }
+  }
+
+  return view;
+}
+
+/**
+ * Get a portal's jobs, newest first
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Array} Sync jobs
+ */
+function getPortalJobs(portalId) {
+  return [...jobs.values()]
+    .filter(job => job.portalId === String(portalId))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Drop a portal's oldest finished jobs beyond the retention limit
+ * @param {string} portalId - HubSpot portal ID
+ */
+function pruneJobs(portalId) {
+  getPortalJobs(portalId)
+    .filter(job => !isActive(job))
+    .slice(MAX_FINISHED_JOBS_PER_PORTAL)
+    .forEach(job => jobs.delete(job.id));
+}
+
+/**
+ * Run a queued job's sync and record how it ended
+ * @param {Object} job - Sync job
+ */
+async function runJob(job) {
+  if (job.status !== 'queued') {
+    return;
+  }
+
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+
+  try {
+    const syncService = await job.createSyncService({
+      onProgress: progress => {
+        job.progress = progress;
+      },
+      signal: job.controller.signal
+    });
+
+    const { runId, ...results } = await syncService.run(job.scope, job.options);
+    Object.assign(job, { status: 'completed', runId, results, plan: syncService.plan });
+  } catch (error) {
+    Object.assign(job, {
+      status: error.code === 'SYNC_CANCELLED' ? 'cancelled' : 'failed',
+      runId: error.runId || null,
+      error: error.message
+    });
+    logger.warn(`Sync job ${job.status}`, { portalId: job.portalId, jobId: job.id, scope: job.scope, error: error.message });
+  } finally {
+    job.finishedAt = new Date().toISOString();
+    pruneJobs(job.portalId);
+  }
+}
+
+/**
+ * Queue a sync to run in the background
+ * A portal can only have one full sync and one dead-letter retry queued or running at a time.
+ * @param {string} portalId - HubSpot portal ID
+ * @param {Object} details - Job details
+ * @param {string} details.scope - 'clients', 'jobs', 'placements', 'revenue', 'full' or 'retry'
+ * @param {string} [details.trigger] - What started the sync ('manual', 'schedule' or 'webhook')
+ * @param {boolean} [details.dryRun] - Whether the sync only plans its writes
+ * @param {Object} [details.options] - Sync options for the scope
+ * @param {Function} createSyncService - Called with { onProgress, signal } when the job starts to create (or resolve) the job's SyncService
+ * @returns {Object} Queued job
+ * @throws {Error} With status 409 and the running job's jobId when a full sync or retry is already in progress
+ */
+function enqueueSyncJob(portalId, { scope, trigger = 'manual', dryRun = false, options = {} }, createSyncService) {
+  if (EXCLUSIVE_SCOPES[scope]) {
+    const running = getPortalJobs(portalId).find(job => job.scope === scope && isActive(job));
+    if (running) {
+      const error = new Error(`${EXCLUSIVE_SCOPES[scope]} is already in progress for this portal`);
+      error.status = 409;
+      error.jobId = running.id;
+      throw error;
+    }
+  }
+
+  const job = {
+    id: uuidv4(),
+    portalId: String(portalId),
+    scope,
+    trigger,
+    dryRun,
+    options,
+    status: 'queued',
+    cancelRequested: false,
+    progress: { phase: null, processed: 0, total: null },
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    runId: null,
+    results: null,
+    error: null,
+    plan: null,
+    createSyncService,
+    controller: new AbortController()
+  };
+
+  jobs.set(job.id, job);
+  job.done = new Promise(resolve => setImmediate(resolve)).then(() => runJob(job));
+
+  logger.info('Queued sync job', { portalId: job.portalId, jobId: job.id, scope, trigger, dryRun });
+  return toJSON(job);
+}
+
+/**
+ * Get one of a portal's jobs
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} Job, with its results once finished
+ */
+function getSyncJob(portalId, jobId) {
+  const job = jobs.get(jobId);
+  return job && job.portalId === String(portalId) ? toJSON(job) : null;
+}
+
+/**
+ * Get the plan a finished dry-run job recorded
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} jobId - Job ID
+ * @returns {SyncPlan|null} Sync plan
+ */
+function getSyncJobPlan(portalId, jobId) {
+  const job = jobs.get(jobId);
+  return job && job.portalId === String(portalId) ? job.plan : null;
+}
+
+/**
+ * List a portal's jobs, newest first, without their results
+ * @param {string} portalId - HubSpot portal ID
+ * @param {Object} filters - Filters
+ * @param {string} [filters.status] - Only jobs with this status
+ * @returns {Array} Jobs
+ */
+function listSyncJobs(portalId, { status } = {}) {
+  return getPortalJobs(portalId)
+    .filter(job => !status || job.status === status)
+    .map(job => toJSON(job, { withResults: false }));
+}
+
+/**
+ * List a portal's queued and running jobs
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Array} Jobs
+ */
+function getActiveSyncJobs(portalId) {
+  return getPortalJobs(portalId)
+    .filter(isActive)
+    .map(job => toJSON(job, { withResults: false }));
+}
+
+/**
+ * Cancel a queued or running job
+ * Queued jobs are cancelled at once; running jobs stop after their current batch.
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} Job, or null when it does not exist
+ * @throws {Error} With status 409 when the job has already finished
+ */
+function cancelSyncJob(portalId, jobId) {
+  const job = jobs.get(jobId);
+  if (!job || job.portalId !== String(portalId)) {
+    return null;
+  }
+
+  if (!isActive(job)) {
+    const error = new Error(`Sync job has already ${job.status}`);
+    error.status = 409;
+    throw error;
+  }
+
+  job.cancelRequested = true;
+  job.controller.abort();
+
+  if (job.status === 'queued') {
+    job.status = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+  }
+
+  logger.info('Cancelled sync job', { portalId: job.portalId, jobId, status: job.status });
+  return toJSON(job);
+}
+
+/**
+ * Wait for a job to finish
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Finished job, or null when it does not exist
+ */
+async function waitForSyncJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) {
+    return null;
+  }
+
+  await job.done;
+  return toJSON(job);
+}
+
+module.exports = {
+  MAX_FINISHED_JOBS_PER_PORTAL,
+  enqueueSyncJob,
+  getSyncJob,
+  getSyncJobPlan,
+  listSyncJobs,
+  getActiveSyncJobs,
+  cancelSyncJob,
+  waitForSyncJob
+};
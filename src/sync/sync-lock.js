@@ -0,0 +1,56 @@
+/**
+ * Per-portal locks for background syncs
+ *
+ * A lock is a lease: it names its holder and expires after a TTL, so a lock
+ * left behind by a crashed process does not block a portal for good. Locks
+ * are not re-entrant; a holder must release a lock before taking it again.
+ */
+const { createStore } = require('../storage');
+
+const lockStore = createStore('sync-locks');
+
+/**
+ * Take a portal's sync lock
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} holder - Lock holder ID
+ * @param {number} ttlMs - How long the lock is held before it expires
+ * @returns {boolean} True when the lock was taken
+ */
+function acquireSyncLock(portalId, holder, ttlMs) {
+  const existing = lockStore.get(String(portalId));
+  const now = Date.now();
+
+  if (existing && existing.expiresAt > now) {
+    return false;
+  }
+
+  lockStore.set(String(portalId), {
+    holder,
+    acquiredAt: new Date(now).toISOString(),
+    expiresAt: now + ttlMs
+  });
+  return true;
+}
+
+/**
+ * Release a portal's sync lock, if the holder still holds it
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} holder - Lock holder ID
+ */
+function releaseSyncLock(portalId, holder) {
+  if (lockStore.get(String(portalId))?.holder === holder) {
+    lockStore.delete(String(portalId));
+  }
+}
+
+/**
+ * Get a portal's current sync lock
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Object|null} Lock ({ holder, acquiredAt, expiresAt }), or null when unlocked
+ */
+function getSyncLock(portalId) {
+  const lock = lockStore.get(String(portalId));
+  return lock && lock.expiresAt > Date.now() ? lock : null;
+}
+
+module.exports = { acquireSyncLock, releaseSyncLock, getSyncLock };
@@ -0,0 +1,286 @@
+/**
+ * Background scheduler that runs each connected portal's sync schedules
+ *
+ * Every tick, the scheduler checks the schedules of each connected portal and
+ * queues the scopes that are due as sync jobs. Job and placement syncs are
+ * incremental: they only fetch records modified since the portal's watermark
+ * (see sync-watermarks.js). Dead letters that are due a retry are retried
+ * after the portal's scheduled scopes. Portals are skipped while
+ * their HubSpot authorization is revoked or TrackerRMS rejects their
+ * credentials, and a per-portal lock stops a slow run from overlapping the next.
+ */
+const { v4: uuidv4 } = require('uuid');
+const oauth = require('../auth/oauth');
+const trackerrmsConnection = require('../auth/trackerrms-connection');
+const { getClient } = require('../services/trackerrms-client');
+const SyncService = require('./sync-service');
+const syncJobs = require('./sync-jobs');
+const deadLetters = require('./dead-letters');
+const { acquireSyncLock, releaseSyncLock } = require('./sync-lock');
+const { nextCronTime } = require('./cron');
+const { SCHEDULED_SCOPES, getSyncSchedules } = require('../settings/sync-schedules');
+const { createStore } = require('../storage');
+const { config } = require('../config');
+const logger = require('../logger');
+
+// When each portal's scheduled scopes last ran and run next
+const stateStore = createStore('sync-schedule-state');
+
+/**
+ * Update the schedule state of one of a portal's scopes
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} scope - Scheduled scope
+ * @param {Object} changes - State changes
+ */
+function updateScheduleState(portalId, scope, changes) {
+  const state = stateStore.get(String(portalId)) || {};
+  stateStore.set(String(portalId), { ...state, [scope]: { ...state[scope], ...changes } });
+}
+
+/**
+ * Get a portal's schedules with when each scope last ran and runs next
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Object} Schedules by scope ({ enabled, cron, nextRunAt, lastRunAt, lastStatus, ... })
+ */
+function getPortalSchedules(portalId) {
+  const state = stateStore.get(String(portalId)) || {};
+  const schedules = getSyncSchedules(portalId);
+
+  return Object.fromEntries(SCHEDULED_SCOPES.map(scope => {
+    const scopeState = state[scope] || {};
+    const planned = schedules[scope].enabled && scopeState.cron === schedules[scope].cron;
+
+    return [scope, {
+      ...schedules[scope],
+      nextRunAt: planned ? scopeState.nextRunAt || null : null,
+      lastRunAt: scopeState.lastRunAt || null,
+      lastStatus: scopeState.lastStatus || null,
+      lastJobId: scopeState.lastJobId || null,
+      lastRunId: scopeState.lastRunId || null,
+      lastError: scopeState.lastError || null
+    }];
+  }));
+}
+
+class SyncScheduler {
+  constructor(options = {}) {
+    this.tickMs = options.tickMs || config.sync.scheduler.tickMs;
+    this.jitterMs = options.jitterMs ?? config.sync.scheduler.jitterMs;
+    this.lockTtlMs = options.lockTtlMs || config.sync.scheduler.lockTtlMs;
+    this.random = options.random || Math.random;
+    this.holder = `sync-scheduler-${uuidv4()}`;
+    this.timer = null;
+  }
+
+  /**
+   * Start the periodic schedule check
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.runOnce().catch(error => {
+        logger.error('Sync scheduler run failed', { error: error.message });
+      });
+    }, this.tickMs);
+    this.timer.unref();
+
+    logger.info('Sync scheduler started', { tickMs: this.tickMs, jitterMs: this.jitterMs });
+  }
+
+  /**
+   * Stop the periodic schedule check
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Sync scheduler stopped');
+    }
+  }
+
+  /**
+   * Plan the next run of a schedule
+   * A random delay of up to jitterMs spreads portals that share a schedule.
+   * @param {string} cron - Cron expression
+   * @param {Date} after - Plan the first run after this time
+   * @returns {string} Next run time (ISO 8601)
+   */
+  planNextRun(cron, after) {
+    const jitter = Math.floor(this.random() * this.jitterMs);
+    return new Date(nextCronTime(cron, after).getTime() + jitter).toISOString();
+  }
+
+  /**
+   * Get a portal's scopes that are due, planning the next run of each
+   * @param {string} portalId - HubSpot portal ID
+   * @param {Date} now - Current time
+   * @returns {string[]} Due scopes
+   */
+  getDueScopes(portalId, now) {
+    const schedules = getSyncSchedules(portalId);
+    const state = stateStore.get(String(portalId)) || {};
+    const due = [];
+
+    for (const scope of SCHEDULED_SCOPES) {
+      const { enabled, cron } = schedules[scope];
+      const scopeState = state[scope] || {};
+
+      if (!enabled) {
+        // Forget the planned run so re-enabling does not start one straight away
+        if (scopeState.nextRunAt) {
+          updateScheduleState(portalId, scope, { nextRunAt: null });
+        }
+        continue;
+      }
+
+      if (scopeState.cron !== cron || !scopeState.nextRunAt) {
+        updateScheduleState(portalId, scope, { cron, nextRunAt: this.planNextRun(cron, now) });
+      } else if (now.getTime() >= Date.parse(scopeState.nextRunAt)) {
+        updateScheduleState(portalId, scope, { nextRunAt: this.planNextRun(cron, now) });
+        due.push(scope);
+      }
+    }
+
+    return due;
+  }
+
+  /**
+   * Check a portal's HubSpot authorization and resolve its TrackerRMS credentials for a scheduled sync
+   * Each scope's job fetches its own HubSpot token when it starts (see runScope).
+   * @param {string} portalId - HubSpot portal ID
+   * @returns {Promise<Object>} { trackerrms }, or { problem } when the credentials are broken
+   */
+  async getCredentials(portalId) {
+    const tokens = oauth.getTokens(portalId);
+    if (!tokens || tokens.revokedAt) {
+      return { problem: 'HubSpot authorization has been revoked' };
+    }
+
+    const connection = trackerrmsConnection.getConnection(portalId);
+    if (!connection) {
+      return { problem: 'TrackerRMS is not connected for this portal' };
+    }
+
+    try {
+      await oauth.getValidAccessToken(portalId);
+    } catch (error) {
+      if (error.code === 'REAUTH_REQUIRED') {
+        return { problem: 'HubSpot authorization has been revoked' };
+      }
+      throw error;
+    }
+
+    const trackerrms = {
+      apiKey: connection.apiKey,
+      baseUrl: connection.baseUrl,
+      timeout: connection.timeout,
+      portalId,
+      source: 'portal'
+    };
+
+    if (!await getClient(trackerrms).validateConnection()) {
+      return { problem: 'TrackerRMS rejected the portal\'s credentials' };
+    }
+
+    return { trackerrms };
+  }
+
+  /**
+   * Run a portal's due scopes one after another under the portal's sync lock
+   * @param {string} portalId - HubSpot portal ID
+   * @param {string[]} scopes - Due scopes ('retry' retries the dead letters in retryIds)
+   * @param {string[]} [retryIds] - Dead letters due a retry
+   * @returns {Promise<string>} 'ran', 'skipped' or 'failed'
+   */
+  async runPortal(portalId, scopes, retryIds = []) {
+    const skip = reason => {
+      scopes.forEach(scope => updateScheduleState(portalId, scope, { lastStatus: 'skipped', lastError: reason }));
+      logger.info('Skipped scheduled sync', { portalId, scopes, reason });
+      return 'skipped';
+    };
+
+    if (syncJobs.getActiveSyncJobs(portalId).length > 0) {
+      return skip('Another sync is in progress for this portal');
+    }
+    if (!acquireSyncLock(portalId, this.holder, this.lockTtlMs)) {
+      return skip('A scheduled sync is already running for this portal');
+    }
+
+    try {
+      const { problem, trackerrms } = await this.getCredentials(portalId);
+      if (problem) {
+        logger.warn('Portal credentials are broken', { portalId, problem });
+        return skip(problem);
+      }
+
+      for (const scope of scopes) {
+        await this.runScope(portalId, scope, trackerrms, scope === 'retry' ? { ids: retryIds } : {});
+      }
+      return 'ran';
+    } catch (error) {
+      logger.error('Scheduled sync failed', { portalId, scopes, error: error.message });
+      scopes.forEach(scope => updateScheduleState(portalId, scope, { lastStatus: 'failed', lastError: error.message }));
+      return 'failed';
+    } finally {
+      releaseSyncLock(portalId, this.holder);
+    }
+  }
+
+  /**
+   * Queue a scheduled sync job for a scope and wait for it to finish
+   * @param {string} portalId - HubSpot portal ID
+   * @param {string} scope - Scheduled scope
+   * @param {Object} trackerrms - TrackerRMS credentials
+   * @param {Object} [options] - Sync options for the scope
+   */
+  async runScope(portalId, scope, trackerrms, options = {}) {
+    const startedAt = new Date().toISOString();
+
+    // Scopes run one after another, so each job gets a fresh token when it starts
+    const job = syncJobs.enqueueSyncJob(portalId, { scope, trigger: 'schedule', options }, ({ onProgress, signal }) => SyncService.forPortal(
+      portalId,
+      trackerrms,
+      { trigger: 'schedule', onProgress, signal }
+    ));
+    const finished = await syncJobs.waitForSyncJob(job.id);
+
+    updateScheduleState(portalId, scope, {
+      lastRunAt: startedAt,
+      lastStatus: finished.status,
+      lastJobId: job.id,
+      lastRunId: finished.runId,
+      lastError: finished.error
+    });
+  }
+
+  /**
+   * Run every connected portal's due schedules
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object>} Run results (portals that ran, were skipped or failed)
+   */
+  async runOnce(now = new Date()) {
+    const results = { ran: 0, skipped: 0, failed: 0 };
+
+    await Promise.all(oauth.getConnectedPortals().map(async portalId => {
+      const scopes = this.getDueScopes(portalId, now);
+      const retryIds = deadLetters.getDueDeadLetterIds(portalId, now);
+      if (retryIds.length > 0) {
+        scopes.push('retry');
+      }
+      if (scopes.length > 0) {
+        results[await this.runPortal(portalId, scopes, retryIds)]++;
+      }
+    }));
+
+    if (results.ran || results.skipped || results.failed) {
+      logger.info('Sync scheduler run completed', results);
+    }
+
+    return results;
+  }
+}
+
+module.exports = { SyncScheduler, getPortalSchedules };
@@ -2,47 +2,500 @@
  * Sync service for TrackerRMS to HubSpot data synchronization
  */
 const { getClient } = require('../services/trackerrms-client');
+const { mapWithConcurrency } = require('../services/concurrency');
 const HubSpotService = require('../services/hubspot-service');
+const oauth = require('../auth/oauth');
+const { PropertySchemaManager } = require('./property-schema');
+const CustomObjectSync = require('./custom-object-sync');
+const CompanySync = require('./company-sync');
+const ContactSync = require('./contact-sync');
+const { LineItemSync, buildPlacementLineItems, lineItemsTotal } = require('./line-item-sync');
+const { OwnerResolver } = require('./owner-resolver');
+const { SyncPlan, createDryRunHubSpot, diffProperties } = require('./dry-run');
+const syncHistory = require('./sync-history');
+const deadLetters = require('./dead-letters');
+const { processWebhookEvent } = require('./webhook-events');
+const { WatermarkTracker, getWatermark, updateWatermark, isFullSyncDue } = require('./sync-watermarks');
+const { getPortalSettings } = require('../settings/portal-settings');
+const { getPipelineMapping, resolvePipelineStage } = require('../settings/pipeline-mapping');
+const { getFieldMapping, applyFieldMapping } = require('../settings/field-mapping');
+const { config } = require('../config');
 const logger = require('../logger');
 
+// Sync method for each run scope
+const SCOPE_METHODS = {
+  clients: 'syncClients',
+  jobs: 'syncJobs',
+  placements: 'syncPlacements',
+  revenue: 'syncRevenue',
+  full: 'fullSync',
+  retry: 'retryDeadLetters'
+};
+
+// Deal properties written by revenue syncs
+const REVENUE_PROPERTIES = ['trackerrms_revenue', 'trackerrms_margin'];
+
+/**
+ * Group an (async) iterable into arrays of a fixed size
+ * @param {AsyncIterable|Iterable} iterable - Source records
+ * @param {number} size - Chunk size
+ * @yields {Array} Chunk of records
+ */
+async function* inChunks(iterable, size) {
+  let batch = [];
+
+  for await (const item of iterable) {
+    batch.push(item);
+    if (batch.length >= size) {
+      yield batch;
+      batch = [];
+    }
+  }
+
+  if (batch.length > 0) {
+    yield batch;
+  }
+}
+
+/**
+ * Index deals by a property value, keeping the first deal per value
+ * @param {Array} deals - HubSpot deals
+ * @param {string} propertyName - Property to index on
+ * @returns {Map<string, Object>} Deals by property value
+ */
+function indexDealsByProperty(deals, propertyName) {
+  const index = new Map();
+
+  for (const deal of deals) {
+    const value = deal.properties?.[propertyName];
+    if (value && !index.has(String(value))) {
+      index.set(String(value), deal);
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Map each record to deal properties, capturing mapping failures per record
+ * @param {Array} records - TrackerRMS records
+ * @param {Function} map - Maps a record to deal properties
+ * @returns {Array} Mapped records ({ properties } or { error }), in input order
+ */
+function mapEach(records, map) {
+  return records.map(record => {
+    try {
+      return { properties: map(record) };
+    } catch (error) {
+      return { error };
+    }
+  });
+}
+
+/**
+ * List the property names written across mapped records
+ * Searches return these so unchanged deals can be skipped.
+ * @param {Array} mapped - Mapped records from mapEach
+ * @returns {string[]} Property names
+ */
+function mappedPropertyNames(mapped) {
+  return [...new Set(mapped.flatMap(({ properties }) => (properties ? Object.keys(properties) : [])))];
+}
+
 class SyncService {
-  constructor(hubspotAccessToken, trackerrmsApiKey) {
-    this.hubspot = new HubSpotService(hubspotAccessToken);
-    this.trackerrms = getClient(trackerrmsApiKey);
-    this.syncLog = [];
+  /**
+   * @param {string} hubspotAccessToken - HubSpot access token
+   * @param {Object} trackerrmsCredentials - TrackerRMS credentials ({ portalId, apiKey, baseUrl, timeout })
+   * @param {Object} options - Sync options
+   * @param {string} [options.portalId] - HubSpot portal ID (defaults to the credentials' portal)
+   * @param {boolean} [options.dryRun] - Record HubSpot writes in this.plan instead of making them
+   * @param {string} [options.trigger] - What started the sync, for the run history ('manual', 'webhook' or 'schedule')
+   * @param {Function} [options.onProgress] - Called with { phase, processed, total } as records are processed
+   * @param {AbortSignal} [options.signal] - Aborting stops the sync between batches
+   * @param {number} [options.concurrency] - Records processed in parallel within a batch (defaults to SYNC_CONCURRENCY)
+   * @param {Function} [options.getAccessToken] - Returns a valid HubSpot access token before each call (see forPortal)
+   */
+  constructor(hubspotAccessToken, trackerrmsCredentials = {}, options = {}) {
+    this.portalId = options.portalId || trackerrmsCredentials.portalId;
+    this.hubspot = new HubSpotService(hubspotAccessToken, { portalId: this.portalId, getAccessToken: options.getAccessToken });
+    this.plan = options.dryRun ? new SyncPlan() : null;
+    if (this.plan) {
+      this.hubspot = createDryRunHubSpot(this.hubspot, this.plan);
+    }
+    this.trackerrms = getClient(trackerrmsCredentials);
+    this.trigger = options.trigger || 'manual';
+    this.onProgress = options.onProgress || null;
+    this.signal = options.signal || null;
+    this.progress = null;
+    this.concurrency = options.concurrency || config.sync.concurrency;
+  }
+
+  /**
+   * Create a sync service for a background sync that may outlive an access token
+   * The portal's token is fetched now and checked before every HubSpot call, so
+   * it is refreshed as it nears expiry.
+   * @param {string} portalId - HubSpot portal ID
+   * @param {Object} trackerrmsCredentials - TrackerRMS credentials
+   * @param {Object} options - Sync options (see the constructor)
+   * @returns {Promise<SyncService>} Sync service
+   */
+  static async forPortal(portalId, trackerrmsCredentials, options = {}) {
+    const getAccessToken = () => oauth.getValidAccessToken(portalId);
+    return new SyncService(await getAccessToken(), trackerrmsCredentials, { ...options, portalId, getAccessToken });
+  }
+
+  /**
+   * Process records in parallel, up to the sync's concurrency
+   * @param {Array} items - Items to process
+   * @param {Function} fn - Async function called with (item, index); handles its own per-item errors
+   * @param {Object} [options] - Pool options ({ keyOf }, see mapWithConcurrency)
+   * @returns {Promise<Array>} Results, in input order
+   */
+  inParallel(items, fn, options) {
+    return mapWithConcurrency(items, this.concurrency, fn, options);
   }
 
   /**
-   * Sync all jobs from TrackerRMS to HubSpot
+   * Run a sync scope and record it in the portal's sync history
+   * @param {string} scope - 'clients', 'jobs', 'placements', 'revenue', 'full' or 'retry'
+   * @param {Object} options - Sync options for the scope
+   * @returns {Promise<Object>} Sync results, with the run ID
+   */
+  async run(scope, options = {}) {
+    const method = SCOPE_METHODS[scope];
+    if (!method) {
+      throw new Error(`Unknown sync scope: ${scope}`);
+    }
+
+    return this.recordRun(scope, () => this[method](options));
+  }
+
+  /**
+   * Record a sync operation as a run in the portal's sync history
+   * @param {string} scope - Run scope
+   * @param {Function} operation - Async function returning sync results
+   * @returns {Promise<Object>} Sync results, with the run ID
+   */
+  async recordRun(scope, operation) {
+    const run = syncHistory.startRun(this.portalId, { trigger: this.trigger, scope, dryRun: Boolean(this.plan) });
+
+    try {
+      await this.ensurePropertySchema();
+      const results = await operation();
+      syncHistory.completeRun(run.id, results);
+      return { runId: run.id, ...results };
+    } catch (error) {
+      syncHistory.failRun(run.id, error);
+      error.runId = run.id;
+      throw error;
+    } finally {
+      // Unmatched owners are collected during the run and saved once
+      this.owners?.saveUnmatched();
+    }
+  }
+
+  /**
+   * Apply the portal's pending custom property migrations before writing to HubSpot
+   * Portals installed before a migration was added would otherwise have writes to
+   * its properties rejected. Dry runs change nothing, so they skip this.
+   * @returns {Promise<void>}
+   * @throws {Error} With code SCHEMA_MIGRATION_PENDING when a migration fails
+   */
+  async ensurePropertySchema() {
+    if (this.plan) {
+      return;
+    }
+
+    const schema = new PropertySchemaManager(this.hubspot, this.portalId);
+    if (schema.getVersion().pending.length === 0) {
+      return;
+    }
+
+    try {
+      await schema.migrate();
+    } catch (error) {
+      const pending = new Error(`Property schema migration pending: ${error.message}`);
+      pending.code = 'SCHEMA_MIGRATION_PENDING';
+      throw pending;
+    }
+  }
+
+  /**
+   * Start a sync phase, resetting its progress
+   * @param {string} phase - 'clients', 'jobs', 'placements' or 'revenue'
+   */
+  beginPhase(phase) {
+    this.throwIfCancelled();
+    this.progress = { phase, processed: 0, total: null };
+    this.reportProgress();
+  }
+
+  /**
+   * TrackerRMS pagination hooks that record the current phase's record total
+   * @returns {Object} Pagination hooks
+   */
+  progressHooks() {
+    return {
+      onTotal: total => {
+        this.progress.total = total;
+        this.reportProgress();
+      }
+    };
+  }
+
+  /**
+   * Count records processed in the current phase, then stop if the sync was cancelled
+   * @param {number} count - Records processed
+   */
+  advance(count) {
+    this.progress.processed += count;
+    this.reportProgress();
+    this.throwIfCancelled();
+  }
+
+  /**
+   * Pass the current progress to the progress callback
+   */
+  reportProgress() {
+    if (this.onProgress) {
+      this.onProgress({ ...this.progress });
+    }
+  }
+
+  /**
+   * Stop the sync when its signal has been aborted
+   * @throws {Error} With code SYNC_CANCELLED
+   */
+  throwIfCancelled() {
+    if (this.signal?.aborted) {
+      const error = new Error('Sync cancelled');
+      error.code = 'SYNC_CANCELLED';
+      throw error;
+    }
+  }
+
+  /**
+   * Decide which records a job or placement sync fetches from TrackerRMS
+   * Syncs fetch records modified since the portal's watermark, unless a full
+   * reconciliation is due or requested (mode 'full'). A backfill ({ from, to })
+   * fetches records modified in that range. Backfills, dry runs and syncs with
+   * other TrackerRMS filters never move the watermark.
+   * @param {string} entity - 'jobs' or 'placements'
+   * @param {Object} options - Sync options ({ mode, backfill, ...TrackerRMS filters })
+   * @returns {Object} Fetch plan ({ entity, mode, params, moveWatermark, tracker })
+   */
+  planFetch(entity, options = {}) {
+    const { mode: requestedMode, backfill, ...filters } = options;
+    const filtered = Object.keys(filters).some(key => key !== 'pageSize');
+    let mode = 'incremental';
+    let params = { ...filters, modifiedSince: getWatermark(this.portalId, entity).watermark };
+
+    if (backfill) {
+      mode = 'backfill';
+      params = { ...filters, modifiedSince: backfill.from, ...(backfill.to && { modifiedBefore: backfill.to }) };
+    } else if (requestedMode === 'full' || isFullSyncDue(this.portalId, entity)) {
+      mode = 'full';
+      params = filters;
+    }
+
+    logger.info('Planned TrackerRMS fetch', { portalId: this.portalId, entity, mode, modifiedSince: params.modifiedSince });
+    return { entity, mode, params, moveWatermark: mode !== 'backfill' && !filtered && !this.plan, tracker: new WatermarkTracker() };
+  }
+
+  /**
+   * Move an entity's watermark once its sync has finished
+   * @param {Object} fetchPlan - Fetch plan from planFetch
+   */
+  commitFetch(fetchPlan) {
+    if (!fetchPlan.moveWatermark) {
+      return;
+    }
+
+    updateWatermark(this.portalId, fetchPlan.entity, {
+      watermark: fetchPlan.tracker.next(getWatermark(this.portalId, fetchPlan.entity).watermark),
+      ...(fetchPlan.mode === 'full' && { lastFullSyncAt: new Date(fetchPlan.tracker.startedAt).toISOString() })
+    });
+  }
+
+  /**
+   * Provision the custom object schemas before a batch is written to them
+   * A dry run cannot create missing schemas; it gets the error back so the batch's
+   * records are reported as failed instead of the whole run stopping.
+   * @param {CustomObjectSync} customObjects - Custom object sync
+   * @returns {Promise<Error|null>} Error to fail the batch's records with, or null once the schemas exist
+   */
+  async provisionCustomObjects(customObjects) {
+    try {
+      await customObjects.ensureSchemas();
+      return null;
+    } catch (error) {
+      if (!this.plan) {
+        throw error;
+      }
+      return new Error(`TrackerRMS custom object schemas are missing: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the custom object writer when the portal models records as custom objects
+   * @returns {CustomObjectSync|null} Custom object sync, or null in deal mode
+   */
+  getCustomObjectSync() {
+    if (getPortalSettings(this.portalId).objectModel !== 'custom_objects') {
+      return null;
+    }
+
+    if (!this.customObjects || this.customObjects.hubspot !== this.hubspot) {
+      this.customObjects = new CustomObjectSync(this.hubspot, this.portalId);
+    }
+    return this.customObjects;
+  }
+
+  /**
+   * Get the company writer for the current HubSpot service
+   * @returns {CompanySync} Company sync
+   */
+  getCompanySync() {
+    if (!this.companies || this.companies.hubspot !== this.hubspot) {
+      this.companies = new CompanySync(this.hubspot);
+    }
+    return this.companies;
+  }
+
+  /**
+   * Get the contact writer for the current HubSpot service
+   * @returns {ContactSync} Contact sync
+   */
+  getContactSync() {
+    if (!this.contacts || this.contacts.hubspot !== this.hubspot) {
+      this.contacts = new ContactSync(this.hubspot, this.portalId);
+    }
+    return this.contacts;
+  }
+
+  /**
+   * Get the line item writer for the current HubSpot service
+   * @returns {LineItemSync} Line item sync
+   */
+  getLineItemSync() {
+    if (!this.lineItems || this.lineItems.hubspot !== this.hubspot) {
+      this.lineItems = new LineItemSync(this.hubspot);
+    }
+    return this.lineItems;
+  }
+
+  /**
+   * Get the recruiter to owner resolver for the current HubSpot service, with owners loaded
+   * @returns {Promise<OwnerResolver>} Owner resolver
+   */
+  async getOwnerResolver() {
+    if (!this.owners || this.owners.hubspot !== this.hubspot) {
+      this.owners = new OwnerResolver(this.hubspot, this.portalId);
+    }
+    await this.owners.load();
+    return this.owners;
+  }
+
+  /**
+   * Deal owner properties for a job or placement, once owners are loaded
+   * @param {Object} record - TrackerRMS job or placement
+   * @returns {Object} Deal properties ({ hubspot_owner_id, trackerrms_secondary_recruiters })
+   */
+  mapOwnerProperties(record) {
+    return this.owners && this.owners.hubspot === this.hubspot ? this.owners.getOwnerProperties(record) : {};
+  }
+
+  /**
+   * Whether the portal has opted out of writing candidate PII to HubSpot
+   * @returns {boolean} True when candidate details must be left out
+   */
+  excludesCandidatePii() {
+    return getPortalSettings(this.portalId).excludeCandidatePii === true;
+  }
+
+  /**
+   * Sync all clients from TrackerRMS to HubSpot companies
    * @param {Object} options - Sync options
    * @returns {Promise<Object>} Sync results
    */
-  async syncJobs(options = {}) {
+  async syncClients(options = {}) {
     const results = { created: 0, updated: 0, errors: 0, items: [] };
 
     try {
-      const jobs = await this.trackerrms.getJobs(options);
+      this.beginPhase('clients');
+      for await (const clients of inChunks(this.trackerrms.iterateClients(options, this.progressHooks()), config.sync.batchSize)) {
+        const batchResults = await this.getCompanySync().syncClientBatch(clients);
+        batchResults.forEach(item => this.tallyResult(results, item));
+        this.advance(clients.length);
+      }
 
-      for (const job of jobs) {
-        try {
-          const syncResult = await this.syncSingleJob(job);
-          results.items.push(syncResult);
+      logger.info('Client sync completed', results);
+      return results;
+    } catch (error) {
+      logger.error('Failed to sync clients', { error: error.message });
+      throw error;
+    }
+  }
 
-          if (syncResult.action === 'created') {
-            results.created++;
-          } else if (syncResult.action === 'updated') {
-            results.updated++;
-          }
-        } catch (error) {
-          results.errors++;
-          results.items.push({
-            jobId: job.id,
-            action: 'error',
-            error: error.message
-          });
-          logger.error('Failed to sync job', { jobId: job.id, error: error.message });
-        }
+  /**
+   * Associate written deals with their client companies
+   * Association failures are logged and never fail the deal's sync.
+   * @param {Array} records - TrackerRMS jobs or placements
+   * @param {Array} results - Per-item results, aligned with records
+   * @returns {Promise<void>}
+   */
+  async associateDealsWithCompanies(records, results) {
+    const written = records
+      .map((record, index) => ({ record, result: results[index] }))
+      .filter(({ record, result }) => result?.dealId && result.action !== 'error' && (record.clientId || record.clientName));
+
+    if (written.length === 0) {
+      return;
+    }
+
+    let companyIds;
+    try {
+      companyIds = await this.getCompanySync().resolveCompanyIds(written.map(({ record }) => record));
+    } catch (error) {
+      logger.warn('Could not look up companies for deals', { count: written.length, error: error.message });
+      return;
+    }
+
+    await this.inParallel(written, async ({ result }, i) => {
+      if (!companyIds[i]) {
+        return;
+      }
+
+      try {
+        await this.hubspot.associateDealWithCompany(result.dealId, companyIds[i]);
+        result.companyId = companyIds[i];
+      } catch (error) {
+        logger.warn('Could not associate deal with company', { dealId: result.dealId, companyId: companyIds[i], error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Sync jobs from TrackerRMS to HubSpot, incrementally from the portal's watermark
+   * @param {Object} options - Sync options ({ mode, backfill, ...TrackerRMS filters }, see planFetch)
+   * @returns {Promise<Object>} Sync results
+   */
+  async syncJobs(options = {}) {
+    const results = { created: 0, updated: 0, skipped: 0, errors: 0, items: [] };
+
+    try {
+      const fetchPlan = this.planFetch('jobs', options);
+
+      // Stream jobs page by page and write them to HubSpot in batches
+      this.beginPhase('jobs');
+      for await (const jobs of inChunks(this.trackerrms.iterateJobs(fetchPlan.params, this.progressHooks()), config.sync.batchSize)) {
+        const batchResults = await this.syncJobBatch(jobs);
+        batchResults.forEach(item => this.tallyResult(results, item));
+        this.trackDeadLetters('jobs', jobs, batchResults, 'jobId');
+        fetchPlan.tracker.track(jobs, batchResults, 'jobId');
+        this.advance(jobs.length);
       }
+      this.commitFetch(fetchPlan);
 
       logger.info('Job sync completed', results);
       return results;
@@ -52,26 +505,272 @@ class SyncService {
     }
   }
 
+  /**
+   * Record a per-item result and update the counters
+   * @param {Object} results - Sync results
+   * @param {Object} item - Per-item result
+   */
+  tallyResult(results, item) {
+    results.items.push(item);
+
+    if (item.action === 'created') {
+      results.created++;
+    } else if (item.action === 'updated') {
+      results.updated++;
+    } else if (item.action === 'skipped') {
+      results.skipped++;
+    } else if (item.action === 'error') {
+      results.errors++;
+    }
+  }
+
+  /**
+   * Keep failed records in the dead-letter store and clear the ones that synced
+   * Dry runs change nothing, so they are not tracked.
+   * @param {string} entity - 'jobs', 'placements' or 'revenue'
+   * @param {Array} records - TrackerRMS records in the batch
+   * @param {Array} items - Per-item results for the batch
+   * @param {string} idKey - Result property holding the record ID ('jobId' or 'placementId')
+   */
+  trackDeadLetters(entity, records, items, idKey) {
+    if (this.plan) {
+      return;
+    }
+
+    const failed = new Map(items.filter(item => item.action === 'error').map(item => [String(item[idKey]), item.error]));
+    deadLetters.recordFailures(this.portalId, entity, records
+      .filter(record => failed.has(String(record.id)))
+      .map(record => ({ recordId: record.id, payload: record, error: failed.get(String(record.id)) })));
+    deadLetters.resolveDeadLetters(this.portalId, entity, records
+      .filter(record => !failed.has(String(record.id)))
+      .map(record => record.id));
+  }
+
+  /**
+   * Sync a batch of jobs using HubSpot batch search, create and update
+   * @param {Array} jobs - TrackerRMS jobs
+   * @returns {Promise<Array>} Per-item results, in input order
+   */
+  async syncJobBatch(jobs) {
+    const results = new Array(jobs.length);
+    const creates = [];
+    const updates = [];
+    const deferred = [];
+    const seen = new Set();
+
+    await this.getOwnerResolver();
+    const mapped = mapEach(jobs, job => this.mapJobToDealProperties(job));
+    const existingDeals = indexDealsByProperty(
+      await this.hubspot.searchDealsByPropertyValues('trackerrms_job_id', jobs.map(job => job.id), mappedPropertyNames(mapped)),
+      'trackerrms_job_id'
+    );
+
+    jobs.forEach((job, index) => {
+      // Repeated records go through the single-record path after the batch is written
+      if (seen.has(String(job.id))) {
+        deferred.push(index);
+        return;
+      }
+      seen.add(String(job.id));
+
+      const { properties, error } = mapped[index];
+      if (error) {
+        results[index] = this.jobErrorResult(job, error);
+        return;
+      }
+
+      const existing = existingDeals.get(String(job.id));
+      if (existing) {
+        updates.push({ index, id: existing.id, properties, current: existing.properties });
+      } else {
+        creates.push({ index, properties });
+      }
+    });
+
+    const outcomes = await this.writeDeals(creates, updates, 'trackerrms_job_id');
+
+    for (const [index, outcome] of outcomes) {
+      const job = jobs[index];
+      results[index] = outcome.error
+        ? this.jobErrorResult(job, outcome.error)
+        : { jobId: job.id, dealId: outcome.dealId, action: outcome.action };
+    }
+
+    const written = [...outcomes.keys()];
+    await this.associateDealsWithCompanies(written.map(index => jobs[index]), written.map(index => results[index]));
+
+    const customObjects = this.getCustomObjectSync();
+    if (customObjects) {
+      // Provision the schemas once, before the records are written in parallel
+      const schemaError = await this.provisionCustomObjects(customObjects);
+
+      await this.inParallel([...outcomes].filter(([, outcome]) => !outcome.error), async ([index, outcome]) => {
+        if (schemaError) {
+          results[index] = this.jobErrorResult(jobs[index], schemaError);
+          return;
+        }
+        try {
+          const { objectId } = await customObjects.syncJob(jobs[index], outcome.dealId);
+          results[index] = { ...results[index], objectId };
+        } catch (error) {
+          results[index] = this.jobErrorResult(jobs[index], error);
+        }
+      });
+    }
+
+    // Repeats of a job write the same deal, so they run one at a time
+    for (const index of deferred) {
+      try {
+        results[index] = await this.syncSingleJob(jobs[index]);
+      } catch (error) {
+        results[index] = this.jobErrorResult(jobs[index], error);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Build the per-item result for a failed job
+   * @param {Object} job - TrackerRMS job
+   * @param {Error} error - Failure
+   * @returns {Object} Error result
+   */
+  jobErrorResult(job, error) {
+    logger.error('Failed to sync job', { jobId: job.id, error: error.message });
+    return { jobId: job.id, action: 'error', error: error.message };
+  }
+
+  /**
+   * Whether writing properties would leave a deal as it is
+   * In a dry run the deal is still listed in the plan, as a skip.
+   * @param {string} dealId - Deal ID
+   * @param {Object} [current] - Deal properties HubSpot returned, when known
+   * @param {Object} properties - Properties that would be written
+   * @returns {boolean} True when the update can be skipped
+   */
+  isUnchangedDeal(dealId, current, properties) {
+    if (!current || diffProperties(current, properties).length > 0) {
+      return false;
+    }
+
+    if (this.plan) {
+      this.plan.recordUpdate('deals', dealId, current, properties);
+    }
+    return true;
+  }
+
+  /**
+   * Write deal creates and updates with the batch APIs
+   * Updates that would not change the deal are skipped. Anything a batch call
+   * does not confirm falls back to individual calls, so one bad record never
+   * fails the rest of the batch.
+   * @param {Array} creates - Creates ({ index, properties })
+   * @param {Array} allUpdates - Updates ({ index, id, properties, current? }), with the deal's current properties when known
+   * @param {string} idProperty - TrackerRMS ID property used to match created deals
+   * @returns {Promise<Map<number, Object>>} Outcomes by input index ({ dealId, action } or { error })
+   */
+  async writeDeals(creates, allUpdates, idProperty) {
+    const outcomes = new Map();
+
+    const updates = allUpdates.filter(update => {
+      if (this.isUnchangedDeal(update.id, update.current, update.properties)) {
+        outcomes.set(update.index, { dealId: update.id, action: 'skipped' });
+        return false;
+      }
+      return true;
+    });
+
+    if (updates.length > 0) {
+      try {
+        const updated = await this.hubspot.batchUpdateDeals(updates.map(({ id, properties }) => ({ id, properties })));
+        const updatedIds = new Set(updated.map(deal => String(deal.id)));
+
+        updates
+          .filter(update => updatedIds.has(String(update.id)))
+          .forEach(update => outcomes.set(update.index, { dealId: update.id, action: 'updated' }));
+      } catch (error) {
+        logger.warn('Batch deal update failed - falling back to individual updates', { count: updates.length, error: error.message });
+      }
+
+      for (const update of updates.filter(u => !outcomes.has(u.index))) {
+        try {
+          const deal = await this.hubspot.updateDeal(update.id, update.properties);
+          outcomes.set(update.index, { dealId: deal.id, action: 'updated' });
+        } catch (error) {
+          outcomes.set(update.index, { error });
+        }
+      }
+    }
+
+    if (creates.length > 0) {
+      try {
+        const created = indexDealsByProperty(
+          await this.hubspot.batchCreateDeals(creates.map(create => create.properties)),
+          idProperty
+        );
+
+        for (const create of creates) {
+          const deal = created.get(String(create.properties[idProperty]));
+          if (deal) {
+            outcomes.set(create.index, { dealId: deal.id, action: 'created' });
+          }
+        }
+      } catch (error) {
+        logger.warn('Batch deal create failed - falling back to individual upserts', { count: creates.length, error: error.message });
+      }
+
+      // Re-check before creating individually, in case the batch was applied but its response was lost
+      for (const create of creates.filter(c => !outcomes.has(c.index))) {
+        try {
+          const existing = await this.hubspot.searchDeals(idProperty, create.properties[idProperty]);
+          const deal = existing.length > 0
+            ? await this.hubspot.updateDeal(existing[0].id, create.properties)
+            : await this.hubspot.createDeal(create.properties);
+          outcomes.set(create.index, { dealId: deal.id, action: existing.length > 0 ? 'updated' : 'created' });
+        } catch (error) {
+          outcomes.set(create.index, { error });
+        }
+      }
+    }
+
+    return outcomes;
+  }
+
   /**
    * Sync a single job to HubSpot
    * @param {Object} job - TrackerRMS job data
    * @returns {Promise<Object>} Sync result
    */
   async syncSingleJob(job) {
+    await this.getOwnerResolver();
     const dealProperties = this.mapJobToDealProperties(job);
 
     // Check if deal already exists
-    const existingDeals = await this.hubspot.searchDeals('trackerrms_job_id', job.id);
+    const existingDeals = await this.hubspot.searchDeals('trackerrms_job_id', job.id, Object.keys(dealProperties));
+    let result;
 
-    if (existingDeals.length > 0) {
+    if (existingDeals.length > 0 && this.isUnchangedDeal(existingDeals[0].id, existingDeals[0].properties, dealProperties)) {
+      result = { jobId: job.id, dealId: existingDeals[0].id, action: 'skipped' };
+    } else if (existingDeals.length > 0) {
       // Update existing deal
       const deal = await this.hubspot.updateDeal(existingDeals[0].id, dealProperties);
-      return { jobId: job.id, dealId: deal.id, action: 'updated' };
+      result = { jobId: job.id, dealId: deal.id, action: 'updated' };
     } else {
       // Create new deal
       const deal = await this.hubspot.createDeal(dealProperties);
-      return { jobId: job.id, dealId: deal.id, action: 'created' };
+      result = { jobId: job.id, dealId: deal.id, action: 'created' };
     }
+
+    await this.associateDealsWithCompanies([job], [result]);
+
+    const customObjects = this.getCustomObjectSync();
+    if (customObjects) {
+      const { objectId } = await customObjects.syncJob(job, result.dealId);
+      result.objectId = objectId;
+    }
+
+    return result;
   }
 
   /**
@@ -81,65 +780,48 @@ class SyncService {
    */
   mapJobToDealProperties(job) {
     return {
-      dealname: job.title || job.name,
-      amount: job.estimatedRevenue || 0,
-      dealstage: this.mapJobStatusToDealStage(job.status),
-      closedate: job.targetDate || null,
+      ...applyFieldMapping(getFieldMapping(this.portalId).jobs, job),
+      ...this.mapStatusToPipelineStage('jobs', job.status),
       trackerrms_job_id: job.id,
-      trackerrms_service_line: job.serviceLine || job.category || ''
+      ...this.mapOwnerProperties(job)
     };
   }
 
   /**
-   * Map TrackerRMS job status to HubSpot deal stage
-   * @param {string} status - TrackerRMS job status
-   * @returns {string} HubSpot deal stage ID
+   * Map a TrackerRMS status to deal pipeline and stage properties using the portal's mapping
+   * @param {string} entity - 'jobs' or 'placements'
+   * @param {string} status - TrackerRMS status
+   * @returns {Object} Deal properties ({ pipeline, dealstage })
    */
-  mapJobStatusToDealStage(status) {
-    const stageMap = {
-      'open': 'appointmentscheduled',
-      'active': 'qualifiedtobuy',
-      'interviewing': 'presentationscheduled',
-      'offer': 'decisionmakerboughtin',
-      'filled': 'closedwon',
-      'closed': 'closedlost',
-      'cancelled': 'closedlost'
-    };
-
-    return stageMap[status?.toLowerCase()] || 'appointmentscheduled';
+  mapStatusToPipelineStage(entity, status) {
+    const { pipelineId, stageId } = resolvePipelineStage(getPipelineMapping(this.portalId), entity, status);
+    return { pipeline: pipelineId, dealstage: stageId };
   }
 
   /**
-   * Sync all placements from TrackerRMS to HubSpot
-   * @param {Object} options - Sync options
+   * Sync placements from TrackerRMS to HubSpot, incrementally from the portal's watermark
+   * @param {Object} options - Sync options ({ mode, backfill, ...TrackerRMS filters }, see planFetch)
    * @returns {Promise<Object>} Sync results
    */
   async syncPlacements(options = {}) {
-    const results = { created: 0, updated: 0, errors: 0, items: [] };
+    const results = { created: 0, updated: 0, skipped: 0, errors: 0, items: [] };
 
     try {
-      const placements = await this.trackerrms.getPlacements(options);
+      // Stream placements page by page and write them to HubSpot in batches
+      const customObjects = this.getCustomObjectSync();
+      const fetchPlan = this.planFetch('placements', options);
 
-      for (const placement of placements) {
-        try {
-          const syncResult = await this.syncSinglePlacement(placement);
-          results.items.push(syncResult);
-
-          if (syncResult.action === 'created') {
-            results.created++;
-          } else if (syncResult.action === 'updated') {
-            results.updated++;
-          }
-        } catch (error) {
-          results.errors++;
-          results.items.push({
-            placementId: placement.id,
-            action: 'error',
-            error: error.message
-          });
-          logger.error('Failed to sync placement', { placementId: placement.id, error: error.message });
-        }
+      this.beginPhase('placements');
+      for await (const placements of inChunks(this.trackerrms.iteratePlacements(fetchPlan.params, this.progressHooks()), config.sync.batchSize)) {
+        const batchResults = customObjects
+          ? await this.syncPlacementObjects(customObjects, placements)
+          : await this.syncPlacementBatch(placements);
+        batchResults.forEach(item => this.tallyResult(results, item));
+        this.trackDeadLetters('placements', placements, batchResults, 'placementId');
+        fetchPlan.tracker.track(placements, batchResults, 'placementId');
+        this.advance(placements.length);
       }
+      this.commitFetch(fetchPlan);
 
       logger.info('Placement sync completed', results);
       return results;
@@ -149,26 +831,248 @@ class SyncService {
     }
   }
 
+  /**
+   * Sync a batch of placements using HubSpot batch search, create and update
+   * @param {Array} placements - TrackerRMS placements
+   * @returns {Promise<Array>} Per-item results, in input order
+   */
+  async syncPlacementBatch(placements) {
+    const results = new Array(placements.length);
+    const creates = [];
+    const updates = [];
+    const deferred = [];
+    const seen = new Set();
+    const claimedDealIds = new Set();
+
+    await this.getOwnerResolver();
+    const mapped = mapEach(placements, placement => this.mapPlacementToDealProperties(placement));
+    const propertyNames = mappedPropertyNames(mapped);
+    const existingDeals = indexDealsByProperty(
+      await this.hubspot.searchDealsByPropertyValues('trackerrms_placement_id', placements.map(p => p.id), propertyNames),
+      'trackerrms_placement_id'
+    );
+
+    // Parent job deals for placements that do not have their own deal yet
+    const orphanJobIds = placements
+      .filter(p => p.jobId && !existingDeals.has(String(p.id)))
+      .map(p => p.jobId);
+    const jobDeals = orphanJobIds.length > 0
+      ? indexDealsByProperty(await this.hubspot.searchDealsByPropertyValues('trackerrms_job_id', orphanJobIds, propertyNames), 'trackerrms_job_id')
+      : new Map();
+
+    placements.forEach((placement, index) => {
+      if (seen.has(String(placement.id))) {
+        deferred.push(index);
+        return;
+      }
+      seen.add(String(placement.id));
+
+      const { properties, error } = mapped[index];
+      if (error) {
+        results[index] = this.placementErrorResult(placement, error);
+        return;
+      }
+
+      const existing = existingDeals.get(String(placement.id));
+      const jobDeal = placement.jobId ? jobDeals.get(String(placement.jobId)) : null;
+
+      if (existing && !claimedDealIds.has(existing.id)) {
+        claimedDealIds.add(existing.id);
+        updates.push({ index, id: existing.id, properties, current: existing.properties });
+      } else if (existing || (jobDeal && claimedDealIds.has(jobDeal.id))) {
+        // A deal can only be written once per batch - replay the rest one by one
+        deferred.push(index);
+      } else if (jobDeal) {
+        // Update the job's deal with placement data
+        claimedDealIds.add(jobDeal.id);
+        updates.push({ index, id: jobDeal.id, properties, current: jobDeal.properties, viaJob: true });
+      } else {
+        creates.push({ index, properties });
+      }
+    });
+
+    const outcomes = await this.writeDeals(creates, updates, 'trackerrms_placement_id');
+    const viaJob = new Set(updates.filter(u => u.viaJob).map(u => u.index));
+
+    for (const [index, outcome] of outcomes) {
+      const placement = placements[index];
+
+      if (outcome.error) {
+        results[index] = this.placementErrorResult(placement, outcome.error);
+      } else if (viaJob.has(index)) {
+        results[index] = { placementId: placement.id, jobId: placement.jobId, dealId: outcome.dealId, action: outcome.action };
+      } else {
+        results[index] = { placementId: placement.id, dealId: outcome.dealId, action: outcome.action };
+      }
+    }
+
+    const written = [...outcomes.keys()];
+    await this.associateDealsWithCompanies(written.map(index => placements[index]), written.map(index => results[index]));
+
+    // Each written placement has its own deal, so line items can be written in parallel
+    await this.inParallel(written, async index => {
+      results[index] = await this.syncPlacementLineItems(placements[index], results[index]);
+    });
+
+    // Placements can share a candidate or hiring manager, so contacts are upserted one at a time
+    for (const index of written) {
+      await this.syncPlacementContacts(placements[index], results[index]);
+    }
+
+    // Repeats of a placement write the same deal, so they run one at a time
+    for (const index of deferred) {
+      try {
+        results[index] = await this.syncSinglePlacement(placements[index]);
+      } catch (error) {
+        results[index] = this.placementErrorResult(placements[index], error);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Sync a batch of placements into the TrackerRMS Placement custom object
+   * @param {CustomObjectSync} customObjects - Custom object sync
+   * @param {Array} placements - TrackerRMS placements
+   * @returns {Promise<Array>} Per-item results, in input order
+   */
+  async syncPlacementObjects(customObjects, placements) {
+    // Provision the schemas once, before the records are written in parallel
+    const schemaError = await this.provisionCustomObjects(customObjects);
+    if (schemaError) {
+      return placements.map(placement => this.placementErrorResult(placement, schemaError));
+    }
+
+    // Repeats of a placement write the same record, so they share a lane
+    const results = await this.inParallel(placements, async placement => {
+      try {
+        return await customObjects.syncPlacement(placement);
+      } catch (error) {
+        return this.placementErrorResult(placement, error);
+      }
+    }, { keyOf: placement => placement.id });
+
+    // Placements can share a candidate or hiring manager, so contacts are upserted one at a time
+    for (const [index, placement] of placements.entries()) {
+      await this.syncPlacementContacts(placement, results[index], customObjects);
+    }
+
+    return results;
+  }
+
+  /**
+   * Maintain the line items that make up a placement deal's amount
+   * @param {Object} placement - TrackerRMS placement
+   * @param {Object} result - Per-item placement result
+   * @returns {Promise<Object>} The result, or an error result when the line items could not be written
+   */
+  async syncPlacementLineItems(placement, result) {
+    if (!result || result.action === 'error' || !result.dealId) {
+      return result;
+    }
+
+    try {
+      await this.getLineItemSync().syncPlacementLineItems(result.dealId, placement);
+      return result;
+    } catch (error) {
+      return this.placementErrorResult(placement, error);
+    }
+  }
+
+  /**
+   * Upsert a placement's candidate and hiring manager contacts and associate them
+   * with the placement's deal (and its custom object record, in custom object mode)
+   * Contact failures are logged and never fail the placement's sync.
+   * @param {Object} placement - TrackerRMS placement
+   * @param {Object} result - Per-item placement result (updated with the contact IDs)
+   * @param {CustomObjectSync} [customObjects] - Custom object sync, in custom object mode
+   * @returns {Promise<void>}
+   */
+  async syncPlacementContacts(placement, result, customObjects = null) {
+    if (!result || result.action === 'error') {
+      return;
+    }
+
+    try {
+      const contacts = await this.getContactSync().syncPlacementContacts(placement, result.dealId, {
+        includeCandidate: !this.excludesCandidatePii()
+      });
+
+      if (Object.keys(contacts).length > 0) {
+        result.contacts = contacts;
+      }
+      if (customObjects && result.objectId) {
+        await customObjects.associatePlacementContacts(result.objectId, Object.values(contacts));
+      }
+    } catch (error) {
+      logger.warn('Could not sync placement contacts', { placementId: placement.id, error: error.message });
+    }
+  }
+
+  /**
+   * Build the per-item result for a failed placement
+   * @param {Object} placement - TrackerRMS placement
+   * @param {Error} error - Failure
+   * @returns {Object} Error result
+   */
+  placementErrorResult(placement, error) {
+    logger.error('Failed to sync placement', { placementId: placement.id, error: error.message });
+    return { placementId: placement.id, action: 'error', error: error.message };
+  }
+
   /**
    * Sync a single placement to HubSpot
    * @param {Object} placement - TrackerRMS placement data
    * @returns {Promise<Object>} Sync result
    */
   async syncSinglePlacement(placement) {
+    // Placements are their own records in custom object mode, so the job deal is never overwritten
+    const customObjects = this.getCustomObjectSync();
+    if (customObjects) {
+      const result = await customObjects.syncPlacement(placement);
+      await this.syncPlacementContacts(placement, result, customObjects);
+      return result;
+    }
+
+    const result = await this.writePlacementDeal(placement);
+    await this.associateDealsWithCompanies([placement], [result]);
+
+    await this.getLineItemSync().syncPlacementLineItems(result.dealId, placement);
+
+    await this.syncPlacementContacts(placement, result);
+    return result;
+  }
+
+  /**
+   * Create or update the deal for a single placement
+   * @param {Object} placement - TrackerRMS placement data
+   * @returns {Promise<Object>} Sync result
+   */
+  async writePlacementDeal(placement) {
+    await this.getOwnerResolver();
     const dealProperties = this.mapPlacementToDealProperties(placement);
 
     // Check if deal already exists for this placement
-    const existingDeals = await this.hubspot.searchDeals('trackerrms_placement_id', placement.id);
+    const propertyNames = Object.keys(dealProperties);
+    const existingDeals = await this.hubspot.searchDeals('trackerrms_placement_id', placement.id, propertyNames);
 
     if (existingDeals.length > 0) {
+      if (this.isUnchangedDeal(existingDeals[0].id, existingDeals[0].properties, dealProperties)) {
+        return { placementId: placement.id, dealId: existingDeals[0].id, action: 'skipped' };
+      }
+
       // Update existing deal
       const deal = await this.hubspot.updateDeal(existingDeals[0].id, dealProperties);
       return { placementId: placement.id, dealId: deal.id, action: 'updated' };
     } else {
       // Check if there's a deal for the parent job
       if (placement.jobId) {
-        const jobDeals = await this.hubspot.searchDeals('trackerrms_job_id', placement.jobId);
+        const jobDeals = await this.hubspot.searchDeals('trackerrms_job_id', placement.jobId, propertyNames);
 
+        if (jobDeals.length > 0 && this.isUnchangedDeal(jobDeals[0].id, jobDeals[0].properties, dealProperties)) {
+          return { placementId: placement.id, jobId: placement.jobId, dealId: jobDeals[0].id, action: 'skipped' };
+        }
         if (jobDeals.length > 0) {
           // Update the job's deal with placement data
           const deal = await this.hubspot.updateDeal(jobDeals[0].id, dealProperties);
@@ -188,17 +1092,18 @@ class SyncService {
    * @returns {Object} Deal properties
    */
   mapPlacementToDealProperties(placement) {
+    const excludeCandidatePii = this.excludesCandidatePii();
+    const mapped = applyFieldMapping(getFieldMapping(this.portalId).placements, placement, { excludeCandidatePii });
+
     return {
-      dealname: placement.title || `Placement: ${placement.candidateName}`,
-      amount: placement.revenue || placement.billRate * placement.hours || 0,
-      dealstage: 'closedwon',
-      closedate: placement.startDate || placement.createdAt,
+      // Placement deals always need a name, even when the mapping yields none
+      dealname: excludeCandidatePii ? `Placement ${placement.id}` : `Placement: ${placement.candidateName}`,
+      ...mapped,
+      amount: lineItemsTotal(buildPlacementLineItems(placement)),
+      ...this.mapStatusToPipelineStage('placements', placement.status),
       trackerrms_placement_id: placement.id,
       trackerrms_job_id: placement.jobId || '',
-      trackerrms_service_line: placement.serviceLine || '',
-      trackerrms_revenue: placement.revenue || 0,
-      trackerrms_margin: placement.margin || 0,
-      trackerrms_placement_date: placement.startDate || null
+      ...this.mapOwnerProperties(placement)
     };
   }
 
@@ -207,36 +1112,17 @@ class SyncService {
    * @returns {Promise<Object>} Sync results
    */
   async syncRevenue() {
-    const results = { updated: 0, errors: 0, items: [] };
+    const results = { updated: 0, skipped: 0, errors: 0, items: [] };
 
     try {
-      const placements = await this.trackerrms.getPlacements({ status: 'active' });
+      this.beginPhase('revenue');
+      const activePlacements = this.trackerrms.iteratePlacements({ status: 'active' }, this.progressHooks());
 
-      for (const placement of placements) {
-        try {
-          const revenueData = await this.trackerrms.getPlacementRevenue(placement.id);
-
-          // Find the associated deal
-          const deals = await this.hubspot.searchDeals('trackerrms_placement_id', placement.id);
-
-          if (deals.length > 0) {
-            await this.hubspot.updateDeal(deals[0].id, {
-              trackerrms_revenue: revenueData.totalRevenue || 0,
-              trackerrms_margin: revenueData.margin || 0,
-              amount: revenueData.totalRevenue || 0
-            });
-
-            results.updated++;
-            results.items.push({
-              placementId: placement.id,
-              dealId: deals[0].id,
-              revenue: revenueData.totalRevenue
-            });
-          }
-        } catch (error) {
-          results.errors++;
-          logger.error('Failed to sync revenue', { placementId: placement.id, error: error.message });
-        }
+      const customObjects = this.getCustomObjectSync();
+
+      for await (const placements of inChunks(activePlacements, config.sync.batchSize)) {
+        await this.syncRevenueRecords(customObjects, placements, results);
+        this.advance(placements.length);
       }
 
       logger.info('Revenue sync completed', results);
@@ -247,25 +1133,268 @@ class SyncService {
     }
   }
 
+  /**
+   * Sync revenue for a batch of placements onto their deals or custom object records
+   * @param {CustomObjectSync|null} customObjects - Custom object sync, in custom object mode
+   * @param {Array} placements - TrackerRMS placements
+   * @param {Object} results - Sync results to update
+   * @returns {Promise<void>}
+   */
+  async syncRevenueRecords(customObjects, placements, results) {
+    const firstItem = results.items.length;
+
+    if (customObjects) {
+      await this.syncPlacementObjectRevenue(customObjects, placements, results);
+    } else {
+      await this.syncRevenueBatch(placements, results);
+    }
+
+    this.trackDeadLetters('revenue', placements, results.items.slice(firstItem), 'placementId');
+  }
+
+  /**
+   * Sync revenue for a batch of placements
+   * @param {Array} placements - TrackerRMS placements
+   * @param {Object} results - Sync results to update
+   * @returns {Promise<void>}
+   */
+  async syncRevenueBatch(placements, results) {
+    const revenueByPlacement = new Map();
+
+    const fetched = await this.inParallel(placements, async placement => {
+      try {
+        return { revenueData: await this.trackerrms.getPlacementRevenue(placement.id) };
+      } catch (error) {
+        return { error };
+      }
+    });
+
+    placements.forEach((placement, index) => {
+      const { revenueData, error } = fetched[index];
+
+      if (error) {
+        results.errors++;
+        results.items.push({ placementId: placement.id, action: 'error', error: error.message });
+        logger.error('Failed to sync revenue', { placementId: placement.id, error: error.message });
+      } else {
+        revenueByPlacement.set(placement.id, revenueData);
+      }
+    });
+
+    // Find the associated deals
+    const deals = indexDealsByProperty(
+      await this.hubspot.searchDealsByPropertyValues('trackerrms_placement_id', [...revenueByPlacement.keys()], REVENUE_PROPERTIES),
+      'trackerrms_placement_id'
+    );
+
+    const updates = [];
+    for (const [placementId, revenueData] of revenueByPlacement) {
+      const deal = deals.get(String(placementId));
+      if (deal) {
+        updates.push({
+          index: updates.length,
+          id: deal.id,
+          placementId,
+          revenue: revenueData.totalRevenue,
+          // The deal amount is derived from the placement's line items, so it is left alone here
+          properties: {
+            trackerrms_revenue: revenueData.totalRevenue || 0,
+            trackerrms_margin: revenueData.margin || 0
+          },
+          current: deal.properties
+        });
+      }
+    }
+
+    const outcomes = await this.writeDeals([], updates, 'trackerrms_placement_id');
+
+    for (const update of updates) {
+      const outcome = outcomes.get(update.index);
+
+      if (outcome.error) {
+        results.errors++;
+        results.items.push({ placementId: update.placementId, dealId: update.id, action: 'error', error: outcome.error.message });
+        logger.error('Failed to sync revenue', { placementId: update.placementId, error: outcome.error.message });
+      } else {
+        results[outcome.action]++;
+        results.items.push({
+          placementId: update.placementId,
+          dealId: update.id,
+          action: outcome.action,
+          revenue: update.revenue
+        });
+      }
+    }
+  }
+
+  /**
+   * Sync revenue for a batch of placements onto their custom object records
+   * @param {CustomObjectSync} customObjects - Custom object sync
+   * @param {Array} placements - TrackerRMS placements
+   * @param {Object} results - Sync results to update
+   * @returns {Promise<void>}
+   */
+  async syncPlacementObjectRevenue(customObjects, placements, results) {
+    // Provision the schemas once, before the records are written in parallel
+    const schemaError = await this.provisionCustomObjects(customObjects);
+
+    const outcomes = await this.inParallel(placements, async placement => {
+      if (schemaError) {
+        return { error: schemaError };
+      }
+      try {
+        const revenueData = await this.trackerrms.getPlacementRevenue(placement.id);
+        return { revenueData, objectId: await customObjects.updatePlacementRevenue(placement.id, revenueData) };
+      } catch (error) {
+        return { error };
+      }
+    }, { keyOf: placement => placement.id });
+
+    placements.forEach((placement, index) => {
+      const { revenueData, objectId, error } = outcomes[index];
+
+      if (error) {
+        results.errors++;
+        results.items.push({ placementId: placement.id, action: 'error', error: error.message });
+        logger.error('Failed to sync revenue', { placementId: placement.id, error: error.message });
+      } else if (objectId) {
+        results.updated++;
+        results.items.push({
+          placementId: placement.id,
+          objectId,
+          action: 'updated',
+          revenue: revenueData.totalRevenue
+        });
+      }
+    });
+  }
+
+  /**
+   * Retry dead letters from their stored payloads
+   * Records that sync leave the dead-letter store; ones that fail again have
+   * their attempt count and next automatic retry updated.
+   * @param {Object} options - Retry options
+   * @param {Array} options.ids - Dead letter IDs
+   * @returns {Promise<Object>} Sync results by entity, for the entities retried
+   */
+  async retryDeadLetters({ ids = [] } = {}) {
+    const entries = deadLetters.getDeadLetters(this.portalId, ids);
+    const payloads = entity => entries.filter(entry => entry.entity === entity).map(entry => entry.payload);
+    const customObjects = this.getCustomObjectSync();
+    const results = {};
+
+    logger.info('Retrying dead letters', { portalId: this.portalId, count: entries.length });
+
+    const jobs = payloads('jobs');
+    if (jobs.length > 0) {
+      results.jobs = await this.retryRecords('jobs', jobs, batch => this.syncJobBatch(batch), 'jobId');
+    }
+
+    const placements = payloads('placements');
+    if (placements.length > 0) {
+      results.placements = await this.retryRecords('placements', placements, batch => (customObjects
+        ? this.syncPlacementObjects(customObjects, batch)
+        : this.syncPlacementBatch(batch)), 'placementId');
+    }
+
+    const revenue = payloads('revenue');
+    if (revenue.length > 0) {
+      results.revenue = { updated: 0, skipped: 0, errors: 0, items: [] };
+      this.beginPhase('revenue');
+      this.progressHooks().onTotal(revenue.length);
+      for await (const batch of inChunks(revenue, config.sync.batchSize)) {
+        await this.syncRevenueRecords(customObjects, batch, results.revenue);
+        this.advance(batch.length);
+      }
+    }
+
+    const webhooks = entries.filter(entry => entry.entity === 'webhook');
+    if (webhooks.length > 0) {
+      results.webhook = await this.retryWebhookEvents(webhooks);
+    }
+
+    return results;
+  }
+
+  /**
+   * Retry dead-lettered jobs or placements in batches
+   * @param {string} entity - 'jobs' or 'placements'
+   * @param {Array} records - TrackerRMS records from the dead letters
+   * @param {Function} syncBatch - Syncs a batch of records, returning per-item results
+   * @param {string} idKey - Result property holding the record ID ('jobId' or 'placementId')
+   * @returns {Promise<Object>} Sync results
+   */
+  async retryRecords(entity, records, syncBatch, idKey) {
+    const results = { created: 0, updated: 0, skipped: 0, errors: 0, items: [] };
+
+    this.beginPhase(entity);
+    this.progressHooks().onTotal(records.length);
+    for await (const batch of inChunks(records, config.sync.batchSize)) {
+      const batchResults = await syncBatch(batch);
+      batchResults.forEach(item => this.tallyResult(results, item));
+      this.trackDeadLetters(entity, batch, batchResults, idKey);
+      this.advance(batch.length);
+    }
+
+    return results;
+  }
+
+  /**
+   * Replay dead-lettered webhook events one at a time
+   * @param {Array} entries - Webhook dead letters
+   * @returns {Promise<Object>} Results ({ succeeded, errors, items })
+   */
+  async retryWebhookEvents(entries) {
+    const results = { succeeded: 0, errors: 0, items: [] };
+
+    for (const entry of entries) {
+      const { event, data } = entry.payload;
+
+      try {
+        await processWebhookEvent(this, event, data);
+        deadLetters.resolveDeadLetters(this.portalId, 'webhook', [entry.recordId]);
+        results.succeeded++;
+        results.items.push({ deadLetterId: entry.id, event, action: 'succeeded' });
+      } catch (error) {
+        if (error.code === 'SYNC_CANCELLED') {
+          throw error;
+        }
+        deadLetters.recordFailures(this.portalId, 'webhook', [{ recordId: entry.recordId, payload: entry.payload, error }]);
+        results.errors++;
+        results.items.push({ deadLetterId: entry.id, event, action: 'error', error: error.message });
+      }
+    }
+
+    return results;
+  }
+
   /**
    * Full sync - jobs, placements, and revenue
+   * @param {Object} options - Sync options
+   * @param {string} [options.mode] - 'full' to fetch every job and placement instead of syncing incrementally
    * @returns {Promise<Object>} Combined sync results
    */
-  async fullSync() {
+  async fullSync(options = {}) {
     logger.info('Starting full sync');
 
     const results = {
-      jobs: await this.syncJobs(),
-      placements: await this.syncPlacements(),
+      clients: await this.syncClients(),
+      jobs: await this.syncJobs({ mode: options.mode }),
+      placements: await this.syncPlacements({ mode: options.mode }),
       revenue: await this.syncRevenue()
     };
 
     logger.info('Full sync completed', {
+      clientsCreated: results.clients.created,
+      clientsUpdated: results.clients.updated,
       jobsCreated: results.jobs.created,
       jobsUpdated: results.jobs.updated,
+      jobsSkipped: results.jobs.skipped,
       placementsCreated: results.placements.created,
       placementsUpdated: results.placements.updated,
-      revenueUpdated: results.revenue.updated
+      placementsSkipped: results.placements.skipped,
+      revenueUpdated: results.revenue.updated,
+      revenueSkipped: results.revenue.skipped
     });
 
     return results;
@@ -0,0 +1,218 @@
+/**
+ * Modified-since watermarks for incremental job and placement syncs
+ *
+ * Each portal keeps a high-water mark per entity: the latest TrackerRMS
+ * modification time the sync has written to HubSpot. Incremental syncs only
+ * fetch records modified since the watermark. A full reconciliation, which
+ * fetches every record, runs when a portal has no watermark yet and again
+ * once the reconciliation interval has passed, to catch anything missed.
+ */
+const { createStore } = require('../storage');
+const { config } = require('../config');
+const logger = require('../logger');
+
+const watermarkStore = createStore('sync-watermarks');
+
+const WATERMARK_ENTITIES = ['jobs', 'placements'];
+
+// Record fields TrackerRMS reports the last modification time in, in order of preference
+const MODIFIED_FIELDS = ['modifiedAt', 'updatedAt', 'lastModified', 'dateModified'];
+
+/**
+ * Get when a TrackerRMS record was last modified
+ * @param {Object} record - TrackerRMS job or placement
+ * @returns {number|null} Modification time in milliseconds, or null when not reported
+ */
+function getRecordModifiedAt(record) {
+  const field = MODIFIED_FIELDS.find(name => record[name]);
+  const time = field ? Date.parse(record[field]) : NaN;
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Get a portal's watermark state for an entity
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} entity - 'jobs' or 'placements'
+ * @returns {Object} { watermark, updatedAt, lastFullSyncAt, nextFullSyncAt }
+ */
+function getWatermark(portalId, entity) {
+  const state = (watermarkStore.get(String(portalId)) || {})[entity] || {};
+  const lastFullSyncAt = state.lastFullSyncAt || null;
+
+  return {
+    watermark: state.watermark || null,
+    updatedAt: state.updatedAt || null,
+    lastFullSyncAt,
+    nextFullSyncAt: lastFullSyncAt
+      ? new Date(Date.parse(lastFullSyncAt) + config.sync.fullReconcileIntervalMs).toISOString()
+      : null
+  };
+}
+
+/**
+ * Get a portal's watermark state for every entity
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Object} Watermark state by entity
+ */
+function getWatermarks(portalId) {
+  return Object.fromEntries(WATERMARK_ENTITIES.map(entity => [entity, getWatermark(portalId, entity)]));
+}
+
+/**
+ * Update a portal's watermark state for an entity
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} entity - 'jobs' or 'placements'
+ * @param {Object} changes - State changes ({ watermark?, lastFullSyncAt? })
+ */
+function updateWatermark(portalId, entity, changes) {
+  const state = watermarkStore.get(String(portalId)) || {};
+  watermarkStore.set(String(portalId), {
+    ...state,
+    [entity]: { ...state[entity], ...changes, updatedAt: new Date().toISOString() }
+  });
+}
+
+/**
+ * Move a portal's watermark back so the next incremental sync fetches records modified since then
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} entity - 'jobs' or 'placements'
+ * @param {string|null} from - New watermark (ISO 8601), or null so the next sync is a full reconciliation
+ * @returns {Object} Watermark state
+ */
+function resetWatermark(portalId, entity, from) {
+  updateWatermark(portalId, entity, from ? { watermark: new Date(from).toISOString() } : { watermark: null, lastFullSyncAt: null });
+  logger.info('Sync watermark reset', { portalId, entity, from });
+  return getWatermark(portalId, entity);
+}
+
+/**
+ * Forget a portal's watermarks, so its next syncs are full reconciliations
+ * @param {string} portalId - HubSpot portal ID
+ */
+function removeWatermarks(portalId) {
+  watermarkStore.delete(String(portalId));
+}
+
+/**
+ * Whether an entity's periodic full reconciliation is due
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} entity - 'jobs' or 'placements'
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean} True when the next sync should fetch every record
+ */
+function isFullSyncDue(portalId, entity, now = Date.now()) {
+  const { watermark, nextFullSyncAt } = getWatermark(portalId, entity);
+  return !watermark || !nextFullSyncAt || now >= Date.parse(nextFullSyncAt);
+}
+
+/**
+ * Validate a watermark reset or backfill request
+ * @param {Object} request - Request body
+ * @param {Array} [request.entities] - Entities (defaults to jobs and placements)
+ * @param {string|null} [request.from] - Start of the range (ISO 8601)
+ * @param {string} [request.to] - End of the range (ISO 8601)
+ * @param {Object} options - Options
+ * @param {boolean} [options.requireFrom] - Whether from is required
+ * @returns {string[]} Validation errors
+ */
+function validateWatermarkRange({ entities = WATERMARK_ENTITIES, from, to } = {}, { requireFrom = false } = {}) {
+  const errors = [];
+  const isDate = value => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+  if (!Array.isArray(entities) || entities.length === 0 || entities.some(entity => !WATERMARK_ENTITIES.includes(entity))) {
+    errors.push(`entities must be a list of: ${WATERMARK_ENTITIES.join(', ')}`);
+  }
+  if (from === undefined || from === null) {
+    if (requireFrom) {
+      errors.push('from is required');
+    }
+  } else if (!isDate(from)) {
+    errors.push('from must be an ISO 8601 date');
+  } else if (Date.parse(from) > Date.now()) {
+    errors.push('from must not be in the future');
+  }
+  if (to !== undefined && !isDate(to)) {
+    errors.push('to must be an ISO 8601 date');
+  } else if (to !== undefined && isDate(from) && Date.parse(to) <= Date.parse(from)) {
+    errors.push('to must be after from');
+  }
+
+  return errors;
+}
+
+/**
+ * Tracks the modification times a sync writes, to work out the entity's next watermark
+ */
+class WatermarkTracker {
+  /**
+   * @param {number} startedAt - When the sync started, in milliseconds
+   */
+  constructor(startedAt = Date.now()) {
+    this.startedAt = startedAt;
+    this.latestWritten = null;
+    this.earliestFailed = null;
+    this.writtenWithoutTime = false;
+    this.failedWithoutTime = false;
+  }
+
+  /**
+   * Record the outcome of a batch of records
+   * @param {Array} records - TrackerRMS records
+   * @param {Array} items - Per-record sync results
+   * @param {string} idKey - Result property holding the record ID ('jobId' or 'placementId')
+   */
+  track(records, items, idKey) {
+    const failed = new Set(items.filter(item => item.action === 'error').map(item => String(item[idKey])));
+
+    for (const record of records) {
+      const modifiedAt = getRecordModifiedAt(record);
+      const recordFailed = failed.has(String(record.id));
+
+      if (modifiedAt === null) {
+        this[recordFailed ? 'failedWithoutTime' : 'writtenWithoutTime'] = true;
+      } else if (recordFailed) {
+        this.earliestFailed = Math.min(this.earliestFailed ?? modifiedAt, modifiedAt);
+      } else {
+        this.latestWritten = Math.max(this.latestWritten ?? modifiedAt, modifiedAt);
+      }
+    }
+  }
+
+  /**
+   * Work out the next watermark
+   * The watermark never passes a record that failed, so the next sync fetches it again.
+   * @param {string|null} previous - Current watermark (ISO 8601)
+   * @returns {string|null} Next watermark (ISO 8601)
+   */
+  next(previous) {
+    if (this.failedWithoutTime) {
+      return previous;
+    }
+
+    const candidates = [previous ? Date.parse(previous) : null, this.latestWritten];
+    // Records without a modification time can only be covered by the time the sync started
+    if (this.writtenWithoutTime) {
+      candidates.push(this.startedAt);
+    }
+
+    let next = candidates.reduce((latest, time) => (time === null ? latest : Math.max(latest ?? time, time)), null);
+    if (this.earliestFailed !== null) {
+      next = Math.min(next ?? this.earliestFailed, this.earliestFailed);
+    }
+
+    return next === null ? null : new Date(next).toISOString();
+  }
+}
+
+module.exports = {
+  WATERMARK_ENTITIES,
+  getRecordModifiedAt,
+  getWatermark,
+  getWatermarks,
+  updateWatermark,
+  resetWatermark,
+  removeWatermarks,
+  isFullSyncDue,
+  validateWatermarkRange,
+  WatermarkTracker
+};
@@ -0,0 +1,71 @@
+/**
+ * Processing of TrackerRMS webhook events
+ *
+ * Shared by the webhook routes and dead-letter retries, so a failed event is
+ * replayed exactly as it was first handled.
+ */
+
+// Sync run scope for each TrackerRMS event the app handles
+const WEBHOOK_EVENT_SCOPES = {
+  'job.created': 'jobs',
+  'job.updated': 'jobs',
+  'job.filled': 'jobs',
+  'placement.created': 'placements',
+  'placement.updated': 'placements',
+  'placement.ended': 'placements',
+  'placement.revenue_updated': 'revenue'
+};
+
+/**
+ * Sync the jobs and placements carried by a webhook, one record at a time
+ * Errors are not caught, so the webhook fails and TrackerRMS can redeliver it.
+ * @param {SyncService} syncService - Sync service for the portal
+ * @param {Array} jobs - TrackerRMS jobs
+ * @param {Array} placements - TrackerRMS placements
+ * @returns {Promise<Object>} Sync results
+ */
+async function syncWebhookRecords(syncService, jobs, placements = []) {
+  const results = { created: 0, updated: 0, skipped: 0, errors: 0, items: [] };
+
+  for (const job of jobs) {
+    syncService.tallyResult(results, await syncService.syncSingleJob(job));
+  }
+  for (const placement of placements) {
+    syncService.tallyResult(results, await syncService.syncSinglePlacement(placement));
+  }
+
+  return results;
+}
+
+/**
+ * Sync what a TrackerRMS webhook event changed
+ * @param {SyncService} syncService - Sync service for the portal
+ * @param {string} event - TrackerRMS event name
+ * @param {Object} data - Event payload (the job or placement)
+ * @returns {Promise<Object>} Sync results
+ */
+async function processWebhookEvent(syncService, event, data) {
+  switch (event) {
+  case 'job.created':
+  case 'job.updated':
+    return syncWebhookRecords(syncService, [data]);
+
+  case 'job.filled':
+    // Sync the job, then the placements that filled it
+    return syncWebhookRecords(syncService, [data], data.placements || []);
+
+  case 'placement.created':
+  case 'placement.updated':
+  case 'placement.ended':
+    return syncWebhookRecords(syncService, [], [data]);
+
+  case 'placement.revenue_updated':
+    // Update revenue data specifically
+    return syncService.syncRevenue();
+
+  default:
+    throw new Error(`Unknown webhook event: ${event}`);
+  }
+}
+
+module.exports = { WEBHOOK_EVENT_SCOPES, processWebhookEvent };
@@ -1,8 +1,30 @@
 /**
  * Integration tests for API endpoints
  */
+const crypto = require('crypto');
 const request = require('supertest');
 const app = require('../../src/app');
+const trackerrmsConnection = require('../../src/auth/trackerrms-connection');
+const oauth = require('../../src/auth/oauth');
+const syncJobs = require('../../src/sync/sync-jobs');
+
+/**
+ * Headers for a request signed the way HubSpot signs it, sent to https://app.example.com
+ */
+function hubspotSignedHeaders(method, path, body = '') {
+  const timestamp = String(Date.now());
+  const signature = crypto
+    .createHmac('sha256', 'test-client-secret')
+    .update(`${method}https://app.example.com${path}${body}${timestamp}`)
+    .digest('base64');
+
+  return {
+    Host: 'app.example.com',
+    'X-Forwarded-Proto': 'https',
+    'X-HubSpot-Signature-V3': signature,
+    'X-HubSpot-Request-Timestamp': timestamp
+  };
+}
 
 describe('API Integration Tests', () => {
   describe('GET /health', () => {
@@ -53,11 +75,146 @@ describe('API Integration Tests', () => {
         expect(response.status).toBe(200);
         expect(response.body.connected).toBe(false);
         expect(response.body.portalId).toBeNull();
+        expect(response.body.installation).toBeNull();
+      });
+    });
+  });
+
+  describe('TrackerRMS connection routes', () => {
+    describe('POST /api/trackerrms/connect', () => {
+      it('should require authentication', async () => {
+        const response = await request(app)
+          .post('/api/trackerrms/connect')
+          .send({ apiKey: 'key' });
+
+        expect(response.status).toBe(401);
+      });
+    });
+
+    describe('GET /api/trackerrms/connection', () => {
+      it('should require authentication', async () => {
+        const response = await request(app).get('/api/trackerrms/connection');
+
+        expect(response.status).toBe(401);
+      });
+    });
+  });
+
+  describe('Settings routes', () => {
+    describe('GET /api/settings', () => {
+      it('should require authentication', async () => {
+        const response = await request(app).get('/api/settings');
+
+        expect(response.status).toBe(401);
+      });
+    });
+
+    describe('GET /api/settings/pipeline-mapping', () => {
+      it('should require authentication', async () => {
+        const response = await request(app).get('/api/settings/pipeline-mapping');
+
+        expect(response.status).toBe(401);
+      });
+    });
+
+    describe('PUT /api/settings/pipeline-mapping', () => {
+      it('should require authentication', async () => {
+        const response = await request(app)
+          .put('/api/settings/pipeline-mapping')
+          .send({ jobs: {}, placements: {} });
+
+        expect(response.status).toBe(401);
+      });
+    });
+
+    describe('GET /api/settings/field-mapping', () => {
+      it('should require authentication', async () => {
+        const response = await request(app).get('/api/settings/field-mapping');
+
+        expect(response.status).toBe(401);
+      });
+    });
+
+    describe('PUT /api/settings/field-mapping', () => {
+      it('should require authentication', async () => {
+        const response = await request(app)
+          .put('/api/settings/field-mapping')
+          .send({ jobs: [], placements: [] });
+
+        expect(response.status).toBe(401);
+      });
+    });
+
+    describe('DELETE /api/settings/field-mapping', () => {
+      it('should require authentication', async () => {
+        const response = await request(app).delete('/api/settings/field-mapping');
+
+        expect(response.status).toBe(401);
+      });
+    });
+
+    describe('GET /api/settings/properties', () => {
+      it('should require authentication', async () => {
+        const response = await request(app).get('/api/settings/properties');
+
+        expect(response.status).toBe(401);
+      });
+    });
+
+    describe('POST /api/settings/properties/migrate', () => {
+      it('should require authentication', async () => {
+        const response = await request(app).post('/api/settings/properties/migrate');
+
+        expect(response.status).toBe(401);
+      });
+    });
+
+    describe('POST /api/settings/properties/repair', () => {
+      it('should require authentication', async () => {
+        const response = await request(app).post('/api/settings/properties/repair');
+
+        expect(response.status).toBe(401);
+      });
+    });
+
+    describe('GET /api/settings/owner-mapping', () => {
+      it('should require authentication', async () => {
+        const response = await request(app).get('/api/settings/owner-mapping');
+
+        expect(response.status).toBe(401);
+      });
+    });
+
+    describe('PUT /api/settings/owner-mapping', () => {
+      it('should require authentication', async () => {
+        const response = await request(app)
+          .put('/api/settings/owner-mapping')
+          .send({ 'jane@agency.com': '101' });
+
+        expect(response.status).toBe(401);
+      });
+    });
+
+    describe('PATCH /api/settings', () => {
+      it('should require authentication', async () => {
+        const response = await request(app)
+          .patch('/api/settings')
+          .send({ objectModel: 'custom_objects' });
+
+        expect(response.status).toBe(401);
       });
     });
   });
 
   describe('Sync routes', () => {
+    describe('POST /api/sync/clients', () => {
+      it('should require authentication', async () => {
+        const response = await request(app).post('/api/sync/clients');
+
+        expect(response.status).toBe(401);
+      });
+    });
+
     describe('POST /api/sync/jobs', () => {
       it('should require authentication', async () => {
         const response = await request(app).post('/api/sync/jobs');
@@ -90,22 +247,175 @@ describe('API Integration Tests', () => {
         expect(response.status).toBe(401);
       });
     });
+
+    describe('GET /api/sync/queue', () => {
+      it('should require authentication', async () => {
+        const response = await request(app).get('/api/sync/queue');
+
+        expect(response.status).toBe(401);
+      });
+    });
+
+    describe('GET /api/sync/queue/:jobId', () => {
+      it('should require authentication', async () => {
+        const response = await request(app).get('/api/sync/queue/some-job');
+
+        expect(response.status).toBe(401);
+      });
+    });
+
+    describe('GET /api/sync/queue/:jobId/plan', () => {
+      it('should require authentication', async () => {
+        const response = await request(app).get('/api/sync/queue/some-job/plan');
+
+        expect(response.status).toBe(401);
+      });
+    });
+
+    describe('POST /api/sync/queue/:jobId/cancel', () => {
+      it('should require authentication', async () => {
+        const response = await request(app).post('/api/sync/queue/some-job/cancel');
+
+        expect(response.status).toBe(401);
+      });
+    });
+
+    describe('GET /api/sync/schedules', () => {
+      it('should require authentication', async () => {
+        const response = await request(app).get('/api/sync/schedules');
+
+        expect(response.status).toBe(401);
+      });
+    });
+
+    describe('PUT /api/sync/schedules', () => {
+      it('should require authentication', async () => {
+        const response = await request(app)
+          .put('/api/sync/schedules')
+          .send({ jobs: { cron: '0 * * * *' } });
+
+        expect(response.status).toBe(401);
+      });
+    });
+
+    describe('DELETE /api/sync/schedules', () => {
+      it('should require authentication', async () => {
+        const response = await request(app).delete('/api/sync/schedules');
+
+        expect(response.status).toBe(401);
+      });
+    });
+
+    describe('GET /api/sync/watermarks', () => {
+      it('should require authentication', async () => {
+        const response = await request(app).get('/api/sync/watermarks');
+
+        expect(response.status).toBe(401);
+      });
+    });
+
+    describe('POST /api/sync/watermarks/reset', () => {
+      it('should require authentication', async () => {
+        const response = await request(app)
+          .post('/api/sync/watermarks/reset')
+          .send({ from: '2026-01-01T00:00:00Z' });
+
+        expect(response.status).toBe(401);
+      });
+    });
+
+    describe('GET /api/sync/dead-letters', () => {
+      it('should require authentication', async () => {
+        const response = await request(app).get('/api/sync/dead-letters');
+
+        expect(response.status).toBe(401);
+      });
+    });
+
+    describe('POST /api/sync/dead-letters/retry', () => {
+      it('should require authentication', async () => {
+        const response = await request(app)
+          .post('/api/sync/dead-letters/retry')
+          .send({ entity: 'jobs' });
+
+        expect(response.status).toBe(401);
+      });
+    });
+
+    describe('POST /api/sync/dead-letters/discard', () => {
+      it('should require authentication', async () => {
+        const response = await request(app)
+          .post('/api/sync/dead-letters/discard')
+          .send({ ids: ['dead-letter-1'] });
+
+        expect(response.status).toBe(401);
+      });
+    });
+
+    describe('DELETE /api/sync/dead-letters/:id', () => {
+      it('should require authentication', async () => {
+        const response = await request(app).delete('/api/sync/dead-letters/dead-letter-1');
+
+        expect(response.status).toBe(401);
+      });
+    });
+
+    describe('POST /api/sync/backfill', () => {
+      it('should require authentication', async () => {
+        const response = await request(app)
+          .post('/api/sync/backfill')
+          .send({ from: '2026-01-01T00:00:00Z' });
+
+        expect(response.status).toBe(401);
+      });
+    });
+
+    describe('GET /api/sync/runs', () => {
+      it('should require authentication', async () => {
+        const response = await request(app).get('/api/sync/runs');
+
+        expect(response.status).toBe(401);
+      });
+    });
+
+    describe('GET /api/sync/runs/:runId', () => {
+      it('should require authentication', async () => {
+        const response = await request(app).get('/api/sync/runs/some-run');
+
+        expect(response.status).toBe(401);
+      });
+    });
   });
 
   describe('CRM Card routes', () => {
     describe('GET /api/crm-cards/job/:jobId', () => {
-      it('should return error card when no API key provided', async () => {
-        const response = await request(app).get('/api/crm-cards/job/test-job-id');
+      afterEach(() => {
+        trackerrmsConnection.removeConnection('portal-1');
+      });
+
+      it('should return error card when TrackerRMS is not connected', async () => {
+        const path = '/api/crm-cards/job/test-job-id?portalId=portal-1';
+        const response = await request(app).get(path).set(hubspotSignedHeaders('GET', path));
 
         expect(response.status).toBe(200);
         expect(response.body.results).toBeDefined();
         expect(response.body.results[0].id).toBe('error');
       });
+
+      it('should not pick a portal from an unsigned request', async () => {
+        trackerrmsConnection.storeConnection('portal-1', { apiKey: 'key' });
+
+        const response = await request(app).get('/api/crm-cards/job/test-job-id?portalId=portal-1');
+
+        expect(response.status).toBe(401);
+        expect(response.body.error).toBe('Invalid signature');
+      });
     });
 
     describe('GET /api/crm-cards/placement/:placementId', () => {
-      it('should return error card when no API key provided', async () => {
-        const response = await request(app).get('/api/crm-cards/placement/test-placement-id');
+      it('should return error card when TrackerRMS is not connected', async () => {
+        const path = '/api/crm-cards/placement/test-placement-id?portalId=portal-1';
+        const response = await request(app).get(path).set(hubspotSignedHeaders('GET', path));
 
         expect(response.status).toBe(200);
         expect(response.body.results[0].id).toBe('error');
@@ -115,16 +425,17 @@ describe('API Integration Tests', () => {
 
   describe('Dashboard routes', () => {
     describe('GET /api/dashboards/attribution', () => {
-      it('should require TrackerRMS API key', async () => {
+      it('should require a TrackerRMS connection', async () => {
         const response = await request(app).get('/api/dashboards/attribution');
 
         expect(response.status).toBe(400);
-        expect(response.body.error).toBe('TrackerRMS API key required in X-TrackerRMS-API-Key header');
+        expect(response.body.error).toBe('TrackerRMS is not connected for this portal');
+        expect(response.body.connectUrl).toBe('/api/trackerrms/connect');
       });
     });
 
     describe('GET /api/dashboards/velocity', () => {
-      it('should require TrackerRMS API key', async () => {
+      it('should require a TrackerRMS connection', async () => {
         const response = await request(app).get('/api/dashboards/velocity');
 
         expect(response.status).toBe(400);
@@ -132,7 +443,7 @@ describe('API Integration Tests', () => {
     });
 
     describe('GET /api/dashboards/roi', () => {
-      it('should require TrackerRMS API key', async () => {
+      it('should require a TrackerRMS connection', async () => {
         const response = await request(app).get('/api/dashboards/roi');
 
         expect(response.status).toBe(400);
@@ -140,7 +451,7 @@ describe('API Integration Tests', () => {
     });
 
     describe('GET /api/dashboards/executive', () => {
-      it('should require TrackerRMS API key', async () => {
+      it('should require a TrackerRMS connection', async () => {
         const response = await request(app).get('/api/dashboards/executive');
 
         expect(response.status).toBe(400);
@@ -150,33 +461,51 @@ describe('API Integration Tests', () => {
 
   describe('Webhook routes', () => {
     describe('POST /api/webhooks/hubspot/deals', () => {
+      const path = '/api/webhooks/hubspot/deals';
+
       it('should accept webhook requests', async () => {
+        const body = JSON.stringify({ subscriptionType: 'deal.creation', objectId: '123' });
         const response = await request(app)
-          .post('/api/webhooks/hubspot/deals')
-          .send({
-            subscriptionType: 'deal.creation',
-            objectId: '123'
-          });
+          .post(path)
+          .set(hubspotSignedHeaders('POST', path, body))
+          .set('Content-Type', 'application/json')
+          .send(body);
 
         expect(response.status).toBe(200);
         expect(response.body.success).toBe(true);
       });
 
       it('should handle array of events', async () => {
+        const body = JSON.stringify([
+          { subscriptionType: 'deal.creation', objectId: '123' },
+          { subscriptionType: 'deal.propertyChange', objectId: '456' }
+        ]);
         const response = await request(app)
-          .post('/api/webhooks/hubspot/deals')
-          .send([
-            { subscriptionType: 'deal.creation', objectId: '123' },
-            { subscriptionType: 'deal.propertyChange', objectId: '456' }
-          ]);
+          .post(path)
+          .set(hubspotSignedHeaders('POST', path, body))
+          .set('Content-Type', 'application/json')
+          .send(body);
 
         expect(response.status).toBe(200);
         expect(response.body.success).toBe(true);
       });
+
+      it('should reject unsigned requests', async () => {
+        const response = await request(app)
+          .post(path)
+          .send({ subscriptionType: 'deal.creation', objectId: '123' });
+
+        expect(response.status).toBe(401);
+        expect(response.body.error).toBe('Invalid signature');
+      });
     });
 
     describe('POST /api/webhooks/trackerrms/jobs', () => {
-      it('should require portal ID and API key', async () => {
+      afterEach(() => {
+        trackerrmsConnection.removeConnection('portal-1');
+      });
+
+      it('should require portal ID', async () => {
         const response = await request(app)
           .post('/api/webhooks/trackerrms/jobs')
           .send({ event: 'job.created', data: { id: 'job-123' } });
@@ -184,16 +513,101 @@ describe('API Integration Tests', () => {
         expect(response.status).toBe(400);
         expect(response.body.error).toContain('Missing portal ID');
       });
+
+      it('should require a TrackerRMS connection for the portal', async () => {
+        const response = await request(app)
+          .post('/api/webhooks/trackerrms/jobs')
+          .set('X-Portal-Id', 'portal-1')
+          .send({ event: 'job.created', data: { id: 'job-123' } });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('TrackerRMS is not connected for this portal');
+      });
+
+      it('should reject an invalid webhook secret', async () => {
+        trackerrmsConnection.storeConnection('portal-1', { apiKey: 'key' });
+
+        const response = await request(app)
+          .post('/api/webhooks/trackerrms/jobs')
+          .set('X-Portal-Id', 'portal-1')
+          .set('X-TrackerRMS-Webhook-Secret', 'wrong-secret')
+          .send({ event: 'job.created', data: { id: 'job-123' } });
+
+        expect(response.status).toBe(401);
+        expect(response.body.error).toBe('Invalid webhook secret');
+      });
+
+      it('should check the webhook secret even when an API key header is sent', async () => {
+        trackerrmsConnection.storeConnection('portal-1', { apiKey: 'key' });
+
+        const response = await request(app)
+          .post('/api/webhooks/trackerrms/jobs')
+          .set('X-Portal-Id', 'portal-1')
+          .set('X-TrackerRMS-API-Key', 'attacker-key')
+          .send({ event: 'job.created', data: { id: 'job-123' } });
+
+        expect(response.status).toBe(401);
+        expect(response.body.error).toBe('Invalid webhook secret');
+      });
+
+      it('should reject webhooks for portals without HubSpot tokens', async () => {
+        const connection = trackerrmsConnection.storeConnection('portal-1', { apiKey: 'key' });
+
+        const response = await request(app)
+          .post('/api/webhooks/trackerrms/jobs')
+          .set('X-Portal-Id', 'portal-1')
+          .set('X-TrackerRMS-Webhook-Secret', connection.webhookSecret)
+          .send({ event: 'job.created', data: { id: 'job-123' } });
+
+        expect(response.status).toBe(401);
+        expect(response.body.error).toBe('Portal not authenticated');
+      });
+
+      it('should ask portals whose HubSpot authorization was revoked to re-authorize', async () => {
+        const connection = trackerrmsConnection.storeConnection('portal-1', { apiKey: 'key' });
+        oauth.storeTokens('portal-1', { accessToken: 'access', refreshToken: 'refresh', expiresIn: 3600 });
+        oauth.markTokensRevoked('portal-1', 'missing or unknown refresh token');
+
+        const response = await request(app)
+          .post('/api/webhooks/trackerrms/jobs')
+          .set('X-Portal-Id', 'portal-1')
+          .set('X-TrackerRMS-Webhook-Secret', connection.webhookSecret)
+          .send({ event: 'job.created', data: { id: 'job-123' } });
+        oauth.removeTokens('portal-1');
+
+        expect(response.status).toBe(401);
+        expect(response.body).toEqual(expect.objectContaining({ code: 'REAUTH_REQUIRED', authUrl: '/oauth/authorize' }));
+      });
     });
 
     describe('POST /api/webhooks/trackerrms/placements', () => {
-      it('should require portal ID and API key', async () => {
+      it('should require portal ID', async () => {
         const response = await request(app)
           .post('/api/webhooks/trackerrms/placements')
           .send({ event: 'placement.created', data: { id: 'placement-123' } });
 
         expect(response.status).toBe(400);
       });
+
+      it('should queue revenue updates as a background webhook job', async () => {
+        const connection = trackerrmsConnection.storeConnection('portal-1', { apiKey: 'key' });
+        oauth.storeTokens('portal-1', { accessToken: 'access', refreshToken: 'refresh', expiresIn: 3600 });
+        const enqueue = jest.spyOn(syncJobs, 'enqueueSyncJob').mockReturnValue({ id: 'job-1', status: 'queued' });
+
+        const response = await request(app)
+          .post('/api/webhooks/trackerrms/placements')
+          .set('X-Portal-Id', 'portal-1')
+          .set('X-TrackerRMS-Webhook-Secret', connection.webhookSecret)
+          .send({ event: 'placement.revenue_updated', data: { id: 'placement-123' } });
+        const [enqueued] = enqueue.mock.calls;
+        enqueue.mockRestore();
+        oauth.removeTokens('portal-1');
+        trackerrmsConnection.removeConnection('portal-1');
+
+        expect(response.status).toBe(202);
+        expect(response.body).toEqual({ success: true, jobId: 'job-1', status: 'queued' });
+        expect(enqueued).toEqual(['portal-1', { scope: 'revenue', trigger: 'webhook' }, expect.any(Function)]);
+      });
     });
   });
 
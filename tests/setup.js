@@ -10,6 +10,11 @@ process.env.HUBSPOT_REDIRECT_URI = 'http://localhost:3000/oauth/callback';
 process.env.TRACKERRMS_API_KEY = 'test-api-key';
 process.env.TRACKERRMS_BASE_URL = 'https://api.trackerrms.com/v1';
 process.env.SESSION_SECRET = 'test-session-secret';
+process.env.STORAGE_DRIVER = 'memory';
+// Test-only key: secrets are never encrypted with a default key
+process.env.ENCRYPTION_KEY = 'test-encryption-key';
+process.env.RETRY_BASE_DELAY_MS = '1';
+process.env.RETRY_MAX_DELAY_MS = '5';
 
 // Increase timeout for async tests
 jest.setTimeout(10000);
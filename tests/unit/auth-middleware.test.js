@@ -0,0 +1,92 @@
+/**
+ * Unit tests for authentication middleware
+ */
+const crypto = require('crypto');
+const { verifyHubSpotSignature } = require('../../src/middleware/auth');
+
+/**
+ * Sign a request the way HubSpot does for v3 signatures
+ */
+function signLikeHubSpot(method, uri, body, timestamp) {
+  return crypto
+    .createHmac('sha256', 'test-client-secret')
+    .update(`${method}${uri}${body}${timestamp}`)
+    .digest('base64');
+}
+
+function buildRequest({ method = 'GET', url, body = '', headers = {} }) {
+  const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return {
+    method,
+    originalUrl: url,
+    protocol: 'http',
+    rawBody: body || undefined,
+    headers: lowerHeaders,
+    get: name => lowerHeaders[name.toLowerCase()]
+  };
+}
+
+describe('verifyHubSpotSignature', () => {
+  const timestamp = String(Date.now());
+
+  it('should accept a CRM card fetch signed by HubSpot behind a proxy', () => {
+    // HubSpot signs the full URI with some URL-encoded characters decoded
+    const signature = signLikeHubSpot('GET', 'https://app.example.com/api/crm-cards/job/job-1?portalId=123&userEmail=jane@agency.com', '', timestamp);
+    const req = buildRequest({
+      url: '/api/crm-cards/job/job-1?portalId=123&userEmail=jane%40agency.com',
+      headers: {
+        Host: 'app.example.com',
+        'X-Forwarded-Proto': 'https',
+        'X-HubSpot-Signature-V3': signature,
+        'X-HubSpot-Request-Timestamp': timestamp
+      }
+    });
+
+    expect(verifyHubSpotSignature(req)).toBe(true);
+  });
+
+  it('should sign the raw request body', () => {
+    const body = '[{"subscriptionType":"deal.creation","objectId":123}]';
+    const signature = signLikeHubSpot('POST', 'https://app.example.com/api/webhooks/hubspot/deals', body, timestamp);
+    const headers = {
+      Host: 'app.example.com',
+      'X-Forwarded-Proto': 'https',
+      'X-HubSpot-Signature-V3': signature,
+      'X-HubSpot-Request-Timestamp': timestamp
+    };
+
+    expect(verifyHubSpotSignature(buildRequest({ method: 'POST', url: '/api/webhooks/hubspot/deals', body, headers }))).toBe(true);
+    expect(verifyHubSpotSignature(buildRequest({ method: 'POST', url: '/api/webhooks/hubspot/deals', body: body.replace('123', '456'), headers }))).toBe(false);
+  });
+
+  it('should reject signatures for another host', () => {
+    const signature = signLikeHubSpot('GET', 'https://other.example.com/api/crm-cards/job/job-1?portalId=123', '', timestamp);
+    const req = buildRequest({
+      url: '/api/crm-cards/job/job-1?portalId=123',
+      headers: {
+        Host: 'app.example.com',
+        'X-Forwarded-Proto': 'https',
+        'X-HubSpot-Signature-V3': signature,
+        'X-HubSpot-Request-Timestamp': timestamp
+      }
+    });
+
+    expect(verifyHubSpotSignature(req)).toBe(false);
+  });
+
+  it('should reject requests older than five minutes', () => {
+    const staleTimestamp = String(Date.now() - 301000);
+    const signature = signLikeHubSpot('GET', 'https://app.example.com/api/crm-cards/job/job-1', '', staleTimestamp);
+    const req = buildRequest({
+      url: '/api/crm-cards/job/job-1',
+      headers: {
+        Host: 'app.example.com',
+        'X-Forwarded-Proto': 'https',
+        'X-HubSpot-Signature-V3': signature,
+        'X-HubSpot-Request-Timestamp': staleTimestamp
+      }
+    });
+
+    expect(verifyHubSpotSignature(req)).toBe(false);
+  });
+});
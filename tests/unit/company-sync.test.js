@@ -0,0 +1,76 @@
+/**
+ * Unit tests for CompanySync
+ */
+const CompanySync = require('../../src/sync/company-sync');
+
+function company(id, properties = {}) {
+  return { id, properties };
+}
+
+describe('CompanySync', () => {
+  let hubspot;
+  let companySync;
+
+  beforeEach(() => {
+    hubspot = {
+      searchCompaniesByPropertyValues: jest.fn().mockResolvedValue([]),
+      createCompany: jest.fn().mockImplementation(async properties => company(`new-${properties.trackerrms_client_id}`, properties)),
+      updateCompany: jest.fn().mockImplementation(async (id, properties) => company(id, properties))
+    };
+    companySync = new CompanySync(hubspot);
+  });
+
+  describe('syncClientBatch', () => {
+    it('should match companies by client ID, then by domain, and create the rest', async () => {
+      hubspot.searchCompaniesByPropertyValues.mockImplementation(async propertyName => {
+        if (propertyName === 'trackerrms_client_id') {
+          return [company('c-1', { trackerrms_client_id: 'client-1' })];
+        }
+        return [company('c-2', { domain: 'globex.com' })];
+      });
+
+      const results = await companySync.syncClientBatch([
+        { id: 'client-1', name: 'Acme' },
+        { id: 'client-2', name: 'Globex', website: 'https://www.Globex.com/about' },
+        { id: 'client-3', name: 'Initech', phone: '' }
+      ]);
+
+      expect(results).toEqual([
+        { clientId: 'client-1', companyId: 'c-1', action: 'updated' },
+        { clientId: 'client-2', companyId: 'c-2', action: 'updated' },
+        { clientId: 'client-3', companyId: 'new-client-3', action: 'created' }
+      ]);
+      expect(hubspot.searchCompaniesByPropertyValues).toHaveBeenCalledWith('domain', ['globex.com']);
+      expect(hubspot.updateCompany).toHaveBeenCalledWith('c-2', { trackerrms_client_id: 'client-2' });
+      expect(hubspot.createCompany).toHaveBeenCalledWith({ name: 'Initech', trackerrms_client_id: 'client-3' });
+    });
+
+    it('should isolate per-client failures', async () => {
+      hubspot.createCompany
+        .mockRejectedValueOnce(new Error('Invalid domain'))
+        .mockResolvedValueOnce(company('c-2'));
+
+      const results = await companySync.syncClientBatch([{ id: 'client-1' }, { id: 'client-2' }]);
+
+      expect(results[0]).toEqual({ clientId: 'client-1', action: 'error', error: 'Invalid domain' });
+      expect(results[1].action).toBe('created');
+    });
+  });
+
+  describe('resolveCompanyIds', () => {
+    it('should resolve companies by client ID and fall back to a case-insensitive name match', async () => {
+      hubspot.searchCompaniesByPropertyValues.mockImplementation(async propertyName =>
+        propertyName === 'trackerrms_client_id'
+          ? [company('c-1', { trackerrms_client_id: 'client-1' })]
+          : [company('c-2', { name: 'Globex Corp' })]);
+
+      const companyIds = await companySync.resolveCompanyIds([
+        { clientId: 'client-1', clientName: 'Acme' },
+        { clientName: 'globex corp' },
+        { clientName: 'Nobody' }
+      ]);
+
+      expect(companyIds).toEqual(['c-1', 'c-2', null]);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Unit tests for bounded concurrency
+ */
+const { mapWithConcurrency } = require('../../src/services/concurrency');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('mapWithConcurrency', () => {
+  it('should keep results in input order with at most the given calls in flight', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+
+    const results = await mapWithConcurrency([30, 5, 20, 1, 10], 2, async (ms, index) => {
+      maxInFlight = Math.max(maxInFlight, ++inFlight);
+      await delay(ms);
+      inFlight--;
+      return `${index}:${ms}`;
+    });
+
+    expect(results).toEqual(['0:30', '1:5', '2:20', '3:1', '4:10']);
+    expect(maxInFlight).toBe(2);
+  });
+
+  it('should run items that share a key one after another, in input order', async () => {
+    const started = [];
+    const active = new Set();
+
+    await mapWithConcurrency(['a', 'b', 'a', 'c', 'a'], 3, async (key, index) => {
+      expect(active.has(key)).toBe(false);
+      active.add(key);
+      started.push(index);
+      await delay(key === 'a' ? 5 : 1);
+      active.delete(key);
+    }, { keyOf: key => key });
+
+    expect(started.filter(index => [0, 2, 4].includes(index))).toEqual([0, 2, 4]);
+  });
+
+  it('should stop starting items after an error and rethrow it', async () => {
+    const calls = [];
+
+    await expect(mapWithConcurrency([1, 2, 3, 4, 5], 2, async item => {
+      calls.push(item);
+      await delay(1);
+      if (item === 2) {
+        throw new Error('Daily limit reached');
+      }
+      return item;
+    })).rejects.toThrow('Daily limit reached');
+
+    expect(calls.length).toBeLessThan(5);
+  });
+
+  it('should handle empty lists and treat invalid concurrency as 1', async () => {
+    await expect(mapWithConcurrency([], 4, async () => 1)).resolves.toEqual([]);
+    await expect(mapWithConcurrency([1, 2], 0, async item => item * 2)).resolves.toEqual([2, 4]);
+  });
+});
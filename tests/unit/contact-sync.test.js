@@ -0,0 +1,95 @@
+/**
+ * Unit tests for ContactSync
+ */
+const ContactSync = require('../../src/sync/contact-sync');
+const { getPortalSettings, removePortalSettings } = require('../../src/settings/portal-settings');
+
+describe('ContactSync', () => {
+  const portalId = 'portal-contacts';
+  let hubspot;
+  let labels;
+
+  beforeEach(() => {
+    removePortalSettings(portalId);
+    labels = [{ category: 'HUBSPOT_DEFINED', typeId: 3 }];
+
+    hubspot = {
+      getAssociationLabels: jest.fn().mockImplementation(async () => labels),
+      createAssociationLabel: jest.fn().mockImplementation(async (from, to, label) => {
+        labels.push({ category: 'USER_DEFINED', typeId: 100 + labels.length, label });
+      }),
+      findContactByEmail: jest.fn().mockResolvedValue(null),
+      createContact: jest.fn().mockImplementation(async properties => ({ id: `contact-${properties.email}` })),
+      updateContact: jest.fn().mockResolvedValue({}),
+      associateDealWithContact: jest.fn().mockResolvedValue({})
+    };
+  });
+
+  describe('ensureAssociationLabels', () => {
+    it('should create missing labels and store their type IDs', async () => {
+      labels.push({ category: 'USER_DEFINED', typeId: 50, label: 'Hiring Manager' });
+
+      const labelTypeIds = await new ContactSync(hubspot, portalId).ensureAssociationLabels();
+
+      expect(hubspot.createAssociationLabel).toHaveBeenCalledTimes(1);
+      expect(hubspot.createAssociationLabel).toHaveBeenCalledWith('deals', 'contacts', 'Placed Candidate', 'placed_candidate');
+      expect(labelTypeIds).toEqual({ placedCandidate: 102, hiringManager: 50 });
+      expect(getPortalSettings(portalId).contactAssociationLabels).toEqual(labelTypeIds);
+    });
+  });
+
+  describe('syncPlacementContacts', () => {
+    const placement = {
+      id: 'pl-1',
+      clientName: 'Acme',
+      candidateName: 'Ada Lovelace',
+      candidateEmail: 'ada@example.com',
+      hiringManager: { name: 'Grace Hopper', email: 'grace@acme.com', title: 'CTO' }
+    };
+
+    it('should upsert both contacts and associate them with labels', async () => {
+      hubspot.findContactByEmail.mockImplementation(async email =>
+        email === 'grace@acme.com' ? { id: 'existing-grace' } : null);
+
+      const contacts = await new ContactSync(hubspot, portalId).syncPlacementContacts(placement, 'deal-1');
+
+      expect(contacts).toEqual({ placedCandidate: 'contact-ada@example.com', hiringManager: 'existing-grace' });
+      expect(hubspot.createContact).toHaveBeenCalledWith({ email: 'ada@example.com', firstname: 'Ada', lastname: 'Lovelace' });
+      expect(hubspot.updateContact).toHaveBeenCalledWith('existing-grace', {
+        email: 'grace@acme.com',
+        firstname: 'Grace',
+        lastname: 'Hopper',
+        jobtitle: 'CTO',
+        company: 'Acme'
+      });
+      expect(hubspot.associateDealWithContact).toHaveBeenCalledWith('deal-1', 'contact-ada@example.com', 101);
+      expect(hubspot.associateDealWithContact).toHaveBeenCalledWith('deal-1', 'existing-grace', 102);
+    });
+
+    it('should record TrackerRMS IDs on the contacts', async () => {
+      await new ContactSync(hubspot, portalId).syncPlacementContacts(
+        { ...placement, candidateId: 'cand-1', hiringManager: { ...placement.hiringManager, id: 'con-9' } },
+        'deal-1'
+      );
+
+      expect(hubspot.createContact).toHaveBeenCalledWith(expect.objectContaining({ trackerrms_candidate_id: 'cand-1' }));
+      expect(hubspot.createContact).toHaveBeenCalledWith(expect.objectContaining({ trackerrms_contact_id: 'con-9' }));
+    });
+
+    it('should skip the candidate when candidate PII is excluded', async () => {
+      const contacts = await new ContactSync(hubspot, portalId)
+        .syncPlacementContacts(placement, 'deal-1', { includeCandidate: false });
+
+      expect(contacts).toEqual({ hiringManager: 'contact-grace@acme.com' });
+      expect(hubspot.findContactByEmail).not.toHaveBeenCalledWith('ada@example.com');
+    });
+
+    it('should skip people without an email address', async () => {
+      const contacts = await new ContactSync(hubspot, portalId)
+        .syncPlacementContacts({ id: 'pl-2', candidateName: 'No Email' }, 'deal-1');
+
+      expect(contacts).toEqual({});
+      expect(hubspot.getAssociationLabels).not.toHaveBeenCalled();
+    });
+  });
+});
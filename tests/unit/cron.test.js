@@ -0,0 +1,63 @@
+/**
+ * Unit tests for cron expressions
+ */
+const { parseCron, validateCron, nextCronTime } = require('../../src/sync/cron');
+
+const at = iso => new Date(iso);
+
+describe('Cron', () => {
+  describe('parseCron', () => {
+    it('should expand lists, ranges and steps', () => {
+      const cron = parseCron('*/20 9-11 1,15 * 1-5');
+
+      expect([...cron.minutes]).toEqual([0, 20, 40]);
+      expect([...cron.hours]).toEqual([9, 10, 11]);
+      expect([...cron.daysOfMonth]).toEqual([1, 15]);
+      expect(cron.months.size).toBe(12);
+      expect([...cron.daysOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('should treat 7 as Sunday', () => {
+      expect(parseCron('0 0 * * 7').daysOfWeek.has(0)).toBe(true);
+    });
+  });
+
+  describe('validateCron', () => {
+    it('should accept valid expressions', () => {
+      expect(validateCron('0 2 * * *')).toBeNull();
+      expect(validateCron('5-55/10 */2 * 1,7 0')).toBeNull();
+    });
+
+    it('should reject malformed expressions and out-of-range values', () => {
+      expect(validateCron('* * * *')).toBe('Cron expression must have 5 fields: * * * *');
+      expect(validateCron('60 * * * *')).toBe('Invalid minute field: 60');
+      expect(validateCron('* 5-2 * * *')).toBe('Invalid hour field: 5-2');
+      expect(validateCron('* * 0 * *')).toBe('Invalid day of month field: 0');
+      expect(validateCron('*/0 * * * *')).toBe('Invalid minute field: */0');
+      expect(validateCron(null)).toContain('must have 5 fields');
+    });
+  });
+
+  describe('nextCronTime', () => {
+    it('should find the next matching minute after the given time', () => {
+      expect(nextCronTime('*/15 * * * *', at('2026-03-10T10:07:30Z')).toISOString()).toBe('2026-03-10T10:15:00.000Z');
+      expect(nextCronTime('*/15 * * * *', at('2026-03-10T10:15:00Z')).toISOString()).toBe('2026-03-10T10:30:00.000Z');
+    });
+
+    it('should roll over hours, days, months and years', () => {
+      expect(nextCronTime('0 2 * * *', at('2026-03-10T10:00:00Z')).toISOString()).toBe('2026-03-11T02:00:00.000Z');
+      expect(nextCronTime('30 6 1 * *', at('2026-03-10T10:00:00Z')).toISOString()).toBe('2026-04-01T06:30:00.000Z');
+      expect(nextCronTime('0 0 1 1 *', at('2026-03-10T10:00:00Z')).toISOString()).toBe('2027-01-01T00:00:00.000Z');
+    });
+
+    it('should match either day field when both are restricted', () => {
+      // 2026-03-10 is a Tuesday; the 15th is a Sunday and Friday is the 13th
+      expect(nextCronTime('0 0 15 * 5', at('2026-03-10T10:00:00Z')).toISOString()).toBe('2026-03-13T00:00:00.000Z');
+      expect(nextCronTime('0 0 * * 5', at('2026-03-10T10:00:00Z')).toISOString()).toBe('2026-03-13T00:00:00.000Z');
+    });
+
+    it('should reject expressions that never match', () => {
+      expect(() => nextCronTime('0 0 30 2 *', at('2026-03-10T10:00:00Z'))).toThrow('Cron expression never matches: 0 0 30 2 *');
+    });
+  });
+});
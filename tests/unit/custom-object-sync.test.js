@@ -0,0 +1,148 @@
+/**
+ * Unit tests for CustomObjectSync
+ */
+const CustomObjectSync = require('../../src/sync/custom-object-sync');
+const { getPortalSettings, updatePortalSettings, removePortalSettings } = require('../../src/settings/portal-settings');
+const { SyncPlan, createDryRunHubSpot } = require('../../src/sync/dry-run');
+
+describe('CustomObjectSync', () => {
+  const portalId = 'portal-co';
+  let hubspot;
+  let records;
+
+  beforeEach(() => {
+    removePortalSettings(portalId);
+    records = [];
+
+    hubspot = {
+      getSchemas: jest.fn().mockResolvedValue([]),
+      createSchema: jest.fn().mockImplementation(async schema => ({
+        name: schema.name,
+        objectTypeId: schema.name === 'trackerrms_job' ? '2-100' : '2-200',
+        associations: []
+      })),
+      createSchemaAssociation: jest.fn().mockResolvedValue({}),
+      searchObjectsByPropertyValues: jest.fn().mockImplementation(async (objectTypeId, propertyName, [value]) =>
+        records.filter(r => r.objectTypeId === objectTypeId && r.properties[propertyName] === value)),
+      createObject: jest.fn().mockImplementation(async (objectTypeId, properties) => {
+        const record = { id: `obj-${records.length + 1}`, objectTypeId, properties };
+        records.push(record);
+        return record;
+      }),
+      updateObject: jest.fn().mockImplementation(async (objectTypeId, id, properties) => ({ id, properties })),
+      searchDeals: jest.fn().mockResolvedValue([]),
+      searchCompaniesByPropertyValues: jest.fn().mockResolvedValue([]),
+      associateObjects: jest.fn().mockResolvedValue({})
+    };
+  });
+
+  describe('ensureSchemas', () => {
+    it('should create missing schemas and store their object type IDs', async () => {
+      const objectTypes = await new CustomObjectSync(hubspot, portalId).ensureSchemas();
+
+      expect(objectTypes).toEqual({ jobObjectTypeId: '2-100', placementObjectTypeId: '2-200' });
+      expect(hubspot.createSchema).toHaveBeenCalledTimes(2);
+      expect(hubspot.createSchemaAssociation).toHaveBeenCalledWith('2-100', '2-200', 'job_to_placement');
+      expect(getPortalSettings(portalId).customObjects).toEqual(objectTypes);
+    });
+
+    it('should reuse existing schemas', async () => {
+      hubspot.getSchemas.mockResolvedValue([
+        { name: 'trackerrms_job', objectTypeId: '2-1', associations: [{ toObjectTypeId: '2-2' }] },
+        { name: 'trackerrms_placement', objectTypeId: '2-2' }
+      ]);
+
+      const objectTypes = await new CustomObjectSync(hubspot, portalId).ensureSchemas();
+
+      expect(objectTypes).toEqual({ jobObjectTypeId: '2-1', placementObjectTypeId: '2-2' });
+      expect(hubspot.createSchema).not.toHaveBeenCalled();
+      expect(hubspot.createSchemaAssociation).not.toHaveBeenCalled();
+    });
+
+    it('should look schemas up without storing them in a dry run', async () => {
+      hubspot.getSchemas.mockResolvedValue([
+        { name: 'trackerrms_job', objectTypeId: '2-1', associations: [{ toObjectTypeId: '2-2' }] },
+        { name: 'trackerrms_placement', objectTypeId: '2-2' }
+      ]);
+
+      const objectTypes = await new CustomObjectSync(createDryRunHubSpot(hubspot, new SyncPlan()), portalId).ensureSchemas();
+
+      expect(objectTypes).toEqual({ jobObjectTypeId: '2-1', placementObjectTypeId: '2-2' });
+      expect(getPortalSettings(portalId).customObjects).toBeNull();
+    });
+
+    it('should not look schemas up again once provisioned', async () => {
+      await new CustomObjectSync(hubspot, portalId).ensureSchemas();
+      await new CustomObjectSync(hubspot, portalId).ensureSchemas();
+
+      expect(hubspot.getSchemas).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('syncPlacement', () => {
+    it('should create a placement record without touching the job deal', async () => {
+      hubspot.searchDeals.mockResolvedValue([{ id: 'job-deal' }]);
+      hubspot.searchCompaniesByPropertyValues.mockResolvedValue([{ id: 'company-1', properties: { name: 'Acme' } }]);
+      const sync = new CustomObjectSync(hubspot, portalId);
+      await sync.syncJob({ id: 'job-1', title: 'Developer' }, 'job-deal');
+
+      const result = await sync.syncPlacement({
+        id: 'pl-1',
+        jobId: 'job-1',
+        candidateName: 'Ada',
+        candidateEmail: 'ada@example.com',
+        clientName: 'Acme',
+        startDate: '2024-03-01T00:00:00Z'
+      });
+
+      expect(result).toEqual({ placementId: 'pl-1', objectId: 'obj-2', action: 'created', jobId: 'job-1', dealId: 'job-deal' });
+      expect(hubspot.createObject).toHaveBeenLastCalledWith('2-200', expect.objectContaining({
+        trackerrms_placement_id: 'pl-1',
+        start_date: '2024-03-01'
+      }));
+      expect(hubspot.associateObjects).toHaveBeenCalledWith('2-200', 'obj-2', 'deals', 'job-deal');
+      expect(hubspot.associateObjects).toHaveBeenCalledWith('2-200', 'obj-2', '2-100', 'obj-1');
+      expect(hubspot.associateObjects).toHaveBeenCalledWith('2-200', 'obj-2', 'companies', 'company-1');
+    });
+
+    it('should leave the candidate name out when the portal excludes candidate PII', async () => {
+      updatePortalSettings(portalId, { excludeCandidatePii: true });
+
+      await new CustomObjectSync(hubspot, portalId).syncPlacement({ id: 'pl-1', candidateName: 'Ada' });
+
+      expect(hubspot.createObject).toHaveBeenCalledWith('2-200', expect.objectContaining({
+        placement_title: 'Placement pl-1',
+        candidate_name: ''
+      }));
+    });
+
+    it('should update an existing placement record', async () => {
+      const sync = new CustomObjectSync(hubspot, portalId);
+      await sync.syncPlacement({ id: 'pl-1' });
+
+      const result = await sync.syncPlacement({ id: 'pl-1', revenue: 2000 });
+
+      expect(result.action).toBe('updated');
+      expect(hubspot.updateObject).toHaveBeenCalledWith('2-200', 'obj-1', expect.objectContaining({ revenue: 2000 }));
+    });
+
+    it('should not fail the record when an association is rejected', async () => {
+      hubspot.searchDeals.mockResolvedValue([{ id: 'job-deal' }]);
+      hubspot.associateObjects.mockRejectedValue(new Error('Association not allowed'));
+
+      const result = await new CustomObjectSync(hubspot, portalId).syncPlacement({ id: 'pl-1', jobId: 'job-1' });
+
+      expect(result.action).toBe('created');
+    });
+  });
+
+  describe('updatePlacementRevenue', () => {
+    it('should return null when the placement has no record', async () => {
+      const objectId = await new CustomObjectSync(hubspot, portalId)
+        .updatePlacementRevenue('missing', { totalRevenue: 100 });
+
+      expect(objectId).toBeNull();
+      expect(hubspot.updateObject).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Unit tests for the dead-letter store
+ */
+const deadLetters = require('../../src/sync/dead-letters');
+const { config } = require('../../src/config');
+
+describe('Dead letters', () => {
+  const portalId = 'portal-dead-letters';
+
+  afterEach(() => {
+    deadLetters.removeDeadLetters(portalId);
+    deadLetters.removeDeadLetters('portal-other');
+  });
+
+  describe('computeNextRetryAt', () => {
+    it('should back off exponentially up to the maximum delay', () => {
+      const failedAt = '2026-03-10T10:00:00.000Z';
+      const { retryBaseMs, retryMaxMs } = config.sync.deadLetters;
+
+      expect(deadLetters.computeNextRetryAt(1, failedAt)).toBe(new Date(Date.parse(failedAt) + retryBaseMs).toISOString());
+      expect(deadLetters.computeNextRetryAt(2, failedAt)).toBe(new Date(Date.parse(failedAt) + retryBaseMs * 2).toISOString());
+      expect(Date.parse(deadLetters.computeNextRetryAt(4, failedAt)) - Date.parse(failedAt)).toBeLessThanOrEqual(retryMaxMs);
+    });
+
+    it('should stop retrying once attempts are exhausted', () => {
+      expect(deadLetters.computeNextRetryAt(config.sync.deadLetters.maxAttempts, '2026-03-10T10:00:00.000Z')).toBeNull();
+    });
+  });
+
+  describe('recordFailures', () => {
+    it('should keep one entry per record and count its attempts', () => {
+      const [first] = deadLetters.recordFailures(portalId, 'jobs', [
+        { recordId: 'job-1', payload: { id: 'job-1' }, error: new Error('Invalid property') }
+      ]);
+      const [second] = deadLetters.recordFailures(portalId, 'jobs', [
+        { recordId: 'job-1', payload: { id: 'job-1', title: 'Developer' }, error: 'Rate limited' }
+      ]);
+
+      expect(second).toEqual(expect.objectContaining({
+        id: first.id,
+        entity: 'jobs',
+        recordId: 'job-1',
+        payload: { id: 'job-1', title: 'Developer' },
+        error: 'Rate limited',
+        attempts: 2,
+        firstFailedAt: first.firstFailedAt,
+        status: 'pending'
+      }));
+      expect(deadLetters.listDeadLetters(portalId)).toHaveLength(1);
+    });
+
+    it('should mark entries exhausted after the maximum attempts', () => {
+      let entry;
+      for (let attempt = 0; attempt < config.sync.deadLetters.maxAttempts; attempt++) {
+        [entry] = deadLetters.recordFailures(portalId, 'placements', [{ recordId: 'pl-1', payload: { id: 'pl-1' }, error: 'Failed' }]);
+      }
+
+      expect(entry).toEqual(expect.objectContaining({ status: 'exhausted', nextRetryAt: null }));
+      expect(deadLetters.getDueDeadLetterIds(portalId, new Date('2999-01-01'))).toEqual([]);
+    });
+  });
+
+  it('should resolve the entries of records that synced', () => {
+    deadLetters.recordFailures(portalId, 'jobs', [
+      { recordId: 'job-1', payload: {}, error: 'Failed' },
+      { recordId: 'job-2', payload: {}, error: 'Failed' }
+    ]);
+    deadLetters.recordFailures(portalId, 'revenue', [{ recordId: 'job-1', payload: {}, error: 'Failed' }]);
+
+    expect(deadLetters.resolveDeadLetters(portalId, 'jobs', ['job-1'])).toBe(1);
+    expect(deadLetters.listDeadLetters(portalId).map(entry => [entry.entity, entry.recordId])).toEqual(
+      expect.arrayContaining([['jobs', 'job-2'], ['revenue', 'job-1']])
+    );
+  });
+
+  it('should list entries without payloads and filter by entity and status', () => {
+    const [entry] = deadLetters.recordFailures(portalId, 'webhook', [
+      { recordId: 'job.updated:job-1', payload: { event: 'job.updated', data: { id: 'job-1' } }, error: 'Failed' }
+    ]);
+    deadLetters.recordFailures(portalId, 'jobs', [{ recordId: 'job-1', payload: {}, error: 'Failed' }]);
+
+    const listed = deadLetters.listDeadLetters(portalId, { entity: 'webhook', status: 'pending' });
+
+    expect(listed).toHaveLength(1);
+    expect(listed[0]).not.toHaveProperty('payload');
+    expect(deadLetters.getDeadLetter(portalId, entry.id).payload).toEqual({ event: 'job.updated', data: { id: 'job-1' } });
+    expect(deadLetters.getDeadLetter('portal-other', entry.id)).toBeNull();
+  });
+
+  it('should return entries once their retry is due', () => {
+    const [entry] = deadLetters.recordFailures(portalId, 'jobs', [{ recordId: 'job-1', payload: {}, error: 'Failed' }]);
+
+    expect(deadLetters.getDueDeadLetterIds(portalId)).toEqual([]);
+    expect(deadLetters.getDueDeadLetterIds(portalId, new Date(entry.nextRetryAt))).toEqual([entry.id]);
+  });
+
+  it('should only discard the portal\'s own entries', () => {
+    const [own] = deadLetters.recordFailures(portalId, 'jobs', [{ recordId: 'job-1', payload: {}, error: 'Failed' }]);
+    const [other] = deadLetters.recordFailures('portal-other', 'jobs', [{ recordId: 'job-1', payload: {}, error: 'Failed' }]);
+
+    expect(deadLetters.discardDeadLetters(portalId, [own.id, other.id])).toBe(1);
+    expect(deadLetters.listDeadLetters(portalId)).toEqual([]);
+    expect(deadLetters.listDeadLetters('portal-other')).toHaveLength(1);
+  });
+});
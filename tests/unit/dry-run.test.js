@@ -0,0 +1,88 @@
+/**
+ * Unit tests for dry-run syncs
+ */
+const { SyncPlan, createDryRunHubSpot, diffProperties, valuesEqual } = require('../../src/sync/dry-run');
+
+describe('Dry run', () => {
+  describe('valuesEqual', () => {
+    it('should compare HubSpot strings with written numbers and dates by value', () => {
+      expect(valuesEqual('5000', 5000)).toBe(true);
+      expect(valuesEqual('5000.50', 5000.5)).toBe(true);
+      expect(valuesEqual('2026-03-01T00:00:00Z', '2026-03-01')).toBe(true);
+      expect(valuesEqual('', null)).toBe(true);
+      expect(valuesEqual('0', '')).toBe(false);
+      expect(valuesEqual('Developer', 'Designer')).toBe(false);
+    });
+  });
+
+  describe('diffProperties', () => {
+    it('should list only changed properties with before and after values', () => {
+      expect(diffProperties({ dealname: 'Developer', amount: '5000', closedate: '' }, { dealname: 'Developer', amount: 6000, closedate: null }))
+        .toEqual([{ property: 'amount', before: '5000', after: 6000 }]);
+    });
+  });
+
+  describe('SyncPlan', () => {
+    it('should render one CSV row per changed property', () => {
+      const plan = new SyncPlan();
+      plan.recordCreate('deals', { dealname: 'Developer, Senior', trackerrms_job_id: 'job-1' });
+      plan.recordUpdate('deals', 'deal-2', { dealname: 'Designer', trackerrms_job_id: 'job-2' }, { dealname: 'Designer', trackerrms_job_id: 'job-2' });
+
+      expect(plan.getSummary()).toEqual({ create: 1, update: 0, skip: 1, archive: 0 });
+      expect(plan.toCSV()).toBe([
+        'objectType,action,id,key,property,before,after',
+        'deals,create,dry-run-1,trackerrms_job_id:job-1,dealname,,"Developer, Senior"',
+        'deals,create,dry-run-1,trackerrms_job_id:job-1,trackerrms_job_id,,job-1',
+        'deals,skip,deal-2,trackerrms_job_id:job-2,,,',
+        ''
+      ].join('\n'));
+    });
+  });
+
+  describe('createDryRunHubSpot', () => {
+    let hubspot;
+    let plan;
+    let dryRun;
+
+    beforeEach(() => {
+      hubspot = {
+        searchDeals: jest.fn().mockResolvedValue([{ id: 'deal-1' }]),
+        updateDeal: jest.fn(),
+        batchReadObjects: jest.fn().mockResolvedValue([{ id: 'deal-1', properties: { dealname: 'Old name', amount: '100' } }]),
+        getDealLineItems: jest.fn().mockResolvedValue([]),
+        createSchema: jest.fn()
+      };
+      plan = new SyncPlan();
+      dryRun = createDryRunHubSpot(hubspot, plan);
+    });
+
+    it('should pass reads through and plan writes with current values', async () => {
+      await expect(dryRun.searchDeals('trackerrms_job_id', 'job-1')).resolves.toEqual([{ id: 'deal-1' }]);
+
+      const deal = await dryRun.updateDeal('deal-1', { dealname: 'New name', amount: 100 });
+
+      expect(deal).toEqual({ id: 'deal-1', properties: { dealname: 'New name', amount: 100 } });
+      expect(hubspot.updateDeal).not.toHaveBeenCalled();
+      expect(hubspot.batchReadObjects).toHaveBeenCalledWith('deals', ['deal-1'], ['dealname', 'amount']);
+      expect(plan.changes).toEqual([{
+        objectType: 'deals',
+        action: 'update',
+        id: 'deal-1',
+        key: null,
+        changes: [{ property: 'dealname', before: 'Old name', after: 'New name' }]
+      }]);
+    });
+
+    it('should not look up records that only exist in the plan', async () => {
+      const created = await dryRun.createDeal({ dealname: 'Developer' });
+
+      await expect(dryRun.getDealLineItems(created.id)).resolves.toEqual([]);
+      expect(hubspot.getDealLineItems).not.toHaveBeenCalled();
+    });
+
+    it('should refuse provisioning calls', async () => {
+      await expect(dryRun.createSchema({})).rejects.toThrow('createSchema is not available in a dry run');
+      expect(hubspot.createSchema).not.toHaveBeenCalled();
+    });
+  });
+});
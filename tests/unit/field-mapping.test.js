@@ -0,0 +1,142 @@
+/**
+ * Unit tests for field mapping
+ */
+const {
+  DEFAULT_FIELD_MAPPING,
+  getFieldMapping,
+  applyFieldMapping,
+  validateFieldMapping,
+  setFieldMapping,
+  resetFieldMapping
+} = require('../../src/settings/field-mapping');
+const { removePortalSettings } = require('../../src/settings/portal-settings');
+
+const properties = [
+  { name: 'dealname', type: 'string', fieldType: 'text' },
+  { name: 'amount', type: 'number', fieldType: 'number' },
+  { name: 'closedate', type: 'datetime', fieldType: 'date' },
+  { name: 'trackerrms_service_line', type: 'string', fieldType: 'text' },
+  { name: 'trackerrms_revenue', type: 'number', fieldType: 'number' },
+  { name: 'trackerrms_margin', type: 'number', fieldType: 'number' },
+  { name: 'trackerrms_placement_date', type: 'date', fieldType: 'date' },
+  { name: 'dealtype', type: 'enumeration', fieldType: 'select', options: [{ value: 'newbusiness' }, { value: 'existingbusiness' }] },
+  { name: 'hs_lastmodifieddate', type: 'datetime', fieldType: 'date', modificationMetadata: { readOnlyValue: true } }
+];
+
+describe('Field mapping', () => {
+  const portalId = 'portal-fields';
+
+  beforeEach(() => {
+    removePortalSettings(portalId);
+  });
+
+  describe('applyFieldMapping', () => {
+    it('should take the first non-empty source and fall back to defaults', () => {
+      expect(applyFieldMapping(DEFAULT_FIELD_MAPPING.jobs, { title: '', name: 'Developer', category: 'IT' })).toEqual({
+        dealname: 'Developer',
+        amount: 0,
+        closedate: null,
+        trackerrms_service_line: 'IT'
+      });
+    });
+
+    it('should read nested paths and apply transforms in order', () => {
+      const entries = [
+        { target: 'closedate', source: 'dates.start', transforms: [{ type: 'date', format: 'date' }] },
+        { target: 'amount', source: 'fee', transforms: [{ type: 'round', decimals: 0 }] },
+        { target: 'dealtype', source: 'type', transforms: [{ type: 'lookup', values: { Permanent: 'newbusiness' } }], default: 'existingbusiness' },
+        { target: 'dealname', source: 'client.name', transforms: [{ type: 'concat', paths: ['title'], separator: ' - ' }] }
+      ];
+
+      expect(applyFieldMapping(entries, {
+        dates: { start: '2026-03-01T15:30:00Z' },
+        fee: 1234.56,
+        type: 'PERMANENT',
+        client: { name: 'ACME' },
+        title: 'Developer'
+      })).toEqual({ closedate: '2026-03-01', amount: 1235, dealtype: 'newbusiness', dealname: 'ACME - Developer' });
+
+      expect(applyFieldMapping(entries, { type: 'contract', dates: { start: 'not a date' } }))
+        .toEqual({ dealtype: 'existingbusiness' });
+    });
+
+    it('should skip candidate fields when candidate PII is excluded', () => {
+      const entries = [{ target: 'dealname', source: ['candidateName', 'candidateId'] }];
+
+      expect(applyFieldMapping(entries, { candidateName: 'Jane Smith', candidateId: 'cand-1' }, { excludeCandidatePii: true }))
+        .toEqual({ dealname: 'cand-1' });
+    });
+  });
+
+  describe('validateFieldMapping', () => {
+    it('should accept the default mapping', () => {
+      expect(validateFieldMapping(DEFAULT_FIELD_MAPPING, properties)).toEqual([]);
+    });
+
+    it('should reject unknown, read-only, reserved and duplicate targets', () => {
+      expect(validateFieldMapping({
+        jobs: [
+          { target: 'missing', source: 'title' },
+          { target: 'hs_lastmodifieddate', source: 'updatedAt' },
+          { target: 'trackerrms_job_id', source: 'id' },
+          { target: 'dealname', source: 'title' },
+          { target: 'dealname', source: 'name' }
+        ],
+        placements: []
+      }, properties)).toEqual([
+        'jobs[0]: deal property missing does not exist',
+        'jobs[1]: deal property hs_lastmodifieddate is read-only',
+        'jobs[2]: trackerrms_job_id is managed by the sync and cannot be mapped',
+        'jobs[4]: dealname is mapped more than once'
+      ]);
+    });
+
+    it('should check transforms against the target property type', () => {
+      expect(validateFieldMapping({
+        jobs: [
+          { target: 'amount', source: 'fee', transforms: [{ type: 'date' }] },
+          { target: 'dealname', source: 'fee', transforms: [{ type: 'round' }] },
+          { target: 'dealtype', source: 'type', transforms: [{ type: 'lookup', values: { permanent: 'retained' } }] },
+          { target: 'trackerrms_service_line', transforms: [{ type: 'uppercase' }] }
+        ],
+        placements: [{ target: 'amount', source: 'fee' }]
+      }, properties)).toEqual([
+        'jobs[0].transforms[0]: date transform cannot write to a number property',
+        'jobs[1].transforms[0]: round transform cannot write to a string property',
+        'jobs[2].transforms[0]: lookup values retained are not options of dealtype',
+        'jobs[3]: needs a source or a default',
+        'jobs[3].transforms[0]: unknown transform uppercase (expected one of: date, round, lookup, concat)',
+        'placements[0]: amount is managed by the sync and cannot be mapped'
+      ]);
+    });
+
+    it('should reject malformed mappings', () => {
+      expect(validateFieldMapping([], properties)).toEqual(['Field mapping must be an object']);
+      expect(validateFieldMapping({ jobs: {}, clients: [] }, properties)).toEqual([
+        'Unknown entity: clients (expected one of: jobs, placements)',
+        'jobs must be an array of { target, source, transforms, default } entries',
+        'placements must be an array of { target, source, transforms, default } entries'
+      ]);
+    });
+  });
+
+  describe('setFieldMapping', () => {
+    it('should store a valid mapping and reset to the default', () => {
+      const mapping = { jobs: [{ target: 'dealname', source: 'title', transforms: [] }], placements: [] };
+
+      expect(setFieldMapping(portalId, mapping, properties))
+        .toEqual({ mapping: { jobs: [{ target: 'dealname', source: 'title' }], placements: [] } });
+      expect(getFieldMapping(portalId).jobs).toEqual([{ target: 'dealname', source: 'title' }]);
+
+      expect(resetFieldMapping(portalId)).toBe(DEFAULT_FIELD_MAPPING);
+      expect(getFieldMapping(portalId)).toBe(DEFAULT_FIELD_MAPPING);
+    });
+
+    it('should not store an invalid mapping', () => {
+      const result = setFieldMapping(portalId, { jobs: [{ target: 'missing' }], placements: [] }, properties);
+
+      expect(result.errors.length).toBeGreaterThan(0);
+      expect(getFieldMapping(portalId)).toBe(DEFAULT_FIELD_MAPPING);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Unit tests for the HubSpot rate limiter
+ */
+const https = require('https');
+const { EventEmitter } = require('events');
+const { HubSpotRateLimiter, getRateLimiter } = require('../../src/services/hubspot-rate-limiter');
+
+describe('HubSpotRateLimiter', () => {
+  function createLimiter(options = {}) {
+    return new HubSpotRateLimiter('portal-1', {
+      burstLimit: 2,
+      burstWindowMs: 100,
+      searchLimit: 1,
+      searchWindowMs: 50,
+      dailyLimit: 1000,
+      ...options
+    });
+  }
+
+  it('should allow calls up to the burst limit immediately', async () => {
+    const limiter = createLimiter();
+    const start = Date.now();
+
+    await limiter.acquire();
+    await limiter.acquire();
+
+    expect(Date.now() - start).toBeLessThan(40);
+    expect(limiter.getStatus().burst.remaining).toBe(0);
+  });
+
+  it('should throttle calls beyond the burst limit', async () => {
+    const limiter = createLimiter();
+    const start = Date.now();
+
+    await limiter.acquire();
+    await limiter.acquire();
+    await limiter.acquire();
+
+    expect(Date.now() - start).toBeGreaterThanOrEqual(40);
+  });
+
+  it('should use a separate bucket for search calls', async () => {
+    const limiter = createLimiter();
+
+    await limiter.acquire('search');
+
+    expect(limiter.getStatus().search.remaining).toBe(0);
+    expect(limiter.getStatus().burst.remaining).toBe(2);
+  });
+
+  it('should fail fast once the daily limit is reached', async () => {
+    const limiter = createLimiter({ dailyLimit: 1 });
+
+    await limiter.acquire();
+
+    await expect(limiter.acquire()).rejects.toMatchObject({
+      code: 'HUBSPOT_DAILY_LIMIT_REACHED',
+      status: 429,
+      retryable: false
+    });
+  });
+
+  it('should sync limits from rate-limit headers', () => {
+    const limiter = createLimiter();
+
+    limiter.updateFromHeaders({
+      'x-hubspot-ratelimit-max': '110',
+      'x-hubspot-ratelimit-interval-milliseconds': '10000',
+      'x-hubspot-ratelimit-remaining': '1',
+      'x-hubspot-ratelimit-daily': '500000',
+      'x-hubspot-ratelimit-daily-remaining': '499000'
+    });
+
+    const status = limiter.getStatus();
+    expect(status.burst.limit).toBe(110);
+    expect(status.burst.windowMs).toBe(10000);
+    expect(status.burst.remaining).toBe(1);
+    expect(status.daily).toMatchObject({ limit: 500000, used: 1000, remaining: 499000 });
+  });
+
+  it('should sync limits from the headers of successful responses', () => {
+    const limiter = createLimiter();
+    const agent = limiter.getHttpAgent();
+    const addRequest = jest.spyOn(https.Agent.prototype, 'addRequest').mockImplementation(() => {});
+    const req = new EventEmitter();
+
+    agent.addRequest(req, {});
+    req.emit('response', { statusCode: 200, headers: { 'x-hubspot-ratelimit-daily': '1000', 'x-hubspot-ratelimit-daily-remaining': '400' } });
+
+    expect(addRequest).toHaveBeenCalledWith(req, {});
+    expect(limiter.getStatus().daily).toMatchObject({ used: 600, remaining: 400 });
+    expect(limiter.getHttpAgent()).toBe(agent);
+    addRequest.mockRestore();
+  });
+
+  it('should pause the portal after a 429', () => {
+    const limiter = createLimiter();
+    const error = Object.assign(new Error('Too many requests'), {
+      code: 429,
+      headers: { 'retry-after': '5' }
+    });
+
+    limiter.recordError(error);
+
+    const status = limiter.getStatus();
+    expect(status.burst.remaining).toBe(0);
+    expect(status.burst.blockedUntil).not.toBeNull();
+  });
+
+  it('should ignore non rate-limit errors', () => {
+    const limiter = createLimiter();
+
+    limiter.recordError(Object.assign(new Error('Not found'), { code: 404 }));
+
+    expect(limiter.getStatus().burst.blockedUntil).toBeNull();
+  });
+
+  describe('getRateLimiter', () => {
+    it('should return one limiter per portal', () => {
+      expect(getRateLimiter('portal-a')).toBe(getRateLimiter('portal-a'));
+      expect(getRateLimiter('portal-a')).not.toBe(getRateLimiter('portal-b'));
+    });
+  });
+});
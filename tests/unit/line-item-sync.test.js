@@ -0,0 +1,84 @@
+/**
+ * Unit tests for placement line items
+ */
+const { LineItemSync, buildPlacementLineItems, lineItemsTotal } = require('../../src/sync/line-item-sync');
+
+describe('Placement line items', () => {
+  describe('buildPlacementLineItems', () => {
+    it('should build a fee line for permanent placements', () => {
+      const lineItems = buildPlacementLineItems({ id: 'pl-1', type: 'Permanent', fee: 18000 });
+
+      expect(lineItems).toEqual([
+        { key: 'pl-1:fee', name: 'Permanent placement fee', description: '', quantity: 1, price: 18000 }
+      ]);
+    });
+
+    it('should build billing period, extension and credit lines for contracts', () => {
+      const lineItems = buildPlacementLineItems({
+        id: 'pl-2',
+        billRate: 80,
+        billingPeriods: [{ id: 'p1', hours: 160, startDate: '2024-01-01', endDate: '2024-01-31' }],
+        extensions: [{ hours: 80, billRate: 90 }],
+        credits: [{ amount: 250, reason: 'Timesheet adjustment' }]
+      });
+
+      expect(lineItems.map(item => [item.key, item.quantity, item.price])).toEqual([
+        ['pl-2:period:p1', 160, 80],
+        ['pl-2:extension:1', 80, 90],
+        ['pl-2:credit:1', 1, -250]
+      ]);
+      expect(lineItems[0].description).toBe('2024-01-01 to 2024-01-31');
+      expect(lineItemsTotal(lineItems)).toBe(12800 + 7200 - 250);
+    });
+
+    it('should fall back to revenue, then rate times hours', () => {
+      expect(buildPlacementLineItems({ id: 'pl-3', revenue: 5000, billRate: 50, hours: 10 }))
+        .toEqual([{ key: 'pl-3:revenue', name: 'Placement revenue', description: '', quantity: 1, price: 5000 }]);
+      expect(lineItemsTotal(buildPlacementLineItems({ id: 'pl-4', billRate: 50, hours: 10 }))).toBe(500);
+      expect(buildPlacementLineItems({ id: 'pl-5' })).toEqual([]);
+    });
+  });
+
+  describe('LineItemSync', () => {
+    let hubspot;
+
+    beforeEach(() => {
+      hubspot = {
+        getDealLineItems: jest.fn().mockResolvedValue([]),
+        batchCreateLineItems: jest.fn().mockResolvedValue([]),
+        batchUpdateLineItems: jest.fn().mockResolvedValue([]),
+        batchArchiveLineItems: jest.fn().mockResolvedValue()
+      };
+    });
+
+    it('should leave matching line items alone on re-sync', async () => {
+      hubspot.getDealLineItems.mockResolvedValue([{
+        id: 'li-1',
+        properties: { name: 'Permanent placement fee', description: '', quantity: '1', price: '18000.00', trackerrms_line_item_key: 'pl-1:fee' }
+      }]);
+
+      const counts = await new LineItemSync(hubspot).syncPlacementLineItems('deal-1', { id: 'pl-1', fee: 18000 });
+
+      expect(counts).toEqual({ created: 0, updated: 0, removed: 0, unchanged: 1 });
+      expect(hubspot.batchCreateLineItems).not.toHaveBeenCalled();
+      expect(hubspot.batchUpdateLineItems).not.toHaveBeenCalled();
+    });
+
+    it('should update changed lines and remove stale lines for the placement only', async () => {
+      hubspot.getDealLineItems.mockResolvedValue([
+        { id: 'li-1', properties: { name: 'Permanent placement fee', quantity: '1', price: '15000', trackerrms_line_item_key: 'pl-1:fee' } },
+        { id: 'li-2', properties: { name: 'Credit', quantity: '1', price: '-100', trackerrms_line_item_key: 'pl-1:credit:1' } },
+        { id: 'li-3', properties: { name: 'Other placement', quantity: '1', price: '100', trackerrms_line_item_key: 'pl-9:fee' } },
+        { id: 'li-4', properties: { name: 'Added by hand', quantity: '1', price: '100' } }
+      ]);
+
+      const counts = await new LineItemSync(hubspot).syncPlacementLineItems('deal-1', { id: 'pl-1', fee: 18000 });
+
+      expect(counts).toEqual({ created: 0, updated: 1, removed: 1, unchanged: 0 });
+      expect(hubspot.batchUpdateLineItems).toHaveBeenCalledWith([
+        { id: 'li-1', properties: expect.objectContaining({ price: '18000' }) }
+      ]);
+      expect(hubspot.batchArchiveLineItems).toHaveBeenCalledWith(['li-2']);
+    });
+  });
+});
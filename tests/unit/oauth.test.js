@@ -105,6 +105,46 @@ describe('OAuth Service', () => {
     });
   });
 
+  describe('storeInstallation', () => {
+    afterEach(() => {
+      oauth.removeInstallation('12345');
+    });
+
+    it('should store the installation record from token metadata', () => {
+      oauth.storeInstallation(12345, {
+        hubId: 12345,
+        hubDomain: 'example.hubspot.com',
+        user: 'admin@example.com',
+        userId: 42,
+        appId: 7,
+        scopes: ['crm.objects.deals.read', 'crm.objects.deals.write']
+      });
+
+      const installation = oauth.getInstallation('12345');
+
+      expect(installation.portalId).toBe('12345');
+      expect(installation.hubDomain).toBe('example.hubspot.com');
+      expect(installation.installedBy).toEqual({ userId: 42, email: 'admin@example.com' });
+      expect(installation.scopes).toContain('crm.objects.deals.write');
+      expect(installation.installedAt).toBeDefined();
+    });
+
+    it('should keep the original install time on reinstall', () => {
+      oauth.storeInstallation('12345', { hubId: 12345, scopes: [] });
+      const first = oauth.getInstallation('12345');
+
+      oauth.storeInstallation('12345', { hubId: 12345, scopes: ['timeline'] });
+      const second = oauth.getInstallation('12345');
+
+      expect(second.installedAt).toBe(first.installedAt);
+      expect(second.scopes).toEqual(['timeline']);
+    });
+
+    it('should return null for unknown portal', () => {
+      expect(oauth.getInstallation('unknown-portal')).toBeNull();
+    });
+  });
+
   describe('getConnectedPortals', () => {
     it('should return empty array when no portals connected', () => {
       const portals = oauth.getConnectedPortals();
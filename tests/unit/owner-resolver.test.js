@@ -0,0 +1,125 @@
+/**
+ * Unit tests for OwnerResolver
+ */
+const {
+  OwnerResolver,
+  getUnmatchedOwners,
+  validateOwnerOverrides,
+  setOwnerOverrides
+} = require('../../src/sync/owner-resolver');
+const { getPortalSettings, removePortalSettings } = require('../../src/settings/portal-settings');
+
+const owners = [
+  { id: '101', email: 'jane@agency.com' },
+  { id: '102', email: 'sam@agency.com' }
+];
+
+describe('OwnerResolver', () => {
+  let portalCount = 0;
+  let portalId;
+  let hubspot;
+  let resolver;
+
+  beforeEach(() => {
+    // Unmatched reports persist per portal, so each test gets its own
+    portalId = `portal-owners-${++portalCount}`;
+    hubspot = { getOwners: jest.fn().mockResolvedValue(owners) };
+    resolver = new OwnerResolver(hubspot, portalId);
+  });
+
+  afterEach(() => {
+    removePortalSettings(portalId);
+  });
+
+  describe('resolve', () => {
+    it('should match owners by email case-insensitively', async () => {
+      await resolver.load();
+
+      expect(resolver.resolve({ email: ' Jane@Agency.com ' }, 'recruiter')).toBe('101');
+      expect(resolver.resolve('sam@agency.com', 'recruiter')).toBe('102');
+      expect(getUnmatchedOwners(portalId)).toEqual([]);
+    });
+
+    it('should only load owners once', async () => {
+      await resolver.load();
+      await resolver.load();
+
+      expect(hubspot.getOwners).toHaveBeenCalledTimes(1);
+    });
+
+    it('should prefer manual overrides', async () => {
+      setOwnerOverrides(portalId, { 'Jane@agency.com': '102' }, owners);
+      await resolver.load();
+
+      expect(resolver.resolve({ email: 'jane@agency.com' }, 'recruiter')).toBe('102');
+    });
+
+    it('should report unmatched users with occurrence counts', async () => {
+      await resolver.load();
+
+      resolver.resolve({ name: 'Alex', email: 'alex@agency.com' }, 'recruiter');
+      resolver.resolve({ email: 'alex@agency.com' }, 'recruiter');
+      expect(getUnmatchedOwners(portalId)).toEqual([]);
+
+      resolver.saveUnmatched();
+      resolver.resolve({ email: 'alex@agency.com' }, 'account manager');
+      resolver.saveUnmatched();
+
+      expect(getUnmatchedOwners(portalId)).toEqual([
+        expect.objectContaining({ email: 'alex@agency.com', name: 'Alex', role: 'account manager', occurrences: 3 })
+      ]);
+    });
+
+    it('should not report users when owners could not be loaded', async () => {
+      hubspot.getOwners.mockRejectedValue(new Error('Missing scopes'));
+      await resolver.load();
+
+      expect(resolver.resolve({ email: 'jane@agency.com' }, 'recruiter')).toBeNull();
+      expect(getUnmatchedOwners(portalId)).toEqual([]);
+    });
+  });
+
+  describe('getOwnerProperties', () => {
+    beforeEach(async () => {
+      await resolver.load();
+    });
+
+    it('should list every non-primary recruiter with their split', () => {
+      expect(resolver.getOwnerProperties({
+        recruiter: 'sam@agency.com',
+        recruiters: [
+          { email: 'jane@agency.com', name: 'Jane', split: 50 },
+          { email: 'sam@agency.com', split: 50 }
+        ],
+        secondaryRecruiters: ['alex@agency.com']
+      })).toEqual({
+        hubspot_owner_id: '102',
+        trackerrms_secondary_recruiters: 'Jane <jane@agency.com> (50%); alex@agency.com'
+      });
+    });
+
+    it('should leave the deal unassigned when nobody matches', () => {
+      expect(resolver.getOwnerProperties({ recruiterEmail: 'alex@agency.com' })).toEqual({});
+    });
+  });
+
+  describe('setOwnerOverrides', () => {
+    it('should reject unknown owners and malformed emails', () => {
+      expect(validateOwnerOverrides({ 'jane@agency.com': '999', jane: '101' }, owners)).toEqual([
+        'jane@agency.com: owner 999 does not exist',
+        'jane: must be an email address'
+      ]);
+      expect(validateOwnerOverrides([], owners)).toHaveLength(1);
+    });
+
+    it('should store normalised overrides and clear them from the unmatched report', async () => {
+      await resolver.load();
+      resolver.resolve({ email: 'alex@agency.com' }, 'recruiter');
+
+      expect(setOwnerOverrides(portalId, { 'Alex@Agency.com': 101 }, owners))
+        .toEqual({ overrides: { 'alex@agency.com': '101' } });
+      expect(getPortalSettings(portalId).ownerOverrides).toEqual({ 'alex@agency.com': '101' });
+      expect(getUnmatchedOwners(portalId)).toEqual([]);
+    });
+  });
+});
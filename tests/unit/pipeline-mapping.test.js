@@ -0,0 +1,114 @@
+/**
+ * Unit tests for pipeline mapping
+ */
+const {
+  DEFAULT_PIPELINE_MAPPING,
+  getPipelineMapping,
+  resolvePipelineStage,
+  validatePipelineMapping,
+  setPipelineMapping,
+  provisionRecruitingPipeline
+} = require('../../src/settings/pipeline-mapping');
+const { removePortalSettings } = require('../../src/settings/portal-settings');
+
+const pipelines = [{
+  id: 'recruiting',
+  label: 'Recruiting',
+  stages: [{ id: 's-open', label: 'Open' }, { id: 's-won', label: 'Filled' }]
+}];
+
+describe('Pipeline mapping', () => {
+  const portalId = 'portal-pipelines';
+
+  beforeEach(() => {
+    removePortalSettings(portalId);
+  });
+
+  describe('resolvePipelineStage', () => {
+    it('should match statuses case-insensitively and fall back to the default entry', () => {
+      expect(resolvePipelineStage(DEFAULT_PIPELINE_MAPPING, 'jobs', 'Filled'))
+        .toEqual({ pipelineId: 'default', stageId: 'closedwon' });
+      expect(resolvePipelineStage(DEFAULT_PIPELINE_MAPPING, 'jobs', undefined))
+        .toEqual({ pipelineId: 'default', stageId: 'appointmentscheduled' });
+    });
+  });
+
+  describe('validatePipelineMapping', () => {
+    it('should accept a mapping onto existing pipeline stages', () => {
+      expect(validatePipelineMapping({
+        jobs: { default: { pipelineId: 'recruiting', stageId: 's-open' } },
+        placements: { default: { pipelineId: 'recruiting', stageId: 's-won' } }
+      }, pipelines)).toEqual([]);
+    });
+
+    it('should reject unknown pipelines and stages and missing defaults', () => {
+      expect(validatePipelineMapping({
+        jobs: { open: { pipelineId: 'sales', stageId: 's-open' } },
+        placements: { default: { pipelineId: 'recruiting', stageId: 'closedwon' } },
+        tickets: {}
+      }, pipelines)).toEqual([
+        'Unknown entity: tickets (expected one of: jobs, placements)',
+        'jobs must include a default mapping',
+        'jobs.open: pipeline sales does not exist',
+        'placements.default: stage closedwon does not exist in pipeline Recruiting'
+      ]);
+    });
+  });
+
+  describe('setPipelineMapping', () => {
+    it('should store a valid mapping with lower-cased statuses', () => {
+      const { mapping } = setPipelineMapping(portalId, {
+        jobs: { Open: { pipelineId: 'recruiting', stageId: 's-open' }, default: { pipelineId: 'recruiting', stageId: 's-open' } },
+        placements: { default: { pipelineId: 'recruiting', stageId: 's-won' } }
+      }, pipelines);
+
+      expect(Object.keys(mapping.jobs)).toEqual(['open', 'default']);
+      expect(getPipelineMapping(portalId)).toEqual(mapping);
+    });
+
+    it('should not store an invalid mapping', () => {
+      const result = setPipelineMapping(portalId, { jobs: {} }, pipelines);
+
+      expect(result.errors.length).toBeGreaterThan(0);
+      expect(getPipelineMapping(portalId)).toBe(DEFAULT_PIPELINE_MAPPING);
+    });
+  });
+
+  describe('provisionRecruitingPipeline', () => {
+    it('should create the Recruiting pipeline and map statuses onto its stages', async () => {
+      const hubspot = {
+        getDealPipelines: jest.fn().mockResolvedValue([{ id: 'default', label: 'Sales Pipeline', stages: [] }]),
+        createDealPipeline: jest.fn().mockImplementation(async definition => ({
+          id: 'new-pipeline',
+          label: definition.label,
+          stages: definition.stages.map((stage, index) => ({ id: `stage-${index}`, label: stage.label }))
+        }))
+      };
+
+      const { pipeline, mapping } = await provisionRecruitingPipeline(hubspot, portalId);
+
+      expect(pipeline.id).toBe('new-pipeline');
+      expect(hubspot.createDealPipeline.mock.calls[0][0].stages.find(s => s.label === 'Filled').metadata)
+        .toEqual({ isClosed: 'true', probability: '1.0' });
+      expect(mapping.jobs.interviewing).toEqual({ pipelineId: 'new-pipeline', stageId: 'stage-2' });
+      expect(mapping.placements.default).toEqual({ pipelineId: 'new-pipeline', stageId: 'stage-4' });
+      expect(getPipelineMapping(portalId)).toEqual(mapping);
+    });
+
+    it('should reuse an existing Recruiting pipeline', async () => {
+      const hubspot = {
+        getDealPipelines: jest.fn().mockResolvedValue([{
+          id: 'existing',
+          label: 'Recruiting',
+          stages: ['Open', 'Sourcing', 'Interviewing', 'Offer', 'Filled', 'Closed Lost'].map(label => ({ id: label, label }))
+        }]),
+        createDealPipeline: jest.fn()
+      };
+
+      const { mapping } = await provisionRecruitingPipeline(hubspot, portalId);
+
+      expect(hubspot.createDealPipeline).not.toHaveBeenCalled();
+      expect(mapping.jobs.cancelled).toEqual({ pipelineId: 'existing', stageId: 'Closed Lost' });
+    });
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Unit tests for per-portal settings
+ */
+const {
+  DEFAULT_SETTINGS,
+  getPortalSettings,
+  validateSettings,
+  updatePortalSettings,
+  removePortalSettings
+} = require('../../src/settings/portal-settings');
+
+describe('Portal settings', () => {
+  beforeEach(() => {
+    removePortalSettings('portal-1');
+  });
+
+  it('should return defaults for a portal without settings', () => {
+    expect(getPortalSettings('portal-1')).toEqual(DEFAULT_SETTINGS);
+    expect(getPortalSettings('portal-1').objectModel).toBe('deals');
+  });
+
+  it('should merge updates over defaults', () => {
+    const settings = updatePortalSettings('portal-1', { objectModel: 'custom_objects' });
+
+    expect(settings.objectModel).toBe('custom_objects');
+    expect(settings.customObjects).toBeNull();
+    expect(getPortalSettings('portal-1').objectModel).toBe('custom_objects');
+  });
+
+  describe('validateSettings', () => {
+    it('should accept valid settings', () => {
+      expect(validateSettings({ objectModel: 'deals', excludeCandidatePii: true })).toEqual([]);
+    });
+
+    it('should reject unknown settings and invalid values', () => {
+      expect(validateSettings({ objectModel: 'tickets', excludeCandidatePii: 'yes', customObjects: {} })).toEqual([
+        'objectModel must be one of: deals, custom_objects',
+        'excludeCandidatePii must be a boolean',
+        'Unknown setting: customObjects'
+      ]);
+    });
+
+    it('should reject non-object input', () => {
+      expect(validateSettings(['deals'])).toEqual(['Settings must be an object']);
+    });
+  });
+});
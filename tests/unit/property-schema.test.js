@@ -0,0 +1,143 @@
+/**
+ * Unit tests for PropertySchemaManager
+ */
+const {
+  PropertySchemaManager,
+  PROPERTY_DEFINITIONS,
+  MIGRATIONS,
+  diffProperty
+} = require('../../src/sync/property-schema');
+const { getPortalSettings, removePortalSettings } = require('../../src/settings/portal-settings');
+
+const inGroup = definition => ({ ...definition, groupName: 'trackerrms' });
+
+describe('PropertySchemaManager', () => {
+  const portalId = 'portal-schema';
+  let hubspot;
+  let groups;
+  let properties;
+
+  beforeEach(() => {
+    removePortalSettings(portalId);
+    groups = { deals: [], companies: [], contacts: [], line_items: [] };
+    properties = { deals: [], companies: [], contacts: [], line_items: [] };
+
+    hubspot = {
+      getPropertyGroups: jest.fn().mockImplementation(async objectType => groups[objectType]),
+      createPropertyGroup: jest.fn().mockImplementation(async (objectType, group) => {
+        groups[objectType].push(group);
+        return group;
+      }),
+      getProperties: jest.fn().mockImplementation(async objectType => properties[objectType]),
+      createProperty: jest.fn().mockImplementation(async (objectType, definition) => {
+        properties[objectType].push(definition);
+        return definition;
+      }),
+      updateProperty: jest.fn().mockResolvedValue({})
+    };
+  });
+
+  describe('diffProperty', () => {
+    it('should compare type, fieldType, label, group and options', () => {
+      const definition = {
+        name: 'trackerrms_status',
+        label: 'Status',
+        type: 'enumeration',
+        fieldType: 'select',
+        options: [{ value: 'open', label: 'Open' }]
+      };
+
+      expect(diffProperty(definition, inGroup(definition))).toEqual([]);
+      expect(diffProperty(definition, {
+        ...definition,
+        label: 'Old Status',
+        fieldType: 'radio',
+        groupName: 'dealinformation',
+        options: [{ value: 'open', label: 'Open' }, { value: 'closed', label: 'Closed' }]
+      }).map(difference => difference.field)).toEqual(['fieldType', 'label', 'groupName', 'options']);
+    });
+  });
+
+  describe('migrate', () => {
+    it('should create the property group and every property on a new portal', async () => {
+      const result = await new PropertySchemaManager(hubspot, portalId).migrate();
+
+      expect(result.fromVersion).toBe(0);
+      expect(result.version).toBe(MIGRATIONS[MIGRATIONS.length - 1].version);
+      expect(hubspot.createPropertyGroup).toHaveBeenCalledTimes(4);
+      expect(hubspot.createProperty).toHaveBeenCalledWith('contacts', expect.objectContaining({
+        name: 'trackerrms_candidate_id',
+        groupName: 'trackerrms'
+      }));
+      expect(getPortalSettings(portalId).propertySchemaVersion).toBe(result.version);
+
+      const again = await new PropertySchemaManager(hubspot, portalId).migrate();
+      expect(again.applied).toEqual([]);
+    });
+
+    it('should correct properties created with the wrong type or group', async () => {
+      properties.deals.push({ name: 'trackerrms_revenue', label: 'TrackerRMS Revenue', type: 'string', fieldType: 'text', groupName: 'dealinformation' });
+
+      await new PropertySchemaManager(hubspot, portalId).migrate();
+
+      expect(hubspot.updateProperty).toHaveBeenCalledWith('deals', 'trackerrms_revenue', {
+        type: 'number',
+        fieldType: 'number',
+        groupName: 'trackerrms'
+      });
+    });
+
+    it('should stop at a failing migration without recording it', async () => {
+      hubspot.updateProperty.mockRejectedValue(new Error('Cannot change type of a property with values'));
+      properties.deals.push({ name: 'trackerrms_revenue', label: 'TrackerRMS Revenue', type: 'string', fieldType: 'text', groupName: 'trackerrms' });
+
+      await expect(new PropertySchemaManager(hubspot, portalId).migrate())
+        .rejects.toThrow('Property schema migration 2 failed for deals.trackerrms_revenue');
+      expect(getPortalSettings(portalId).propertySchemaVersion).toBe(1);
+    });
+
+    it('should report the last failure until a migration succeeds', async () => {
+      hubspot.getPropertyGroups.mockRejectedValueOnce(new Error('Missing scopes'));
+      const schema = new PropertySchemaManager(hubspot, portalId);
+
+      await expect(schema.migrate()).rejects.toThrow('Missing scopes');
+      expect(schema.getVersion().lastError).toEqual({ message: 'Missing scopes', failedAt: expect.any(String) });
+
+      await schema.migrate();
+      expect(schema.getVersion()).toEqual(expect.objectContaining({ pending: [], lastError: null }));
+    });
+  });
+
+  describe('getDrift', () => {
+    it('should report missing and drifted properties', async () => {
+      groups.deals.push({ name: 'trackerrms' });
+      properties.deals = PROPERTY_DEFINITIONS.deals.map(inGroup);
+      properties.deals[0] = { ...properties.deals[0], label: 'Job ID' };
+
+      const drift = await new PropertySchemaManager(hubspot, portalId).getDrift();
+
+      expect(drift.inSync).toBe(false);
+      expect(drift.version).toBe(0);
+      expect(drift.pending).toHaveLength(MIGRATIONS.length);
+      expect(drift.groups).toContainEqual({ objectType: 'deals', name: 'trackerrms', status: 'ok' });
+      expect(drift.groups).toContainEqual({ objectType: 'contacts', name: 'trackerrms', status: 'missing' });
+      expect(drift.properties).toContainEqual({
+        objectType: 'deals',
+        name: 'trackerrms_job_id',
+        status: 'drifted',
+        differences: [{ field: 'label', expected: 'TrackerRMS Job ID', actual: 'Job ID' }]
+      });
+      expect(drift.properties).toContainEqual({ objectType: 'companies', name: 'trackerrms_client_id', status: 'missing' });
+      expect(drift.properties).toContainEqual({ objectType: 'deals', name: 'trackerrms_margin', status: 'ok' });
+    });
+
+    it('should be in sync after migrating', async () => {
+      const manager = new PropertySchemaManager(hubspot, portalId);
+      await manager.migrate();
+
+      const drift = await manager.getDrift();
+      expect(drift.inSync).toBe(true);
+      expect(drift.pending).toEqual([]);
+    });
+  });
+});
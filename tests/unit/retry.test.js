@@ -0,0 +1,114 @@
+/**
+ * Unit tests for the shared retry policy
+ */
+const {
+  withRetry,
+  isRetryableError,
+  getRetryAfterMs,
+  computeBackoffMs
+} = require('../../src/services/retry');
+
+function httpError(status, headers = {}) {
+  return Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+}
+
+describe('Retry policy', () => {
+  describe('isRetryableError', () => {
+    it('should retry transient HTTP statuses', () => {
+      [408, 429, 500, 502, 503, 504].forEach(status => {
+        expect(isRetryableError(httpError(status))).toBe(true);
+      });
+    });
+
+    it('should not retry client errors', () => {
+      [400, 401, 403, 404, 409].forEach(status => {
+        expect(isRetryableError(httpError(status))).toBe(false);
+      });
+    });
+
+    it('should retry network errors', () => {
+      expect(isRetryableError(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }))).toBe(true);
+      expect(isRetryableError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).toBe(true);
+    });
+
+    it('should read HubSpot SDK numeric error codes', () => {
+      expect(isRetryableError(Object.assign(new Error('busy'), { code: 502 }))).toBe(true);
+      expect(isRetryableError(Object.assign(new Error('bad'), { code: 400 }))).toBe(false);
+    });
+
+    it('should only retry 429 for non-idempotent operations', () => {
+      expect(isRetryableError(httpError(429), { idempotent: false })).toBe(true);
+      expect(isRetryableError(httpError(502), { idempotent: false })).toBe(false);
+      expect(isRetryableError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }), { idempotent: false })).toBe(false);
+    });
+  });
+
+  describe('getRetryAfterMs', () => {
+    it('should parse delay seconds', () => {
+      expect(getRetryAfterMs(httpError(429, { 'retry-after': '2' }))).toBe(2000);
+    });
+
+    it('should parse HTTP dates', () => {
+      const date = new Date(Date.now() + 5000).toUTCString();
+      const delay = getRetryAfterMs(httpError(503, { 'retry-after': date }));
+
+      expect(delay).toBeGreaterThan(3000);
+      expect(delay).toBeLessThanOrEqual(5000);
+    });
+
+    it('should read HubSpot SDK error headers', () => {
+      const error = Object.assign(new Error('limited'), { code: 429, headers: { 'retry-after': '1' } });
+      expect(getRetryAfterMs(error)).toBe(1000);
+    });
+
+    it('should return null when absent', () => {
+      expect(getRetryAfterMs(httpError(503))).toBeNull();
+    });
+  });
+
+  describe('computeBackoffMs', () => {
+    it('should stay within the exponential ceiling', () => {
+      const policy = { baseDelayMs: 100, maxDelayMs: 1000 };
+
+      for (let attempt = 1; attempt <= 6; attempt++) {
+        const delay = computeBackoffMs(attempt, policy);
+        expect(delay).toBeGreaterThanOrEqual(0);
+        expect(delay).toBeLessThanOrEqual(Math.min(1000, 100 * Math.pow(2, attempt - 1)));
+      }
+    });
+  });
+
+  describe('withRetry', () => {
+    it('should retry transient failures until success', async () => {
+      const fn = jest.fn()
+        .mockRejectedValueOnce(httpError(503))
+        .mockRejectedValueOnce(httpError(429, { 'retry-after': '0' }))
+        .mockResolvedValue('ok');
+
+      await expect(withRetry('test', fn, { maxRetries: 3 })).resolves.toBe('ok');
+      expect(fn).toHaveBeenCalledTimes(3);
+      expect(fn).toHaveBeenLastCalledWith(3);
+    });
+
+    it('should fail immediately on fatal errors', async () => {
+      const fn = jest.fn().mockRejectedValue(httpError(404));
+
+      await expect(withRetry('test', fn)).rejects.toMatchObject({ attempts: 1, retryable: false });
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should give up after the retry limit', async () => {
+      const fn = jest.fn().mockRejectedValue(httpError(502));
+
+      await expect(withRetry('test', fn, { maxRetries: 2 })).rejects.toMatchObject({ attempts: 3, retryable: true });
+      expect(fn).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not repeat non-idempotent writes on server errors', async () => {
+      const fn = jest.fn().mockRejectedValue(httpError(500));
+
+      await expect(withRetry('create', fn, { idempotent: false })).rejects.toThrow('HTTP 500');
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Unit tests for storage backends and encryption
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStore, FileStore } = require('../../src/storage');
+const { encrypt, decrypt } = require('../../src/storage/encryption');
+const { config } = require('../../src/config');
+
+describe('Storage', () => {
+  describe('MemoryStore', () => {
+    let store;
+
+    beforeEach(() => {
+      store = new MemoryStore('test');
+    });
+
+    it('should return null for unknown keys', () => {
+      expect(store.get('missing')).toBeNull();
+    });
+
+    it('should set, get and delete records', () => {
+      store.set('a', { value: 1 });
+
+      expect(store.has('a')).toBe(true);
+      expect(store.get('a')).toEqual({ value: 1 });
+      expect(store.keys()).toEqual(['a']);
+
+      expect(store.delete('a')).toBe(true);
+      expect(store.get('a')).toBeNull();
+    });
+  });
+
+  describe('FileStore', () => {
+    let dataDir;
+
+    beforeEach(() => {
+      dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('should persist records across instances', () => {
+      const store = new FileStore('tokens', dataDir);
+      store.set('portal-1', { accessToken: 'abc' });
+
+      const reloaded = new FileStore('tokens', dataDir);
+
+      expect(reloaded.get('portal-1')).toEqual({ accessToken: 'abc' });
+    });
+
+    it('should persist several records with one write', () => {
+      const store = new FileStore('tokens', dataDir);
+      const persist = jest.spyOn(store, 'persist');
+      store.setMany([['portal-1', { accessToken: 'abc' }], ['portal-2', { accessToken: 'def' }]]);
+
+      const reloaded = new FileStore('tokens', dataDir);
+
+      expect(persist).toHaveBeenCalledTimes(1);
+      expect(reloaded.keys()).toEqual(['portal-1', 'portal-2']);
+    });
+
+    it('should persist deletions', () => {
+      const store = new FileStore('tokens', dataDir);
+      store.set('portal-1', { accessToken: 'abc' });
+      store.delete('portal-1');
+
+      const reloaded = new FileStore('tokens', dataDir);
+
+      expect(reloaded.keys()).toEqual([]);
+    });
+  });
+
+  describe('encryption', () => {
+    it('should round-trip values', () => {
+      const payload = encrypt('secret-token');
+
+      expect(payload).not.toContain('secret-token');
+      expect(decrypt(payload)).toBe('secret-token');
+    });
+
+    it('should produce different payloads for the same value', () => {
+      expect(encrypt('secret-token')).not.toBe(encrypt('secret-token'));
+    });
+
+    it('should pass through empty values', () => {
+      expect(encrypt(null)).toBeNull();
+      expect(decrypt(null)).toBeNull();
+    });
+
+    it('should refuse to encrypt without an encryption key', () => {
+      const { encryptionKey } = config.storage;
+      config.storage.encryptionKey = undefined;
+
+      try {
+        expect(() => encrypt('secret-token')).toThrow('ENCRYPTION_KEY must be set');
+      } finally {
+        config.storage.encryptionKey = encryptionKey;
+      }
+    });
+
+    it('should reject tampered payloads', () => {
+      const [version, iv, tag] = encrypt('secret-token').split(':');
+      const tampered = [version, iv, tag, Buffer.from('other').toString('base64')].join(':');
+
+      expect(() => decrypt(tampered)).toThrow();
+    });
+  });
+});
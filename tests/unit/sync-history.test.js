@@ -0,0 +1,129 @@
+/**
+ * Unit tests for sync run history
+ */
+const syncHistory = require('../../src/sync/sync-history');
+
+describe('Sync history', () => {
+  let portalCount = 0;
+  let portalId;
+
+  beforeEach(() => {
+    // Runs persist per portal, so each test gets its own
+    portalId = `portal-history-${++portalCount}`;
+  });
+
+  it('should record a completed run with counts and items per entity', () => {
+    const run = syncHistory.startRun(portalId, { trigger: 'manual', scope: 'jobs' });
+    expect(syncHistory.listRuns(portalId)).toEqual([expect.objectContaining({ id: run.id, status: 'running', itemCount: 0 })]);
+
+    syncHistory.completeRun(run.id, {
+      created: 1,
+      updated: 0,
+      errors: 1,
+      items: [
+        { jobId: 'job-1', dealId: 'deal-1', action: 'created' },
+        { jobId: 'job-2', action: 'error', error: 'Invalid amount' }
+      ]
+    });
+
+    const stored = syncHistory.getRun(portalId, run.id);
+    expect(stored).toEqual(expect.objectContaining({
+      trigger: 'manual',
+      scope: 'jobs',
+      status: 'partial',
+      counts: { jobs: { created: 1, updated: 0, errors: 1 } }
+    }));
+    expect(stored.finishedAt).not.toBeNull();
+    expect(stored.items[1]).toEqual({ entity: 'jobs', jobId: 'job-2', action: 'error', error: 'Invalid amount' });
+  });
+
+  it('should split full sync results by entity and track the last success per entity', () => {
+    const empty = { created: 0, updated: 0, errors: 0, items: [] };
+    const run = syncHistory.startRun(portalId, { trigger: 'schedule', scope: 'full' });
+    syncHistory.completeRun(run.id, { clients: empty, jobs: empty, placements: empty, revenue: { updated: 0, errors: 0, items: [] } });
+
+    const failed = syncHistory.startRun(portalId, { trigger: 'manual', scope: 'jobs' });
+    syncHistory.failRun(failed.id, new Error('TrackerRMS unavailable'));
+
+    const status = syncHistory.getEntityStatus(portalId);
+    expect(status.placements).toEqual(expect.objectContaining({ lastRunStatus: 'succeeded', lastSuccessRunId: run.id }));
+    expect(status.jobs).toEqual(expect.objectContaining({ lastRunStatus: 'failed', lastRunId: failed.id, lastSuccessRunId: run.id }));
+    expect(syncHistory.getRun(portalId, failed.id).error).toBe('TrackerRMS unavailable');
+  });
+
+  it('should record cancelled runs without counting them as a success', () => {
+    const run = syncHistory.startRun(portalId, { trigger: 'manual', scope: 'jobs' });
+    const error = new Error('Sync cancelled');
+    error.code = 'SYNC_CANCELLED';
+
+    expect(syncHistory.failRun(run.id, error).status).toBe('cancelled');
+    expect(syncHistory.getEntityStatus(portalId).jobs).toEqual(expect.objectContaining({ lastRunStatus: 'cancelled', lastSuccessAt: null }));
+  });
+
+  it('should not count dry runs towards entity status', () => {
+    const run = syncHistory.startRun(portalId, { trigger: 'manual', scope: 'revenue', dryRun: true });
+    syncHistory.completeRun(run.id, { updated: 1, errors: 0, items: [] });
+
+    expect(syncHistory.getEntityStatus(portalId).revenue.lastRunAt).toBeNull();
+  });
+
+  it('should filter runs and hide other portals\' runs', () => {
+    const webhookRun = syncHistory.startRun(portalId, { trigger: 'webhook', scope: 'placements' });
+    syncHistory.startRun(portalId, { trigger: 'manual', scope: 'jobs' });
+
+    expect(syncHistory.listRuns(portalId, { trigger: 'webhook' }).map(run => run.id)).toEqual([webhookRun.id]);
+    expect(syncHistory.getRun('another-portal', webhookRun.id)).toBeNull();
+  });
+
+  it('should keep a bounded number of runs per portal', () => {
+    for (let i = 0; i <= syncHistory.MAX_RUNS_PER_PORTAL; i++) {
+      const run = syncHistory.startRun(portalId, { trigger: 'manual', scope: 'clients' });
+      syncHistory.completeRun(run.id, { created: 0, updated: 0, errors: 0, items: [] });
+    }
+
+    expect(syncHistory.listRuns(portalId, { limit: 100 }).length).toBeLessThanOrEqual(syncHistory.MAX_RUNS_PER_PORTAL + 1);
+  });
+
+  it('should keep webhook runs from pushing other runs out of the history', () => {
+    const scheduled = syncHistory.startRun(portalId, { trigger: 'schedule', scope: 'jobs' });
+    syncHistory.completeRun(scheduled.id, { created: 0, updated: 0, errors: 0, items: [] });
+
+    for (let i = 0; i <= syncHistory.MAX_WEBHOOK_RUNS_PER_PORTAL; i++) {
+      const run = syncHistory.startRun(portalId, { trigger: 'webhook', scope: 'jobs' });
+      syncHistory.completeRun(run.id, { created: 0, updated: 1, errors: 0, items: [] });
+    }
+
+    expect(syncHistory.getRun(portalId, scheduled.id)).not.toBeNull();
+    expect(syncHistory.listRuns(portalId, { trigger: 'webhook', limit: 100 }).length).toBeLessThanOrEqual(syncHistory.MAX_WEBHOOK_RUNS_PER_PORTAL + 1);
+  });
+
+  it('should store a bounded number of items per run, keeping failures', () => {
+    const items = Array.from({ length: syncHistory.MAX_ITEMS_PER_RUN + 10 }, (_, index) => ({ jobId: `job-${index}`, action: 'updated' }));
+    items.push({ jobId: 'job-failed', action: 'error', error: 'Invalid amount' });
+    const run = syncHistory.startRun(portalId, { trigger: 'manual', scope: 'jobs' });
+
+    syncHistory.completeRun(run.id, { created: 0, updated: items.length - 1, errors: 1, items });
+
+    const stored = syncHistory.getRun(portalId, run.id);
+    expect(stored).toEqual(expect.objectContaining({ itemCount: items.length, itemsTruncated: true }));
+    expect(stored.items).toHaveLength(syncHistory.MAX_ITEMS_PER_RUN);
+    expect(stored.items[stored.items.length - 1]).toEqual(expect.objectContaining({ jobId: 'job-failed' }));
+    expect(syncHistory.listRuns(portalId)[0]).not.toHaveProperty('items');
+  });
+
+  it('should fail runs interrupted by a restart', () => {
+    const run = syncHistory.startRun(portalId, { trigger: 'schedule', scope: 'placements' });
+
+    expect(syncHistory.failInterruptedRuns()).toBeGreaterThanOrEqual(1);
+    expect(syncHistory.getRun(portalId, run.id)).toEqual(expect.objectContaining({
+      status: 'failed',
+      error: 'Sync run was interrupted by a restart'
+    }));
+    expect(syncHistory.listRuns(portalId, { status: 'running' })).toEqual([]);
+  });
+
+  it('should reject unknown triggers and scopes', () => {
+    expect(() => syncHistory.startRun(portalId, { trigger: 'cron', scope: 'jobs' })).toThrow('Unknown sync trigger: cron');
+    expect(() => syncHistory.startRun(portalId, { trigger: 'manual', scope: 'deals' })).toThrow('Unknown sync scope: deals');
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Unit tests for background sync jobs
+ */
+const syncJobs = require('../../src/sync/sync-jobs');
+const { SyncPlan } = require('../../src/sync/dry-run');
+
+/**
+ * Fake SyncService whose run waits until released
+ */
+function createFakeSync({ results = { created: 1, updated: 0, errors: 0, items: [] }, plan = null } = {}) {
+  let release;
+  const released = new Promise(resolve => {
+    release = resolve;
+  });
+
+  const factory = jest.fn(({ onProgress, signal }) => ({
+    plan,
+    run: jest.fn(async () => {
+      onProgress({ phase: 'jobs', processed: 0, total: 2 });
+      await released;
+      if (signal.aborted) {
+        const error = new Error('Sync cancelled');
+        error.code = 'SYNC_CANCELLED';
+        error.runId = 'run-cancelled';
+        throw error;
+      }
+      onProgress({ phase: 'jobs', processed: 2, total: 2 });
+      return { runId: 'run-1', ...results };
+    })
+  }));
+
+  return { factory, release: () => release() };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Sync jobs', () => {
+  let portalCount = 0;
+  let portalId;
+
+  beforeEach(() => {
+    // Jobs are kept per portal, so each test gets its own
+    portalId = `portal-jobs-${++portalCount}`;
+  });
+
+  it('should queue a job, report its progress and keep its results', async () => {
+    const sync = createFakeSync();
+
+    const queued = syncJobs.enqueueSyncJob(portalId, { scope: 'jobs', options: { status: 'open' } }, sync.factory);
+    expect(queued).toEqual(expect.objectContaining({ status: 'queued', scope: 'jobs', results: null }));
+
+    await tick();
+    expect(syncJobs.getSyncJob(portalId, queued.id)).toEqual(expect.objectContaining({
+      status: 'running',
+      progress: { phase: 'jobs', processed: 0, total: 2 }
+    }));
+
+    sync.release();
+    const finished = await syncJobs.waitForSyncJob(queued.id);
+
+    expect(finished).toEqual(expect.objectContaining({
+      status: 'completed',
+      runId: 'run-1',
+      progress: { phase: 'jobs', processed: 2, total: 2 },
+      results: { created: 1, updated: 0, errors: 0, items: [] }
+    }));
+    expect(finished.finishedAt).not.toBeNull();
+  });
+
+  it('should allow only one full sync per portal at a time', async () => {
+    const sync = createFakeSync();
+    const running = syncJobs.enqueueSyncJob(portalId, { scope: 'full' }, sync.factory);
+
+    let error;
+    try {
+      syncJobs.enqueueSyncJob(portalId, { scope: 'full' }, sync.factory);
+    } catch (err) {
+      error = err;
+    }
+    expect(error.status).toBe(409);
+    expect(error.jobId).toBe(running.id);
+
+    // Other portals and other scopes are not blocked
+    expect(() => syncJobs.enqueueSyncJob('another-portal', { scope: 'full' }, createFakeSync().factory)).not.toThrow();
+    expect(() => syncJobs.enqueueSyncJob(portalId, { scope: 'revenue' }, sync.factory)).not.toThrow();
+
+    sync.release();
+    await syncJobs.waitForSyncJob(running.id);
+    expect(() => syncJobs.enqueueSyncJob(portalId, { scope: 'full' }, sync.factory)).not.toThrow();
+  });
+
+  it('should cancel running jobs through their abort signal', async () => {
+    const sync = createFakeSync();
+    const job = syncJobs.enqueueSyncJob(portalId, { scope: 'jobs' }, sync.factory);
+    await tick();
+
+    expect(syncJobs.cancelSyncJob(portalId, job.id)).toEqual(expect.objectContaining({ status: 'running', cancelRequested: true }));
+    sync.release();
+
+    expect(await syncJobs.waitForSyncJob(job.id)).toEqual(expect.objectContaining({
+      status: 'cancelled',
+      runId: 'run-cancelled',
+      error: 'Sync cancelled'
+    }));
+    expect(() => syncJobs.cancelSyncJob(portalId, job.id)).toThrow('Sync job has already cancelled');
+  });
+
+  it('should cancel queued jobs before they start', async () => {
+    const sync = createFakeSync();
+    const job = syncJobs.enqueueSyncJob(portalId, { scope: 'jobs' }, sync.factory);
+
+    expect(syncJobs.cancelSyncJob(portalId, job.id).status).toBe('cancelled');
+    await syncJobs.waitForSyncJob(job.id);
+
+    expect(sync.factory).not.toHaveBeenCalled();
+  });
+
+  it('should record failures', async () => {
+    const factory = () => ({
+      run: jest.fn(async () => {
+        const error = new Error('TrackerRMS unavailable');
+        error.runId = 'run-failed';
+        throw error;
+      })
+    });
+
+    const job = syncJobs.enqueueSyncJob(portalId, { scope: 'placements' }, factory);
+
+    expect(await syncJobs.waitForSyncJob(job.id)).toEqual(expect.objectContaining({
+      status: 'failed',
+      runId: 'run-failed',
+      error: 'TrackerRMS unavailable'
+    }));
+  });
+
+  it('should fail jobs whose sync service cannot be created when they start', async () => {
+    const factory = jest.fn(async () => {
+      const error = new Error('HubSpot authorization has been revoked for portal');
+      error.code = 'REAUTH_REQUIRED';
+      throw error;
+    });
+
+    const job = syncJobs.enqueueSyncJob(portalId, { scope: 'jobs' }, factory);
+
+    expect(factory).not.toHaveBeenCalled();
+    expect(await syncJobs.waitForSyncJob(job.id)).toEqual(expect.objectContaining({
+      status: 'failed',
+      error: 'HubSpot authorization has been revoked for portal'
+    }));
+  });
+
+  it('should keep dry-run plans and list jobs without results', async () => {
+    const plan = new SyncPlan();
+    plan.recordCreate('deals', { trackerrms_job_id: 'job-1', dealname: 'Developer' });
+    const sync = createFakeSync({ plan });
+
+    const job = syncJobs.enqueueSyncJob(portalId, { scope: 'jobs', dryRun: true }, sync.factory);
+    sync.release();
+    const finished = await syncJobs.waitForSyncJob(job.id);
+
+    expect(finished.plan.summary).toEqual({ create: 1, update: 0, skip: 0, archive: 0 });
+    expect(syncJobs.getSyncJobPlan(portalId, job.id)).toBe(plan);
+
+    const [listed] = syncJobs.listSyncJobs(portalId, { status: 'completed' });
+    expect(listed.id).toBe(job.id);
+    expect(listed.results).toBeUndefined();
+    expect(listed.plan).toBeUndefined();
+  });
+
+  it('should hide other portals\' jobs', () => {
+    const job = syncJobs.enqueueSyncJob(portalId, { scope: 'jobs' }, createFakeSync().factory);
+
+    expect(syncJobs.getSyncJob('another-portal', job.id)).toBeNull();
+    expect(syncJobs.cancelSyncJob('another-portal', job.id)).toBeNull();
+    expect(syncJobs.getSyncJobPlan('another-portal', job.id)).toBeNull();
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Unit tests for the sync scheduler, sync schedules and sync locks
+ */
+const oauth = require('../../src/auth/oauth');
+const trackerrmsConnection = require('../../src/auth/trackerrms-connection');
+const { TrackerRMSClient } = require('../../src/services/trackerrms-client');
+const SyncService = require('../../src/sync/sync-service');
+const { SyncScheduler, getPortalSchedules } = require('../../src/sync/sync-scheduler');
+const syncSchedules = require('../../src/settings/sync-schedules');
+const { acquireSyncLock, releaseSyncLock, getSyncLock } = require('../../src/sync/sync-lock');
+const { removePortalSettings } = require('../../src/settings/portal-settings');
+const deadLetters = require('../../src/sync/dead-letters');
+
+const at = iso => new Date(iso);
+
+describe('Sync scheduler', () => {
+  let portalCount = 0;
+  let portalId;
+  let scheduler;
+  let validateConnection;
+  let run;
+
+  beforeEach(() => {
+    oauth.getConnectedPortals().forEach(connected => oauth.removeTokens(connected));
+
+    // Schedule state persists per portal, so each test gets its own
+    portalId = `portal-schedule-${++portalCount}`;
+    oauth.storeTokens(portalId, { accessToken: 'access', refreshToken: 'refresh', expiresIn: 3600 });
+    trackerrmsConnection.storeConnection(portalId, { apiKey: 'key' });
+    syncSchedules.setSyncSchedules(portalId, { revenue: { enabled: false } });
+
+    validateConnection = jest.spyOn(TrackerRMSClient.prototype, 'validateConnection').mockResolvedValue(true);
+    run = jest.spyOn(SyncService.prototype, 'run').mockImplementation(async function () {
+      return { runId: `run-${this.trigger}`, created: 0, updated: 0, errors: 0, items: [] };
+    });
+
+    scheduler = new SyncScheduler({ jitterMs: 0 });
+  });
+
+  afterEach(() => {
+    validateConnection.mockRestore();
+    run.mockRestore();
+    trackerrmsConnection.removeConnection(portalId);
+    removePortalSettings(portalId);
+    deadLetters.removeDeadLetters(portalId);
+  });
+
+  it('should plan the first run, then run due scopes as scheduled sync jobs', async () => {
+    expect(await scheduler.runOnce(at('2026-03-10T10:07:00Z'))).toEqual({ ran: 0, skipped: 0, failed: 0 });
+    expect(getPortalSchedules(portalId).jobs.nextRunAt).toBe('2026-03-10T10:15:00.000Z');
+
+    expect(await scheduler.runOnce(at('2026-03-10T10:15:00Z'))).toEqual({ ran: 1, skipped: 0, failed: 0 });
+
+    expect(run.mock.calls.map(([scope]) => scope)).toEqual(['jobs', 'placements']);
+    const schedules = getPortalSchedules(portalId);
+    expect(schedules.jobs).toEqual(expect.objectContaining({
+      lastStatus: 'completed',
+      lastRunId: 'run-schedule',
+      nextRunAt: '2026-03-10T10:30:00.000Z'
+    }));
+    expect(schedules.revenue).toEqual(expect.objectContaining({ enabled: false, nextRunAt: null, lastRunAt: null }));
+  });
+
+  it('should leave incremental fetching to the sync watermarks', async () => {
+    await scheduler.runOnce(at('2026-03-10T10:07:00Z'));
+    await scheduler.runOnce(at('2026-03-10T10:15:00Z'));
+    await scheduler.runOnce(at('2026-03-10T10:30:00Z'));
+
+    expect(run.mock.calls[0]).toEqual(['jobs', {}]);
+    expect(run.mock.calls[2]).toEqual(['jobs', {}]);
+  });
+
+  it('should retry dead letters once their retry is due', async () => {
+    const [entry] = deadLetters.recordFailures(portalId, 'jobs', [{ recordId: 'job-1', payload: { id: 'job-1' }, error: 'Failed' }]);
+
+    expect(await scheduler.runOnce(at('2026-03-10T10:07:00Z'))).toEqual({ ran: 0, skipped: 0, failed: 0 });
+    expect(await scheduler.runOnce(new Date(entry.nextRetryAt))).toEqual({ ran: 1, skipped: 0, failed: 0 });
+
+    expect(run).toHaveBeenCalledWith('retry', { ids: [entry.id] });
+  });
+
+  it('should fetch a HubSpot token for each scheduled scope', async () => {
+    const getValidAccessToken = jest.spyOn(oauth, 'getValidAccessToken');
+    await scheduler.runOnce(at('2026-03-10T10:07:00Z'));
+
+    await scheduler.runOnce(at('2026-03-10T10:15:00Z'));
+
+    // Once to check the portal's authorization, then once per job
+    expect(getValidAccessToken).toHaveBeenCalledTimes(3);
+    getValidAccessToken.mockRestore();
+  });
+
+  it('should add jitter to planned runs', async () => {
+    scheduler = new SyncScheduler({ jitterMs: 60000, random: () => 0.5 });
+
+    await scheduler.runOnce(at('2026-03-10T10:07:00Z'));
+
+    expect(getPortalSchedules(portalId).jobs.nextRunAt).toBe('2026-03-10T10:15:30.000Z');
+  });
+
+  it('should skip portals whose TrackerRMS credentials are rejected', async () => {
+    validateConnection.mockResolvedValue(false);
+    await scheduler.runOnce(at('2026-03-10T10:07:00Z'));
+
+    expect(await scheduler.runOnce(at('2026-03-10T10:15:00Z'))).toEqual({ ran: 0, skipped: 1, failed: 0 });
+    expect(run).not.toHaveBeenCalled();
+    expect(getPortalSchedules(portalId).jobs).toEqual(expect.objectContaining({
+      lastStatus: 'skipped',
+      lastError: 'TrackerRMS rejected the portal\'s credentials'
+    }));
+  });
+
+  it('should skip portals whose HubSpot authorization was revoked', async () => {
+    oauth.markTokensRevoked(portalId);
+    await scheduler.runOnce(at('2026-03-10T10:07:00Z'));
+
+    await scheduler.runOnce(at('2026-03-10T10:15:00Z'));
+
+    expect(validateConnection).not.toHaveBeenCalled();
+    expect(getPortalSchedules(portalId).jobs.lastError).toBe('HubSpot authorization has been revoked');
+  });
+
+  it('should not overlap a run that still holds the portal lock', async () => {
+    await scheduler.runOnce(at('2026-03-10T10:07:00Z'));
+    expect(acquireSyncLock(portalId, 'another-scheduler', 60000)).toBe(true);
+
+    expect(await scheduler.runOnce(at('2026-03-10T10:15:00Z'))).toEqual({ ran: 0, skipped: 1, failed: 0 });
+    expect(getPortalSchedules(portalId).jobs.lastError).toBe('A scheduled sync is already running for this portal');
+
+    releaseSyncLock(portalId, 'another-scheduler');
+    await scheduler.runOnce(at('2026-03-10T10:30:00Z'));
+    expect(run).toHaveBeenCalled();
+    expect(getSyncLock(portalId)).toBeNull();
+  });
+
+  it('should plan again when a schedule changes', async () => {
+    await scheduler.runOnce(at('2026-03-10T10:07:00Z'));
+    syncSchedules.setSyncSchedules(portalId, { jobs: { cron: '0 * * * *' } });
+
+    await scheduler.runOnce(at('2026-03-10T10:15:00Z'));
+
+    expect(run).not.toHaveBeenCalledWith('jobs', expect.anything());
+    expect(getPortalSchedules(portalId).jobs).toEqual(expect.objectContaining({ cron: '0 * * * *', nextRunAt: '2026-03-10T11:00:00.000Z' }));
+  });
+
+  describe('schedules', () => {
+    it('should merge schedule changes over the defaults', () => {
+      const result = syncSchedules.setSyncSchedules(portalId, { jobs: { cron: '0 * * * *' } });
+
+      expect(result.schedules.jobs).toEqual({ enabled: true, cron: '0 * * * *' });
+      expect(result.schedules.placements).toEqual(syncSchedules.DEFAULT_SYNC_SCHEDULES.placements);
+      expect(result.schedules.revenue.enabled).toBe(false);
+      expect(syncSchedules.resetSyncSchedules(portalId)).toEqual(syncSchedules.DEFAULT_SYNC_SCHEDULES);
+    });
+
+    it('should reject unknown scopes, fields and invalid cron expressions', () => {
+      expect(syncSchedules.setSyncSchedules(portalId, {
+        clients: { enabled: true },
+        jobs: { cron: '61 * * * *', every: 5 },
+        revenue: { enabled: 'yes' }
+      }).errors).toEqual([
+        'Unknown schedule: clients (expected one of: jobs, placements, revenue)',
+        'jobs has unknown fields: every',
+        'jobs.cron: Invalid minute field: 61',
+        'revenue.enabled must be a boolean'
+      ]);
+      expect(syncSchedules.validateSyncSchedules([])).toEqual(['Schedules must be an object']);
+    });
+  });
+
+  describe('locks', () => {
+    it('should hold a lock until it is released or expires', () => {
+      expect(acquireSyncLock('portal-lock', 'holder-1', 60000)).toBe(true);
+      expect(acquireSyncLock('portal-lock', 'holder-2', 60000)).toBe(false);
+      expect(acquireSyncLock('portal-lock', 'holder-1', 60000)).toBe(false);
+
+      releaseSyncLock('portal-lock', 'holder-2');
+      expect(getSyncLock('portal-lock').holder).toBe('holder-1');
+
+      releaseSyncLock('portal-lock', 'holder-1');
+      expect(acquireSyncLock('portal-lock', 'holder-2', -1)).toBe(true);
+      expect(acquireSyncLock('portal-lock', 'holder-3', 60000)).toBe(true);
+      releaseSyncLock('portal-lock', 'holder-3');
+    });
+  });
+});
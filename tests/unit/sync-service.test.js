@@ -0,0 +1,896 @@
+/**
+ * Unit tests for SyncService
+ */
+const SyncService = require('../../src/sync/sync-service');
+const { getPortalSettings, updatePortalSettings, removePortalSettings } = require('../../src/settings/portal-settings');
+const { SyncPlan, createDryRunHubSpot } = require('../../src/sync/dry-run');
+const syncHistory = require('../../src/sync/sync-history');
+const syncWatermarks = require('../../src/sync/sync-watermarks');
+const deadLetters = require('../../src/sync/dead-letters');
+const oauth = require('../../src/auth/oauth');
+const { getUnmatchedOwners } = require('../../src/sync/owner-resolver');
+const { MIGRATIONS } = require('../../src/sync/property-schema');
+
+const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+async function* iterate(records) {
+  for (const record of records) {
+    yield record;
+  }
+}
+
+function deal(id, properties = {}) {
+  return { id, properties };
+}
+
+describe('SyncService', () => {
+  let syncService;
+  let hubspot;
+  let trackerrms;
+  let nextDealId;
+
+  beforeEach(() => {
+    nextDealId = 100;
+    updatePortalSettings('portal-1', { propertySchemaVersion: LATEST_SCHEMA_VERSION });
+    syncService = new SyncService('access-token', { portalId: 'portal-1', apiKey: 'key' });
+
+    hubspot = {
+      searchDeals: jest.fn().mockResolvedValue([]),
+      searchDealsByPropertyValues: jest.fn().mockResolvedValue([]),
+      batchCreateDeals: jest.fn().mockImplementation(async inputs =>
+        inputs.map(properties => deal(String(nextDealId++), properties))),
+      batchUpdateDeals: jest.fn().mockImplementation(async updates =>
+        updates.map(({ id, properties }) => deal(id, properties))),
+      createDeal: jest.fn().mockImplementation(async properties => deal(String(nextDealId++), properties)),
+      updateDeal: jest.fn().mockImplementation(async (id, properties) => deal(id, properties)),
+      searchCompaniesByPropertyValues: jest.fn().mockResolvedValue([]),
+      associateDealWithCompany: jest.fn().mockResolvedValue({}),
+      getDealLineItems: jest.fn().mockResolvedValue([]),
+      batchCreateLineItems: jest.fn().mockResolvedValue([]),
+      batchUpdateLineItems: jest.fn().mockResolvedValue([]),
+      batchArchiveLineItems: jest.fn().mockResolvedValue(),
+      getOwners: jest.fn().mockResolvedValue([]),
+      batchReadObjects: jest.fn().mockResolvedValue([])
+    };
+    trackerrms = {
+      iterateClients: jest.fn(),
+      iterateJobs: jest.fn(),
+      iteratePlacements: jest.fn(),
+      getPlacementRevenue: jest.fn()
+    };
+
+    syncService.hubspot = hubspot;
+    syncService.trackerrms = trackerrms;
+  });
+
+  afterEach(() => {
+    syncWatermarks.removeWatermarks('portal-1');
+    deadLetters.removeDeadLetters('portal-1');
+  });
+
+  describe('forPortal', () => {
+    it('should fetch the portal\'s token and switch to a refreshed one before HubSpot calls', async () => {
+      const getValidAccessToken = jest.spyOn(oauth, 'getValidAccessToken')
+        .mockResolvedValueOnce('token-1')
+        .mockResolvedValueOnce('token-1')
+        .mockResolvedValue('token-2');
+
+      const service = await SyncService.forPortal('portal-1', { apiKey: 'key' });
+      const setAccessToken = jest.spyOn(service.hubspot.client, 'setAccessToken');
+
+      await service.hubspot.execute('first', async () => 'ok');
+      expect(setAccessToken).not.toHaveBeenCalled();
+
+      await service.hubspot.execute('second', async () => 'ok');
+      expect(setAccessToken).toHaveBeenCalledWith('token-2');
+      expect(getValidAccessToken).toHaveBeenCalledWith('portal-1');
+
+      getValidAccessToken.mockRestore();
+    });
+  });
+
+  describe('syncJobs', () => {
+    it('should batch create new jobs and batch update existing ones', async () => {
+      trackerrms.iterateJobs.mockReturnValue(iterate([
+        { id: 'job-1', title: 'Developer', status: 'open' },
+        { id: 'job-2', title: 'Designer', status: 'filled' }
+      ]));
+      hubspot.searchDealsByPropertyValues.mockResolvedValue([
+        deal('deal-2', { trackerrms_job_id: 'job-2' })
+      ]);
+
+      const results = await syncService.syncJobs();
+
+      expect(results.created).toBe(1);
+      expect(results.updated).toBe(1);
+      expect(results.errors).toBe(0);
+      expect(results.items).toEqual([
+        { jobId: 'job-1', dealId: '100', action: 'created' },
+        { jobId: 'job-2', dealId: 'deal-2', action: 'updated' }
+      ]);
+      expect(hubspot.searchDealsByPropertyValues).toHaveBeenCalledWith(
+        'trackerrms_job_id',
+        ['job-1', 'job-2'],
+        expect.arrayContaining(['dealname', 'dealstage', 'trackerrms_job_id'])
+      );
+      expect(hubspot.batchCreateDeals).toHaveBeenCalledTimes(1);
+      expect(hubspot.batchUpdateDeals).toHaveBeenCalledTimes(1);
+      expect(hubspot.createDeal).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to individual writes when a batch fails', async () => {
+      trackerrms.iterateJobs.mockReturnValue(iterate([
+        { id: 'job-1', title: 'Developer' },
+        { id: 'job-2', title: 'Designer' }
+      ]));
+      hubspot.batchCreateDeals.mockRejectedValue(new Error('Batch rejected'));
+      hubspot.createDeal
+        .mockResolvedValueOnce(deal('deal-1'))
+        .mockRejectedValueOnce(new Error('Invalid property'));
+
+      const results = await syncService.syncJobs();
+
+      expect(results.created).toBe(1);
+      expect(results.errors).toBe(1);
+      expect(results.items[1]).toEqual({ jobId: 'job-2', action: 'error', error: 'Invalid property' });
+    });
+  });
+
+  describe('pipeline mapping', () => {
+    afterEach(() => {
+      removePortalSettings('portal-1');
+    });
+
+    it('should use the default sales pipeline until the portal configures a mapping', () => {
+      expect(syncService.mapJobToDealProperties({ id: 'job-1', status: 'Interviewing' }))
+        .toEqual(expect.objectContaining({ pipeline: 'default', dealstage: 'presentationscheduled' }));
+      expect(syncService.mapPlacementToDealProperties({ id: 'pl-1' }))
+        .toEqual(expect.objectContaining({ pipeline: 'default', dealstage: 'closedwon' }));
+    });
+
+    it('should follow the portal mapping for jobs and placements', () => {
+      updatePortalSettings('portal-1', {
+        pipelineMapping: {
+          jobs: { open: { pipelineId: 'recruiting', stageId: 's-open' }, default: { pipelineId: 'recruiting', stageId: 's-other' } },
+          placements: { terminated: { pipelineId: 'recruiting', stageId: 's-lost' }, default: { pipelineId: 'recruiting', stageId: 's-won' } }
+        }
+      });
+
+      expect(syncService.mapJobToDealProperties({ id: 'job-1', status: 'OPEN' }))
+        .toEqual(expect.objectContaining({ pipeline: 'recruiting', dealstage: 's-open' }));
+      expect(syncService.mapJobToDealProperties({ id: 'job-1', status: 'on hold' }).dealstage).toBe('s-other');
+      expect(syncService.mapPlacementToDealProperties({ id: 'pl-1', status: 'Terminated' }).dealstage).toBe('s-lost');
+      expect(syncService.mapPlacementToDealProperties({ id: 'pl-1', status: 'active' }).dealstage).toBe('s-won');
+    });
+  });
+
+  describe('run history', () => {
+    it('should record each run with its trigger, scope and items', async () => {
+      trackerrms.iterateJobs.mockReturnValue(iterate([{ id: 'job-1', title: 'Developer' }]));
+
+      const results = await syncService.run('jobs');
+
+      const run = syncHistory.getRun('portal-1', results.runId);
+      expect(run).toEqual(expect.objectContaining({ trigger: 'manual', scope: 'jobs', status: 'succeeded', dryRun: false }));
+      expect(run.items).toEqual([{ entity: 'jobs', jobId: 'job-1', dealId: '100', action: 'created' }]);
+    });
+
+    it('should record failed runs and rethrow', async () => {
+      trackerrms.iterateJobs.mockImplementation(() => {
+        throw new Error('TrackerRMS unavailable');
+      });
+
+      const error = await syncService.run('jobs').catch(err => err);
+
+      expect(error.message).toBe('TrackerRMS unavailable');
+      expect(syncHistory.getRun('portal-1', error.runId).status).toBe('failed');
+    });
+
+    it('should reject unknown scopes', async () => {
+      await expect(syncService.run('deals')).rejects.toThrow('Unknown sync scope: deals');
+    });
+  });
+
+  describe('property schema', () => {
+    beforeEach(() => {
+      updatePortalSettings('portal-1', { propertySchemaVersion: 0 });
+      hubspot.getPropertyGroups = jest.fn().mockResolvedValue([]);
+      hubspot.createPropertyGroup = jest.fn().mockResolvedValue({});
+      hubspot.getProperties = jest.fn().mockResolvedValue([]);
+      hubspot.createProperty = jest.fn().mockImplementation(async (objectType, definition) => definition);
+      hubspot.updateProperty = jest.fn().mockResolvedValue({});
+      trackerrms.iterateJobs.mockReturnValue(iterate([]));
+    });
+
+    afterEach(() => {
+      removePortalSettings('portal-1');
+    });
+
+    it('should apply pending migrations before a sync', async () => {
+      await syncService.run('jobs');
+
+      expect(hubspot.createProperty).toHaveBeenCalledWith('contacts', expect.objectContaining({ name: 'trackerrms_candidate_id' }));
+      expect(getPortalSettings('portal-1').propertySchemaVersion).toBe(LATEST_SCHEMA_VERSION);
+    });
+
+    it('should fail the run when a migration cannot be applied', async () => {
+      hubspot.getProperties.mockRejectedValue(new Error('Missing scopes'));
+
+      const error = await syncService.run('jobs').catch(err => err);
+
+      expect(error.code).toBe('SCHEMA_MIGRATION_PENDING');
+      expect(error.message).toBe('Property schema migration pending: Missing scopes');
+      expect(syncHistory.getRun('portal-1', error.runId).status).toBe('failed');
+      expect(trackerrms.iterateJobs).not.toHaveBeenCalled();
+    });
+
+    it('should leave the schema alone in dry runs', async () => {
+      syncService.plan = new SyncPlan();
+
+      await syncService.run('jobs');
+
+      expect(hubspot.getProperties).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('watermarks', () => {
+    const job = (id, modifiedAt) => ({ id, title: 'Developer', modifiedAt });
+
+    it('should reconcile fully first, then only fetch jobs modified since the watermark', async () => {
+      trackerrms.iterateJobs.mockReturnValue(iterate([job('job-1', '2026-03-01T10:00:00Z'), job('job-2', '2026-03-02T10:00:00Z')]));
+      await syncService.syncJobs();
+
+      expect(trackerrms.iterateJobs.mock.calls[0][0]).toEqual({});
+      expect(syncWatermarks.getWatermark('portal-1', 'jobs')).toEqual(expect.objectContaining({
+        watermark: '2026-03-02T10:00:00.000Z',
+        lastFullSyncAt: expect.any(String)
+      }));
+
+      trackerrms.iterateJobs.mockReturnValue(iterate([]));
+      await syncService.syncJobs();
+
+      expect(trackerrms.iterateJobs.mock.calls[1][0]).toEqual({ modifiedSince: '2026-03-02T10:00:00.000Z' });
+    });
+
+    it('should not move the watermark past a job that failed', async () => {
+      syncWatermarks.updateWatermark('portal-1', 'jobs', { watermark: '2026-03-01T00:00:00.000Z', lastFullSyncAt: new Date().toISOString() });
+      hubspot.batchCreateDeals.mockRejectedValue(new Error('Batch failed'));
+      hubspot.createDeal.mockImplementation(async properties => {
+        if (properties.trackerrms_job_id === 'job-2') {
+          throw new Error('Invalid amount');
+        }
+        return deal(String(nextDealId++), properties);
+      });
+      trackerrms.iterateJobs.mockReturnValue(iterate([
+        job('job-1', '2026-03-05T10:00:00Z'),
+        job('job-2', '2026-03-03T10:00:00Z'),
+        job('job-3', '2026-03-04T10:00:00Z')
+      ]));
+
+      await syncService.syncJobs();
+
+      expect(syncWatermarks.getWatermark('portal-1', 'jobs').watermark).toBe('2026-03-03T10:00:00.000Z');
+    });
+
+    it('should run a full reconciliation once the interval has passed', async () => {
+      syncWatermarks.updateWatermark('portal-1', 'placements', { watermark: '2026-03-01T00:00:00.000Z', lastFullSyncAt: '2020-01-01T00:00:00.000Z' });
+      trackerrms.iteratePlacements.mockReturnValue(iterate([]));
+
+      await syncService.syncPlacements();
+
+      expect(trackerrms.iteratePlacements.mock.calls[0][0]).toEqual({});
+      expect(syncWatermarks.getWatermark('portal-1', 'placements').lastFullSyncAt).not.toBe('2020-01-01T00:00:00.000Z');
+    });
+
+    it('should leave the watermark alone for backfills and filtered syncs', async () => {
+      const lastFullSyncAt = new Date().toISOString();
+      syncWatermarks.updateWatermark('portal-1', 'jobs', { watermark: '2026-03-01T00:00:00.000Z', lastFullSyncAt });
+      trackerrms.iterateJobs.mockImplementation(() => iterate([job('job-1', '2026-03-05T10:00:00Z')]));
+
+      await syncService.syncJobs({ backfill: { from: '2026-01-01T00:00:00Z', to: '2026-02-01T00:00:00Z' } });
+      await syncService.syncJobs({ status: 'open' });
+
+      expect(trackerrms.iterateJobs.mock.calls[0][0]).toEqual({ modifiedSince: '2026-01-01T00:00:00Z', modifiedBefore: '2026-02-01T00:00:00Z' });
+      expect(trackerrms.iterateJobs.mock.calls[1][0]).toEqual({ status: 'open', modifiedSince: '2026-03-01T00:00:00.000Z' });
+      expect(syncWatermarks.getWatermark('portal-1', 'jobs')).toEqual(expect.objectContaining({ watermark: '2026-03-01T00:00:00.000Z', lastFullSyncAt }));
+    });
+  });
+
+  describe('progress and cancellation', () => {
+    it('should report the phase, records processed and total', async () => {
+      const progress = [];
+      syncService.onProgress = update => progress.push(update);
+      trackerrms.iterateJobs.mockImplementation(async function* (options, hooks) {
+        hooks.onTotal(2);
+        yield* iterate([{ id: 'job-1', title: 'Developer' }, { id: 'job-2', title: 'Designer' }]);
+      });
+
+      await syncService.syncJobs();
+
+      expect(progress[0]).toEqual({ phase: 'jobs', processed: 0, total: null });
+      expect(progress[progress.length - 1]).toEqual({ phase: 'jobs', processed: 2, total: 2 });
+    });
+
+    it('should stop between batches once cancelled and record the run as cancelled', async () => {
+      const controller = new AbortController();
+      syncService.signal = controller.signal;
+      syncService.onProgress = ({ processed }) => {
+        if (processed > 0) {
+          controller.abort();
+        }
+      };
+      trackerrms.iterateJobs.mockReturnValue(iterate(
+        Array.from({ length: 150 }, (_, i) => ({ id: `job-${i}`, title: 'Developer' }))
+      ));
+
+      const error = await syncService.run('jobs').catch(err => err);
+
+      expect(error.code).toBe('SYNC_CANCELLED');
+      expect(hubspot.batchCreateDeals).toHaveBeenCalledTimes(1);
+      expect(syncHistory.getRun('portal-1', error.runId).status).toBe('cancelled');
+    });
+  });
+
+  describe('dry run', () => {
+    beforeEach(() => {
+      syncService.plan = new SyncPlan();
+      syncService.hubspot = createDryRunHubSpot(hubspot, syncService.plan);
+    });
+
+    it('should fail custom object records instead of the run when their schemas are missing', async () => {
+      updatePortalSettings('portal-1', { objectModel: 'custom_objects', customObjects: null });
+      hubspot.getSchemas = jest.fn().mockResolvedValue([]);
+      trackerrms.iteratePlacements.mockReturnValue(iterate([{ id: 'pl-1' }, { id: 'pl-2' }]));
+
+      const results = await syncService.run('placements');
+      const { customObjects } = getPortalSettings('portal-1');
+      removePortalSettings('portal-1');
+
+      expect(results.errors).toBe(2);
+      expect(results.items).toEqual([
+        { placementId: 'pl-1', action: 'error', error: 'TrackerRMS custom object schemas are missing: createSchema is not available in a dry run' },
+        { placementId: 'pl-2', action: 'error', error: 'TrackerRMS custom object schemas are missing: createSchema is not available in a dry run' }
+      ]);
+      expect(customObjects).toBeNull();
+    });
+
+    it('should plan job deal writes without making them', async () => {
+      trackerrms.iterateJobs.mockReturnValue(iterate([
+        { id: 'job-1', title: 'Developer' },
+        { id: 'job-2', title: 'Designer', estimatedRevenue: 5000 },
+        { id: 'job-3', title: 'Tester' }
+      ]));
+      hubspot.searchDealsByPropertyValues.mockResolvedValue([
+        deal('deal-2', { trackerrms_job_id: 'job-2' }),
+        deal('deal-3', { trackerrms_job_id: 'job-3' })
+      ]);
+      hubspot.batchReadObjects.mockResolvedValue([
+        deal('deal-2', { dealname: 'Designer', amount: '4000', trackerrms_job_id: 'job-2' }),
+        deal('deal-3', { dealname: 'Tester', amount: '0', pipeline: 'default', dealstage: 'appointmentscheduled', trackerrms_job_id: 'job-3', trackerrms_service_line: '' })
+      ]);
+
+      await syncService.syncJobs();
+
+      expect(hubspot.batchCreateDeals).not.toHaveBeenCalled();
+      expect(hubspot.batchUpdateDeals).not.toHaveBeenCalled();
+      expect(hubspot.associateDealWithCompany).not.toHaveBeenCalled();
+      expect(syncService.plan.getSummary()).toEqual({ create: 1, update: 1, skip: 1, archive: 0 });
+      expect(syncService.plan.changes).toContainEqual(expect.objectContaining({
+        action: 'update',
+        id: 'deal-2',
+        key: 'trackerrms_job_id:job-2',
+        changes: expect.arrayContaining([{ property: 'amount', before: '4000', after: 5000 }])
+      }));
+    });
+
+    it('should plan placement line items for deals that do not exist yet', async () => {
+      trackerrms.iteratePlacements.mockReturnValue(iterate([{ id: 'pl-1', fee: 1000, candidateName: 'Jane Smith' }]));
+
+      await syncService.syncPlacements();
+
+      expect(hubspot.getDealLineItems).not.toHaveBeenCalled();
+      expect(hubspot.batchCreateLineItems).not.toHaveBeenCalled();
+      expect(syncService.plan.changes.map(change => [change.objectType, change.action])).toEqual([
+        ['deals', 'create'],
+        ['line_items', 'create']
+      ]);
+    });
+  });
+
+  describe('unchanged deals', () => {
+    const job = { id: 'job-1', title: 'Developer', status: 'open', estimatedRevenue: 5000 };
+
+    // HubSpot returns every property as a string, or null when it is empty
+    const asStored = properties => Object.fromEntries(Object.entries(properties).map(([name, value]) => [name, value === null ? null : String(value)]));
+
+    it('should skip batch updates that would not change the deal', async () => {
+      const changed = { id: 'job-2', title: 'Designer' };
+      trackerrms.iterateJobs.mockReturnValue(iterate([job, changed]));
+      hubspot.searchDealsByPropertyValues.mockResolvedValue([
+        deal('deal-1', asStored(syncService.mapJobToDealProperties(job))),
+        deal('deal-2', { ...asStored(syncService.mapJobToDealProperties(changed)), dealname: 'Old name' })
+      ]);
+
+      const results = await syncService.syncJobs();
+
+      expect(results).toEqual(expect.objectContaining({ created: 0, updated: 1, skipped: 1, errors: 0 }));
+      expect(results.items).toEqual([
+        { jobId: 'job-1', dealId: 'deal-1', action: 'skipped' },
+        { jobId: 'job-2', dealId: 'deal-2', action: 'updated' }
+      ]);
+      expect(hubspot.batchUpdateDeals).toHaveBeenCalledWith([expect.objectContaining({ id: 'deal-2' })]);
+    });
+
+    it('should skip single-record updates that would not change the deal', async () => {
+      hubspot.searchDeals.mockResolvedValue([deal('deal-1', asStored(syncService.mapJobToDealProperties(job)))]);
+
+      const result = await syncService.syncSingleJob(job);
+
+      expect(result).toEqual({ jobId: 'job-1', dealId: 'deal-1', action: 'skipped' });
+      expect(hubspot.searchDeals).toHaveBeenCalledWith('trackerrms_job_id', 'job-1', expect.arrayContaining(['amount']));
+      expect(hubspot.updateDeal).not.toHaveBeenCalled();
+    });
+
+    it('should skip revenue that has not changed', async () => {
+      trackerrms.iteratePlacements.mockReturnValue(iterate([{ id: 'pl-1' }]));
+      trackerrms.getPlacementRevenue.mockResolvedValue({ totalRevenue: 1000, margin: 200 });
+      hubspot.searchDealsByPropertyValues.mockResolvedValue([
+        deal('deal-1', { trackerrms_placement_id: 'pl-1', trackerrms_revenue: '1000', trackerrms_margin: '200.0' })
+      ]);
+
+      const results = await syncService.syncRevenue();
+
+      expect(results).toEqual(expect.objectContaining({ updated: 0, skipped: 1 }));
+      expect(results.items).toEqual([{ placementId: 'pl-1', dealId: 'deal-1', action: 'skipped', revenue: 1000 }]);
+      expect(hubspot.batchUpdateDeals).not.toHaveBeenCalled();
+    });
+
+    it('should still list skipped deals in a dry-run plan', async () => {
+      syncService.plan = new SyncPlan();
+      syncService.hubspot = createDryRunHubSpot(hubspot, syncService.plan);
+      trackerrms.iterateJobs.mockReturnValue(iterate([job]));
+      hubspot.searchDealsByPropertyValues.mockResolvedValue([deal('deal-1', asStored(syncService.mapJobToDealProperties(job)))]);
+
+      const results = await syncService.syncJobs();
+
+      expect(results.skipped).toBe(1);
+      expect(hubspot.batchReadObjects).not.toHaveBeenCalled();
+      expect(syncService.plan.changes).toEqual([expect.objectContaining({ action: 'skip', id: 'deal-1', changes: [] })]);
+    });
+  });
+
+  describe('field mapping', () => {
+    afterEach(() => {
+      removePortalSettings('portal-1');
+    });
+
+    it('should keep the built-in mappings by default', () => {
+      expect(syncService.mapJobToDealProperties({ id: 'job-1', name: 'Developer', estimatedRevenue: 5000, category: 'IT' }))
+        .toEqual(expect.objectContaining({ dealname: 'Developer', amount: 5000, closedate: null, trackerrms_job_id: 'job-1', trackerrms_service_line: 'IT' }));
+      expect(syncService.mapPlacementToDealProperties({ id: 'pl-1', candidateName: 'Jane Smith', revenue: 100 }))
+        .toEqual(expect.objectContaining({ dealname: 'Placement: Jane Smith', trackerrms_revenue: 100, trackerrms_margin: 0 }));
+    });
+
+    it('should apply the portal mapping without losing sync-managed properties', () => {
+      updatePortalSettings('portal-1', {
+        fieldMapping: {
+          jobs: [{ target: 'dealname', source: 'client.name', transforms: [{ type: 'concat', paths: ['title'], separator: ' - ' }] }],
+          placements: [{ target: 'dealname', source: 'reference' }]
+        }
+      });
+
+      expect(syncService.mapJobToDealProperties({ id: 'job-1', title: 'Developer', client: { name: 'ACME' } })).toEqual({
+        dealname: 'ACME - Developer',
+        pipeline: 'default',
+        dealstage: 'appointmentscheduled',
+        trackerrms_job_id: 'job-1'
+      });
+      expect(syncService.mapPlacementToDealProperties({ id: 'pl-1', jobId: 'job-1', reference: 'PL/1', fee: 1000 }))
+        .toEqual(expect.objectContaining({ dealname: 'PL/1', amount: 1000, trackerrms_placement_id: 'pl-1', trackerrms_job_id: 'job-1' }));
+    });
+  });
+
+  describe('deal owners', () => {
+    afterEach(() => {
+      removePortalSettings('portal-1');
+    });
+
+    it('should assign deals to the owner matching the recruiter email', async () => {
+      hubspot.getOwners.mockResolvedValue([{ id: '101', email: 'Jane@Agency.com' }]);
+      trackerrms.iterateJobs.mockReturnValue(iterate([
+        { id: 'job-1', title: 'Developer', recruiter: { name: 'Jane', email: 'jane@agency.com' } },
+        { id: 'job-2', title: 'Designer', recruiterEmail: 'nobody@agency.com' }
+      ]));
+
+      await syncService.syncJobs();
+
+      const [created] = hubspot.batchCreateDeals.mock.calls[0];
+      expect(created[0].hubspot_owner_id).toBe('101');
+      expect(created[1]).not.toHaveProperty('hubspot_owner_id');
+      expect(hubspot.getOwners).toHaveBeenCalledTimes(1);
+    });
+
+    it('should save unmatched owners when the run ends', async () => {
+      trackerrms.iterateJobs.mockReturnValue(iterate([
+        { id: 'job-1', title: 'Developer', recruiterEmail: 'unknown@agency.com' },
+        { id: 'job-2', title: 'Designer', recruiterEmail: 'unknown@agency.com' }
+      ]));
+
+      await syncService.run('jobs');
+
+      expect(getUnmatchedOwners('portal-1')).toEqual(expect.arrayContaining([
+        expect.objectContaining({ email: 'unknown@agency.com', occurrences: 2 })
+      ]));
+    });
+
+    it('should fall back to the account manager and honour manual overrides', async () => {
+      updatePortalSettings('portal-1', { ownerOverrides: { 'am@agency.com': '202' } });
+      trackerrms.iterateJobs.mockReturnValue(iterate([
+        { id: 'job-1', title: 'Developer', recruiterEmail: 'nobody@agency.com', accountManagerEmail: 'AM@agency.com' }
+      ]));
+
+      await syncService.syncJobs();
+
+      expect(hubspot.batchCreateDeals.mock.calls[0][0][0].hubspot_owner_id).toBe('202');
+    });
+
+    it('should keep secondary recruiters on split-credit placements', async () => {
+      hubspot.getOwners.mockResolvedValue([{ id: '101', email: 'jane@agency.com' }]);
+      trackerrms.iteratePlacements.mockReturnValue(iterate([{
+        id: 'pl-1',
+        recruiters: [
+          { name: 'Jane', email: 'jane@agency.com', split: 60, primary: true },
+          { name: 'Sam', email: 'sam@agency.com', split: 40 }
+        ]
+      }]));
+
+      await syncService.syncPlacements();
+
+      expect(hubspot.batchCreateDeals.mock.calls[0][0][0]).toEqual(expect.objectContaining({
+        hubspot_owner_id: '101',
+        trackerrms_secondary_recruiters: 'Sam <sam@agency.com> (40%)'
+      }));
+    });
+
+    it('should still sync deals when owners cannot be loaded', async () => {
+      hubspot.getOwners.mockRejectedValue(new Error('Missing scopes'));
+      trackerrms.iterateJobs.mockReturnValue(iterate([{ id: 'job-1', title: 'Developer', recruiterEmail: 'jane@agency.com' }]));
+
+      const results = await syncService.syncJobs();
+
+      expect(results.created).toBe(1);
+      expect(hubspot.batchCreateDeals.mock.calls[0][0][0]).not.toHaveProperty('hubspot_owner_id');
+    });
+  });
+
+  describe('syncClients', () => {
+    it('should create unmatched clients as companies', async () => {
+      trackerrms.iterateClients.mockReturnValue(iterate([{ id: 'client-1', name: 'Acme' }]));
+      hubspot.createCompany = jest.fn().mockResolvedValue({ id: 'company-1' });
+
+      const results = await syncService.syncClients();
+
+      expect(results.created).toBe(1);
+      expect(results.items).toEqual([{ clientId: 'client-1', companyId: 'company-1', action: 'created' }]);
+    });
+  });
+
+  describe('company associations', () => {
+    it('should associate job deals with their client company', async () => {
+      trackerrms.iterateJobs.mockReturnValue(iterate([
+        { id: 'job-1', title: 'Developer', clientId: 'client-1' },
+        { id: 'job-2', title: 'Designer', clientName: 'Unknown Co' }
+      ]));
+      hubspot.searchCompaniesByPropertyValues.mockImplementation(async propertyName =>
+        propertyName === 'trackerrms_client_id' ? [deal('company-1', { trackerrms_client_id: 'client-1' })] : []);
+
+      const results = await syncService.syncJobs();
+
+      expect(hubspot.associateDealWithCompany).toHaveBeenCalledTimes(1);
+      expect(hubspot.associateDealWithCompany).toHaveBeenCalledWith('100', 'company-1');
+      expect(results.items[0].companyId).toBe('company-1');
+      expect(results.items[1].companyId).toBeUndefined();
+    });
+
+    it('should not fail the sync when the association fails', async () => {
+      trackerrms.iterateJobs.mockReturnValue(iterate([{ id: 'job-1', clientName: 'Acme' }]));
+      hubspot.searchCompaniesByPropertyValues.mockResolvedValue([deal('company-1', { name: 'ACME' })]);
+      hubspot.associateDealWithCompany.mockRejectedValue(new Error('Forbidden'));
+
+      const results = await syncService.syncJobs();
+
+      expect(results.created).toBe(1);
+      expect(results.errors).toBe(0);
+    });
+  });
+
+  describe('syncPlacements', () => {
+    it('should update the parent job deal for new placements', async () => {
+      trackerrms.iteratePlacements.mockReturnValue(iterate([
+        { id: 'pl-1', jobId: 'job-1', candidateName: 'Ada', revenue: 5000 },
+        { id: 'pl-2', candidateName: 'Grace', revenue: 3000 }
+      ]));
+      hubspot.searchDealsByPropertyValues.mockImplementation(async propertyName =>
+        propertyName === 'trackerrms_job_id' ? [deal('job-deal', { trackerrms_job_id: 'job-1' })] : []);
+
+      const results = await syncService.syncPlacements();
+
+      expect(results.items).toEqual([
+        { placementId: 'pl-1', jobId: 'job-1', dealId: 'job-deal', action: 'updated' },
+        { placementId: 'pl-2', dealId: '100', action: 'created' }
+      ]);
+    });
+
+    it('should write a shared job deal only once per batch', async () => {
+      trackerrms.iteratePlacements.mockReturnValue(iterate([
+        { id: 'pl-1', jobId: 'job-1' },
+        { id: 'pl-2', jobId: 'job-1' }
+      ]));
+      hubspot.searchDealsByPropertyValues.mockImplementation(async propertyName =>
+        propertyName === 'trackerrms_job_id' ? [deal('job-deal', { trackerrms_job_id: 'job-1' })] : []);
+      hubspot.searchDeals.mockImplementation(async propertyName =>
+        propertyName === 'trackerrms_job_id' ? [deal('job-deal')] : []);
+
+      const results = await syncService.syncPlacements();
+
+      expect(hubspot.batchUpdateDeals.mock.calls[0][0]).toHaveLength(1);
+      expect(results.items.map(item => item.placementId)).toEqual(['pl-1', 'pl-2']);
+      expect(results.updated).toBe(2);
+    });
+  });
+
+  describe('placement line items', () => {
+    it('should derive the deal amount from the line items and write them to the deal', async () => {
+      trackerrms.iteratePlacements.mockReturnValue(iterate([{
+        id: 'pl-1',
+        billRate: 100,
+        billingPeriods: [{ id: 'w1', hours: 40 }, { id: 'w2', hours: 35 }],
+        credits: [{ id: 'c1', amount: 500, reason: 'Early termination' }]
+      }]));
+
+      const results = await syncService.syncPlacements();
+
+      expect(hubspot.batchCreateDeals.mock.calls[0][0][0].amount).toBe(7000);
+      expect(hubspot.batchCreateLineItems).toHaveBeenCalledWith('100', [
+        expect.objectContaining({ trackerrms_line_item_key: 'pl-1:period:w1', quantity: '40', price: '100' }),
+        expect.objectContaining({ trackerrms_line_item_key: 'pl-1:period:w2', quantity: '35', price: '100' }),
+        expect.objectContaining({ trackerrms_line_item_key: 'pl-1:credit:c1', quantity: '1', price: '-500' })
+      ]);
+      expect(results.created).toBe(1);
+    });
+
+    it('should report the placement as failed when its line items cannot be written', async () => {
+      trackerrms.iteratePlacements.mockReturnValue(iterate([{ id: 'pl-1', revenue: 1000 }]));
+      hubspot.batchCreateLineItems.mockRejectedValue(new Error('Line items unavailable'));
+
+      const results = await syncService.syncPlacements();
+
+      expect(results.errors).toBe(1);
+      expect(results.items[0]).toEqual({ placementId: 'pl-1', action: 'error', error: 'Line items unavailable' });
+    });
+  });
+
+  describe('placement contacts', () => {
+    let contactSync;
+
+    beforeEach(() => {
+      contactSync = { syncPlacementContacts: jest.fn().mockResolvedValue({ placedCandidate: 'contact-1' }) };
+      jest.spyOn(syncService, 'getContactSync').mockReturnValue(contactSync);
+    });
+
+    afterEach(() => {
+      removePortalSettings('portal-1');
+    });
+
+    it('should sync contacts for placement deals', async () => {
+      trackerrms.iteratePlacements.mockReturnValue(iterate([{ id: 'pl-1', candidateName: 'Ada' }]));
+
+      const results = await syncService.syncPlacements();
+
+      expect(contactSync.syncPlacementContacts).toHaveBeenCalledWith(
+        { id: 'pl-1', candidateName: 'Ada' }, '100', { includeCandidate: true });
+      expect(results.items[0].contacts).toEqual({ placedCandidate: 'contact-1' });
+    });
+
+    it('should keep candidate details out of HubSpot when the portal opts out', async () => {
+      updatePortalSettings('portal-1', { excludeCandidatePii: true });
+      trackerrms.iteratePlacements.mockReturnValue(iterate([{ id: 'pl-1', candidateName: 'Ada' }]));
+
+      await syncService.syncPlacements();
+
+      expect(hubspot.batchCreateDeals.mock.calls[0][0][0].dealname).toBe('Placement pl-1');
+      expect(contactSync.syncPlacementContacts.mock.calls[0][2]).toEqual({ includeCandidate: false });
+    });
+
+    it('should not fail the placement when contact sync fails', async () => {
+      contactSync.syncPlacementContacts.mockRejectedValue(new Error('Contact write failed'));
+      trackerrms.iteratePlacements.mockReturnValue(iterate([{ id: 'pl-1' }]));
+
+      const results = await syncService.syncPlacements();
+
+      expect(results.created).toBe(1);
+      expect(results.errors).toBe(0);
+    });
+  });
+
+  describe('custom object mode', () => {
+    let customObjects;
+
+    beforeEach(() => {
+      customObjects = {
+        ensureSchemas: jest.fn().mockResolvedValue({ jobObjectTypeId: 'p_job', placementObjectTypeId: 'p_placement' }),
+        syncJob: jest.fn().mockResolvedValue({ objectId: 'job-obj', action: 'created' }),
+        syncPlacement: jest.fn().mockImplementation(async placement =>
+          ({ placementId: placement.id, objectId: `obj-${placement.id}`, action: 'created' })),
+        associatePlacementContacts: jest.fn().mockResolvedValue(),
+        updatePlacementRevenue: jest.fn().mockImplementation(async placementId => (placementId === 'pl-2' ? null : `obj-${placementId}`))
+      };
+      jest.spyOn(syncService, 'getCustomObjectSync').mockReturnValue(customObjects);
+    });
+
+    it('should write job records alongside job deals', async () => {
+      trackerrms.iterateJobs.mockReturnValue(iterate([{ id: 'job-1', title: 'Developer' }]));
+
+      const results = await syncService.syncJobs();
+
+      expect(results.items).toEqual([{ jobId: 'job-1', dealId: '100', action: 'created', objectId: 'job-obj' }]);
+      expect(customObjects.syncJob).toHaveBeenCalledWith({ id: 'job-1', title: 'Developer' }, '100');
+    });
+
+    it('should write placements into custom objects without updating job deals', async () => {
+      trackerrms.iteratePlacements.mockReturnValue(iterate([
+        { id: 'pl-1', jobId: 'job-1' },
+        { id: 'pl-2', jobId: 'job-1' }
+      ]));
+
+      const results = await syncService.syncPlacements();
+
+      expect(results.created).toBe(2);
+      expect(hubspot.updateDeal).not.toHaveBeenCalled();
+      expect(hubspot.batchUpdateDeals).not.toHaveBeenCalled();
+    });
+
+    it('should report revenue updates with the same item shape as deal mode', async () => {
+      trackerrms.iteratePlacements.mockReturnValue(iterate([{ id: 'pl-1' }, { id: 'pl-2' }]));
+      trackerrms.getPlacementRevenue.mockResolvedValue({ totalRevenue: 1000, margin: 200 });
+
+      const results = await syncService.syncRevenue();
+
+      expect(results.updated).toBe(1);
+      expect(results.items).toEqual([{ placementId: 'pl-1', objectId: 'obj-pl-1', action: 'updated', revenue: 1000 }]);
+    });
+  });
+
+  describe('syncRevenue', () => {
+    it('should fetch revenue in parallel and keep results in placement order', async () => {
+      syncService.concurrency = 2;
+      trackerrms.iteratePlacements.mockReturnValue(iterate([{ id: 'pl-1' }, { id: 'pl-2' }, { id: 'pl-3' }]));
+      let inFlight = 0;
+      let maxInFlight = 0;
+      trackerrms.getPlacementRevenue.mockImplementation(async placementId => {
+        maxInFlight = Math.max(maxInFlight, ++inFlight);
+        // Later placements answer first
+        await new Promise(resolve => setTimeout(resolve, placementId === 'pl-1' ? 20 : 1));
+        inFlight--;
+        if (placementId === 'pl-2') {
+          throw new Error('Not found');
+        }
+        return { totalRevenue: 1000, margin: 200 };
+      });
+      hubspot.searchDealsByPropertyValues.mockResolvedValue([
+        deal('deal-1', { trackerrms_placement_id: 'pl-1' }),
+        deal('deal-3', { trackerrms_placement_id: 'pl-3' })
+      ]);
+
+      const results = await syncService.syncRevenue();
+
+      expect(maxInFlight).toBe(2);
+      expect(results.items.map(item => [item.placementId, item.action])).toEqual([
+        ['pl-2', 'error'],
+        ['pl-1', 'updated'],
+        ['pl-3', 'updated']
+      ]);
+    });
+
+    it('should batch update revenue for placements with deals', async () => {
+      trackerrms.iteratePlacements.mockReturnValue(iterate([{ id: 'pl-1' }, { id: 'pl-2' }, { id: 'pl-3' }]));
+      trackerrms.getPlacementRevenue
+        .mockResolvedValueOnce({ totalRevenue: 1000, margin: 200 })
+        .mockRejectedValueOnce(new Error('Not found'))
+        .mockResolvedValueOnce({ totalRevenue: 3000, margin: 600 });
+      hubspot.searchDealsByPropertyValues.mockResolvedValue([
+        deal('deal-1', { trackerrms_placement_id: 'pl-1' })
+      ]);
+
+      const results = await syncService.syncRevenue();
+
+      expect(results.updated).toBe(1);
+      expect(results.errors).toBe(1);
+      expect(results.items).toEqual([
+        { placementId: 'pl-2', action: 'error', error: 'Not found' },
+        { placementId: 'pl-1', dealId: 'deal-1', action: 'updated', revenue: 1000 }
+      ]);
+      expect(hubspot.batchUpdateDeals).toHaveBeenCalledWith([{
+        id: 'deal-1',
+        properties: { trackerrms_revenue: 1000, trackerrms_margin: 200 }
+      }]);
+    });
+  });
+
+  describe('dead letters', () => {
+    const failJob = () => {
+      trackerrms.iterateJobs.mockReturnValue(iterate([{ id: 'job-1', title: 'Developer' }, { id: 'job-2', title: 'Designer' }]));
+      hubspot.batchCreateDeals.mockRejectedValue(new Error('Batch rejected'));
+      hubspot.createDeal
+        .mockResolvedValueOnce(deal('deal-1'))
+        .mockRejectedValueOnce(new Error('Invalid property'));
+    };
+
+    it('should keep failed jobs with the record needed to retry them', async () => {
+      failJob();
+
+      await syncService.syncJobs();
+
+      const [entry] = deadLetters.listDeadLetters('portal-1');
+      expect(entry).toEqual(expect.objectContaining({ entity: 'jobs', recordId: 'job-2', error: 'Invalid property', attempts: 1, status: 'pending' }));
+      expect(deadLetters.getDeadLetter('portal-1', entry.id).payload).toEqual({ id: 'job-2', title: 'Designer' });
+    });
+
+    it('should not keep failures from dry runs', async () => {
+      syncService.plan = new SyncPlan();
+      trackerrms.iterateJobs.mockReturnValue(iterate([{ id: 'job-1', title: 'Developer' }]));
+      syncService.mapJobToDealProperties = jest.fn(() => {
+        throw new Error('Unmappable');
+      });
+
+      const results = await syncService.syncJobs();
+
+      expect(results.errors).toBe(1);
+      expect(deadLetters.listDeadLetters('portal-1')).toEqual([]);
+    });
+
+    it('should resolve retried records that sync and count another attempt for the rest', async () => {
+      failJob();
+      await syncService.syncJobs();
+      deadLetters.recordFailures('portal-1', 'placements', [{ recordId: 'pl-1', payload: { id: 'pl-1' }, error: 'Timeout' }]);
+      const ids = deadLetters.listDeadLetters('portal-1').map(entry => entry.id);
+      hubspot.createDeal.mockReset().mockRejectedValue(new Error('Still invalid'));
+      hubspot.batchCreateDeals.mockImplementation(async inputs => inputs.map(properties => deal(String(nextDealId++), properties)));
+
+      const results = await syncService.retryDeadLetters({ ids });
+
+      expect(Object.keys(results)).toEqual(['jobs', 'placements']);
+      expect(results.jobs).toEqual(expect.objectContaining({ created: 1, errors: 0 }));
+      expect(deadLetters.listDeadLetters('portal-1')).toEqual([]);
+
+      failJob();
+      await syncService.syncJobs();
+      hubspot.batchCreateDeals.mockRejectedValue(new Error('Batch rejected'));
+      hubspot.createDeal.mockReset().mockRejectedValue(new Error('Still invalid'));
+
+      await syncService.retryDeadLetters({ ids: deadLetters.listDeadLetters('portal-1').map(entry => entry.id) });
+
+      expect(deadLetters.listDeadLetters('portal-1')).toEqual([
+        expect.objectContaining({ recordId: 'job-2', attempts: 2, error: 'Still invalid' })
+      ]);
+    });
+
+    it('should replay webhook events', async () => {
+      const [entry] = deadLetters.recordFailures('portal-1', 'webhook', [{
+        recordId: 'job.updated:job-1',
+        payload: { event: 'job.updated', data: { id: 'job-1', title: 'Developer' } },
+        error: 'Timeout'
+      }]);
+
+      const results = await syncService.retryDeadLetters({ ids: [entry.id] });
+
+      expect(results.webhook).toEqual({
+        succeeded: 1,
+        errors: 0,
+        items: [{ deadLetterId: entry.id, event: 'job.updated', action: 'succeeded' }]
+      });
+      expect(hubspot.createDeal).toHaveBeenCalledWith(expect.objectContaining({ dealname: 'Developer' }));
+      expect(deadLetters.listDeadLetters('portal-1')).toEqual([]);
+    });
+  });
+});
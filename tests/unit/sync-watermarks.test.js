@@ -0,0 +1,98 @@
+/**
+ * Unit tests for sync watermarks
+ */
+const syncWatermarks = require('../../src/sync/sync-watermarks');
+
+const { WatermarkTracker } = syncWatermarks;
+
+describe('Sync watermarks', () => {
+  afterEach(() => {
+    syncWatermarks.removeWatermarks('portal-watermarks');
+  });
+
+  describe('getRecordModifiedAt', () => {
+    it('should read the first modification field present', () => {
+      expect(syncWatermarks.getRecordModifiedAt({ updatedAt: '2026-03-01T10:00:00Z' })).toBe(Date.parse('2026-03-01T10:00:00Z'));
+      expect(syncWatermarks.getRecordModifiedAt({ modifiedAt: '2026-03-02', updatedAt: '2026-03-01' })).toBe(Date.parse('2026-03-02'));
+      expect(syncWatermarks.getRecordModifiedAt({ updatedAt: 'not a date' })).toBeNull();
+      expect(syncWatermarks.getRecordModifiedAt({})).toBeNull();
+    });
+  });
+
+  describe('WatermarkTracker', () => {
+    it('should move to the latest modification time written', () => {
+      const tracker = new WatermarkTracker();
+      tracker.track(
+        [{ id: 1, modifiedAt: '2026-03-02T00:00:00Z' }, { id: 2, modifiedAt: '2026-03-04T00:00:00Z' }],
+        [{ jobId: 1, action: 'created' }, { jobId: 2, action: 'updated' }],
+        'jobId'
+      );
+
+      expect(tracker.next('2026-03-01T00:00:00.000Z')).toBe('2026-03-04T00:00:00.000Z');
+    });
+
+    it('should stop at the earliest failed record', () => {
+      const tracker = new WatermarkTracker();
+      tracker.track(
+        [{ id: 1, modifiedAt: '2026-03-04T00:00:00Z' }, { id: 2, modifiedAt: '2026-03-02T00:00:00Z' }],
+        [{ placementId: 1, action: 'updated' }, { placementId: 2, action: 'error' }],
+        'placementId'
+      );
+
+      expect(tracker.next('2026-03-03T00:00:00.000Z')).toBe('2026-03-02T00:00:00.000Z');
+    });
+
+    it('should fall back to the sync start for records without a modification time', () => {
+      const startedAt = Date.parse('2026-03-10T00:00:00Z');
+      const written = new WatermarkTracker(startedAt);
+      written.track([{ id: 1 }], [{ jobId: 1, action: 'created' }], 'jobId');
+
+      const failed = new WatermarkTracker(startedAt);
+      failed.track([{ id: 1 }], [{ jobId: 1, action: 'error' }], 'jobId');
+
+      expect(written.next(null)).toBe('2026-03-10T00:00:00.000Z');
+      expect(failed.next('2026-03-01T00:00:00.000Z')).toBe('2026-03-01T00:00:00.000Z');
+      expect(new WatermarkTracker(startedAt).next(null)).toBeNull();
+    });
+  });
+
+  describe('full reconciliation', () => {
+    it('should be due without a watermark and once the interval has passed', () => {
+      expect(syncWatermarks.isFullSyncDue('portal-watermarks', 'jobs')).toBe(true);
+
+      syncWatermarks.updateWatermark('portal-watermarks', 'jobs', { watermark: '2026-03-01T00:00:00.000Z', lastFullSyncAt: new Date().toISOString() });
+      expect(syncWatermarks.isFullSyncDue('portal-watermarks', 'jobs')).toBe(false);
+
+      const nextFullSyncAt = Date.parse(syncWatermarks.getWatermark('portal-watermarks', 'jobs').nextFullSyncAt);
+      expect(syncWatermarks.isFullSyncDue('portal-watermarks', 'jobs', nextFullSyncAt)).toBe(true);
+    });
+
+    it('should be due again after the watermark is cleared', () => {
+      syncWatermarks.updateWatermark('portal-watermarks', 'placements', { watermark: '2026-03-01T00:00:00.000Z', lastFullSyncAt: new Date().toISOString() });
+
+      expect(syncWatermarks.resetWatermark('portal-watermarks', 'placements', '2026-01-01T00:00:00Z').watermark).toBe('2026-01-01T00:00:00.000Z');
+      expect(syncWatermarks.isFullSyncDue('portal-watermarks', 'placements')).toBe(false);
+
+      expect(syncWatermarks.resetWatermark('portal-watermarks', 'placements', null)).toEqual(expect.objectContaining({ watermark: null, lastFullSyncAt: null }));
+      expect(syncWatermarks.isFullSyncDue('portal-watermarks', 'placements')).toBe(true);
+    });
+  });
+
+  describe('validateWatermarkRange', () => {
+    it('should accept a range and default to both entities', () => {
+      expect(syncWatermarks.validateWatermarkRange({ from: '2026-01-01', to: '2026-02-01' })).toEqual([]);
+      expect(syncWatermarks.validateWatermarkRange({ entities: ['jobs'], from: null })).toEqual([]);
+    });
+
+    it('should reject bad entities and dates', () => {
+      expect(syncWatermarks.validateWatermarkRange({ entities: ['clients'], from: 'yesterday', to: 'today' })).toEqual([
+        'entities must be a list of: jobs, placements',
+        'from must be an ISO 8601 date',
+        'to must be an ISO 8601 date'
+      ]);
+      expect(syncWatermarks.validateWatermarkRange({ from: '2026-02-01', to: '2026-01-01' })).toEqual(['to must be after from']);
+      expect(syncWatermarks.validateWatermarkRange({ from: '2999-01-01' })).toEqual(['from must not be in the future']);
+      expect(syncWatermarks.validateWatermarkRange({}, { requireFrom: true })).toEqual(['from is required']);
+    });
+  });
+});
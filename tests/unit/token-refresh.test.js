@@ -0,0 +1,112 @@
+/**
+ * Unit tests for token refresh and the background refresh scheduler
+ */
+const mockCreateToken = jest.fn();
+
+jest.mock('@hubspot/api-client', () => ({
+  Client: jest.fn().mockImplementation(() => ({
+    oauth: { tokensApi: { create: mockCreateToken } }
+  }))
+}));
+
+const oauth = require('../../src/auth/oauth');
+const TokenRefreshScheduler = require('../../src/auth/token-refresh-scheduler');
+
+describe('Token refresh', () => {
+  beforeEach(() => {
+    mockCreateToken.mockReset();
+    oauth.getConnectedPortals().forEach(portalId => oauth.removeTokens(portalId));
+  });
+
+  function storeExpiredTokens(portalId) {
+    oauth.storeTokens(portalId, {
+      accessToken: 'old-access',
+      refreshToken: 'old-refresh',
+      expiresIn: 0
+    });
+  }
+
+  describe('getValidAccessToken', () => {
+    it('should share a single refresh between concurrent callers', async () => {
+      storeExpiredTokens('portal-1');
+      mockCreateToken.mockResolvedValue({
+        accessToken: 'new-access',
+        refreshToken: 'new-refresh',
+        expiresIn: 1800
+      });
+
+      const tokens = await Promise.all([
+        oauth.getValidAccessToken('portal-1'),
+        oauth.getValidAccessToken('portal-1'),
+        oauth.getValidAccessToken('portal-1')
+      ]);
+
+      expect(tokens).toEqual(['new-access', 'new-access', 'new-access']);
+      expect(mockCreateToken).toHaveBeenCalledTimes(1);
+      expect(oauth.getTokens('portal-1').refreshToken).toBe('new-refresh');
+    });
+
+    it('should flag the portal when the refresh token is revoked', async () => {
+      storeExpiredTokens('portal-1');
+      mockCreateToken.mockRejectedValue(Object.assign(new Error('Bad refresh token'), {
+        code: 400,
+        body: { status: 'BAD_REFRESH_TOKEN', message: 'missing or unknown refresh token' }
+      }));
+
+      await expect(oauth.getValidAccessToken('portal-1')).rejects.toMatchObject({ code: 'REAUTH_REQUIRED' });
+      expect(oauth.getTokens('portal-1').revokedAt).toBeDefined();
+
+      // No further refresh attempts once revoked
+      await expect(oauth.getValidAccessToken('portal-1')).rejects.toMatchObject({ code: 'REAUTH_REQUIRED' });
+      expect(mockCreateToken).toHaveBeenCalledTimes(1);
+    });
+
+    it('should only flag the portal for an explicit bad refresh token', async () => {
+      storeExpiredTokens('portal-1');
+      mockCreateToken.mockRejectedValue(Object.assign(new Error('Unauthorized'), { code: 401 }));
+
+      await expect(oauth.getValidAccessToken('portal-1')).rejects.toThrow('Unauthorized');
+      expect(oauth.getTokens('portal-1').revokedAt).toBeUndefined();
+
+      mockCreateToken.mockRejectedValue(Object.assign(new Error('Bad request'), { code: 400, body: { error: 'invalid_grant' } }));
+      await expect(oauth.getValidAccessToken('portal-1')).rejects.toMatchObject({ code: 'REAUTH_REQUIRED' });
+    });
+
+    it('should not flag the portal on transient errors', async () => {
+      storeExpiredTokens('portal-1');
+      mockCreateToken.mockRejectedValue(Object.assign(new Error('Bad gateway'), { code: 502 }));
+
+      await expect(oauth.getValidAccessToken('portal-1')).rejects.toThrow('Bad gateway');
+      expect(oauth.getTokens('portal-1').revokedAt).toBeUndefined();
+    });
+  });
+
+  describe('TokenRefreshScheduler', () => {
+    it('should refresh only tokens inside the refresh window', async () => {
+      storeExpiredTokens('portal-1');
+      oauth.storeTokens('portal-2', { accessToken: 'a', refreshToken: 'r', expiresIn: 7200 });
+      mockCreateToken.mockResolvedValue({ accessToken: 'new', refreshToken: 'new', expiresIn: 1800 });
+
+      const scheduler = new TokenRefreshScheduler({ intervalMs: 1000, refreshWindowMs: 15 * 60 * 1000 });
+      const results = await scheduler.runOnce();
+
+      expect(results).toEqual({ refreshed: 1, revoked: 0, errors: 0 });
+      expect(oauth.getTokens('portal-1').accessToken).toBe('new');
+      expect(oauth.getTokens('portal-2').accessToken).toBe('a');
+    });
+
+    it('should count revoked portals', async () => {
+      storeExpiredTokens('portal-1');
+      mockCreateToken.mockRejectedValue(Object.assign(new Error('invalid'), {
+        code: 400,
+        body: { status: 'BAD_REFRESH_TOKEN' }
+      }));
+
+      const scheduler = new TokenRefreshScheduler({ intervalMs: 1000, refreshWindowMs: 1000 });
+      const results = await scheduler.runOnce();
+
+      expect(results.revoked).toBe(1);
+      expect(scheduler.isDueForRefresh(oauth.getTokens('portal-1'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Unit tests for the TrackerRMS client registry
+ */
+const { TrackerRMSClient, TrackerRMSClientRegistry } = require('../../src/services/trackerrms-client');
+
+describe('TrackerRMSClientRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new TrackerRMSClientRegistry({ maxClients: 2, idleTtlMs: 60000 });
+  });
+
+  it('should reuse the client for the same tenant and credentials', () => {
+    const first = registry.getClient({ tenantId: 'portal-1', apiKey: 'key-1' });
+    const second = registry.getClient({ tenantId: 'portal-1', apiKey: 'key-1' });
+
+    expect(first).toBeInstanceOf(TrackerRMSClient);
+    expect(second).toBe(first);
+  });
+
+  it('should isolate clients between tenants', () => {
+    const portalA = registry.getClient({ tenantId: 'portal-a', apiKey: 'key-a' });
+    const portalB = registry.getClient({ tenantId: 'portal-b', apiKey: 'key-b' });
+
+    expect(portalA).not.toBe(portalB);
+    expect(portalA.apiKey).toBe('key-a');
+    expect(portalB.apiKey).toBe('key-b');
+  });
+
+  it('should create a new client when a tenant rotates its key', () => {
+    const oldClient = registry.getClient({ tenantId: 'portal-1', apiKey: 'old-key' });
+    const newClient = registry.getClient({ tenantId: 'portal-1', apiKey: 'new-key' });
+
+    expect(newClient).not.toBe(oldClient);
+    expect(newClient.apiKey).toBe('new-key');
+  });
+
+  it('should apply per-tenant base URL and timeout', () => {
+    const client = registry.getClient({
+      tenantId: 'portal-1',
+      apiKey: 'key',
+      baseUrl: 'https://eu.trackerrms.com/v1',
+      timeout: 5000
+    });
+
+    expect(client.baseUrl).toBe('https://eu.trackerrms.com/v1');
+    expect(client.timeout).toBe(5000);
+  });
+
+  it('should evict the least recently used client when full', () => {
+    const portal1 = registry.getClient({ tenantId: 'portal-1', apiKey: 'key' });
+    registry.getClient({ tenantId: 'portal-2', apiKey: 'key' });
+    registry.getClient({ tenantId: 'portal-1', apiKey: 'key' });
+    registry.getClient({ tenantId: 'portal-3', apiKey: 'key' });
+
+    expect(registry.size).toBe(2);
+    expect(registry.getClient({ tenantId: 'portal-1', apiKey: 'key' })).toBe(portal1);
+  });
+
+  it('should evict idle clients', () => {
+    const client = registry.getClient({ tenantId: 'portal-1', apiKey: 'key' });
+    const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 120000);
+
+    expect(registry.getClient({ tenantId: 'portal-1', apiKey: 'key' })).not.toBe(client);
+
+    nowSpy.mockRestore();
+  });
+
+  it('should evict all clients for a tenant', () => {
+    registry.getClient({ tenantId: 'portal-1', apiKey: 'key' });
+    registry.getClient({ tenantId: 'portal-2', apiKey: 'key' });
+
+    expect(registry.evict('portal-1')).toBe(1);
+    expect(registry.size).toBe(1);
+  });
+});
+
+describe('TrackerRMSClient pagination', () => {
+  let client;
+
+  beforeEach(() => {
+    client = new TrackerRMSClient('key');
+    client.client.get = jest.fn();
+  });
+
+  it('should walk pages of bare arrays until a short page', async () => {
+    client.client.get
+      .mockResolvedValueOnce({ data: [{ id: 1 }, { id: 2 }] })
+      .mockResolvedValueOnce({ data: [{ id: 3 }] });
+
+    const jobs = await client.getJobs({ status: 'open', pageSize: 2 });
+
+    expect(jobs.map(j => j.id)).toEqual([1, 2, 3]);
+    expect(client.client.get).toHaveBeenCalledTimes(2);
+    expect(client.client.get).toHaveBeenLastCalledWith('/jobs', {
+      params: { status: 'open', page: 2, pageSize: 2 }
+    });
+  });
+
+  it('should follow envelope paging metadata', async () => {
+    client.client.get
+      .mockResolvedValueOnce({ data: { data: [{ id: 1 }], page: 1, totalPages: 2 } })
+      .mockResolvedValueOnce({ data: { data: [{ id: 2 }], page: 2, totalPages: 2 } });
+
+    const placements = await client.getPlacements();
+
+    expect(placements.map(p => p.id)).toEqual([1, 2]);
+  });
+
+  it('should honour hasMore flags', async () => {
+    client.client.get
+      .mockResolvedValueOnce({ data: { items: [{ id: 1 }], hasMore: true } })
+      .mockResolvedValueOnce({ data: { items: [{ id: 2 }], hasMore: false } });
+
+    const candidates = await client.getCandidatesByJob('job-1');
+
+    expect(candidates.map(c => c.id)).toEqual([1, 2]);
+    expect(client.client.get).toHaveBeenCalledWith('/jobs/job-1/candidates', expect.any(Object));
+  });
+
+  it('should stop when the endpoint ignores paging parameters', async () => {
+    client.client.get.mockResolvedValue({ data: [{ id: 1 }, { id: 2 }] });
+
+    const placements = await client.getPlacements({ pageSize: 2 });
+
+    expect(placements.map(p => p.id)).toEqual([1, 2]);
+    expect(client.client.get).toHaveBeenCalledTimes(2);
+  });
+
+  it('should stream records through the async iterator', async () => {
+    client.client.get
+      .mockResolvedValueOnce({ data: { results: [{ id: 1 }, { id: 2 }], total: 3 } })
+      .mockResolvedValueOnce({ data: { results: [{ id: 3 }], total: 3 } });
+
+    const seen = [];
+    for await (const placement of client.iteratePlacements({ pageSize: 2 })) {
+      seen.push(placement.id);
+    }
+
+    expect(seen).toEqual([1, 2, 3]);
+  });
+
+  it('should report the record total from the first page', async () => {
+    client.client.get
+      .mockResolvedValueOnce({ data: { results: [{ id: 1 }, { id: 2 }], total: 3 } })
+      .mockResolvedValueOnce({ data: { results: [{ id: 3 }], total: 3 } });
+    const onTotal = jest.fn();
+
+    for await (const placement of client.iteratePlacements({ pageSize: 2 }, { onTotal })) {
+      expect(placement.id).toBeDefined();
+    }
+
+    expect(onTotal).toHaveBeenCalledTimes(1);
+    expect(onTotal).toHaveBeenCalledWith(3);
+  });
+});
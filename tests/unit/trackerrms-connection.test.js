@@ -0,0 +1,72 @@
+/**
+ * Unit tests for per-portal TrackerRMS connections
+ */
+const trackerrmsConnection = require('../../src/auth/trackerrms-connection');
+
+describe('TrackerRMS connection', () => {
+  afterEach(() => {
+    trackerrmsConnection.removeConnection('portal-1');
+  });
+
+  describe('storeConnection', () => {
+    it('should store the API key and base URL for a portal', () => {
+      trackerrmsConnection.storeConnection('portal-1', {
+        apiKey: 'secret-key',
+        baseUrl: 'https://eu.trackerrms.com/v1'
+      });
+
+      const connection = trackerrmsConnection.getConnection('portal-1');
+
+      expect(connection.apiKey).toBe('secret-key');
+      expect(connection.baseUrl).toBe('https://eu.trackerrms.com/v1');
+      expect(connection.webhookSecret).toHaveLength(48);
+    });
+
+    it('should default to the configured base URL', () => {
+      const connection = trackerrmsConnection.storeConnection('portal-1', { apiKey: 'secret-key' });
+
+      expect(connection.baseUrl).toBe('https://api.trackerrms.com/v1');
+    });
+
+    it('should keep the webhook secret when the key is rotated', () => {
+      const first = trackerrmsConnection.storeConnection('portal-1', { apiKey: 'old-key' });
+      const second = trackerrmsConnection.storeConnection('portal-1', { apiKey: 'new-key' });
+
+      expect(second.apiKey).toBe('new-key');
+      expect(second.webhookSecret).toBe(first.webhookSecret);
+    });
+  });
+
+  describe('getConnection', () => {
+    it('should return null for unknown portal', () => {
+      expect(trackerrmsConnection.getConnection('unknown-portal')).toBeNull();
+    });
+  });
+
+  describe('verifyWebhookSecret', () => {
+    it('should accept the issued secret only', () => {
+      const connection = trackerrmsConnection.storeConnection('portal-1', { apiKey: 'secret-key' });
+
+      expect(trackerrmsConnection.verifyWebhookSecret('portal-1', connection.webhookSecret)).toBe(true);
+      expect(trackerrmsConnection.verifyWebhookSecret('portal-1', 'wrong')).toBe(false);
+      expect(trackerrmsConnection.verifyWebhookSecret('portal-1', undefined)).toBe(false);
+      expect(trackerrmsConnection.verifyWebhookSecret('unknown-portal', connection.webhookSecret)).toBe(false);
+    });
+  });
+
+  describe('toPublicConnection', () => {
+    it('should not expose secrets', () => {
+      const connection = trackerrmsConnection.storeConnection('portal-1', { apiKey: 'secret-key' });
+      const summary = trackerrmsConnection.toPublicConnection(connection);
+
+      expect(summary.connected).toBe(true);
+      expect(summary.apiKeyHint).toBe('****-key');
+      expect(JSON.stringify(summary)).not.toContain('secret-key');
+      expect(JSON.stringify(summary)).not.toContain(connection.webhookSecret);
+    });
+
+    it('should report disconnected portals', () => {
+      expect(trackerrmsConnection.toPublicConnection(null)).toEqual({ connected: false });
+    });
+  });
+});